@@ -3,6 +3,9 @@
  * 
  * This provides a minimal interface that all agents must implement.
  * It's intentionally lightweight to allow for flexibility in implementation.
+ * Agents are loaded by agents/loader.js from a directory with a
+ * manifest.json; the agent service calls init() once they are registered,
+ * health() when asked for their status, and dispose() on shutdown.
  */
 class BaseAgent {
   /**
@@ -16,13 +19,36 @@ class BaseAgent {
     this.name = name;
     this.config = config;
     this.isActive = true;
+    this.manifest = null; // Set by the loader for agents discovered from a directory
   }
 
   /**
-   * Check if this agent can handle a specific query
+   * Prepare the agent before it handles queries, e.g. connect to its data source
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Report whether the agent can currently answer queries
+   * @returns {Promise<Object>} - { status: 'ok' | 'degraded' | 'unavailable', message, details }
+   */
+  async health() {
+    return { status: 'ok', message: 'Ready' };
+  }
+
+  /**
+   * Release timers, connections and other resources on shutdown
+   * @returns {Promise<void>}
+   */
+  async dispose() {}
+
+  /**
+   * Rate how well this agent can handle a specific query
+   * The agent service's routing policy chooses agents from these ratings.
    * @param {string} query - The user's query
    * @param {Object} context - Additional context
-   * @returns {Promise<boolean>} - Whether this agent can handle the query
+   * @returns {Promise<Object>} - { confidence, reason }: confidence from 0 (cannot) to 1 (certainly can),
+   *   and a short explanation that is logged with the routing decision
    */
   async canHandle(query, context = {}) {
     throw new Error('Method canHandle() must be implemented by subclasses');
@@ -31,21 +57,58 @@ class BaseAgent {
   /**
    * Process a query and return a response
    * @param {string} query - The user's query
-   * @param {Object} context - Additional context
+   * @param {Object} context - Additional context; context.signal is aborted if the agent times out
    * @returns {Promise<Object>} - The agent's response
    */
   async processQuery(query, context = {}) {
     throw new Error('Method processQuery() must be implemented by subclasses');
   }
 
+  /**
+   * Read this agent's state for the current conversation
+   * @param {Object} context - Context passed by the agent service
+   * @returns {Object} - The stored state, or an empty object
+   */
+  getState(context = {}) {
+    return context.state ? context.state.get() : {};
+  }
+
+  /**
+   * Save this agent's state for the current conversation
+   * @param {Object} context - Context passed by the agent service
+   * @param {Object} state - The state to store
+   */
+  setState(context = {}, state) {
+    if (context.state) {
+      context.state.set(state);
+    }
+  }
+
+  /**
+   * Clear this agent's state for the current conversation
+   * @param {Object} context - Context passed by the agent service
+   */
+  clearState(context = {}) {
+    if (context.state) {
+      context.state.clear();
+    }
+  }
+
   /**
    * Get information about this agent
    * @returns {Object} - Agent information
    */
   getInfo() {
+    const manifest = this.manifest || {};
+
     return {
       id: this.id,
       name: this.name,
+      description: manifest.description || '',
+      icon: manifest.icon || null,
+      color: manifest.color || null,
+      source: manifest.source || null,
+      hasDefaultQuery: Boolean(manifest.defaultQuery), // Can be started with an empty message
       isActive: this.isActive
     };
   }
@@ -1,21 +1,16 @@
 /**
  * Agents System
  * 
- * This module initializes and exports all available agents.
+ * This module loads every agent in this directory (each subdirectory with a
+ * manifest.json, see loader.js) and registers it with the agent service.
  */
-const NotionAgent = require('./notionAgent');
 const agentService = require('../services/agentService');
 
-// Initialize agents
-const notionAgent = new NotionAgent();
-
-// Register agents with the agent service
-agentService.registerAgent(notionAgent);
+// Discover and register agents
+agentService.loadAgents(__dirname);
 
 // Export agents and service
 module.exports = {
   agentService,
-  agents: {
-    notion: notionAgent
-  }
+  agents: Object.fromEntries(agentService.agents)
 };
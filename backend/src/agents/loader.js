@@ -0,0 +1,257 @@
+/**
+ * Agent Loader
+ *
+ * Discovers agents from a directory. Each agent lives in its own
+ * subdirectory with a manifest.json:
+ * {
+ *   "id": "notion",                       // Unique ID, also the agent's id
+ *   "name": "Notion Knowledge Base",
+ *   "description": "...",
+ *   "icon": "fas fa-book",                // Font Awesome icon class
+ *   "color": "#2E3338",                   // Accent color in the agent selector
+ *   "source": "Notion",                   // Data source the agent answers from
+ *   "main": "notionAgent.js",             // Module exporting the agent class (default index.js)
+ *   "requiredEnv": [                      // Variables that must be set:
+ *     "API_KEY",                          //   always
+ *     ["A", "B"],                         //   any one of them
+ *     { "name": "C", "unless": { "MODE": "offline" } } // not needed when MODE is "offline"
+ *   ],
+ *   "defaultQuery": "...",                // Optional query used when the agent is picked with an empty message
+ *   "configSchema": {                     // JSON Schema of the agent's config
+ *     "type": "object",
+ *     "properties": {
+ *       "timeoutMs": { "type": "integer", "default": 30000, "env": "MY_AGENT_TIMEOUT_MS" }
+ *     }
+ *   }
+ * }
+ * Config values come from each property's "env" variable, or its default.
+ * Agents whose required variables are missing are reported as unavailable
+ * instead of being constructed.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const REQUIRED_FIELDS = ['id', 'name', 'description'];
+
+/**
+ * Check the form of one requiredEnv entry
+ * @param {*} entry - A variable name, a list of names, or { name, unless }
+ * @returns {boolean}
+ */
+const isValidEnvEntry = (entry) => {
+  const isName = (value) => typeof value === 'string' && value.trim() !== '';
+
+  if (Array.isArray(entry)) {
+    return entry.length > 0 && entry.every(isName);
+  }
+  if (entry && typeof entry === 'object') {
+    return isName(entry.name) && (entry.unless === undefined ||
+      (typeof entry.unless === 'object' && entry.unless !== null && Object.values(entry.unless).every(value => typeof value === 'string')));
+  }
+  return isName(entry);
+};
+
+/**
+ * Check that a manifest has the fields the agent service relies on
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Array} - Problems, empty if the manifest is valid
+ */
+const validateManifest = (manifest) => {
+  const errors = REQUIRED_FIELDS
+    .filter(field => typeof manifest[field] !== 'string' || manifest[field].trim() === '')
+    .map(field => `"${field}" must be a non-empty string`);
+
+  if (manifest.requiredEnv !== undefined && !Array.isArray(manifest.requiredEnv)) {
+    errors.push('"requiredEnv" must be an array');
+  } else if ((manifest.requiredEnv || []).some(entry => !isValidEnvEntry(entry))) {
+    errors.push('"requiredEnv" entries must be names, lists of names or { name, unless } objects');
+  }
+  if (manifest.configSchema !== undefined && (typeof manifest.configSchema !== 'object' || manifest.configSchema === null)) {
+    errors.push('"configSchema" must be an object');
+  }
+
+  return errors;
+};
+
+/**
+ * List the required environment variables that are not set
+ * @param {Array} requiredEnv - Variable names, lists of names of which one is enough,
+ *   or { name, unless } objects for variables not needed when the "unless" variables have the given values
+ * @returns {Array} - Missing entries, alternatives joined with " or "
+ */
+const getMissingEnv = (requiredEnv = []) => {
+  return requiredEnv
+    .filter(entry => !(entry && entry.unless && Object.entries(entry.unless).every(([name, value]) => process.env[name] === value)))
+    .map(entry => (Array.isArray(entry) ? entry : [entry.name || entry]))
+    .filter(names => !names.some(name => process.env[name]))
+    .map(names => names.join(' or '));
+};
+
+/**
+ * Convert a value to a schema type
+ * @param {*} value - Value from the environment or a default
+ * @param {Object} property - Property schema
+ * @returns {*} - Converted value
+ */
+const coerce = (value, property) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (property.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() === '' ? NaN : Number(value);
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Check a value against a property schema
+ * @param {*} value - The value
+ * @param {Object} property - Property schema (type, enum, minimum, maximum)
+ * @returns {string|null} - Problem, or null if the value is valid
+ */
+const checkValue = (value, property) => {
+  const types = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && !Number.isNaN(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+    array: Array.isArray(value),
+    object: typeof value === 'object' && value !== null && !Array.isArray(value)
+  };
+
+  if (property.type && !types[property.type]) {
+    return `must be of type ${property.type}`;
+  }
+  if (property.enum && !property.enum.includes(value)) {
+    return `must be one of ${property.enum.join(', ')}`;
+  }
+  if (typeof property.minimum === 'number' && value < property.minimum) {
+    return `must be at least ${property.minimum}`;
+  }
+  if (typeof property.maximum === 'number' && value > property.maximum) {
+    return `must be at most ${property.maximum}`;
+  }
+  return null;
+};
+
+/**
+ * Build an agent's config from its schema
+ * @param {Object} [schema] - The manifest's configSchema
+ * @returns {Object} - { config, errors }
+ */
+const buildConfig = (schema = {}) => {
+  const config = {};
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const [key, property] of Object.entries(properties)) {
+    const fromEnv = property.env ? process.env[property.env] : undefined;
+    const value = fromEnv !== undefined ? coerce(fromEnv, property) : property.default;
+
+    if (value === undefined) {
+      if ((schema.required || []).includes(key)) {
+        errors.push(`"${key}" is required${property.env ? ` (set ${property.env})` : ''}`);
+      }
+      continue;
+    }
+
+    const problem = checkValue(value, property);
+    if (problem) {
+      errors.push(`"${key}" ${problem}`);
+      continue;
+    }
+
+    config[key] = value;
+  }
+
+  return { config, errors };
+};
+
+/**
+ * Load the agents in a directory
+ * @param {string} directory - Directory whose subdirectories hold agents
+ * @returns {Object} - { agents: [agent], unavailable: [{ id, name, description, icon, color, source, reason }] }
+ */
+const loadAgents = (directory) => {
+  const agents = [];
+  const unavailable = [];
+
+  const entries = fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(directory, entry.name, MANIFEST_FILE)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const agentDir = path.join(directory, entry.name);
+    let manifest;
+
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(agentDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      console.error(`Skipping agent in ${agentDir}: manifest could not be read: ${error.message}`);
+      continue;
+    }
+
+    const manifestErrors = validateManifest(manifest);
+    if (manifestErrors.length > 0) {
+      console.error(`Skipping agent in ${agentDir}: invalid manifest: ${manifestErrors.join('; ')}`);
+      continue;
+    }
+
+    const describe = (reason) => ({
+      id: manifest.id,
+      name: manifest.name,
+      description: manifest.description,
+      icon: manifest.icon || null,
+      color: manifest.color || null,
+      source: manifest.source || null,
+      reason
+    });
+
+    const missingEnv = getMissingEnv(manifest.requiredEnv);
+    if (missingEnv.length > 0) {
+      console.warn(`Agent ${manifest.name} is unavailable: set ${missingEnv.join(', ')}`);
+      unavailable.push(describe(`Missing environment variables: ${missingEnv.join(', ')}`));
+      continue;
+    }
+
+    const { config, errors: configErrors } = buildConfig(manifest.configSchema);
+    if (configErrors.length > 0) {
+      console.error(`Agent ${manifest.name} is unavailable: invalid config: ${configErrors.join('; ')}`);
+      unavailable.push(describe(`Invalid config: ${configErrors.join('; ')}`));
+      continue;
+    }
+
+    try {
+      const AgentClass = require(path.join(agentDir, manifest.main || 'index.js'));
+      const agent = new AgentClass(config);
+
+      if (agent.id !== manifest.id) {
+        throw new Error(`agent id "${agent.id}" does not match manifest id "${manifest.id}"`);
+      }
+
+      agent.manifest = manifest;
+      agents.push(agent);
+    } catch (error) {
+      console.error(`Agent ${manifest.name} could not be loaded:`, error);
+      unavailable.push(describe(`Could not be loaded: ${error.message}`));
+    }
+  }
+
+  return { agents, unavailable };
+};
+
+module.exports = {
+  validateManifest,
+  getMissingEnv,
+  buildConfig,
+  loadAgents
+};
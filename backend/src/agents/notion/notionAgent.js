@@ -5,23 +5,43 @@
  * It uses a structured approach to search and retrieve information,
  * with a two-stage retrieval process for better user experience.
  */
-const BaseAgent = require('./baseAgent');
-const notionApi = require('../integrations/notion/api');
-const notionUtils = require('../integrations/notion/utils');
-const notionCache = require('../integrations/notion/cache');
-const adaptiveStructure = require('../integrations/notion/adaptiveStructure');
-const twoStageRetrieval = require('../integrations/notion/twoStageRetrieval');
-const { processMessage } = require('../services/geminiService');
+const BaseAgent = require('../baseAgent');
+const notionApi = require('../../integrations/notion/api');
+const notionUtils = require('../../integrations/notion/utils');
+const markdownRenderer = require('../../integrations/notion/markdownRenderer');
+const notionCache = require('../../integrations/notion/cache');
+const adaptiveStructure = require('../../integrations/notion/adaptiveStructure');
+const twoStageRetrieval = require('../../integrations/notion/twoStageRetrieval');
+const vectorIndex = require('../../integrations/notion/vectorIndex');
+const workspaceDiscovery = require('../../integrations/notion/workspaceDiscovery');
+const databaseQuery = require('../../integrations/notion/databaseQuery');
+const contentProcessors = require('../../integrations/notion/contentProcessors');
+const intentClassifier = require('../../integrations/notion/intentClassifier');
+const analyzer = require('../../integrations/notion/analyzer');
+const { processMessage } = require('../../services/geminiService');
+const llm = require('../../services/llm');
+
+// Queries naming the knowledge base, or phrased as a request for information
+const KNOWLEDGE_BASE_KEYWORDS = ['notion', 'wiki', 'knowledge base', 'documentation'];
+const INFO_PATTERNS = [
+  'find', 'search', 'look up', 'tell me about', 'what is',
+  'how to', 'where can i', 'information on', 'details about'
+];
+// Characters of a source given to the LLM for a detailed answer
+const MAX_DETAIL_CHARS = 4000;
 
 class NotionAgent extends BaseAgent {
-  constructor() {
-    super('notion', 'Notion Knowledge Base');
+  /**
+   * @param {Object} [config] - Configuration validated against the manifest's configSchema
+   */
+  constructor(config = {}) {
+    super('notion', 'Notion Knowledge Base', config);
 
     // Check if Notion API is configured
     this.isConfigured = notionApi.isConfigured();
 
     if (!this.isConfigured) {
-      console.warn('Notion agent created but API is not configured. Set NOTION_API_KEY in .env');
+      console.warn('Notion agent created but API is not configured. Set NOTION_API_KEY, or NOTION_BACKEND=fixture, in .env');
     }
 
     // Load database IDs from environment variables
@@ -33,99 +53,218 @@ class NotionAgent extends BaseAgent {
       console.log('No Notion database IDs configured. Will search all accessible content.');
     }
 
-    // Initialize the Notion components
-    this.initializeComponents();
+    // Two-stage mode and pending sources are kept per conversation in context.state
+  }
 
-    // Flag to track if we're in two-stage mode
-    this.twoStageMode = false;
-    this.pendingSources = [];
+  /**
+   * Prepare the Notion components the agent searches with
+   */
+  async init() {
+    await this.initializeComponents();
   }
 
   /**
-   * Initialize the Notion components
+   * Report whether the Notion cache and retrieval are ready
+   * @returns {Promise<Object>} - { status, message, details }
+   */
+  async health() {
+    const details = {
+      configured: this.isConfigured,
+      cacheInitialized: notionCache.isInitialized,
+      cacheLoading: notionCache.isLoading,
+      cachedPages: notionCache.pages.size,
+      retrievalInitialized: !!twoStageRetrieval.initialized
+    };
+
+    if (!this.isConfigured) {
+      return { status: 'unavailable', message: 'Notion is not configured', details };
+    }
+    if (!notionCache.isInitialized || !twoStageRetrieval.initialized) {
+      return { status: 'degraded', message: 'Notion cache is still loading; answers come from direct API calls', details };
+    }
+    return { status: 'ok', message: `${details.cachedPages} pages cached`, details };
+  }
+
+  /**
+   * Stop the periodic cache refresh
+   */
+  async dispose() {
+    notionCache.stopRefresh();
+  }
+
+  /**
+   * Initialize the Notion components: the cache, passage embeddings,
+   * adaptive structure, workspace sections and two-stage retrieval
    */
   async initializeComponents() {
-    if (this.isConfigured) {
-      try {
-        // Initialize the cache if needed
-        if (!notionCache.isInitialized && !notionCache.isLoading) {
-          console.log('Notion cache will be initialized by the server.');
-        }
+    if (!this.isConfigured) {
+      return;
+    }
 
-        // Initialize the adaptive structure
-        if (!adaptiveStructure.initialized) {
-          console.log('Initializing adaptive structure...');
-          await adaptiveStructure.initialize();
-        }
+    try {
+      // Step 1: Initialize Notion cache
+      console.log('Initializing Notion cache...');
+      const cacheSuccess = await notionCache.initialize();
+
+      if (cacheSuccess) {
+        console.log('✅ Notion cache initialized successfully');
+
+        // Embed the cached passages in the background; searches fall back to keywords until ready
+        vectorIndex.initialize().then(ready => {
+          console.log(ready ? '✅ Passage embeddings ready' : 'ℹ️ Passage embeddings not available');
+        });
+      } else {
+        console.log('ℹ️ Notion agent will use direct API calls until the cache is ready');
+      }
 
-        // Initialize the two-stage retrieval
-        if (!twoStageRetrieval.initialized) {
-          console.log('Initializing two-stage retrieval...');
-          await twoStageRetrieval.initialize();
-        }
+      // Step 2: Initialize adaptive structure
+      if (!adaptiveStructure.initialized) {
+        console.log('Initializing adaptive structure...');
+        const adaptiveSuccess = await adaptiveStructure.initialize();
+        console.log(adaptiveSuccess ? '✅ Adaptive structure initialized successfully' : '⚠️ Adaptive structure initialization failed');
+      }
+
+      // Step 3: Load the approved workspace sections and rediscover them in the background
+      console.log('Initializing workspace discovery...');
+      await workspaceDiscovery.initialize();
 
-        console.log('Notion agent components initialized successfully.');
-      } catch (error) {
-        console.error('Error initializing Notion components:', error);
+      // Step 4: Initialize two-stage retrieval
+      if (!twoStageRetrieval.initialized) {
+        console.log('Initializing two-stage retrieval...');
+        const retrievalSuccess = await twoStageRetrieval.initialize();
+        console.log(retrievalSuccess ? '✅ Two-stage retrieval initialized successfully' : '⚠️ Two-stage retrieval initialization failed');
       }
+
+      console.log('✅ All Notion components initialized');
+    } catch (error) {
+      console.error('❌ Error initializing Notion components:', error);
+      console.log('ℹ️ Notion agent will continue to function using direct API calls');
     }
   }
 
   /**
-   * Check if this agent can handle a specific query
+   * Check if a query asks for details about one of the sources offered earlier
+   * @param {string} query - The user's query
+   * @param {Object} state - This agent's state for the conversation
+   * @returns {boolean} - Whether the query is a two-stage follow-up
+   */
+  isFollowUp(query, state = {}) {
+    if (!state.twoStageMode || !query) {
+      return false;
+    }
+
+    // Check if this is a request for details about a specific source
+    if (query.startsWith('get_details:') ||
+        query.toLowerCase().includes('tell me more about source') ||
+        query.toLowerCase().includes('more details about') ||
+        query.toLowerCase().includes('more information on')) {
+      return true;
+    }
+
+    // Check if any of our pending sources are mentioned
+    return (state.pendingSources || []).some(source =>
+      query.toLowerCase().includes(source.title.toLowerCase())
+    );
+  }
+
+  /**
+   * Rate how well this agent can handle a specific query
    * @param {string} query - The query from the central router
-   * @returns {Promise<boolean>} - Whether this agent can handle the query
+   * @param {Object} context - Additional context, including the conversation state
+   * @returns {Promise<Object>} - { confidence, reason }
    */
-  async canHandle(query) {
+  async canHandle(query, context = {}) {
     if (!this.isConfigured || !this.isActive) {
-      return false;
+      return { confidence: 0, reason: 'Notion is not configured' };
     }
 
-    // If we're in two-stage mode and this is a follow-up query for details,
-    // we should definitely handle it
-    if (this.twoStageMode) {
-      // Check if this is a request for details about a specific source
-      if (query.startsWith('get_details:') ||
-          query.toLowerCase().includes('tell me more about source') ||
-          query.toLowerCase().includes('more details about') ||
-          query.toLowerCase().includes('more information on')) {
-        return true;
-      }
+    // If this is a follow-up query for details, we should definitely handle it
+    if (this.isFollowUp(query, this.getState(context))) {
+      return { confidence: 1, reason: 'Follow-up to sources offered earlier in this chat' };
+    }
+
+    const queryLower = (query || '').toLowerCase();
+    const keyword = KNOWLEDGE_BASE_KEYWORDS.find(candidate => queryLower.includes(candidate));
+    if (keyword) {
+      return { confidence: 0.9, reason: `Mentions "${keyword}"` };
+    }
 
-      // Check if any of our pending sources are mentioned
-      for (const source of this.pendingSources) {
-        if (query.toLowerCase().includes(source.title.toLowerCase())) {
-          return true;
+    const pattern = INFO_PATTERNS.find(candidate => queryLower.includes(candidate));
+    if (pattern) {
+      return { confidence: 0.7, reason: `Asks for information ("${pattern}")` };
+    }
+
+    // If we're still here, try using the LLM as a last resort
+    try {
+      const prompt = [
+        {
+          role: 'system',
+          content: `You are a classifier that determines if a query is related to retrieving information from a knowledge base.
+          Respond with ONLY a JSON object of the form {"knowledgeBase": true, "confidence": 0.8}.
+
+          Use true if the query is asking for information, facts, or knowledge that would be stored in a documentation system.
+          Use false for conversational queries, greetings, or questions not related to retrieving information.
+          Confidence is how sure you are of the answer, from 0 to 1.`
+        },
+        {
+          role: 'user',
+          content: `Is this query asking for information that would be in a knowledge base? "${query}"`
         }
+      ];
+
+      const response = await llm.getProvider().json(prompt, { purpose: 'agent-routing' });
+      if (!response.data || typeof response.data.knowledgeBase !== 'boolean') {
+        return this.scoreFromCache(query, 'LLM gave no classification');
       }
+
+      const isKnowledgeQuery = response.data.knowledgeBase;
+      const certainty = response.data && typeof response.data.confidence === 'number'
+        ? Math.min(1, Math.max(0, response.data.confidence))
+        : 1;
+
+      // Below the keyword rules: a yes scores 0.5 to 0.6, a no 0 to 0.4, surer answers further from the middle
+      return isKnowledgeQuery
+        ? { confidence: Math.round((0.5 + 0.1 * certainty) * 100) / 100, reason: 'LLM classified the query as a knowledge base question' }
+        : { confidence: Math.round(0.4 * (1 - certainty) * 100) / 100, reason: 'LLM classified the query as not a knowledge base question' };
+    } catch (error) {
+      console.error('Error using LLM to classify query:', error);
+      return this.scoreFromCache(query, `LLM classification failed: ${error.message}`);
     }
+  }
 
-    // This agent can handle queries related to Notion content
-    // We'll use a simple keyword check for now
-    const notionKeywords = ['notion', 'document', 'page', 'database', 'knowledge base', 'kb', 'wiki', 'information', 'docs'];
-    const queryLower = query.toLowerCase();
+  /**
+   * Rate a query by how well the cached pages match it, for when the LLM can't classify it
+   * @param {string} query - The query from the central router
+   * @param {string} failure - Why the LLM gave no answer, for the reason
+   * @returns {Object} - { confidence, reason }
+   */
+  scoreFromCache(query, failure) {
+    const terms = [...new Set(analyzer.analyze(query || ''))];
+    const [topResult] = terms.length > 0 ? notionCache.search(query, { maxResults: 1 }) : [];
 
-    // Check if the query contains any Notion-related keywords
-    for (const keyword of notionKeywords) {
-      if (queryLower.includes(keyword)) {
-        return true;
-      }
+    if (!topResult) {
+      return { confidence: 0.2, reason: `${failure}; no cached page matches` };
     }
 
-    // If no keywords match, this agent can still handle general information queries
-    return true;
+    // A match is enough to be asked; covering more of the query ranks the agent higher
+    const coverage = terms.filter(term => notionCache.isIndexed(term)).length / terms.length;
+    return {
+      confidence: Math.round((0.5 + 0.2 * coverage) * 100) / 100,
+      reason: `${failure}; "${topResult.title}" matches ${Math.round(coverage * 100)}% of the query terms`
+    };
   }
 
   /**
    * Process a query and return a response
    * @param {string} query - The query from the central router
+   * @param {Object} context - Additional context, including the conversation state
    * @returns {Promise<Object>} - The agent's response
    */
-  async processQuery(query) {
+  async processQuery(query, context = {}) {
     if (!this.isConfigured) {
       return {
         success: false,
-        message: 'Notion agent is not configured. Please set NOTION_API_KEY in .env'
+        message: 'Notion agent is not configured. Please set NOTION_API_KEY, or NOTION_BACKEND=fixture, in .env'
       };
     }
 
@@ -133,7 +272,10 @@ class NotionAgent extends BaseAgent {
       console.log(`Notion agent processing query: "${query}"`);
 
       // Check if we're in two-stage mode and this is a follow-up query
-      if (this.twoStageMode) {
+      const state = this.getState(context);
+      const pendingSources = state.pendingSources || [];
+
+      if (this.isFollowUp(query, state)) {
         let sourceId = null;
 
         // Check for explicit get_details command
@@ -151,12 +293,12 @@ class NotionAgent extends BaseAgent {
 
           if (sourceNumberMatch) {
             const sourceIndex = parseInt(sourceNumberMatch[1], 10) - 1;
-            if (sourceIndex >= 0 && sourceIndex < this.pendingSources.length) {
-              sourceId = this.pendingSources[sourceIndex].id;
+            if (sourceIndex >= 0 && sourceIndex < pendingSources.length) {
+              sourceId = pendingSources[sourceIndex].id;
             }
           } else {
             // Try to match by title
-            for (const source of this.pendingSources) {
+            for (const source of pendingSources) {
               if (query.toLowerCase().includes(source.title.toLowerCase())) {
                 sourceId = source.id;
                 break;
@@ -166,7 +308,7 @@ class NotionAgent extends BaseAgent {
         }
 
         // Find the source in our pending sources
-        const source = this.pendingSources.find(s => s.id === sourceId);
+        const source = pendingSources.find(s => s.id === sourceId);
 
         if (!source) {
           return {
@@ -177,14 +319,14 @@ class NotionAgent extends BaseAgent {
 
         // Get detailed content for this source
         console.log(`Getting detailed content for source: ${source.title} (${sourceId})`);
-        const detailedContent = await twoStageRetrieval.getDetailedContent(sourceId, query);
+        // Passages are picked for the question that found the sources, not the follow-up
+        const detailedContent = await twoStageRetrieval.getDetailedContent(sourceId, state.query || query);
 
-        // Format the response
-        const response = await this.formatDetailedResponse(detailedContent);
+        // Format the response for the intent of the question that found the sources
+        const response = await this.formatDetailedResponse(detailedContent, state.intent);
 
         // Reset two-stage mode
-        this.twoStageMode = false;
-        this.pendingSources = [];
+        this.clearState(context);
 
         return {
           success: true,
@@ -192,12 +334,32 @@ class NotionAgent extends BaseAgent {
           data: {
             content: detailedContent,
             usedFullContent: true
+          },
+          metadata: {
+            intent: state.intent || null,
+            // What was extracted for the document type, shown with the answer
+            document: {
+              title: detailedContent.title,
+              url: detailedContent.url || null,
+              documentType: detailedContent.documentType,
+              summary: contentProcessors.renderProcessedContent(detailedContent.processed)
+            }
           }
         };
       }
 
+      // Questions about the rows of a database are answered with a filtered table
+      const databaseResponse = await this.answerFromDatabase(query);
+      if (databaseResponse) {
+        return databaseResponse;
+      }
+
       // Normal query processing (first stage)
-      // Step 1: Use LLM to extract search terms from the query
+      // Step 1: Work out what kind of answer the query is after
+      const intent = await intentClassifier.detectIntent(query);
+      console.log(`Query intent: ${intent.name} (${intent.source}, confidence ${intent.confidence})`);
+
+      // Use LLM to extract search terms from the query
       const searchTerms = await this.extractSearchTerms(query);
       console.log(`Extracted search terms: "${searchTerms}"`);
 
@@ -208,7 +370,7 @@ class NotionAgent extends BaseAgent {
       }
 
       // Find potential sources using two-stage retrieval
-      const potentialSources = await twoStageRetrieval.findPotentialSources(query);
+      const potentialSources = await twoStageRetrieval.findPotentialSources(query, { intent });
       console.log(`Found ${potentialSources.length} potential sources`);
 
       if (potentialSources.length === 0) {
@@ -219,13 +381,20 @@ class NotionAgent extends BaseAgent {
           data: {
             searchTerms,
             query
+          },
+          metadata: {
+            intent
           }
         };
       }
 
       // Save the potential sources for the second stage
-      this.twoStageMode = true;
-      this.pendingSources = potentialSources;
+      this.setState(context, {
+        twoStageMode: true,
+        pendingSources: potentialSources,
+        query,
+        intent
+      });
 
       // Format the initial response with potential sources
       const response = await this.formatInitialResponse(query, potentialSources);
@@ -236,14 +405,16 @@ class NotionAgent extends BaseAgent {
         data: {
           potentialSources,
           twoStageMode: true
+        },
+        metadata: {
+          intent
         }
       };
     } catch (error) {
       console.error('Error in Notion agent:', error);
 
       // Reset two-stage mode on error
-      this.twoStageMode = false;
-      this.pendingSources = [];
+      this.clearState(context);
 
       return {
         success: false,
@@ -252,6 +423,44 @@ class NotionAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Answer a question by filtering the items of a database
+   * @param {string} query - The user's query
+   * @returns {Promise<Object|null>} - The agent's response, or null if the query isn't about database items
+   */
+  async answerFromDatabase(query) {
+    let result;
+    try {
+      result = await databaseQuery.answer(query);
+    } catch (error) {
+      // Fall back to a regular search when the question can't be turned into a valid filter
+      console.error('Error answering from Notion database:', error);
+      return null;
+    }
+
+    if (!result) {
+      return null;
+    }
+
+    console.log(`Answered from database ${result.database.title} with ${result.items.length} items`);
+    const databaseLink = `[${result.database.title}](${result.database.url})`;
+
+    return {
+      success: true,
+      message: result.items.length > 0
+        ? `Items in ${databaseLink} matching your question:\n\n${result.table}`
+        : `No items in ${databaseLink} match your question.`,
+      data: {
+        database: result.database,
+        items: result.items,
+        filter: result.plan.filter,
+        sorts: result.plan.sorts
+      },
+      // Classified by rules only; the answer is a table whatever the intent, so an LLM call isn't worth it
+      metadata: { intent: intentClassifier.classifyIntent(query) }
+    };
+  }
+
   /**
    * Extract search terms from a query using LLM
    * @param {string} query - Original query
@@ -457,8 +666,8 @@ Which of these results are most relevant to the query? Return ONLY the numbers o
 
       if (result.type === 'page') {
         // Get page content with deeper traversal
-        const blocks = await twoStageRetrieval.getPageBlocksRecursively(result.id, 3);
-        contentData.content = twoStageRetrieval.extractTextFromBlocks(blocks);
+        const blocks = await notionApi.getBlockTree(result.id, { maxDepth: 3 });
+        contentData.content = markdownRenderer.renderBlocks(blocks);
 
         // If the content is empty or very short, try to get more information from properties
         if (!contentData.content || contentData.content.length < 100) {
@@ -530,8 +739,8 @@ Which of these results are most relevant to the query? Return ONLY the numbers o
 
           try {
             // Get the page content for this database item with increased depth
-            const blocks = await twoStageRetrieval.getPageBlocksRecursively(item.id, 3);
-            const itemContent = twoStageRetrieval.extractTextFromBlocks(blocks);
+            const blocks = await notionApi.getBlockTree(item.id, { maxDepth: 3 });
+            const itemContent = markdownRenderer.renderBlocks(blocks);
 
             if (itemContent) {
               detailedItems.push({
@@ -561,92 +770,6 @@ Which of these results are most relevant to the query? Return ONLY the numbers o
     }
   }
 
-  /**
-   * Traverse page content recursively to explore the tree structure
-   * @param {string} blockId - Block ID to start from (page ID or block ID)
-   * @param {number} currentDepth - Current depth in the traversal
-   * @param {number} maxDepth - Maximum depth to traverse
-   * @returns {Promise<Array>} - Structured content
-   */
-  async traversePageContent(blockId, currentDepth = 0, maxDepth = 3) {
-    // Stop if we've reached the maximum depth
-    if (currentDepth > maxDepth) {
-      return [];
-    }
-
-    try {
-      // Get the blocks at this level
-      const response = await notionApi.getChildBlocks(blockId);
-      const blocks = response.results || [];
-
-      if (blocks.length === 0) {
-        return [];
-      }
-
-      // Process each block
-      const structuredContent = [];
-
-      for (const block of blocks) {
-        // Extract text from this block
-        const blockContent = notionUtils.extractTextFromBlock(block);
-
-        // Create a structure entry for this block
-        const blockEntry = {
-          id: block.id,
-          type: block.type,
-          content: blockContent,
-          children: []
-        };
-
-        // Check if this block has children
-        if (block.has_children) {
-          // Recursively get children
-          blockEntry.children = await this.traversePageContent(
-            block.id,
-            currentDepth + 1,
-            maxDepth
-          );
-        }
-
-        structuredContent.push(blockEntry);
-      }
-
-      return structuredContent;
-    } catch (error) {
-      console.error(`Error traversing content at depth ${currentDepth}:`, error);
-      return [];
-    }
-  }
-
-  /**
-   * Extract text content from structured page content
-   * @param {Array} structure - Structured content from traversePageContent
-   * @param {number} indentLevel - Current indentation level
-   * @returns {string} - Extracted text content
-   */
-  extractContentFromStructure(structure, indentLevel = 0) {
-    if (!structure || structure.length === 0) {
-      return '';
-    }
-
-    let content = '';
-    const indent = '  '.repeat(indentLevel);
-
-    for (const block of structure) {
-      // Add this block's content
-      if (block.content) {
-        content += `${indent}${block.content}\n`;
-      }
-
-      // Add children's content with increased indentation
-      if (block.children && block.children.length > 0) {
-        content += this.extractContentFromStructure(block.children, indentLevel + 1);
-      }
-    }
-
-    return content;
-  }
-
   /**
    * Determine if we need to retrieve full content based on titles
    * @param {Array} relevantResults - Relevant search results with titles
@@ -729,7 +852,10 @@ Do these titles CLEARLY AND DEFINITELY contain the answer to the query without n
     try {
       // Prepare sources for the LLM
       const formattedSources = potentialSources.map((source, index) => {
-        return `${index + 1}. ${source.title} (${source.path})\n   Preview: ${source.preview}`;
+        const section = source.passages && source.passages[0] && source.passages[0].headingPath.length > 0
+          ? `\n   Section: ${source.passages[0].headingPath.join(' > ')}`
+          : '';
+        return `${index + 1}. ${source.title} (${source.path})${section}\n   Preview: ${source.preview}`;
       }).join('\n\n');
 
       const prompt = [
@@ -789,18 +915,28 @@ Please format a helpful response that presents these sources and explains how th
   /**
    * Format the detailed response for a specific source
    * @param {Object} detailedContent - Detailed content
+   * @param {Object} [intent] - Intent of the question that found the source; decides the answer format
    * @returns {Promise<string>} - Formatted response
    */
-  async formatDetailedResponse(detailedContent) {
+  async formatDetailedResponse(detailedContent, intent = null) {
     try {
-      // Prepare content for the LLM
-      let content = `Title: ${detailedContent.title}\nPath: ${detailedContent.path}\nType: ${detailedContent.documentType}\n\n${detailedContent.content}`;
+      // Prepare content for the LLM, limited to avoid token limits. The page content is kept
+      // whole where possible; the structure extracted for the document type comes first, in the space left
+      const header = `Title: ${detailedContent.title}\nPath: ${detailedContent.path}\nType: ${detailedContent.documentType}\n\n`;
+      let pageContent = detailedContent.content || '';
+      if (header.length + pageContent.length > MAX_DETAIL_CHARS) {
+        pageContent = pageContent.substring(0, Math.max(MAX_DETAIL_CHARS - header.length, 0)) + '... (content truncated)';
+      }
 
-      // Limit content length to avoid token limits
-      if (content.length > 4000) {
-        content = content.substring(0, 4000) + '... (content truncated)';
+      let structured = contentProcessors.renderProcessedContent(detailedContent.processed);
+      const structuredSpace = MAX_DETAIL_CHARS - header.length - pageContent.length - '\n\nPage content:\n'.length;
+      if (structured.length > structuredSpace) {
+        // Drop a summary that would be cut down to a fragment
+        structured = structuredSpace > 200 ? structured.substring(0, structuredSpace) + '... (summary truncated)' : '';
       }
 
+      const content = header + (structured ? `${structured}\n\nPage content:\n${pageContent}` : pageContent);
+
       // Prepare related pages
       let relatedPages = '';
       if (detailedContent.relatedPages && detailedContent.relatedPages.length > 0) {
@@ -844,6 +980,9 @@ Please format a helpful response that presents these sources and explains how th
            - Be direct and to the point
            - NEVER confuse SBC Australia with SBS (Special Broadcasting Service)
 
+           ANSWER FORMAT:
+           - ${intentClassifier.describeAnswerFormat(intent)}
+
            You will be given content from a document and related information.
            Extract the relevant information that directly answers the user's query.`
         },
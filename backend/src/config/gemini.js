@@ -1,8 +1,7 @@
-// This file is now deprecated. Import from geminiService.js instead.
+// This file is now deprecated. Use the LLM provider from services/llm instead.
 // Keeping this file for backward compatibility.
-const { genAI, modelName } = require('../services/geminiService');
+const { getProvider } = require('../services/llm');
 
 module.exports = {
-  genAI,
-  modelName
+  getProvider
 };
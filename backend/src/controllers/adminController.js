@@ -1,4 +1,12 @@
 const db = require('../database/db');
+const synonymRepository = require('../repositories/synonymRepository');
+const synonymDictionary = require('../integrations/notion/synonyms');
+const notionCache = require('../integrations/notion/cache');
+const workspaceSectionRepository = require('../repositories/workspaceSectionRepository');
+const workspaceDiscovery = require('../integrations/notion/workspaceDiscovery');
+const pageMapper = require('../integrations/notion/pageMapper');
+
+const SECTION_STATUSES = ['pending', 'approved', 'rejected'];
 
 // Admin login
 const adminLogin = (req, res) => {
@@ -112,9 +120,173 @@ const getChatInsights = (req, res) => {
   }
 };
 
+// Check a synonym entry from the request body
+const parseSynonym = (body = {}) => {
+  const term = typeof body.term === 'string' ? body.term.trim() : '';
+  const synonyms = Array.isArray(body.synonyms)
+    ? body.synonyms.filter(synonym => typeof synonym === 'string').map(synonym => synonym.trim()).filter(Boolean)
+    : [];
+
+  return term && synonyms.length > 0 ? { term, synonyms } : null;
+};
+
+// Reload the dictionary and reindex the Notion documents containing the changed entries,
+// so the change applies to documents too
+const applySynonymChanges = (...entries) => {
+  synonymDictionary.load();
+  if (notionCache.isInitialized) {
+    const phrases = entries.filter(Boolean).flatMap(entry => [entry.term, ...entry.synonyms]);
+    notionCache.reindexPhrases(phrases);
+  }
+};
+
+// Get the synonym dictionary
+const getSynonyms = (req, res) => {
+  try {
+    res.json(synonymRepository.getAllSynonyms());
+  } catch (error) {
+    console.error('Error getting synonyms:', error);
+    res.status(500).json({ message: 'Error retrieving synonyms', error: error.message });
+  }
+};
+
+// Add a term with its synonyms
+const createSynonym = (req, res) => {
+  const entry = parseSynonym(req.body);
+  if (!entry) {
+    return res.status(400).json({ message: 'A term and at least one synonym are required' });
+  }
+
+  try {
+    const synonym = synonymRepository.createSynonym(entry.term, entry.synonyms);
+    applySynonymChanges(synonym);
+    res.status(201).json(synonym);
+  } catch (error) {
+    console.error('Error creating synonym:', error);
+    res.status(500).json({ message: 'Error creating synonym', error: error.message });
+  }
+};
+
+// Update a term and its synonyms
+const updateSynonym = (req, res) => {
+  const entry = parseSynonym(req.body);
+  if (!entry) {
+    return res.status(400).json({ message: 'A term and at least one synonym are required' });
+  }
+
+  try {
+    const previous = synonymRepository.getSynonymById(req.params.id);
+    const synonym = synonymRepository.updateSynonym(req.params.id, entry.term, entry.synonyms);
+    if (!synonym) {
+      return res.status(404).json({ message: 'Synonym not found' });
+    }
+
+    applySynonymChanges(previous, synonym);
+    res.json(synonym);
+  } catch (error) {
+    console.error('Error updating synonym:', error);
+    res.status(500).json({ message: 'Error updating synonym', error: error.message });
+  }
+};
+
+// Delete a synonym entry
+const deleteSynonym = (req, res) => {
+  try {
+    const previous = synonymRepository.getSynonymById(req.params.id);
+    if (!synonymRepository.deleteSynonym(req.params.id)) {
+      return res.status(404).json({ message: 'Synonym not found' });
+    }
+
+    applySynonymChanges(previous);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting synonym:', error);
+    res.status(500).json({ message: 'Error deleting synonym', error: error.message });
+  }
+};
+
+// Check a section review from the request body
+const parseSectionChanges = (body = {}) => {
+  const changes = {};
+
+  if (body.title !== undefined) {
+    if (body.title !== null && typeof body.title !== 'string') return null;
+    // An empty title goes back to the discovered one
+    changes.title = body.title ? body.title.trim() || null : null;
+  }
+  if (body.status !== undefined) {
+    if (!SECTION_STATUSES.includes(body.status)) return null;
+    changes.status = body.status;
+  }
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== 'boolean') return null;
+    changes.pinned = body.pinned;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Reload the approved sections so search uses the change
+const applySectionChanges = () => {
+  workspaceDiscovery.load();
+  pageMapper.refreshSections();
+};
+
+// Get the discovered workspace sections, including those awaiting review
+const getWorkspaceSections = (req, res) => {
+  try {
+    res.json(workspaceSectionRepository.getAllSections());
+  } catch (error) {
+    console.error('Error getting workspace sections:', error);
+    res.status(500).json({ message: 'Error retrieving workspace sections', error: error.message });
+  }
+};
+
+// Rediscover the workspace sections from the Notion page hierarchy
+const discoverWorkspaceSections = async (req, res) => {
+  try {
+    const sections = await workspaceDiscovery.discover();
+    pageMapper.refreshSections();
+    res.json(sections);
+  } catch (error) {
+    console.error('Error discovering workspace sections:', error);
+    res.status(500).json({ message: 'Error discovering workspace sections', error: error.message });
+  }
+};
+
+// Rename, pin, approve or reject a workspace section
+const updateWorkspaceSection = (req, res) => {
+  const changes = parseSectionChanges(req.body);
+  if (!changes) {
+    return res.status(400).json({
+      message: `Provide a title, a status (${SECTION_STATUSES.join(', ')}) or a pinned flag`
+    });
+  }
+
+  try {
+    const section = workspaceSectionRepository.updateSection(req.params.id, changes);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+
+    applySectionChanges();
+    res.json(section);
+  } catch (error) {
+    console.error('Error updating workspace section:', error);
+    res.status(500).json({ message: 'Error updating workspace section', error: error.message });
+  }
+};
+
 module.exports = {
   adminLogin,
   getActiveChats,
   getDeletedChats,
-  getChatInsights
+  getChatInsights,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getWorkspaceSections,
+  discoverWorkspaceSections,
+  updateWorkspaceSection
 };
@@ -1,4 +1,4 @@
-const { processMessage } = require('../services/geminiService');
+const { processMessage, processMessageStream } = require('../services/geminiService');
 const agentService = require('../services/agentService');
 const chatRepo = require('../repositories/chatRepository');
 
@@ -84,8 +84,167 @@ const deleteChat = (req, res) => {
   }
 };
 
+/**
+ * Check whether the client asked for the reply as a Server-Sent Events stream
+ */
+const wantsEventStream = (req) => {
+  return (req.get('Accept') || '').includes('text/event-stream');
+};
+
+/**
+ * Generate the assistant's reply to a user message
+ * Routes the query through the agent service first and falls back to Gemini
+ * when no agent can handle it.
+ * @param {Object} chat - The chat, including the messages before this one
+ * @param {string} content - The user's message
+ * @param {Object} selection - Agents chosen by the client
+ * @param {string} [selection.agentId] - Agent the user pinned, which answers alone
+ * @param {Array} [selection.agentIds] - Agents the user selected, which routing is limited to
+ * @param {Function} onToken - Optional callback that receives the reply as it streams
+ * @returns {Promise<Object>} - The response content and model, and metadata with the
+ *   original and refined query, the routing decision and the query intent when the agent
+ *   service saw the message, and the document the answer came from
+ */
+const generateAssistantResponse = async (chat, content, { agentId, agentIds } = {}, onToken = null) => {
+  // Conversation so far, used as context for agents and for the Gemini fallback
+  const conversationHistory = chat.messages.map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
+
+  // Tokens that reached the client can't be taken back, so once any were sent
+  // a failure is reported instead of streaming a second reply after them
+  let hasStreamed = false;
+  const trackedOnToken = onToken && (text => {
+    hasStreamed = true;
+    onToken(text);
+  });
+
+  const fallBackToGemini = () => {
+    if (hasStreamed) {
+      throw new Error('The reply failed after it had started streaming');
+    }
+
+    const messages = [...conversationHistory, { role: 'user', content }];
+    return onToken ? processMessageStream(messages, trackedOnToken) : processMessage(messages);
+  };
+
+  let metadata = null;
+
+  // Try to route through the agent service first
+  try {
+    console.log(`Attempting to route query to agents: "${content}"`);
+
+    // A pinned agent is used directly; otherwise routing picks among the selected agents
+    const context = {
+      ...(agentId ? { agentId } : {}),
+      ...(agentIds ? { agentIds } : {}),
+      chatId: chat.id,
+      conversationHistory
+    };
+
+    const agentResponse = await agentService.routeQuery(content, context, { onToken: trackedOnToken });
+    const agentMetadata = (agentResponse && agentResponse.metadata) || {};
+    metadata = agentMetadata.query
+      ? {
+          query: agentMetadata.query,
+          // Which agents were asked, why, and which answered
+          ...(agentMetadata.routing ? { routing: agentMetadata.routing } : {}),
+          ...(agentMetadata.agents ? { agents: agentMetadata.agents } : {}),
+          ...(agentMetadata.agentSource ? { agentSource: agentMetadata.agentSource } : {}),
+          // The kind of answer the query asked for
+          ...(agentMetadata.intent ? { intent: agentMetadata.intent } : {}),
+          // The structure of the document the answer came from, for the message to display
+          ...(agentResponse.success && agentMetadata.document ? { document: agentMetadata.document } : {})
+        }
+      : null;
+
+    if (agentResponse && agentResponse.success) {
+      console.log('Query successfully handled by agent');
+      return {
+        content: agentResponse.message,
+        model: 'agent-' + (agentResponse.source || 'router'),
+        metadata
+      };
+    }
+
+    console.log('No agent could handle the query, falling back to Gemini');
+    return { ...(await fallBackToGemini()), metadata };
+  } catch (agentError) {
+    console.error('Error routing through agents:', agentError);
+    // Fall back to Gemini on agent error
+    return { ...(await fallBackToGemini()), metadata };
+  }
+};
+
+/**
+ * Store the assistant's reply and name the chat after its first user message
+ */
+const saveAssistantMessage = (chat, content, response) => {
+  const assistantMessage = chatRepo.addMessage(
+    chat.id,
+    'assistant',
+    response.content,
+    response.model,
+    response.metadata || null
+  );
+
+  // Update chat title if it's the first user message
+  if (chat.messages.filter(m => m.role === 'user').length === 0) {
+    chatRepo.updateChatTitle(chat.id, content.substring(0, 30) + (content.length > 30 ? '...' : ''));
+  }
+
+  return assistantMessage;
+};
+
+/**
+ * Stream the assistant's reply as Server-Sent Events
+ *
+ * Events:
+ * - user_message: the stored user message
+ * - token: { text } for each chunk of the reply
+ * - assistant_message: the stored assistant message, sent once the stream completes
+ * - error: { message, error } if the reply could not be generated
+ */
+const streamAssistantReply = async (res, chat, content, selection, userMessage) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Keep generating if the client disconnects so the reply is still stored
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  sendEvent('user_message', userMessage);
+
+  try {
+    const response = await generateAssistantResponse(chat, content, selection, text => {
+      sendEvent('token', { text });
+    });
+
+    const assistantMessage = saveAssistantMessage(chat, content, response);
+    sendEvent('assistant_message', assistantMessage);
+  } catch (error) {
+    console.error('Error streaming message:', error);
+    sendEvent('error', {
+      message: 'Error processing message with AI model',
+      error: error.message
+    });
+  } finally {
+    res.end();
+  }
+};
+
 /**
  * Add message to chat
+ * Responds with JSON, or with a Server-Sent Events stream when the request
+ * sends "Accept: text/event-stream".
  */
 const addMessage = async (req, res) => {
   try {
@@ -97,84 +256,29 @@ const addMessage = async (req, res) => {
       return res.status(404).json({ message: 'Chat not found' });
     }
 
-    const { content, agentId } = req.body;
+    const { content, agentId, agentIds } = req.body;
 
     if (!content && !agentId) {
       return res.status(400).json({ message: 'Message content or agent ID is required' });
     }
 
+    if (agentIds !== undefined && (!Array.isArray(agentIds) || agentIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ message: 'Agent IDs must be a list of strings' });
+    }
+    const selection = { agentId, agentIds };
+
     // Add user message to database
     const userMessage = chatRepo.addMessage(chatId, 'user', content);
 
-    try {
-      // First, check if we should route to an agent
-      let response;
-
-      // Try to route through the agent service first
-      try {
-        console.log(`Attempting to route query to agents: "${content}"`);
-
-        // Get conversation history for context
-        const conversationHistory = chat.messages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        }));
-
-        // If a specific agent ID is provided, use it
-        const context = {
-          ...(agentId ? { agentId } : {}),
-          conversationHistory
-        };
-
-        const agentResponse = await agentService.routeQuery(content, context);
-
-        if (agentResponse && agentResponse.success) {
-          console.log('Query successfully handled by agent');
-          response = {
-            content: agentResponse.message,
-            model: 'agent-' + (agentResponse.source || 'router')
-          };
-        } else {
-          console.log('No agent could handle the query, falling back to Gemini');
-          // If no agent could handle it, fall back to Gemini
-          const messages = chat.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }));
-
-          // Add the new user message
-          messages.push({ role: 'user', content });
-
-          // Get AI response from Gemini
-          response = await processMessage(messages);
-        }
-      } catch (agentError) {
-        console.error('Error routing through agents:', agentError);
-        // Fall back to Gemini on agent error
-        const messages = chat.messages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        }));
-
-        // Add the new user message
-        messages.push({ role: 'user', content });
+    if (wantsEventStream(req)) {
+      return await streamAssistantReply(res, chat, content, selection, userMessage);
+    }
 
-        // Get AI response from Gemini
-        response = await processMessage(messages);
-      }
+    try {
+      const response = await generateAssistantResponse(chat, content, selection);
 
       // Add assistant message to database
-      const assistantMessage = chatRepo.addMessage(
-        chatId,
-        'assistant',
-        response.content,
-        response.model
-      );
-
-      // Update chat title if it's the first user message
-      if (chat.messages.filter(m => m.role === 'user').length === 0) {
-        chatRepo.updateChatTitle(chatId, content.substring(0, 30) + (content.length > 30 ? '...' : ''));
-      }
+      const assistantMessage = saveAssistantMessage(chat, content, response);
 
       res.json({
         userMessage,
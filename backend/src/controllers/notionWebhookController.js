@@ -0,0 +1,53 @@
+const { verifySignature, getChangesFromEvent, webhookQueue } = require('../integrations/notion/webhooks');
+
+/**
+ * Keep the raw request body, which Notion's signature is computed over
+ * Used as the `verify` option of express.json()
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Receive a Notion webhook event and queue a refresh of the pages it affects
+ */
+const receiveWebhook = (req, res) => {
+  try {
+    const event = req.body || {};
+
+    // Sent once when the subscription is created; Notion asks for it back to verify the endpoint
+    if (event.verification_token) {
+      console.log(`🔑 Received Notion webhook verification token: ${event.verification_token}`);
+      console.log('   Enter it in the Notion integration settings and set NOTION_WEBHOOK_VERIFICATION_TOKEN to it in .env');
+      return res.json({ success: true, message: 'Verification token received' });
+    }
+
+    const token = process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN;
+    if (!token) {
+      return res.status(503).json({
+        success: false,
+        message: 'Notion webhooks are not configured. Set NOTION_WEBHOOK_VERIFICATION_TOKEN in .env'
+      });
+    }
+
+    if (!verifySignature(req.rawBody, req.get('X-Notion-Signature'), token)) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const changes = getChangesFromEvent(event);
+    webhookQueue.enqueue(changes);
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? `Queued ${changes.length} entries for refresh` : `Ignored ${event.type || 'unknown'} event`
+    });
+  } catch (error) {
+    console.error('Error receiving Notion webhook:', error);
+    res.status(500).json({ success: false, message: 'Error receiving webhook', error: error.message });
+  }
+};
+
+module.exports = {
+  captureRawBody,
+  receiveWebhook
+};
@@ -1,6 +1,7 @@
 const sqlite3 = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 
 // Ensure database directory exists
 const dbDir = path.join(__dirname, '..', 'data');
@@ -8,11 +9,24 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
-const dbPath = path.join(dbDir, 'sbc_gpt.db');
+// DATABASE_PATH points elsewhere, e.g. ':memory:' for the tests
+const dbPath = process.env.DATABASE_PATH || path.join(dbDir, 'sbc_gpt.db');
 const db = sqlite3(dbPath);
 
+// Synonyms and acronyms the search index knows about before anyone edits the dictionary
+const DEFAULT_SYNONYMS = [
+  { term: 'AFSL', synonyms: ['Australian Financial Services License', 'Australian Financial Services Licence'] },
+  { term: 'ESOP', synonyms: ['employee share plan', 'employee share ownership plan', 'employee share scheme'] },
+  { term: 'super', synonyms: ['superannuation'] }
+];
+
 // Initialize database
 function initDb() {
+  // The synonym dictionary is seeded once, when its table is first created
+  const hasSynonyms = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'search_synonyms'"
+  ).get();
+
   // Create tables
   db.exec(`
     CREATE TABLE IF NOT EXISTS chats (
@@ -28,10 +42,20 @@ function initDb() {
       role TEXT NOT NULL,
       content TEXT NOT NULL,
       model TEXT,
+      metadata TEXT,
       timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
     );
     
+    CREATE TABLE IF NOT EXISTS agent_state (
+      chat_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      state TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chat_id, agent_id),
+      FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
+    );
+    
     CREATE TABLE IF NOT EXISTS feedback (
       id TEXT PRIMARY KEY,
       chat_id TEXT NOT NULL,
@@ -40,8 +64,81 @@ function initDb() {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
     );
+    
+    CREATE TABLE IF NOT EXISTS notion_pages (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      structure TEXT,
+      last_edited_time TEXT,
+      cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS notion_databases (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      items TEXT NOT NULL,
+      last_edited_time TEXT,
+      cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS notion_index_terms (
+      id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      terms TEXT NOT NULL,
+      PRIMARY KEY (id, field)
+    );
+    
+    CREATE TABLE IF NOT EXISTS notion_passage_embeddings (
+      id TEXT PRIMARY KEY,
+      model TEXT NOT NULL,
+      content_hash TEXT NOT NULL,
+      vector TEXT NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS notion_cache_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+    
+    CREATE TABLE IF NOT EXISTS search_synonyms (
+      id TEXT PRIMARY KEY,
+      term TEXT NOT NULL,
+      synonyms TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE TABLE IF NOT EXISTS workspace_sections (
+      id TEXT PRIMARY KEY,
+      key TEXT NOT NULL UNIQUE,
+      title TEXT,
+      discovered_title TEXT NOT NULL,
+      key_terms TEXT NOT NULL,
+      children TEXT NOT NULL,
+      page_ids TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      pinned INTEGER NOT NULL DEFAULT 0,
+      discovered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
   `);
   
+  // Databases created before messages had metadata get the column added
+  const messageColumns = db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+  if (!messageColumns.includes('metadata')) {
+    db.exec('ALTER TABLE messages ADD COLUMN metadata TEXT');
+  }
+  
+  if (!hasSynonyms) {
+    const now = new Date().toISOString();
+    const insertSynonym = db.prepare(
+      'INSERT INTO search_synonyms (id, term, synonyms, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+    );
+    for (const { term, synonyms } of DEFAULT_SYNONYMS) {
+      insertSynonym.run(uuidv4(), term, JSON.stringify(synonyms), now, now);
+    }
+  }
+  
   console.log('Database initialized at', dbPath);
 }
 
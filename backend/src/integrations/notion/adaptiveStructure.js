@@ -17,6 +17,7 @@ class AdaptiveStructure {
     this.pageChildren = {};
     this.pageParents = {};
     this.frequentlyAccessedPages = new Map(); // For tracking usage
+    this.hierarchyReady = null; // Settles once the background hierarchy build is done
   }
 
   /**
@@ -35,7 +36,7 @@ class AdaptiveStructure {
       this.initialized = true;
 
       // Build initial hierarchy (lightweight) in the background
-      this.buildInitialHierarchyInBackground();
+      this.hierarchyReady = this.buildInitialHierarchyInBackground();
 
       console.log('Adaptive structure marked as initialized (continuing in background)');
       return true;
@@ -104,37 +105,20 @@ class AdaptiveStructure {
    * Get all page metadata from Notion
    */
   async getAllPageMetadata() {
-    const pages = [];
-    let hasMore = true;
-    let startCursor = undefined;
-
-    while (hasMore) {
-      try {
-        // Search for pages
-        const response = await notionApi.search('', {
-          page_size: 100,
-          filter: {
-            value: 'page',
-            property: 'object'
-          }
-        });
-
-        pages.push(...response.results);
-
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
-
-        // Add a small delay to avoid rate limiting
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 500));
+    try {
+      // The API wrapper follows next_cursor until every page has been returned
+      const response = await notionApi.search('', {
+        filter: {
+          value: 'page',
+          property: 'object'
         }
-      } catch (error) {
-        console.error('Error fetching page metadata:', error);
-        hasMore = false;
-      }
-    }
+      });
 
-    return pages;
+      return response.results;
+    } catch (error) {
+      console.error('Error fetching page metadata:', error);
+      return [];
+    }
   }
 
   /**
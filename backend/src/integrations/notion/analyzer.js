@@ -0,0 +1,183 @@
+/**
+ * Text Analyzer
+ *
+ * Turns text into search terms. Documents and queries go through the same
+ * steps so that their terms line up:
+ * - Unicode normalization (NFKC) and lowercasing, with accents removed
+ * - Chinese, Japanese and Korean runs split into overlapping bigrams
+ * - English stop words removed and the remaining words stemmed
+ * - Short acronyms such as "HR" or "AU" kept instead of dropped
+ */
+const { stem } = require('./stemmer');
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+  'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+  'yourselves'
+]);
+
+// Two-letter terms that are kept even when written in lowercase, as they usually are in queries
+const KNOWN_ACRONYMS = new Set([
+  'ai', 'au', 'hr', 'ip', 'nz', 'pr', 'qa', 'ui', 'uk', 'ux'
+]);
+
+// Scripts written without spaces between words, indexed as character bigrams
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Runs of letters, digits and combining marks (needed to keep Japanese voicing marks attached)
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+/**
+ * Normalize text before it is split into terms
+ * @param {string} text - Raw text
+ * @returns {string} - NFKC-normalized text without links or accents
+ */
+const normalize = (text) => {
+  return text
+    .normalize('NFKC')
+    // Link targets from the Markdown content are not searchable text
+    .replace(/https?:\/\/[^\s)]+/g, ' ')
+    // Strip Latin, Greek and Cyrillic accents; other combining marks are meaningful
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC');
+};
+
+/**
+ * Split a run of CJK characters into overlapping bigrams
+ * @param {string} run - Characters without spaces between words
+ * @returns {Array} - Bigrams, or the character itself for a single character
+ */
+const bigrams = (run) => {
+  const characters = Array.from(run);
+  if (characters.length === 1) {
+    return characters;
+  }
+
+  const terms = [];
+  for (let i = 0; i < characters.length - 1; i++) {
+    terms.push(characters[i] + characters[i + 1]);
+  }
+  return terms;
+};
+
+/**
+ * Turn a word outside the CJK scripts into a term
+ * @param {string} word - Word as written
+ * @returns {string|null} - Term, or null if the word is not worth indexing
+ */
+const analyzeWord = (word) => {
+  const lower = word.toLowerCase();
+
+  if (Array.from(lower).length <= 2) {
+    // Short words are noise unless they look like an acronym or a code
+    const isAcronym = /^\p{Lu}{2}$/u.test(word) || KNOWN_ACRONYMS.has(lower);
+    const isCode = /\d/.test(lower) && lower.length === 2;
+    return isAcronym || isCode ? lower : null;
+  }
+
+  if (STOP_WORDS.has(lower)) {
+    return null;
+  }
+
+  return stem(lower);
+};
+
+/**
+ * Analyze text into search terms
+ * @param {string} text - Text to analyze
+ * @returns {Array} - Terms in the order they occur
+ */
+const analyze = (text) => {
+  if (!text) return [];
+
+  const terms = [];
+
+  for (const [word] of normalize(text).matchAll(WORD_PATTERN)) {
+    // A word may mix scripts, e.g. "HR政策"; split it into CJK and other runs
+    let run = '';
+    let runIsCjk = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runIsCjk) {
+        terms.push(...bigrams(run));
+      } else {
+        const term = analyzeWord(run);
+        if (term) terms.push(term);
+      }
+      run = '';
+    };
+
+    for (const character of word) {
+      const isCjk = CJK_PATTERN.test(character);
+      if (run && isCjk !== runIsCjk) {
+        flush();
+      }
+      runIsCjk = isCjk;
+      run += character;
+    }
+    flush();
+  }
+
+  return terms;
+};
+
+/**
+ * Count the edits (insertions, deletions, substitutions and transpositions
+ * of neighbouring characters) that turn one term into another
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} [maxDistance] - Stop early once the distance is known to exceed this
+ * @returns {number} - Edit distance, or maxDistance + 1 when it is larger than maxDistance
+ */
+const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], maxDistance + 1);
+};
+
+module.exports = {
+  analyze,
+  normalize,
+  editDistance,
+  STOP_WORDS
+};
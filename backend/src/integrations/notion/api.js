@@ -2,17 +2,37 @@
  * Notion API Integration
  * 
  * This module provides a wrapper around the Notion API client
- * with methods for common operations.
+ * with methods for common operations. Every request goes through a shared
+ * rate limiter, is retried on 429 and 5xx responses, and list calls follow
+ * next_cursor until all results have been returned.
+ *
+ * With NOTION_BACKEND=fixture, requests are answered from content captured
+ * from a real workspace (NOTION_FIXTURE_DIR, by default
+ * notion-api-test/notion-data) instead of the live API, so everything built
+ * on this module can run offline and without a token.
  */
+const path = require('path');
 const { Client } = require('@notionhq/client');
+const FixtureNotionClient = require('./fixtureClient');
+const rateLimiter = require('./rateLimiter');
+const notionUtils = require('./utils');
 require('dotenv').config();
 
+// Retry settings for rate-limited and failed requests
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_PAGE_SIZE = 100;
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../../../notion-api-test/notion-data');
+
 // Get Notion API key from environment variables
 const apiKey = process.env.NOTION_API_KEY;
 
-// Initialize the client if API key is available
+// Initialize the client if API key is available, or the fixture client if selected
 let client = null;
-if (apiKey) {
+if (process.env.NOTION_BACKEND === 'fixture') {
+  client = new FixtureNotionClient({ dataDir: process.env.NOTION_FIXTURE_DIR || DEFAULT_FIXTURE_DIR });
+} else if (apiKey) {
   client = new Client({ auth: apiKey });
 }
 
@@ -24,10 +44,135 @@ const isConfigured = () => {
   return !!client;
 };
 
+/**
+ * Replace the client requests are made with, e.g. with a FixtureNotionClient in tests
+ * @param {Object|null} newClient - @notionhq/client Client, or a stand-in with the same methods
+ * @returns {Object|null} - The previous client
+ */
+const setClient = (newClient) => {
+  const previous = client;
+  client = newClient;
+  return previous;
+};
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the Notion client
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  if (error.status === 429 || error.code === 'rate_limited') {
+    return true;
+  }
+  if (error.status >= 500) {
+    return true;
+  }
+  // Network failures and client-side timeouts have no status
+  return error.code === 'notionhq_client_request_timeout' ||
+    ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+};
+
+/**
+ * Read the Retry-After header of a failed request
+ * @param {Error} error - Error thrown by the Notion client
+ * @returns {number|null} - Delay in milliseconds, or null if not provided
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  // Retry-After may also be an HTTP date
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Make a rate-limited request, retrying on 429 and 5xx responses
+ * @param {Function} makeRequest - Function that performs the request
+ * @returns {Promise<Object>} - The response
+ */
+const request = async (makeRequest) => {
+  for (let attempt = 0; ; attempt++) {
+    // Fixtures have no rate limit
+    if (!client.isLocal) {
+      await rateLimiter.acquire();
+    }
+
+    try {
+      return await makeRequest();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null
+        ? retryAfterMs
+        : BASE_RETRY_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+
+      if (error.status === 429) {
+        // Slow down every caller, not just this one
+        rateLimiter.pause(delayMs);
+      }
+
+      console.warn(`Notion request failed (${error.status || error.code}), retrying in ${delayMs}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
+
+/**
+ * Follow next_cursor until all results have been fetched
+ * @param {Function} fetchPage - Function taking a start cursor and returning one page of results
+ * @param {number} [limit] - Stop once this many results have been collected
+ * @returns {Promise<Object>} - The last response with all results combined
+ */
+const paginate = async (fetchPage, limit = Infinity) => {
+  const results = [];
+  let startCursor = undefined;
+  let response;
+
+  do {
+    response = await request(() => fetchPage(startCursor));
+    results.push(...response.results);
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor && results.length < limit);
+
+  return {
+    ...response,
+    results: results.slice(0, limit),
+    has_more: false,
+    next_cursor: null
+  };
+};
+
+/**
+ * Page size to request when only a limited number of results is needed
+ * @param {number} [limit] - Maximum number of results wanted
+ * @returns {number}
+ */
+const pageSizeFor = (limit) => Math.min(MAX_PAGE_SIZE, limit || MAX_PAGE_SIZE);
+
 /**
  * Search Notion content
  * @param {string} query - Search query
- * @param {Object} options - Search options
+ * @param {Object} options - Search options passed to the Notion API
+ * @param {number} [options.limit] - Maximum number of results to return
+ * @param {string} [options.start_cursor] - Fetch only the page of results at this cursor
  * @returns {Promise<Object>} - Search results
  */
 const search = async (query, options = {}) => {
@@ -36,10 +181,19 @@ const search = async (query, options = {}) => {
   }
 
   try {
-    const response = await client.search({
+    const { limit, ...params } = options;
+
+    // An explicit cursor means the caller is paging through results itself
+    if (params.start_cursor) {
+      return await request(() => client.search({ query, ...params }));
+    }
+
+    const response = await paginate(startCursor => client.search({
       query,
-      ...options
-    });
+      ...params,
+      page_size: params.page_size || pageSizeFor(limit),
+      ...(startCursor ? { start_cursor: startCursor } : {})
+    }), limit);
     
     return response;
   } catch (error) {
@@ -59,9 +213,9 @@ const getPage = async (pageId) => {
   }
 
   try {
-    const response = await client.pages.retrieve({
+    const response = await request(() => client.pages.retrieve({
       page_id: pageId
-    });
+    }));
     
     return response;
   } catch (error) {
@@ -81,9 +235,11 @@ const getPageContent = async (pageId) => {
   }
 
   try {
-    const response = await client.blocks.children.list({
-      block_id: pageId
-    });
+    const response = await paginate(startCursor => client.blocks.children.list({
+      block_id: pageId,
+      page_size: MAX_PAGE_SIZE,
+      ...(startCursor ? { start_cursor: startCursor } : {})
+    }));
     
     return response;
   } catch (error) {
@@ -103,9 +259,9 @@ const getDatabase = async (databaseId) => {
   }
 
   try {
-    const response = await client.databases.retrieve({
+    const response = await request(() => client.databases.retrieve({
       database_id: databaseId
-    });
+    }));
     
     return response;
   } catch (error) {
@@ -119,19 +275,33 @@ const getDatabase = async (databaseId) => {
  * @param {string} databaseId - Notion database ID
  * @param {Object} filter - Filter criteria
  * @param {Array} sorts - Sort criteria
+ * @param {number} [limit] - Maximum number of items; pages stop being fetched once this many are collected
+ * @param {string} [startCursor] - Fetch only the page of items at this cursor
  * @returns {Promise<Object>} - Query results
  */
-const queryDatabase = async (databaseId, filter = {}, sorts = []) => {
+const queryDatabase = async (databaseId, filter = {}, sorts = [], limit = Infinity, startCursor = undefined) => {
   if (!isConfigured()) {
     throw new Error('Notion API is not configured');
   }
 
+  // The API rejects an empty filter object, so only send what was given
+  const params = {
+    database_id: databaseId,
+    page_size: pageSizeFor(limit),
+    ...(filter && Object.keys(filter).length > 0 ? { filter } : {}),
+    ...(sorts && sorts.length > 0 ? { sorts } : {})
+  };
+
   try {
-    const response = await client.databases.query({
-      database_id: databaseId,
-      filter,
-      sorts
-    });
+    // An explicit cursor means the caller is paging through results itself
+    if (startCursor) {
+      return await request(() => client.databases.query({ ...params, start_cursor: startCursor }));
+    }
+
+    const response = await paginate(cursor => client.databases.query({
+      ...params,
+      ...(cursor ? { start_cursor: cursor } : {})
+    }), limit);
     
     return response;
   } catch (error) {
@@ -151,9 +321,9 @@ const getBlock = async (blockId) => {
   }
 
   try {
-    const response = await client.blocks.retrieve({
+    const response = await request(() => client.blocks.retrieve({
       block_id: blockId
-    });
+    }));
     
     return response;
   } catch (error) {
@@ -173,9 +343,11 @@ const getChildBlocks = async (blockId) => {
   }
 
   try {
-    const response = await client.blocks.children.list({
-      block_id: blockId
-    });
+    const response = await paginate(startCursor => client.blocks.children.list({
+      block_id: blockId,
+      page_size: MAX_PAGE_SIZE,
+      ...(startCursor ? { start_cursor: startCursor } : {})
+    }));
     
     return response;
   } catch (error) {
@@ -184,13 +356,58 @@ const getChildBlocks = async (blockId) => {
   }
 };
 
+/**
+ * Get the blocks under a page or block, with each block's children nested under `children`
+ * @param {string} blockId - Page or block ID
+ * @param {Object} options - Traversal options
+ * @param {number} [options.maxDepth=3] - Deepest level of children to fetch
+ * @param {Function} [options.shouldTraverse] - Called with (block, depth); return false to skip a block's children
+ * @param {number} currentDepth - Current depth in the traversal
+ * @returns {Promise<Array>} - Block tree
+ */
+const getBlockTree = async (blockId, options = {}, currentDepth = 0) => {
+  const { maxDepth = 3, shouldTraverse = null } = options;
+
+  const response = await getChildBlocks(blockId);
+  const blocks = response.results || [];
+
+  for (const block of blocks) {
+    if (!block.has_children) {
+      continue;
+    }
+
+    // Table rows are part of the table itself, so they are fetched at any depth
+    const withinDepth = currentDepth < maxDepth &&
+      (!shouldTraverse || shouldTraverse(block, currentDepth));
+    if (!withinDepth && block.type !== 'table') {
+      continue;
+    }
+
+    try {
+      // A synced block copy keeps its content under the original block
+      block.children = await getBlockTree(
+        notionUtils.getContentSourceId(block),
+        options,
+        currentDepth + 1
+      );
+    } catch (error) {
+      console.error(`Error getting children of block ${block.id}:`, error);
+      block.children = [];
+    }
+  }
+
+  return blocks;
+};
+
 module.exports = {
   isConfigured,
+  setClient,
   search,
   getPage,
   getPageContent,
   getDatabase,
   queryDatabase,
   getBlock,
-  getChildBlocks
+  getChildBlocks,
+  getBlockTree
 };
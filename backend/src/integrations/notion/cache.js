@@ -3,10 +3,36 @@
  *
  * This module provides a caching system for Notion content.
  * It loads the entire Notion database at server startup,
- * creates an optimized search structure, and refreshes periodically.
+ * creates an optimized search structure, and keeps it current with
+ * periodic incremental syncs driven by last_edited_time.
+ * The cache is persisted to SQLite and reloaded at startup.
  */
 const notionApi = require('./api');
 const notionUtils = require('./utils');
+const markdownRenderer = require('./markdownRenderer');
+const { buildPassages } = require('./passages');
+const cacheStore = require('./cacheStore');
+const analyzer = require('./analyzer');
+const synonymDictionary = require('./synonyms');
+
+// Bump when tokenization, the index layout or what is derived from page structure changes,
+// so persisted terms are rebuilt
+const INDEX_VERSION = 7;
+
+// BM25F ranking defaults: per-field weights, term frequency saturation (k1) and length normalization (b)
+const DEFAULT_RANKING = {
+  fieldWeights: {
+    title: 2, // Title matches are weighted higher
+    content: 1
+  },
+  k1: 1.2,
+  b: 0.75
+};
+
+// Query terms missing from the index are matched against similar indexed terms,
+// each edit costing this much of the term's weight
+const FUZZY_EDIT_PENALTY = 0.3;
+const MAX_FUZZY_MATCHES = 3;
 
 class NotionCache {
   constructor() {
@@ -14,17 +40,18 @@ class NotionCache {
     this.isLoading = false;
     this.lastRefreshTime = null;
     this.refreshInterval = 60 * 60 * 1000; // 1 hour in milliseconds
+    this.refreshTimer = null;
+    this.lastSync = null; // Summary of the most recent incremental sync
+    this.revision = 0; // Incremented whenever the index changes, so derived indexes know to update
 
     // Main data structures
     this.pages = new Map(); // Map of page ID to page content
     this.databases = new Map(); // Map of database ID to database content
     this.databaseItems = new Map(); // Map of database ID to array of items
+    this.passages = new Map(); // Map of passage ID to heading-scoped passage of a page
 
-    // Search index (inverted index)
-    this.searchIndex = {
-      title: {}, // Map of word to array of page/database IDs
-      content: {} // Map of word to array of page/database IDs
-    };
+    // Search index; the title field covers pages and databases, the content field covers passages
+    this.resetIndex();
 
     // Configuration
     this.databaseIds = process.env.NOTION_DATABASE_IDS
@@ -36,6 +63,25 @@ class NotionCache {
           return id;
         })
       : [];
+
+    // Resolve page and database mentions to their cached titles
+    notionUtils.setTitleResolver(id => this.getTitle(id));
+  }
+
+  /**
+   * Get the title of a cached page or database
+   * @param {string} id - Page or database ID
+   * @returns {string|null} - Title, or null if not cached
+   */
+  getTitle(id) {
+    if (this.pages.has(id)) {
+      return this.pages.get(id).title;
+    }
+    if (this.databases.has(id)) {
+      const database = this.databases.get(id);
+      return database.title ? notionUtils.extractTextFromTitle(database.title) : null;
+    }
+    return null;
   }
 
   /**
@@ -55,15 +101,21 @@ class NotionCache {
       return false;
     }
 
+    // Start from the persisted snapshot when there is one, and catch up on
+    // anything edited while the server was down
+    if (this.loadFromStore()) {
+      console.log(`💾 Loaded ${this.pages.size} pages and ${this.databases.size} databases from the persisted cache`);
+      this.scheduleRefresh();
+      this.sync();
+      return true;
+    }
+
     this.isLoading = true;
     console.log('🔄 Starting Notion cache initialization...');
 
     try {
       // Start with a clean slate
-      this.pages.clear();
-      this.databases.clear();
-      this.databaseItems.clear();
-      this.searchIndex = { title: {}, content: {} };
+      this.clear();
 
       // Load all databases specified in the environment variables
       // Only if there are valid database IDs and they're not empty strings
@@ -102,11 +154,242 @@ class NotionCache {
     }
   }
 
+  /**
+   * Remove all cached content, in memory and on disk, and reset the search index
+   */
+  clear() {
+    this.pages.clear();
+    this.databases.clear();
+    this.databaseItems.clear();
+    this.passages.clear();
+    this.resetIndex();
+    this.isInitialized = false;
+    this.lastRefreshTime = null;
+    this.lastSync = null;
+
+    try {
+      cacheStore.clear();
+      // An empty index is up to date
+      cacheStore.setMeta('indexVersion', INDEX_VERSION);
+    } catch (error) {
+      console.error('❌ Error clearing persisted Notion cache:', error);
+    }
+  }
+
+  /**
+   * Empty the search index
+   */
+  resetIndex() {
+    // Inverted index: map of word to Set of document IDs, per field
+    this.searchIndex = { title: {}, content: {} };
+
+    // Term frequencies of each document, so entries can be scored and removed in place
+    this.documentTerms = {
+      title: new Map(), // Map of page/database ID to Map of word to count
+      content: new Map() // Map of passage ID to Map of word to count
+    };
+
+    // Number of words in each field, and in each document's field, for length normalization
+    this.fieldLengths = { title: 0, content: 0 };
+    this.documentLengths = {
+      title: new Map(), // Map of page/database ID to word count
+      content: new Map() // Map of passage ID to word count
+    };
+    this.revision++;
+  }
+
+  /**
+   * Load the persisted cache snapshot into memory
+   * @returns {boolean} - Whether a snapshot was loaded
+   */
+  loadFromStore() {
+    let snapshot;
+    try {
+      snapshot = cacheStore.loadSnapshot();
+    } catch (error) {
+      console.error('❌ Error reading persisted Notion cache:', error);
+      return false;
+    }
+
+    if (snapshot.pages.length === 0 && snapshot.databases.length === 0) {
+      return false;
+    }
+
+    for (const page of snapshot.pages) {
+      this.pages.set(page.id, page);
+      for (const passage of page.passages || []) {
+        this.passages.set(passage.id, passage);
+      }
+    }
+
+    for (const { id, database, items } of snapshot.databases) {
+      this.databases.set(id, database);
+      this.databaseItems.set(id, items);
+    }
+
+    if (snapshot.indexVersion === INDEX_VERSION) {
+      for (const { id, field, terms } of snapshot.terms) {
+        if (!this.documentTerms[field]) continue;
+        this.addToIndex(field, id, new Map(Object.entries(terms)));
+      }
+    } else {
+      console.log('🔄 Persisted search index is out of date, rebuilding...');
+      this.rebuildIndex();
+    }
+
+    this.lastSync = snapshot.lastSync;
+    this.lastRefreshTime = snapshot.lastSync ? new Date(snapshot.lastSync.completedAt) : null;
+    this.isInitialized = true;
+
+    return true;
+  }
+
+  /**
+   * Rebuild the search index from cached content and persist the new terms
+   */
+  rebuildIndex() {
+    this.resetIndex();
+
+    for (const [id, page] of this.pages.entries()) {
+      // Pages cached before passages or links existed get them from their stored structure
+      if (!page.passages || !page.links) {
+        const structure = this.getPageStructure(id) || [];
+        if (!page.passages) {
+          page.passages = buildPassages(page, structure);
+          for (const passage of page.passages) {
+            this.passages.set(passage.id, passage);
+          }
+        }
+        page.links = notionUtils.extractLinkedIds(structure, id);
+        cacheStore.saveEntry(id, { page });
+      }
+
+      this.indexText('title', id, page.title);
+      this.indexPassages(page);
+    }
+
+    for (const [id, database] of this.databases.entries()) {
+      this.indexText('title', id, database.title ? notionUtils.extractTextFromTitle(database.title) : '');
+    }
+
+    const entries = [];
+    for (const [field, documents] of Object.entries(this.documentTerms)) {
+      for (const [id, terms] of documents.entries()) {
+        entries.push({ id, field, terms: Object.fromEntries(terms) });
+      }
+    }
+
+    cacheStore.replaceTerms(entries);
+    cacheStore.setMeta('indexVersion', INDEX_VERSION);
+  }
+
+  /**
+   * Re-index only the pages and databases containing some phrases, after synonyms changed
+   *
+   * A synonym term is only added where a variant occurs, so documents without the first
+   * word of any changed variant index the same either way and are left alone.
+   * @param {Array} phrases - Terms and synonyms that were added, changed or removed
+   * @returns {number} - Number of pages and databases re-indexed
+   */
+  reindexPhrases(phrases) {
+    const entryIds = new Set();
+
+    for (const phrase of phrases) {
+      const [firstTerm] = analyzer.analyze(phrase || '');
+      if (!firstTerm) continue;
+
+      for (const id of this.searchIndex.title[firstTerm] || []) {
+        entryIds.add(id);
+      }
+      for (const passageId of this.searchIndex.content[firstTerm] || []) {
+        const passage = this.passages.get(passageId);
+        if (passage) entryIds.add(passage.pageId);
+      }
+    }
+
+    let reindexed = 0;
+    for (const id of entryIds) {
+      if (this.pages.has(id)) {
+        const page = this.pages.get(id);
+        this.indexText('title', id, page.title);
+        this.indexPassages(page);
+      } else if (this.databases.has(id)) {
+        const database = this.databases.get(id);
+        this.indexText('title', id, database.title ? notionUtils.extractTextFromTitle(database.title) : '');
+      } else {
+        continue;
+      }
+
+      this.persistEntry(id);
+      reindexed++;
+    }
+
+    return reindexed;
+  }
+
+  /**
+   * Write a cached page or database, and its index terms, to the store
+   * @param {string} id - Page or database ID
+   * @param {Array} [structure] - Block structure of a page
+   */
+  persistEntry(id, structure) {
+    // Terms of the entry itself, plus those of its passages
+    const documentIds = [id, ...((this.pages.get(id) || {}).passages || []).map(passage => passage.id)];
+    const terms = [];
+    for (const [field, documents] of Object.entries(this.documentTerms)) {
+      for (const documentId of documentIds) {
+        if (documents.has(documentId)) {
+          terms.push({ id: documentId, field, terms: Object.fromEntries(documents.get(documentId)) });
+        }
+      }
+    }
+
+    try {
+      if (this.pages.has(id)) {
+        cacheStore.saveEntry(id, { page: this.pages.get(id), structure, terms });
+      } else if (this.databases.has(id)) {
+        cacheStore.saveEntry(id, {
+          database: this.databases.get(id),
+          items: this.databaseItems.get(id) || [],
+          terms
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Error persisting Notion cache entry ${id}:`, error);
+    }
+  }
+
+  /**
+   * Get the block structure of a cached page
+   * @param {string} pageId - Notion page ID
+   * @returns {Array|null} - Block structure or null if not cached
+   */
+  getPageStructure(pageId) {
+    try {
+      return cacheStore.getStructure(pageId);
+    } catch (error) {
+      console.error(`❌ Error reading block structure for ${pageId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop the periodic refresh of the cache
+   */
+  stopRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
   /**
    * Schedule periodic refresh of the cache
    */
   scheduleRefresh() {
-    setInterval(() => {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => {
       this.refresh()
         .then(success => {
           if (success) {
@@ -130,82 +413,302 @@ class NotionCache {
       return false;
     }
 
+    // Nothing to sync against yet, so do a full load
+    if (!this.isInitialized) {
+      return this.initialize();
+    }
+
     console.log('Refreshing Notion cache...');
+    const result = await this.sync();
+    return result !== null;
+  }
+
+  /**
+   * Bring the cache up to date with Notion.
+   * Lists everything the integration can see, newest edits first, re-fetches
+   * pages and databases whose last_edited_time has changed, and drops cached
+   * entries that were deleted or are no longer shared. An entry that fails to
+   * load keeps its cached version and is fetched again by the next sync.
+   * @returns {Promise<Object|null>} - Added/updated/removed/failed counts, or null on failure
+   */
+  async sync() {
+    if (this.isLoading) {
+      return null;
+    }
+
     this.isLoading = true;
+    const startedAt = new Date();
+    const stats = { added: 0, updated: 0, removed: 0, failed: 0 };
+
+    // Notion reports last_edited_time to the minute, so anything edited in the
+    // same minute the previous sync started is fetched again to be safe
+    const watermark = this.lastSync
+      ? new Date(this.lastSync.startedAt).setSeconds(0, 0)
+      : null;
 
     try {
-      // We'll use the same initialization logic
-      await this.initialize();
-      return true;
+      const results = await this.listAllSearchResults();
+      const seenIds = new Set();
+      const changedDatabases = new Set();
+
+      for (const result of results) {
+        if (result.archived || result.inTrash) {
+          continue;
+        }
+
+        seenIds.add(result.id);
+
+        const cached = this.pages.get(result.id) || this.databases.get(result.id);
+        const cachedEditTime = cached ? (cached.lastEditedTime || cached.last_edited_time) : null;
+
+        const isStale = !cached ||
+          cachedEditTime !== result.lastEditedTime ||
+          (watermark !== null && new Date(result.lastEditedTime).getTime() >= watermark);
+
+        if (!isStale) {
+          continue;
+        }
+
+        // The new version replaces the cached one only once it has been fetched
+        let loaded = false;
+        if (result.type === 'database') {
+          loaded = await this.loadDatabase(result.id);
+        } else if (result.type === 'page') {
+          loaded = await this.loadPageContent(result.id, { replace: true });
+        }
+
+        if (!loaded) {
+          stats.failed++;
+          continue;
+        }
+
+        if (cached) {
+          stats.updated++;
+        } else {
+          stats.added++;
+        }
+
+        const parentDatabaseId = result.parent && result.parent.database_id;
+        if (parentDatabaseId && this.databases.has(parentDatabaseId)) {
+          changedDatabases.add(parentDatabaseId);
+        }
+      }
+
+      // Anything we hold that Notion no longer returns was deleted or unshared
+      for (const id of [...this.pages.keys(), ...this.databases.keys()]) {
+        if (!seenIds.has(id)) {
+          const parentDatabaseId = this.findParentDatabase(id);
+          if (parentDatabaseId) {
+            changedDatabases.add(parentDatabaseId);
+          }
+
+          this.removeEntry(id);
+          stats.removed++;
+        }
+      }
+
+      // Keep database item lists in step with their rows
+      for (const databaseId of changedDatabases) {
+        if (this.databases.has(databaseId)) {
+          this.databaseItems.set(databaseId, await this.listDatabaseItems(databaseId));
+          this.persistEntry(databaseId);
+        }
+      }
+
+      const completedAt = new Date();
+      this.lastRefreshTime = completedAt;
+      this.lastSync = {
+        startedAt: startedAt.toISOString(),
+        completedAt: completedAt.toISOString(),
+        durationMs: completedAt - startedAt,
+        ...stats
+      };
+      cacheStore.setMeta('lastSync', this.lastSync);
+
+      console.log(`✅ Notion sync complete: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed, ${stats.failed} failed`);
+      return this.lastSync;
     } catch (error) {
-      console.error('Error refreshing Notion cache:', error);
-      return false;
+      console.error('❌ Error syncing Notion cache:', error);
+      this.lastSync = {
+        ...(this.lastSync || {}),
+        error: error.message,
+        failedAt: new Date().toISOString()
+      };
+      return null;
     } finally {
       this.isLoading = false;
     }
   }
 
   /**
-   * Load a specific database and its items
-   * @param {string} databaseId - Notion database ID
+   * Re-fetch specific pages and databases, such as those named by webhook events,
+   * without listing the whole workspace. Each entry is replaced only once its new
+   * version has been fetched, so a failed request leaves the cached one in place.
+   * @param {Array} changes - [{ id, type: 'page' | 'database', deleted, parentDatabaseId }]
+   * @returns {Promise<Object|null>} - Updated/removed counts and the IDs that failed to load, or null if a sync is running and the changes should be retried
    */
-  async loadDatabase(databaseId) {
+  async refreshEntries(changes) {
+    if (this.isLoading) {
+      return null;
+    }
+
+    const stats = { updated: 0, removed: 0, failed: [] };
+
+    // Until the first load completes there is nothing to update; the load fetches everything
+    if (!this.isInitialized) {
+      return stats;
+    }
+
+    this.isLoading = true;
+    const remaining = new Set(changes.map(change => change.id));
+
     try {
-      console.log(`Loading database ${databaseId}...`);
+      const changedDatabases = new Set();
 
-      // Get database structure
-      const database = await notionApi.getDatabase(databaseId);
-      this.databases.set(databaseId, database);
+      for (const { id, type, deleted, parentDatabaseId } of changes) {
+        const databaseId = parentDatabaseId || this.findParentDatabase(id);
+        if (databaseId && this.databases.has(databaseId)) {
+          changedDatabases.add(databaseId);
+        }
 
-      // Index the database title
-      this.indexText('title', databaseId, database.title ? notionUtils.extractTextFromTitle(database.title) : '');
+        if (deleted) {
+          if (this.pages.has(id) || this.databases.has(id)) {
+            this.removeEntry(id);
+            stats.removed++;
+          }
+        } else {
+          const loaded = type === 'database'
+            ? await this.loadDatabase(id)
+            : await this.loadPageContent(id, { replace: true });
 
-      // Get all items from the database
-      const items = await this.loadAllDatabaseItems(databaseId);
-      this.databaseItems.set(databaseId, items);
+          if (loaded) {
+            stats.updated++;
+          } else {
+            stats.failed.push(id);
+          }
+        }
 
-      console.log(`Loaded database ${databaseId} with ${items.length} items`);
+        remaining.delete(id);
+      }
+
+      // Keep database item lists in step with their rows
+      for (const databaseId of changedDatabases) {
+        if (this.databases.has(databaseId)) {
+          this.databaseItems.set(databaseId, await this.listDatabaseItems(databaseId));
+          this.persistEntry(databaseId);
+        }
+      }
+
+      console.log(`⚡ Refreshed ${changes.length} changed Notion entries: ${stats.updated} updated, ${stats.removed} removed, ${stats.failed.length} failed`);
+      return stats;
     } catch (error) {
-      console.error(`Error loading database ${databaseId}:`, error);
+      console.error('❌ Error refreshing changed Notion entries:', error);
+      // Whatever wasn't reached is retried with the failures
+      stats.failed.push(...remaining);
+      return stats;
+    } finally {
+      this.isLoading = false;
     }
   }
 
   /**
-   * Load all items from a database
+   * List every page and database the integration can access, most recently edited first
+   * @returns {Promise<Array>} - Formatted search results
+   */
+  async listAllSearchResults() {
+    const response = await notionApi.search('', {
+      sort: { direction: 'descending', timestamp: 'last_edited_time' }
+    });
+
+    const results = notionUtils.formatSearchResults(response);
+    response.results.forEach((raw, index) => {
+      results[index].archived = !!raw.archived;
+      results[index].inTrash = !!raw.in_trash;
+    });
+
+    return results;
+  }
+
+  /**
+   * Fetch the item list of a database without re-loading item content
    * @param {string} databaseId - Notion database ID
    * @returns {Promise<Array>} - Array of database items
    */
-  async loadAllDatabaseItems(databaseId) {
-    const allItems = [];
-    let hasMore = true;
-    let startCursor = undefined;
+  async listDatabaseItems(databaseId) {
+    const response = await notionApi.queryDatabase(databaseId);
+    return notionUtils.formatDatabaseItems(response);
+  }
 
-    while (hasMore) {
-      try {
-        const response = await notionApi.queryDatabase(databaseId, {}, [], 100, startCursor);
-        const items = notionUtils.formatDatabaseItems(response);
+  /**
+   * Find the cached database a page belongs to
+   * @param {string} pageId - Page ID
+   * @returns {string|null} - Database ID or null
+   */
+  findParentDatabase(pageId) {
+    for (const [databaseId, items] of this.databaseItems.entries()) {
+      if (items.some(item => item.id === pageId)) {
+        return databaseId;
+      }
+    }
+    return null;
+  }
 
-        // Process each item
-        for (const item of items) {
-          allItems.push(item);
+  /**
+   * Remove a page or database from the cache and the search index
+   * @param {string} id - Page or database ID
+   */
+  removeEntry(id) {
+    const page = this.pages.get(id);
+    for (const passage of (page && page.passages) || []) {
+      this.passages.delete(passage.id);
+      this.removeFromIndex(passage.id);
+    }
 
-          // Index the item title
-          this.indexText('title', item.id, item.title);
+    this.pages.delete(id);
+    this.databases.delete(id);
+    this.databaseItems.delete(id);
+    this.removeFromIndex(id);
 
-          // Load and index the item content
-          await this.loadPageContent(item.id);
-        }
+    try {
+      cacheStore.deleteEntry(id);
+    } catch (error) {
+      console.error(`❌ Error removing ${id} from persisted Notion cache:`, error);
+    }
+  }
 
-        // Check if there are more items
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
-      } catch (error) {
-        console.error(`Error loading database items for ${databaseId}:`, error);
-        hasMore = false;
+  /**
+   * Load a specific database and its items, replacing any cached version once both have been fetched
+   * @param {string} databaseId - Notion database ID
+   * @returns {Promise<boolean>} - Whether the database was loaded
+   */
+  async loadDatabase(databaseId) {
+    try {
+      console.log(`Loading database ${databaseId}...`);
+
+      // Get database structure and all of its items
+      const database = await notionApi.getDatabase(databaseId);
+      const items = await this.listDatabaseItems(databaseId);
+
+      this.removeEntry(databaseId);
+      this.databases.set(databaseId, database);
+
+      // Index the database title
+      this.indexText('title', databaseId, database.title ? notionUtils.extractTextFromTitle(database.title) : '');
+
+      this.databaseItems.set(databaseId, items);
+      this.persistEntry(databaseId);
+
+      // Load and index the content of items not cached yet
+      for (const item of items) {
+        await this.loadPageContent(item.id);
       }
-    }
 
-    return allItems;
+      console.log(`Loaded database ${databaseId} with ${items.length} items`);
+      return true;
+    } catch (error) {
+      console.error(`Error loading database ${databaseId}:`, error);
+      return false;
+    }
   }
 
   /**
@@ -214,8 +717,8 @@ class NotionCache {
   async loadAllPages() {
     try {
       // Use search with empty query to get all pages
-      const response = await notionApi.search('');
-      const results = notionUtils.formatSearchResults(response);
+      const results = (await this.listAllSearchResults())
+        .filter(result => !result.archived && !result.inTrash);
 
       console.log(`📄 Found ${results.length} pages/databases in Notion`);
 
@@ -308,46 +811,65 @@ class NotionCache {
 
   /**
    * Load content for a specific page
+   * The page is fetched completely before it replaces a cached version, so a
+   * failed request leaves the cached page in place.
    * @param {string} pageId - Notion page ID
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Fetch the page even if it is cached
+   * @returns {Promise<boolean>} - Whether the page is cached
    */
-  async loadPageContent(pageId) {
+  async loadPageContent(pageId, { replace = false } = {}) {
     try {
       // Skip if we already have this page
-      if (this.pages.has(pageId)) {
+      if (this.pages.has(pageId) && !replace) {
         console.log(`⏩ Page ${pageId} already in cache, skipping content load`);
-        return;
+        return true;
       }
 
       console.log(`🔍 Getting page data for ${pageId}`);
       // Get page data
       const page = await notionApi.getPage(pageId);
-      const pageTitle = page.properties?.title ? notionUtils.extractTextFromTitle(page.properties.title) : 'Untitled';
+      const pageTitle = notionUtils.getPageTitle(page);
       console.log(`📄 Retrieved page: ${pageTitle} (${pageId})`);
 
       // Get page content with deep traversal
       console.log(`🔍 Getting content structure for ${pageId}`);
-      const pageStructure = await this.traversePageContent(pageId, 0, 3); // Reduced max depth to 3 levels for faster loading
+      const pageStructure = await notionApi.getBlockTree(pageId, { maxDepth: 3 }); // Reduced max depth to 3 levels for faster loading
       console.log(`📊 Retrieved structure with ${pageStructure.length} top-level blocks`);
 
-      // Extract text content
-      console.log(`📝 Extracting text content for ${pageId}`);
-      const content = this.extractContentFromStructure(pageStructure);
+      // Render the content as Markdown
+      console.log(`📝 Rendering content for ${pageId}`);
+      const content = markdownRenderer.renderBlocks(pageStructure);
       console.log(`📄 Extracted ${content.length} characters of content`);
 
-      // Store the page
-      this.pages.set(pageId, {
+      // Store the page, split into heading-scoped passages
+      const cachedPage = {
         id: pageId,
         title: pageTitle,
         content,
-        url: `https://notion.so/${pageId.replace(/-/g, '')}`
-      });
-      console.log(`💾 Stored page ${pageTitle} (${pageId}) in cache`);
+        url: `https://notion.so/${pageId.replace(/-/g, '')}`,
+        lastEditedTime: page.last_edited_time,
+        // Pages and databases this page links to, for the link graph
+        links: notionUtils.extractLinkedIds(pageStructure, pageId)
+      };
+      cachedPage.passages = buildPassages(cachedPage, pageStructure);
 
-      // Index the content
+      this.removeEntry(pageId);
+      this.pages.set(pageId, cachedPage);
+      for (const passage of cachedPage.passages) {
+        this.passages.set(passage.id, passage);
+      }
+      console.log(`💾 Stored page ${pageTitle} (${pageId}) in cache with ${cachedPage.passages.length} passages`);
+
+      // Index the title and content
       console.log(`🔍 Indexing content for ${pageId}`);
-      this.indexText('content', pageId, content);
+      this.indexText('title', pageId, pageTitle);
+      this.indexPassages(cachedPage);
       console.log(`✅ Indexed content for ${pageId}`);
 
+      // Persist the page, its block structure and its index terms
+      this.persistEntry(pageId, pageStructure);
+
       return true;
     } catch (error) {
       console.error(`❌ Error loading page content for ${pageId}:`, error);
@@ -356,131 +878,188 @@ class NotionCache {
   }
 
   /**
-   * Traverse page content recursively
-   * @param {string} blockId - Block ID to start from
-   * @param {number} currentDepth - Current depth in the traversal
-   * @param {number} maxDepth - Maximum depth to traverse
-   * @returns {Promise<Array>} - Structured content
+   * Index text for searching, replacing what was indexed before for the same document
+   * @param {string} type - Type of text ('title' or 'content')
+   * @param {string} id - Page/database ID for titles, passage ID for content
+   * @param {string} text - Text to index
    */
-  async traversePageContent(blockId, currentDepth = 0, maxDepth = 5) {
-    // Stop if we've reached the maximum depth
-    if (currentDepth > maxDepth) {
-      return [];
-    }
-
-    try {
-      // Get the blocks at this level
-      const response = await notionApi.getChildBlocks(blockId);
-      const blocks = response.results || [];
-
-      if (blocks.length === 0) {
-        return [];
-      }
+  indexText(type, id, text) {
+    this.removeFromField(type, id);
+    if (!text) return;
 
-      // Process each block
-      const structuredContent = [];
+    // Count how often each word occurs
+    const terms = new Map();
+    for (const word of this.tokenize(text)) {
+      terms.set(word, (terms.get(word) || 0) + 1);
+    }
 
-      for (const block of blocks) {
-        // Extract text from this block
-        const blockContent = notionUtils.extractTextFromBlock(block);
+    this.addToIndex(type, id, terms);
+  }
 
-        // Create a structure entry for this block
-        const blockEntry = {
-          id: block.id,
-          type: block.type,
-          content: blockContent,
-          children: []
-        };
+  /**
+   * Add a document's term frequencies to the index
+   * @param {string} type - Type of text ('title' or 'content')
+   * @param {string} id - Document ID
+   * @param {Map} terms - Map of word to count
+   */
+  addToIndex(type, id, terms) {
+    if (terms.size === 0) return;
 
-        // Check if this block has children
-        if (block.has_children) {
-          // Recursively get children
-          blockEntry.children = await this.traversePageContent(
-            block.id,
-            currentDepth + 1,
-            maxDepth
-          );
-        }
+    this.documentTerms[type].set(id, terms);
+    this.revision++;
 
-        structuredContent.push(blockEntry);
+    let length = 0;
+    for (const [word, count] of terms.entries()) {
+      if (!this.searchIndex[type][word]) {
+        this.searchIndex[type][word] = new Set();
       }
+      this.searchIndex[type][word].add(id);
+      length += count;
+    }
+    this.documentLengths[type].set(id, length);
+    this.fieldLengths[type] += length;
+  }
 
-      return structuredContent;
-    } catch (error) {
-      console.error(`Error traversing content at depth ${currentDepth}:`, error);
-      return [];
+  /**
+   * Index the passages of a page
+   * @param {Object} page - Cached page with passages
+   */
+  indexPassages(page) {
+    for (const passage of page.passages || []) {
+      // Headings above the passage describe it too
+      this.indexText('content', passage.id, [...passage.headingPath, passage.content].join('\n'));
     }
   }
 
   /**
-   * Extract text content from structured page content
-   * @param {Array} structure - Structured content
-   * @param {number} indentLevel - Current indentation level
-   * @returns {string} - Extracted text content
+   * Remove a page or database from the search index
+   * @param {string} id - Page or database ID
    */
-  extractContentFromStructure(structure, indentLevel = 0) {
-    if (!structure || structure.length === 0) {
-      return '';
+  removeFromIndex(id) {
+    for (const type of Object.keys(this.documentTerms)) {
+      this.removeFromField(type, id);
     }
+  }
 
-    let content = '';
-    const indent = '  '.repeat(indentLevel);
+  /**
+   * Remove a document from one field of the search index
+   * @param {string} type - Type of text ('title' or 'content')
+   * @param {string} id - Document ID
+   */
+  removeFromField(type, id) {
+    const terms = this.documentTerms[type].get(id);
+    if (!terms) return;
 
-    for (const block of structure) {
-      // Add this block's content
-      if (block.content) {
-        content += `${indent}${block.content}\n`;
-      }
+    for (const [word, count] of terms.entries()) {
+      this.fieldLengths[type] -= count;
+
+      const ids = this.searchIndex[type][word];
+      if (!ids) continue;
 
-      // Add children's content with increased indentation
-      if (block.children && block.children.length > 0) {
-        content += this.extractContentFromStructure(block.children, indentLevel + 1);
+      ids.delete(id);
+      if (ids.size === 0) {
+        delete this.searchIndex[type][word];
       }
     }
 
-    return content;
+    this.documentTerms[type].delete(id);
+    this.documentLengths[type].delete(id);
+    this.revision++;
   }
 
   /**
-   * Index text for searching
-   * @param {string} type - Type of text ('title' or 'content')
-   * @param {string} id - Page or database ID
-   * @param {string} text - Text to index
+   * Tokenize text into searchable terms; used for both documents and queries
+   * @param {string} text - Text to tokenize
+   * @returns {Array} - Array of terms, followed by the synonym terms they match
    */
-  indexText(type, id, text) {
-    if (!text) return;
+  tokenize(text) {
+    const terms = analyzer.analyze(text);
+    return terms.concat(synonymDictionary.expand(terms));
+  }
 
-    // Tokenize the text
-    const words = this.tokenize(text);
+  /**
+   * Turn a query into weighted search terms, correcting terms the index doesn't know
+   * @param {string} query - Search query
+   * @param {boolean} fuzzy - Whether to match unknown terms against similar indexed terms
+   * @returns {Map} - Map of term to weight
+   */
+  analyzeQuery(query, fuzzy = true) {
+    const queryTerms = new Map();
 
-    // Add each word to the index
-    for (const word of words) {
-      if (!this.searchIndex[type][word]) {
-        this.searchIndex[type][word] = new Set();
+    for (const term of this.tokenize(query)) {
+      queryTerms.set(term, 1);
+
+      if (fuzzy && !this.isIndexed(term)) {
+        for (const { candidate, distance } of this.findSimilarTerms(term)) {
+          const weight = 1 - distance * FUZZY_EDIT_PENALTY;
+          queryTerms.set(candidate, Math.max(queryTerms.get(candidate) || 0, weight));
+        }
       }
-      this.searchIndex[type][word].add(id);
     }
+
+    return queryTerms;
   }
 
   /**
-   * Tokenize text into searchable words
-   * @param {string} text - Text to tokenize
-   * @returns {Array} - Array of words
+   * Check whether any document contains a term
+   * @param {string} term - Search term
+   * @returns {boolean} - Whether the term is indexed
    */
-  tokenize(text) {
-    if (!text) return [];
+  isIndexed(term) {
+    return Boolean(this.searchIndex.title[term] || this.searchIndex.content[term]);
+  }
+
+  /**
+   * Find indexed terms within a small edit distance of a term
+   * @param {string} term - Term missing from the index
+   * @returns {Array} - Closest terms, as { candidate, distance }
+   */
+  findSimilarTerms(term) {
+    // Short terms, numbers, CJK bigrams and synonym terms are too ambiguous to correct
+    if (term.length < 4 || /\d/.test(term) || synonymDictionary.isSynonymTerm(term)) {
+      return [];
+    }
+
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const matches = new Map();
 
-    // Convert to lowercase and split by non-alphanumeric characters
-    return text.toLowerCase()
-      .replace(/[^a-z0-9 ]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2); // Filter out short words
+    for (const field of Object.keys(this.searchIndex)) {
+      for (const candidate of Object.keys(this.searchIndex[field])) {
+        if (matches.has(candidate)) continue;
+
+        // A misspelled suffix stops the stemmer from reducing the term to the indexed stem
+        if (candidate.length >= 5 && term.startsWith(candidate)) {
+          matches.set(candidate, 1);
+          continue;
+        }
+
+        if (Math.abs(candidate.length - term.length) > maxDistance) continue;
+
+        const distance = analyzer.editDistance(term, candidate, maxDistance);
+        if (distance <= maxDistance) {
+          matches.set(candidate, distance);
+        }
+      }
+    }
+
+    return Array.from(matches.entries())
+      .map(([candidate, distance]) => ({ candidate, distance }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_FUZZY_MATCHES);
   }
 
   /**
    * Search the cache for relevant content
+   *
+   * Pages are ranked with BM25F over their title and their best matching passage.
    * @param {string} query - Search query
    * @param {Object} options - Search options
+   * @param {number} [options.maxResults=10] - Maximum number of results
+   * @param {number} [options.maxPassagesPerPage=3] - Passages to return with each page
+   * @param {Object} [options.fieldWeights] - Weight of each field, as { title, content }
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Document length normalization, from 0 (none) to 1 (full)
+   * @param {boolean} [options.fuzzy=true] - Match misspelled query terms to similar indexed terms
    * @returns {Array} - Search results
    */
   search(query, options = {}) {
@@ -491,43 +1070,51 @@ class NotionCache {
     // Default options
     const defaultOptions = {
       maxResults: 10,
-      titleWeight: 2, // Title matches are weighted higher
-      contentWeight: 1
+      maxPassagesPerPage: 3,
+      fuzzy: true
     };
 
     const searchOptions = { ...defaultOptions, ...options };
+    const ranking = this.getRankingOptions(options);
 
     // Tokenize the query
-    const queryWords = this.tokenize(query);
-    if (queryWords.length === 0) {
+    const queryTerms = this.analyzeQuery(query, searchOptions.fuzzy);
+    if (queryTerms.size === 0) {
       return this.getRecentItems(searchOptions.maxResults);
     }
 
-    // Score each page and database
+    const queryWords = [...queryTerms.keys()];
+    const idf = this.computeIdf(queryWords);
+
+    // Score each page against its matching passages; a page scores as well as its best passage
     const scores = new Map();
+    const passagesByPage = new Map();
+    for (const passage of this.findMatchingPassages(queryWords)) {
+      const score = this.scoreDocument(queryTerms, idf, passage.pageId, passage.id, ranking);
 
-    // Search in titles
-    for (const word of queryWords) {
-      const matchingIds = this.searchIndex.title[word];
-      if (matchingIds) {
-        for (const id of matchingIds) {
-          scores.set(id, (scores.get(id) || 0) + searchOptions.titleWeight);
-        }
+      if (!passagesByPage.has(passage.pageId)) {
+        passagesByPage.set(passage.pageId, []);
       }
+      passagesByPage.get(passage.pageId).push({ passage, score });
     }
 
-    // Search in content
+    for (const [pageId, hits] of passagesByPage.entries()) {
+      hits.sort((a, b) => b.score - a.score);
+      scores.set(pageId, hits[0].score);
+    }
+
+    // Pages and databases that only match on their title
     for (const word of queryWords) {
-      const matchingIds = this.searchIndex.content[word];
-      if (matchingIds) {
-        for (const id of matchingIds) {
-          scores.set(id, (scores.get(id) || 0) + searchOptions.contentWeight);
+      for (const id of this.searchIndex.title[word] || []) {
+        if (!scores.has(id)) {
+          scores.set(id, this.scoreDocument(queryTerms, idf, id, null, ranking));
         }
       }
     }
 
     // Sort by score
     const sortedResults = Array.from(scores.entries())
+      .filter(([id]) => this.pages.has(id) || this.databases.has(id))
       .sort((a, b) => b[1] - a[1])
       .slice(0, searchOptions.maxResults);
 
@@ -540,20 +1127,181 @@ class NotionCache {
           type: 'page',
           title: page.title,
           url: page.url,
-          score
-        };
-      } else if (this.databases.has(id)) {
-        const database = this.databases.get(id);
-        return {
-          id,
-          type: 'database',
-          title: database.title ? notionUtils.extractTextFromTitle(database.title) : 'Untitled Database',
-          url: `https://notion.so/${id.replace(/-/g, '')}`,
-          score
+          score,
+          // Best matching passages, for previews and deep links
+          passages: (passagesByPage.get(id) || [])
+            .slice(0, searchOptions.maxPassagesPerPage)
+            .map(({ passage, score: passageScore }) => this.toPassageResult(passage, passageScore))
         };
       }
-      return null;
-    }).filter(result => result !== null);
+
+      const database = this.databases.get(id);
+      return {
+        id,
+        type: 'database',
+        title: database.title ? notionUtils.extractTextFromTitle(database.title) : 'Untitled Database',
+        url: `https://notion.so/${id.replace(/-/g, '')}`,
+        score
+      };
+    });
+  }
+
+  /**
+   * Search for the passages that best match a query
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} [options.maxResults=10] - Maximum number of passages
+   * @param {string} [options.pageId] - Only return passages of this page
+   * @param {Object} [options.fieldWeights] - Weight of each field, as { title, content }
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Document length normalization
+   * @param {boolean} [options.fuzzy=true] - Match misspelled query terms to similar indexed terms
+   * @returns {Array} - Passages with their page title and score, best first
+   */
+  searchPassages(query, options = {}) {
+    const { maxResults = 10, pageId = null, fuzzy = true } = options;
+    const ranking = this.getRankingOptions(options);
+
+    const queryTerms = this.analyzeQuery(query, fuzzy);
+    if (queryTerms.size === 0) {
+      return [];
+    }
+
+    const queryWords = [...queryTerms.keys()];
+    const idf = this.computeIdf(queryWords);
+
+    return this.findMatchingPassages(queryWords)
+      .filter(passage => !pageId || passage.pageId === pageId)
+      .map(passage => this.toPassageResult(
+        passage,
+        // Passages of pages whose title matches the query rank higher
+        this.scoreDocument(queryTerms, idf, passage.pageId, passage.id, ranking)
+      ))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults);
+  }
+
+  /**
+   * Merge ranking options with the defaults
+   * @param {Object} options - Search options
+   * @returns {Object} - Field weights, k1 and b
+   */
+  getRankingOptions(options = {}) {
+    return {
+      fieldWeights: { ...DEFAULT_RANKING.fieldWeights, ...options.fieldWeights },
+      k1: options.k1 !== undefined ? options.k1 : DEFAULT_RANKING.k1,
+      b: options.b !== undefined ? options.b : DEFAULT_RANKING.b
+    };
+  }
+
+  /**
+   * Find the passages that contain at least one query word
+   * @param {Array} queryWords - Tokenized query
+   * @returns {Array} - Cached passages
+   */
+  findMatchingPassages(queryWords) {
+    const passageIds = new Set();
+    for (const word of queryWords) {
+      for (const id of this.searchIndex.content[word] || []) {
+        passageIds.add(id);
+      }
+    }
+
+    return [...passageIds]
+      .map(id => this.passages.get(id))
+      .filter(passage => passage);
+  }
+
+  /**
+   * Compute the inverse document frequency of each query word
+   *
+   * A document is a page, database or database item; a word occurs in a
+   * page when it occurs in its title or in any of its passages.
+   * @param {Array} queryWords - Tokenized query
+   * @returns {Map} - Map of word to IDF
+   */
+  computeIdf(queryWords) {
+    const idf = new Map();
+
+    for (const word of queryWords) {
+      const documents = new Set(this.searchIndex.title[word] || []);
+      for (const passageId of this.searchIndex.content[word] || []) {
+        const passage = this.passages.get(passageId);
+        if (passage) {
+          documents.add(passage.pageId);
+        }
+      }
+
+      const documentCount = Math.max(this.documentTerms.title.size, documents.size);
+      const frequency = documents.size;
+      idf.set(word, Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5)));
+    }
+
+    return idf;
+  }
+
+  /**
+   * Score a document with BM25F
+   * @param {Map} queryTerms - Map of query term to weight
+   * @param {Map} idf - Map of word to IDF
+   * @param {string} titleId - Page or database whose title is scored
+   * @param {string|null} passageId - Passage whose content is scored
+   * @param {Object} ranking - Field weights, k1 and b
+   * @returns {number} - Score
+   */
+  scoreDocument(queryTerms, idf, titleId, passageId, ranking) {
+    const fields = { title: titleId, content: passageId };
+    let score = 0;
+
+    for (const [word, weight] of queryTerms.entries()) {
+      // Length-normalized term frequency, summed over the weighted fields
+      let frequency = 0;
+      for (const [field, id] of Object.entries(fields)) {
+        if (!id) continue;
+        frequency += (ranking.fieldWeights[field] || 0) * this.normalizedFrequency(field, id, word, ranking.b);
+      }
+
+      if (frequency > 0) {
+        score += weight * idf.get(word) * (frequency * (ranking.k1 + 1)) / (frequency + ranking.k1);
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Get how often a word occurs in a document field, normalized by the field's length
+   * @param {string} field - 'title' or 'content'
+   * @param {string} id - Document ID
+   * @param {string} word - Indexed word
+   * @param {number} b - Length normalization
+   * @returns {number} - Normalized term frequency
+   */
+  normalizedFrequency(field, id, word, b) {
+    const terms = this.documentTerms[field].get(id);
+    const count = terms ? terms.get(word) || 0 : 0;
+    if (count === 0) return 0;
+
+    const length = this.documentLengths[field].get(id);
+    const averageLength = this.fieldLengths[field] / this.documentTerms[field].size;
+
+    return count / (1 - b + b * (length / averageLength));
+  }
+
+  /**
+   * Shape a passage for search results
+   * @param {Object} passage - Cached passage
+   * @param {number} score - Search score
+   * @returns {Object} - Passage result
+   */
+  toPassageResult(passage, score) {
+    const page = this.pages.get(passage.pageId);
+
+    return {
+      ...passage,
+      title: page ? page.title : 'Untitled',
+      score
+    };
   }
 
   /**
@@ -633,6 +1381,7 @@ class NotionCache {
       databaseItems: Array.from(this.databaseItems.values()).reduce((total, items) => total + items.length, 0),
       indexedTitleWords: Object.keys(this.searchIndex.title).length,
       indexedContentWords: Object.keys(this.searchIndex.content).length,
+      passages: this.passages.size,
       lastRefreshTime: this.lastRefreshTime
     };
   }
@@ -642,3 +1391,4 @@ class NotionCache {
 const notionCache = new NotionCache();
 
 module.exports = notionCache;
+module.exports.NotionCache = NotionCache;
@@ -0,0 +1,219 @@
+/**
+ * Notion Cache Store
+ *
+ * Persists the Notion cache (pages, block structure, databases, the
+ * search index terms and passage embeddings) to SQLite so the cache
+ * survives server restarts.
+ */
+const db = require('../../database/db');
+
+/**
+ * Load everything that has been persisted
+ * @returns {Object} - Pages, databases, index terms and metadata
+ */
+const loadSnapshot = () => {
+  const pages = db.prepare('SELECT data FROM notion_pages').all()
+    .map(row => JSON.parse(row.data));
+
+  const databases = db.prepare('SELECT id, data, items FROM notion_databases').all()
+    .map(row => ({
+      id: row.id,
+      database: JSON.parse(row.data),
+      items: JSON.parse(row.items)
+    }));
+
+  const terms = db.prepare('SELECT id, field, terms FROM notion_index_terms').all()
+    .map(row => ({
+      id: row.id,
+      field: row.field,
+      terms: JSON.parse(row.terms)
+    }));
+
+  return {
+    pages,
+    databases,
+    terms,
+    indexVersion: getMeta('indexVersion'),
+    lastSync: getMeta('lastSync')
+  };
+};
+
+const upsertPage = db.prepare(`
+  INSERT INTO notion_pages (id, data, structure, last_edited_time, cached_at) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET
+    data = excluded.data,
+    structure = COALESCE(excluded.structure, notion_pages.structure),
+    last_edited_time = excluded.last_edited_time,
+    cached_at = excluded.cached_at
+`);
+
+const upsertDatabase = db.prepare(`
+  INSERT INTO notion_databases (id, data, items, last_edited_time, cached_at) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET
+    data = excluded.data,
+    items = excluded.items,
+    last_edited_time = excluded.last_edited_time,
+    cached_at = excluded.cached_at
+`);
+
+const upsertTerms = db.prepare(`
+  INSERT INTO notion_index_terms (id, field, terms) VALUES (?, ?, ?)
+  ON CONFLICT(id, field) DO UPDATE SET terms = excluded.terms
+`);
+
+const deleteTerms = db.prepare('DELETE FROM notion_index_terms WHERE id = ? OR id LIKE ?');
+
+/**
+ * Save a cached page or database together with its index terms
+ * @param {string} id - Page or database ID
+ * @param {Object} entry - What to save
+ * @param {Object} [entry.page] - Cached page
+ * @param {Array} [entry.structure] - Block structure of the page; kept as-is when omitted
+ * @param {Object} [entry.database] - Database object from the Notion API
+ * @param {Array} [entry.items] - Items of the database
+ * @param {Array} [entry.terms] - Index terms, as { id, field, terms } with terms mapping each word
+ *   to its count, for the entry and its passages
+ */
+const saveEntry = db.transaction((id, entry) => {
+  const now = new Date().toISOString();
+
+  if (entry.page) {
+    upsertPage.run(
+      id,
+      JSON.stringify(entry.page),
+      entry.structure ? JSON.stringify(entry.structure) : null,
+      entry.page.lastEditedTime || null,
+      now
+    );
+  }
+
+  if (entry.database) {
+    upsertDatabase.run(
+      id,
+      JSON.stringify(entry.database),
+      JSON.stringify(entry.items || []),
+      entry.database.last_edited_time || null,
+      now
+    );
+  }
+
+  if (entry.terms) {
+    // Replace all terms of the entry, including those of passages it no longer has
+    deleteTerms.run(id, `${id}#%`);
+    for (const { id: documentId, field, terms } of entry.terms) {
+      upsertTerms.run(documentId, field, JSON.stringify(terms));
+    }
+  }
+});
+
+/**
+ * Replace the whole persisted index
+ * @param {Array} entries - Array of { id, field, terms }
+ */
+const replaceTerms = db.transaction((entries) => {
+  db.prepare('DELETE FROM notion_index_terms').run();
+  for (const { id, field, terms } of entries) {
+    upsertTerms.run(id, field, JSON.stringify(terms));
+  }
+});
+
+/**
+ * Remove a page or database from the store
+ * @param {string} id - Page or database ID
+ */
+const deleteEntry = db.transaction((id) => {
+  db.prepare('DELETE FROM notion_pages WHERE id = ?').run(id);
+  db.prepare('DELETE FROM notion_databases WHERE id = ?').run(id);
+  deleteTerms.run(id, `${id}#%`);
+});
+
+/**
+ * Get the persisted block structure of a page
+ * @param {string} pageId - Notion page ID
+ * @returns {Array|null} - Block structure or null if not stored
+ */
+const getStructure = (pageId) => {
+  const row = db.prepare('SELECT structure FROM notion_pages WHERE id = ?').get(pageId);
+  return row && row.structure ? JSON.parse(row.structure) : null;
+};
+
+/**
+ * Load the persisted passage embeddings of a model
+ * @param {string} model - Embedder and model the vectors were made with
+ * @returns {Map} - Map of passage ID to { contentHash, vector }
+ */
+const loadEmbeddings = (model) => {
+  const rows = db.prepare('SELECT id, content_hash, vector FROM notion_passage_embeddings WHERE model = ?').all(model);
+  return new Map(rows.map(row => [row.id, { contentHash: row.content_hash, vector: JSON.parse(row.vector) }]));
+};
+
+const upsertEmbedding = db.prepare(`
+  INSERT INTO notion_passage_embeddings (id, model, content_hash, vector) VALUES (?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET
+    model = excluded.model,
+    content_hash = excluded.content_hash,
+    vector = excluded.vector
+`);
+
+/**
+ * Save passage embeddings, replacing those of passages that no longer exist
+ * @param {string} model - Embedder and model the vectors were made with
+ * @param {Array} embeddings - Array of { id, contentHash, vector }
+ * @param {Array} removedIds - Passages whose embeddings should be deleted
+ */
+const saveEmbeddings = db.transaction((model, embeddings, removedIds = []) => {
+  const deleteEmbedding = db.prepare('DELETE FROM notion_passage_embeddings WHERE id = ?');
+  for (const id of removedIds) {
+    deleteEmbedding.run(id);
+  }
+
+  for (const { id, contentHash, vector } of embeddings) {
+    upsertEmbedding.run(id, model, contentHash, JSON.stringify(vector));
+  }
+});
+
+/**
+ * Get a metadata value
+ * @param {string} key - Metadata key
+ * @returns {*} - Stored value or null
+ */
+const getMeta = (key) => {
+  const row = db.prepare('SELECT value FROM notion_cache_meta WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : null;
+};
+
+/**
+ * Set a metadata value
+ * @param {string} key - Metadata key
+ * @param {*} value - Value to store
+ */
+const setMeta = (key, value) => {
+  db.prepare(`
+    INSERT INTO notion_cache_meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, JSON.stringify(value));
+};
+
+/**
+ * Remove everything from the store
+ */
+const clear = db.transaction(() => {
+  db.prepare('DELETE FROM notion_pages').run();
+  db.prepare('DELETE FROM notion_databases').run();
+  db.prepare('DELETE FROM notion_index_terms').run();
+  db.prepare('DELETE FROM notion_passage_embeddings').run();
+  db.prepare('DELETE FROM notion_cache_meta').run();
+});
+
+module.exports = {
+  loadSnapshot,
+  saveEntry,
+  replaceTerms,
+  deleteEntry,
+  getStructure,
+  loadEmbeddings,
+  saveEmbeddings,
+  getMeta,
+  setMeta,
+  clear
+};
@@ -0,0 +1,134 @@
+/**
+ * Contact List Processor
+ *
+ * Extracts people from a contact list: their name, role, team, email and
+ * phone number. People are read from tables with recognisable column
+ * headers and from lines that contain an email address or phone number.
+ */
+const { parseMarkdown, findColumn } = require('./markdownParser');
+const notionUtils = require('../utils');
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+// Phone numbers with at least eight digits, optionally international
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s-]?)?(?:\(\d{1,4}\)[\s-]?)?\d[\d\s-]{6,}\d/;
+
+const COLUMNS = {
+  name: /^(name|person|contact|who|staff)\b/i,
+  role: /^(role|title|position|job)\b/i,
+  team: /^(team|department|dept|area|group)\b/i,
+  email: /^(e-?mail|email address)\b/i,
+  phone: /^(phone|mobile|tel|telephone|number|contact number)\b/i
+};
+
+/**
+ * Read people from a table with recognisable columns
+ * @param {Object} table - Parsed table
+ * @returns {Array} - People
+ */
+const peopleFromTable = (table) => {
+  const columns = Object.fromEntries(
+    Object.entries(COLUMNS).map(([field, pattern]) => [field, findColumn(table.headers, pattern)])
+  );
+  if (columns.name === -1 && columns.email === -1) {
+    return [];
+  }
+
+  const cell = (row, field) => (columns[field] !== -1 && row[columns[field]]) || null;
+
+  return table.rows.map(row => ({
+    name: cell(row, 'name'),
+    role: cell(row, 'role'),
+    team: cell(row, 'team') || table.headingPath[table.headingPath.length - 1] || null,
+    email: (cell(row, 'email') || '').match(EMAIL_PATTERN)?.[0] || null,
+    phone: cell(row, 'phone')
+  }));
+};
+
+/**
+ * Read a person from a line such as "Jane Smith – Finance Manager – jane@sbc.com – 0412 345 678"
+ * @param {string} line - Text of a list item or paragraph line
+ * @param {string|null} team - Heading the line sits under
+ * @returns {Object|null} - Person, or null if the line has no email or phone number
+ */
+const personFromLine = (line, team) => {
+  const email = line.match(EMAIL_PATTERN);
+  const phone = line.replace(EMAIL_PATTERN, ' ').match(PHONE_PATTERN);
+  if (!email && !phone) {
+    return null;
+  }
+
+  // What is left once the email and phone are removed is the name followed by the role
+  const parts = line
+    .replace(EMAIL_PATTERN, ' ')
+    .replace(PHONE_PATTERN, ' ')
+    .replace(/\b(?:e-?mail|phone|mobile|tel|ph|m|e|p)\s*[:：]/gi, ' ')
+    .split(/\s+[–—-]\s+|[:：|,;()]/)
+    .map(part => part.replace(/^@/, '').trim())
+    .filter(part => /[\p{L}]/u.test(part));
+
+  return {
+    name: parts[0] || null,
+    role: parts.slice(1).join(', ') || null,
+    team,
+    email: email ? email[0] : null,
+    phone: phone ? phone[0].trim() : null
+  };
+};
+
+/**
+ * Process a contact list document
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - { type: 'CONTACT_LIST', people: [{ name, role, team, email, phone }], fullContent }
+ */
+const processContactListDocument = (content) => {
+  const people = [];
+  const seen = new Set();
+
+  for (const block of parseMarkdown(content)) {
+    let found = [];
+    if (block.type === 'table') {
+      found = peopleFromTable(block);
+    } else if (block.type === 'list_item' || block.type === 'paragraph') {
+      const team = block.headingPath[block.headingPath.length - 1] || null;
+      found = (block.lines || [block.text]).map(line => personFromLine(line, team)).filter(Boolean);
+    }
+
+    for (const person of found) {
+      if (!person.name && !person.email && !person.phone) continue;
+
+      const key = (person.email || person.name || person.phone).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      people.push(person);
+    }
+  }
+
+  return {
+    type: 'CONTACT_LIST',
+    people,
+    fullContent: content
+  };
+};
+
+/**
+ * Render a processed contact list as a Markdown table
+ * @param {Object} contactList - Result of processContactListDocument
+ * @returns {string} - Markdown
+ */
+const renderContactListDocument = (contactList) => {
+  if (contactList.people.length === 0) {
+    return '';
+  }
+
+  const fields = ['name', 'role', 'team', 'email', 'phone'];
+  const headers = ['Name', 'Role', 'Team', 'Email', 'Phone'];
+  const lines = [headers, ...contactList.people.map(person => fields.map(field => person[field] || ''))]
+    .map(cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`);
+
+  return notionUtils.formatTable({ table: { table_width: headers.length, has_column_header: true } }, lines);
+};
+
+module.exports = {
+  processContactListDocument,
+  renderContactListDocument
+};
@@ -0,0 +1,144 @@
+/**
+ * Form Processor
+ *
+ * Extracts the fields of a form or template: their label, what kind of
+ * value they take, whether they are required and any options, along with
+ * the instructions for submitting the form.
+ */
+const { parseMarkdown, findColumn, splitSentences } = require('./markdownParser');
+
+// "Name: ______", "Date of birth: [ ]", "Signature:"
+const BLANK_FIELD_PATTERN = /^([^:：]{2,60})[:：]\s*(?:_{2,}|\.{3,}|\[\s*\]|\(\s*\)|<[^>]*>)?\s*$/;
+const REQUIRED_PATTERN = /\*\s*$|\((?:required|mandatory)\)|\brequired\b/i;
+const OPTIONAL_PATTERN = /\((?:optional|if applicable)\)/i;
+// "Payment method (EFT / cheque / card)"
+const OPTIONS_PATTERN = /\(([^()]+(?:\s*\/\s*[^()]+)+)\)/;
+const SUBMISSION_PATTERN = /\b(submit|send (?:it|the form|the completed|completed)|return (?:it|the form|completed)|lodge|email (?:it|the form|the completed|completed))\b/i;
+
+const FIELD_TYPES = [
+  { type: 'signature', pattern: /\bsign(ature|ed)?\b/i },
+  { type: 'date', pattern: /\b(date|dob|birthday|deadline|due)\b/i },
+  { type: 'email', pattern: /\be-?mail\b/i },
+  { type: 'phone', pattern: /\b(phone|mobile|tel)\b/i },
+  { type: 'number', pattern: /\b(amount|cost|total|price|quantity|number of|\$|aud)\b/i }
+];
+
+/**
+ * Build a field from its label
+ * @param {string} rawLabel - Label as written, with markers such as "*" or "(optional)"
+ * @param {Object} [overrides] - Known type, options or required flag
+ * @returns {Object} - Field
+ */
+const toField = (rawLabel, overrides = {}) => {
+  const optionsMatch = rawLabel.match(OPTIONS_PATTERN);
+  const options = optionsMatch ? optionsMatch[1].split('/').map(option => option.trim()).filter(Boolean) : [];
+
+  const label = rawLabel
+    .replace(OPTIONS_PATTERN, '')
+    .replace(/\((?:required|mandatory|optional|if applicable)\)/gi, '')
+    .replace(/\*\s*$/, '')
+    .replace(/[:：]\s*$/, '')
+    .trim();
+
+  const fieldType = FIELD_TYPES.find(({ pattern }) => pattern.test(label));
+
+  return {
+    label,
+    type: options.length > 0 ? 'select' : (fieldType ? fieldType.type : 'text'),
+    required: !OPTIONAL_PATTERN.test(rawLabel) && REQUIRED_PATTERN.test(rawLabel),
+    options,
+    ...overrides
+  };
+};
+
+/**
+ * Read fields from a table with a field or question column
+ * @param {Object} table - Parsed table
+ * @returns {Array} - Fields
+ */
+const fieldsFromTable = (table) => {
+  const labelColumn = findColumn(table.headers, /^(field|question|item|label|detail|information)\b/i);
+  if (labelColumn === -1) {
+    // A two-column table with an empty second column is a form to fill in
+    const isBlankForm = table.rows.length > 0 && table.rows.every(row => row.length === 2 && row[0] && !row[1]);
+    return isBlankForm ? table.rows.map(row => toField(row[0])) : [];
+  }
+
+  const requiredColumn = findColumn(table.headers, /^(required|mandatory)\b/i);
+  const typeColumn = findColumn(table.headers, /^(type|format)\b/i);
+
+  return table.rows
+    .filter(row => row[labelColumn])
+    .map(row => {
+      const overrides = {};
+      if (requiredColumn !== -1) overrides.required = /^(yes|y|true|required|mandatory|✓|✔)$/i.test(row[requiredColumn]);
+      if (typeColumn !== -1 && row[typeColumn]) overrides.type = row[typeColumn].toLowerCase();
+      return toField(row[labelColumn], overrides);
+    });
+};
+
+/**
+ * Process a form document
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - { type: 'FORM', fields: [{ label, type, required, options, section }],
+ *   submission, fullContent }
+ */
+const processFormDocument = (content) => {
+  const fields = [];
+  const submission = [];
+
+  for (const block of parseMarkdown(content)) {
+    const section = block.headingPath ? block.headingPath[block.headingPath.length - 1] || null : null;
+
+    if (block.type === 'table') {
+      fields.push(...fieldsFromTable(block).map(field => ({ ...field, section })));
+    } else if (block.type === 'list_item' && block.checked !== null) {
+      fields.push({ ...toField(block.text, { type: 'checkbox', options: [] }), section });
+    } else if (block.type === 'list_item' || block.type === 'paragraph') {
+      for (const line of block.lines || [block.text]) {
+        const blank = line.match(BLANK_FIELD_PATTERN);
+        if (blank) {
+          fields.push({ ...toField(blank[1]), section });
+        } else {
+          submission.push(...splitSentences(line).filter(sentence => SUBMISSION_PATTERN.test(sentence)));
+        }
+      }
+    }
+  }
+
+  return {
+    type: 'FORM',
+    fields,
+    submission: submission.length > 0 ? submission.join(' ') : null,
+    fullContent: content
+  };
+};
+
+/**
+ * Render a processed form as Markdown
+ * @param {Object} form - Result of processFormDocument
+ * @returns {string} - Markdown
+ */
+const renderFormDocument = (form) => {
+  if (form.fields.length === 0) {
+    return form.submission ? `**How to submit:** ${form.submission}` : '';
+  }
+
+  const lines = ['**Fields**'];
+  for (const field of form.fields) {
+    const notes = [field.type, field.required ? 'required' : null].filter(Boolean).join(', ');
+    const options = field.options.length > 0 ? `: ${field.options.join(' / ')}` : '';
+    lines.push(`- ${field.label} (${notes})${options}`);
+  }
+
+  if (form.submission) {
+    lines.push('', `**How to submit:** ${form.submission}`);
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  processFormDocument,
+  renderFormDocument
+};
@@ -0,0 +1,43 @@
+/**
+ * General Processor
+ *
+ * Default processor for pages that are not a policy, procedure, contact
+ * list or form: keeps the opening summary and the outline of the page.
+ */
+const { parseMarkdown } = require('./markdownParser');
+
+const MAX_SUMMARY_CHARS = 300;
+
+/**
+ * Process a general information document
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - { type: 'GENERAL_INFO', summary, headings, fullContent }
+ */
+const processGeneralDocument = (content) => {
+  const blocks = parseMarkdown(content);
+  const firstParagraph = blocks.find(block => block.type === 'paragraph');
+
+  let summary = firstParagraph ? firstParagraph.text : null;
+  if (summary && summary.length > MAX_SUMMARY_CHARS) {
+    summary = summary.slice(0, MAX_SUMMARY_CHARS).replace(/\s+\S*$/, '') + '...';
+  }
+
+  return {
+    type: 'GENERAL_INFO',
+    summary,
+    headings: blocks.filter(block => block.type === 'heading' && block.level <= 2).map(block => block.text),
+    fullContent: content
+  };
+};
+
+/**
+ * Render a processed general document
+ * The page content itself is the answer, so nothing is added to it.
+ * @returns {string} - Empty Markdown
+ */
+const renderGeneralDocument = () => '';
+
+module.exports = {
+  processGeneralDocument,
+  renderGeneralDocument
+};
@@ -0,0 +1,136 @@
+/**
+ * Content Processors
+ *
+ * Classifies a page as one of the document types in workspaceStructure.js
+ * and turns its content into a typed object for that type: ordered steps
+ * for procedures, requirements and dates for policies, people for contact
+ * lists and fields for forms. Each processor also renders its object as
+ * Markdown for responses.
+ */
+const WORKSPACE_STRUCTURE = require('../workspaceStructure');
+const { parseMarkdown } = require('./markdownParser');
+const { processPolicyDocument, renderPolicyDocument, requirementLevel } = require('./policyProcessor');
+const { processProcedureDocument, renderProcedureDocument } = require('./procedureProcessor');
+const { processContactListDocument, renderContactListDocument } = require('./contactListProcessor');
+const { processFormDocument, renderFormDocument } = require('./formProcessor');
+const { processGeneralDocument, renderGeneralDocument } = require('./generalProcessor');
+
+const processors = {
+  POLICY: { process: processPolicyDocument, render: renderPolicyDocument },
+  PROCEDURE: { process: processProcedureDocument, render: renderProcedureDocument },
+  CONTACT_LIST: { process: processContactListDocument, render: renderContactListDocument },
+  FORM: { process: processFormDocument, render: renderFormDocument },
+  GENERAL_INFO: { process: processGeneralDocument, render: renderGeneralDocument }
+};
+
+// A key term in the title counts for this much more than one in the content
+const TITLE_TERM_WEIGHT = 3;
+// Each signal only counts up to this many times, so one long list does not decide the type
+const MAX_SIGNAL_COUNT = 10;
+// Pages scoring below this are general information
+const MIN_TYPE_SCORE = 2;
+// The content must score this much for a type on its own; a title alone ("Staff Expenses") is not enough
+const MIN_BODY_SCORE = 1;
+// Contact details only make a contact list when at least this share of the entries has them
+const MIN_CONTACT_SHARE = 0.25;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+/**
+ * Count the whole-word occurrences of a term, including its plural
+ * @param {string} text - Lowercase text
+ * @param {string} term - Lowercase term
+ * @returns {number}
+ */
+const countTerm = (text, term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return (text.match(new RegExp(`\\b${escaped}(?:e?s)?\\b`, 'g')) || []).length;
+};
+
+/**
+ * Classify a page by its title, wording and structure
+ * A type needs evidence in the content; key terms in the title only help decide between types.
+ * @param {string} title - Page title
+ * @param {string} content - Page content as Markdown
+ * @returns {string} - Document type, e.g. 'PROCEDURE'
+ */
+const classifyDocument = (title = '', content = '') => {
+  const titleLower = title.toLowerCase();
+  const contentLower = content.toLowerCase();
+  const titleScores = {};
+  const bodyScores = {};
+
+  for (const [type, { keyTerms }] of Object.entries(WORKSPACE_STRUCTURE.documentTypes)) {
+    titleScores[type] = 0;
+    bodyScores[type] = 0;
+    for (const term of keyTerms) {
+      if (countTerm(titleLower, term) > 0) {
+        titleScores[type] += TITLE_TERM_WEIGHT;
+      }
+      bodyScores[type] += Math.min(countTerm(contentLower, term), MAX_SIGNAL_COUNT) * 0.2;
+    }
+  }
+
+  // The shape of the content says as much as its words
+  const blocks = parseMarkdown(content);
+  const listItems = blocks.filter(block => block.type === 'list_item');
+  const statements = blocks.filter(block => block.type === 'list_item' || block.type === 'paragraph');
+  // A process page that names a few people is not a contact list
+  const entries = [
+    ...statements.map(block => block.text),
+    ...blocks.filter(block => block.type === 'table').flatMap(block => block.rows.map(row => row.join(' ')))
+  ];
+  const contactEntries = entries.filter(text => EMAIL_PATTERN.test(text)).length;
+  const signals = {
+    PROCEDURE: listItems.filter(item => item.ordered).length + blocks.filter(block => block.type === 'heading' && /^step\s*\d+/i.test(block.text)).length,
+    POLICY: statements.filter(block => requirementLevel(block.text) !== null).length,
+    CONTACT_LIST: contactEntries >= entries.length * MIN_CONTACT_SHARE ? contactEntries : 0,
+    FORM: listItems.filter(item => item.checked !== null).length + (content.match(/:\s*(?:_{3,}|\[\s*\])/g) || []).length
+  };
+
+  for (const [type, count] of Object.entries(signals)) {
+    bodyScores[type] = (bodyScores[type] || 0) + Math.min(count, MAX_SIGNAL_COUNT) * 0.5;
+  }
+
+  const score = type => (titleScores[type] || 0) + (bodyScores[type] || 0);
+  const [bestType] = Object.keys(bodyScores)
+    .filter(type => type !== 'GENERAL_INFO' && bodyScores[type] >= MIN_BODY_SCORE)
+    .sort((a, b) => score(b) - score(a));
+
+  return bestType && score(bestType) >= MIN_TYPE_SCORE && score(bestType) > score('GENERAL_INFO')
+    ? bestType
+    : 'GENERAL_INFO';
+};
+
+/**
+ * Process page content for its document type
+ * @param {string} documentType - Document type, e.g. 'POLICY'
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - Typed object with a `type` and the `fullContent`
+ */
+const processContent = (documentType, content = '') => {
+  const processor = processors[documentType] || processors.GENERAL_INFO;
+
+  try {
+    return processor.process(content);
+  } catch (error) {
+    console.error(`Error processing ${documentType} content:`, error);
+    return processors.GENERAL_INFO.process(content);
+  }
+};
+
+/**
+ * Render a processed document as Markdown
+ * @param {Object} processed - Result of processContent
+ * @returns {string} - Markdown, empty when the type adds nothing to the page content
+ */
+const renderProcessedContent = (processed) => {
+  const processor = processed && processors[processed.type];
+  return processor ? processor.render(processed) : '';
+};
+
+module.exports = {
+  classifyDocument,
+  processContent,
+  renderProcessedContent
+};
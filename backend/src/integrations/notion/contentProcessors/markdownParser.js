@@ -0,0 +1,254 @@
+/**
+ * Markdown Parser for Content Processors
+ *
+ * Splits the Markdown of a cached page (as produced by markdownRenderer)
+ * back into headings, list items, tables and paragraphs, each tagged with
+ * the headings it sits under, so processors can pick out the parts they
+ * need without dealing with Notion blocks.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)(?:(\d+)\.|[-*+])\s+(?:\[( |x)\]\s+)?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\|(\s*:?-{3,}:?\s*\|)+$/;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+/**
+ * Remove Markdown formatting from inline text
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+const stripMarkdown = (text = '') => {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/~~([^~]+)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\\\|/g, '|')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split a Markdown table row into cells
+ * @param {string} line - Table row such as "| a | b |"
+ * @returns {Array} - Cell texts
+ */
+const splitTableRow = (line) => {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    // Pipes inside cells are escaped by the renderer
+    .split(/(?<!\\)\|/)
+    .map(cell => stripMarkdown(cell));
+};
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} content - Markdown content
+ * @returns {Array} - Blocks: { type: 'heading', level, text }, { type: 'list_item', indent,
+ *   ordered, number, checked, text, markdown }, { type: 'table', headers, rows } and
+ *   { type: 'paragraph', text, markdown, lines }; all but headings carry the headingPath they sit under
+ */
+const parseMarkdown = (content = '') => {
+  const blocks = [];
+  const headingStack = [];
+  let paragraph = [];
+  let table = null;
+
+  const headingPath = () => headingStack.map(heading => heading.text);
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      const markdown = paragraph.join(' ');
+      blocks.push({
+        type: 'paragraph',
+        text: stripMarkdown(markdown),
+        markdown,
+        // Line breaks inside a paragraph often separate fields or entries
+        lines: paragraph.map(line => stripMarkdown(line)),
+        headingPath: headingPath()
+      });
+      paragraph = [];
+    }
+  };
+
+  const flushTable = () => {
+    if (table) {
+      const hasHeader = table.lines.length > 1 && TABLE_SEPARATOR_PATTERN.test(table.lines[1].replace(/\s/g, ''));
+      const rows = table.lines.filter((line, i) => !(hasHeader && i === 1)).map(splitTableRow);
+      blocks.push({
+        type: 'table',
+        headers: hasHeader ? rows[0] : [],
+        rows: (hasHeader ? rows.slice(1) : rows).filter(row => row.some(cell => cell)),
+        headingPath: headingPath()
+      });
+      table = null;
+    }
+  };
+
+  for (const rawLine of content.split('\n')) {
+    // Callouts and quotes are read like the rest of the page
+    const line = rawLine.replace(/^(?:>\s?)+/, '');
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('|')) {
+      flushParagraph();
+      table = table || { lines: [] };
+      table.lines.push(trimmed);
+      continue;
+    }
+    flushTable();
+
+    if (!trimmed) {
+      flushParagraph();
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING_PATTERN);
+    if (heading) {
+      flushParagraph();
+      const level = heading[1].length;
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      const text = stripMarkdown(heading[2]);
+      blocks.push({ type: 'heading', level, text });
+      headingStack.push({ level, text });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      flushParagraph();
+      blocks.push({
+        type: 'list_item',
+        indent: item[1].length,
+        ordered: item[2] !== undefined,
+        number: item[2] !== undefined ? Number(item[2]) : null,
+        checked: item[3] === undefined ? null : item[3] === 'x',
+        text: stripMarkdown(item[4]),
+        markdown: item[4],
+        headingPath: headingPath()
+      });
+      continue;
+    }
+
+    // Indented lines continue the list item above them
+    const previous = blocks[blocks.length - 1];
+    if (paragraph.length === 0 && previous && previous.type === 'list_item' && /^\s+/.test(line)) {
+      previous.text = stripMarkdown(`${previous.text} ${trimmed}`);
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+  flushTable();
+
+  return blocks;
+};
+
+/**
+ * Nest list items under the item they are indented beneath
+ * @param {Array} items - List item blocks in page order
+ * @returns {Array} - Top-level items, each with a children array
+ */
+const buildListTree = (items) => {
+  const roots = [];
+  const stack = [];
+
+  for (const item of items) {
+    const node = { ...item, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].indent >= node.indent) {
+      stack.pop();
+    }
+
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      roots.push(node);
+    }
+    stack.push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Split text into sentences
+ * @param {string} text - Plain text
+ * @returns {Array} - Sentences
+ */
+const splitSentences = (text) => {
+  return text
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"(])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Find the column of a table whose header matches a pattern
+ * @param {Array} headers - Table headers
+ * @param {RegExp} pattern - Header pattern
+ * @returns {number} - Column index, or -1
+ */
+const findColumn = (headers, pattern) => headers.findIndex(header => pattern.test(header));
+
+/**
+ * Read a date written in one of the usual forms
+ * Numeric dates are read day first (1/7/2024 is 1 July), as written in Australia.
+ * @param {string} text - Text containing a date
+ * @returns {Object|null} - { text, iso } with iso as YYYY-MM-DD, or null if there is no date
+ */
+const parseDate = (text = '') => {
+  const toIso = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  };
+
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) {
+    const iso = toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (iso) return { text: match[0], iso };
+  }
+
+  const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${monthPattern},?\\s+(\\d{4})\\b`, 'i'));
+  if (match) {
+    const month = MONTHS.findIndex(name => name.startsWith(match[2].toLowerCase().slice(0, 3))) + 1;
+    const iso = toIso(Number(match[3]), month, Number(match[1]));
+    if (iso) return { text: match[0], iso };
+  }
+
+  match = text.match(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'));
+  if (match) {
+    const month = MONTHS.findIndex(name => name.startsWith(match[1].toLowerCase().slice(0, 3))) + 1;
+    const iso = toIso(Number(match[3]), month, Number(match[2]));
+    if (iso) return { text: match[0], iso };
+  }
+
+  match = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+  if (match) {
+    const iso = toIso(Number(match[3]), Number(match[2]), Number(match[1]));
+    if (iso) return { text: match[0], iso };
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseMarkdown,
+  buildListTree,
+  stripMarkdown,
+  splitSentences,
+  findColumn,
+  parseDate
+};
@@ -0,0 +1,143 @@
+/**
+ * Policy Processor
+ *
+ * Extracts the requirements of a policy (what must, must not and should be
+ * done), when it takes effect and when it is due for review.
+ */
+const { parseMarkdown, splitSentences, findColumn, parseDate } = require('./markdownParser');
+
+// Checked in order, so prohibitions are not mistaken for obligations
+const REQUIREMENT_LEVELS = [
+  { level: 'prohibited', pattern: /\b(must not|shall not|may not|cannot|can't|are not (?:permitted|allowed)|is not (?:permitted|allowed)|(?:is|are) prohibited|never)\b/i },
+  { level: 'mandatory', pattern: /\b(must|shall|required to|(?:is|are) required|(?:is|are) mandatory|need to|needs to|(?:is|are) expected to|(?:is|are) responsible for)\b/i },
+  { level: 'recommended', pattern: /\b(should|(?:is|are) recommended|(?:is|are) encouraged|where possible)\b/i }
+];
+
+const DATE_LABELS = {
+  effectiveDate: /\b(effective(?: date| from| as of)?|commencement(?: date)?|in effect from|applies from)\b/i,
+  reviewDate: /\b(next review(?: date)?|review date|to be reviewed|review due)\b/i
+};
+const OWNER_LABEL_PATTERN = /\b(?:policy owner|owner|approved by|responsible)\s*[:：\-–—]\s*([^.;()\n]+)/i;
+const PURPOSE_HEADING_PATTERN = /\b(purpose|scope|overview|objective|summary)\b/i;
+
+/**
+ * Classify a statement by how binding it is
+ * @param {string} text - Statement
+ * @returns {string|null} - 'prohibited', 'mandatory', 'recommended', or null if it is not a requirement
+ */
+const requirementLevel = (text) => {
+  const match = REQUIREMENT_LEVELS.find(({ pattern }) => pattern.test(text));
+  return match ? match.level : null;
+};
+
+/**
+ * Find a labelled date such as "Effective date: 1 July 2024"
+ * @param {Array} blocks - Parsed blocks
+ * @param {RegExp} label - Label pattern
+ * @returns {Object|null} - { text, iso }, or null if the page does not say
+ */
+const findLabelledDate = (blocks, label) => {
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      // Key-value tables: one row per property
+      for (const row of block.rows) {
+        if (row.length >= 2 && label.test(row[0])) {
+          const date = parseDate(row.slice(1).join(' '));
+          if (date) return date;
+        }
+      }
+      // Tables with one column per property
+      const column = findColumn(block.headers, label);
+      if (column !== -1 && block.rows[0]) {
+        const date = parseDate(block.rows[0][column]);
+        if (date) return date;
+      }
+      continue;
+    }
+
+    const text = block.text || '';
+    const match = text.match(label);
+    if (match) {
+      const date = parseDate(text.slice(match.index));
+      if (date) return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Process a policy document
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - { type: 'POLICY', purpose, owner, effectiveDate, reviewDate,
+ *   requirements: [{ text, level, section }], fullContent }
+ */
+const processPolicyDocument = (content) => {
+  const blocks = parseMarkdown(content);
+  const requirements = [];
+  const seen = new Set();
+
+  for (const block of blocks) {
+    if (block.type !== 'list_item' && block.type !== 'paragraph') continue;
+
+    // Each sentence can be a requirement of its own
+    for (const text of splitSentences(block.text)) {
+      const level = requirementLevel(text);
+      if (!level || seen.has(text) || DATE_LABELS.effectiveDate.test(text) || DATE_LABELS.reviewDate.test(text)) {
+        continue;
+      }
+      seen.add(text);
+      requirements.push({
+        text,
+        level,
+        section: block.headingPath[block.headingPath.length - 1] || null
+      });
+    }
+  }
+
+  const purposeBlock = blocks.find(block =>
+    block.type === 'paragraph' && block.headingPath.some(heading => PURPOSE_HEADING_PATTERN.test(heading))
+  );
+  const ownerBlock = blocks.find(block => block.type !== 'table' && block.text && OWNER_LABEL_PATTERN.test(block.text));
+
+  return {
+    type: 'POLICY',
+    purpose: purposeBlock ? purposeBlock.text : null,
+    owner: ownerBlock ? ownerBlock.text.match(OWNER_LABEL_PATTERN)[1].trim() : null,
+    effectiveDate: findLabelledDate(blocks, DATE_LABELS.effectiveDate),
+    reviewDate: findLabelledDate(blocks, DATE_LABELS.reviewDate),
+    requirements,
+    fullContent: content
+  };
+};
+
+/**
+ * Render a processed policy as Markdown
+ * @param {Object} policy - Result of processPolicyDocument
+ * @returns {string} - Markdown
+ */
+const renderPolicyDocument = (policy) => {
+  const lines = [];
+
+  if (policy.purpose) lines.push(`**Purpose:** ${policy.purpose}`);
+  if (policy.owner) lines.push(`**Policy owner:** ${policy.owner}`);
+  if (policy.effectiveDate) lines.push(`**Effective date:** ${policy.effectiveDate.iso}`);
+  if (policy.reviewDate) lines.push(`**Next review:** ${policy.reviewDate.iso}`);
+
+  const labels = { prohibited: 'Must not', mandatory: 'Must', recommended: 'Should' };
+  if (policy.requirements.length > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push('**Requirements**');
+    for (const requirement of policy.requirements) {
+      lines.push(`- [${labels[requirement.level]}] ${requirement.text}`);
+    }
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  processPolicyDocument,
+  renderPolicyDocument,
+  requirementLevel
+};
@@ -0,0 +1,193 @@
+/**
+ * Procedure Processor
+ *
+ * Extracts the ordered steps of a procedure and who carries out each step.
+ * Steps come from numbered lists, "Step 1" headings, a table with a step
+ * column, or failing those the bullet list under a "steps" or "process"
+ * heading.
+ */
+const { parseMarkdown, buildListTree, findColumn, stripMarkdown } = require('./markdownParser');
+
+// "Owner: Finance", "Responsible - the CFO", "(owner: Jane)"
+const OWNER_LABEL_PATTERN = /\b(?:process owner|owner|responsible(?: party| person)?|responsibility|assignee|assigned to|performed by|done by|completed by)\s*[:：\-–—]\s*([^.;()\n]+)/i;
+// "**Finance team**: reconcile the accounts"
+const LEADING_ACTOR_PATTERN = /^\*\*([^*]{2,60})\*\*\s*[:\-–—]/;
+// "The finance team to approve the invoice", "CFO will sign"
+const ROLE_SUBJECT_PATTERN = /^((?:the\s+)?(?:[A-Z][\w&/-]*\s+){0,3}(?:team|manager|officer|lead|department|director|coordinator|administrator|admin|CEO|CFO|COO|CTO|HR|Finance|Accounts|Payroll|Legal|Operations))\s+(?:to|will|must|should|shall)\b/;
+const STEP_HEADING_PATTERN = /^step\s*(\d+)\s*[:.\-–—]?\s*(.*)$/i;
+const STEPS_SECTION_PATTERN = /\b(steps?|process|procedure|how to|instructions?|workflow)\b/i;
+
+/**
+ * Find who carries out a step
+ * @param {string} markdown - Step text as Markdown
+ * @returns {string|null} - Owner, or null if the step does not say
+ */
+const findOwner = (markdown) => {
+  const text = stripMarkdown(markdown);
+
+  const label = text.match(OWNER_LABEL_PATTERN);
+  if (label) return label[1].trim();
+
+  const actor = markdown.trim().match(LEADING_ACTOR_PATTERN);
+  if (actor) return stripMarkdown(actor[1]);
+
+  const subject = text.match(ROLE_SUBJECT_PATTERN);
+  if (subject) return subject[1].replace(/^the\s+/i, '').trim();
+
+  return null;
+};
+
+/**
+ * Turn a list item and its sub-items into a step
+ * @param {Object} item - List item with children
+ * @returns {Object} - Step without a number
+ */
+const itemToStep = (item) => {
+  const details = [];
+  let owner = findOwner(item.markdown);
+
+  const collect = (children) => {
+    for (const child of children) {
+      const childOwner = findOwner(child.markdown);
+      // A sub-item that only names the owner belongs to the step itself
+      if (childOwner && !owner && OWNER_LABEL_PATTERN.test(child.text) && child.text.length < 80) {
+        owner = childOwner;
+      } else {
+        details.push(child.text);
+      }
+      collect(child.children);
+    }
+  };
+  collect(item.children);
+
+  return {
+    text: item.text,
+    owner,
+    details,
+    section: item.headingPath[item.headingPath.length - 1] || null
+  };
+};
+
+/**
+ * Steps from numbered lists
+ */
+const stepsFromNumberedLists = (blocks) => {
+  const items = blocks.filter(block => block.type === 'list_item');
+  return buildListTree(items)
+    .filter(item => item.ordered)
+    .map(itemToStep);
+};
+
+/**
+ * Steps from "Step 1: ..." headings and the text under them
+ */
+const stepsFromHeadings = (blocks) => {
+  const steps = [];
+  let current = null;
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      const match = block.text.match(STEP_HEADING_PATTERN);
+      current = match ? { text: match[2] || block.text, owner: null, details: [], section: null } : null;
+      if (current) steps.push(current);
+    } else if (current) {
+      const text = block.type === 'table' ? block.rows.map(row => row.join(' | ')).join('; ') : block.text;
+      if (!current.owner) current.owner = findOwner(block.markdown || text);
+      current.details.push(text);
+    }
+  }
+
+  return steps;
+};
+
+/**
+ * Steps from a table with a step or task column
+ */
+const stepsFromTables = (blocks) => {
+  for (const table of blocks.filter(block => block.type === 'table')) {
+    const stepColumn = findColumn(table.headers, /^(step|task|action|activity|what)\b/i);
+    if (stepColumn === -1) continue;
+
+    const ownerColumn = findColumn(table.headers, /^(owner|who|responsible|assignee|role|by)\b/i);
+    return table.rows
+      .filter(row => row[stepColumn])
+      .map(row => ({
+        text: row[stepColumn],
+        owner: ownerColumn !== -1 && row[ownerColumn] ? row[ownerColumn] : findOwner(row[stepColumn]),
+        details: row.filter((cell, i) => cell && i !== stepColumn && i !== ownerColumn && !/^\d+\.?$/.test(cell)),
+        section: table.headingPath[table.headingPath.length - 1] || null
+      }));
+  }
+
+  return [];
+};
+
+/**
+ * Steps from the bullet list under a steps or process heading
+ */
+const stepsFromSectionBullets = (blocks) => {
+  const items = blocks.filter(block =>
+    block.type === 'list_item' &&
+    block.checked === null &&
+    block.headingPath.some(heading => STEPS_SECTION_PATTERN.test(heading))
+  );
+  return buildListTree(items).map(itemToStep);
+};
+
+/**
+ * Process a procedure document
+ * @param {string} content - Page content as Markdown
+ * @returns {Object} - { type: 'PROCEDURE', owner, steps: [{ number, text, owner, details, section }], fullContent }
+ */
+const processProcedureDocument = (content) => {
+  const blocks = parseMarkdown(content);
+
+  let steps = stepsFromNumberedLists(blocks);
+  if (steps.length === 0) steps = stepsFromHeadings(blocks);
+  if (steps.length === 0) steps = stepsFromTables(blocks);
+  if (steps.length === 0) steps = stepsFromSectionBullets(blocks);
+
+  // An owner named outside the steps owns the whole procedure
+  const ownerBlock = blocks.find(block =>
+    block.type === 'paragraph' && OWNER_LABEL_PATTERN.test(block.text)
+  );
+
+  return {
+    type: 'PROCEDURE',
+    owner: ownerBlock ? findOwner(ownerBlock.markdown) : null,
+    // Separate lists are numbered as one procedure
+    steps: steps.map((step, i) => ({ number: i + 1, ...step })),
+    fullContent: content
+  };
+};
+
+/**
+ * Render a processed procedure as Markdown
+ * @param {Object} procedure - Result of processProcedureDocument
+ * @returns {string} - Markdown
+ */
+const renderProcedureDocument = (procedure) => {
+  if (procedure.steps.length === 0) {
+    return '';
+  }
+
+  const lines = [];
+  if (procedure.owner) {
+    lines.push(`**Process owner:** ${procedure.owner}`, '');
+  }
+
+  lines.push('**Steps**');
+  for (const step of procedure.steps) {
+    lines.push(`${step.number}. ${step.text}${step.owner ? ` (Owner: ${step.owner})` : ''}`);
+    for (const detail of step.details) {
+      lines.push(`   - ${detail}`);
+    }
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  processProcedureDocument,
+  renderProcedureDocument
+};
@@ -0,0 +1,478 @@
+/**
+ * Database Query
+ *
+ * Answers questions about the rows of a Notion database, such as
+ * "which grants are due before June?". The database's schema is shown to
+ * the LLM, which translates the question into a Notion filter and sorts.
+ * The filter is validated against the schema, evaluated against the cached
+ * items (or sent to the Notion API when the items aren't cached) and the
+ * matching rows are returned as a Markdown table.
+ */
+const notionApi = require('./api');
+const notionUtils = require('./utils');
+const notionCache = require('./cache');
+const llm = require('../../services/llm');
+
+const DEFAULT_LIMIT = 25;
+const MAX_TABLE_COLUMNS = 6;
+
+// Filter conditions the Notion API supports for each property type
+const TEXT_CONDITIONS = ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+const NUMBER_CONDITIONS = ['equals', 'does_not_equal', 'greater_than', 'less_than', 'greater_than_or_equal_to', 'less_than_or_equal_to', 'is_empty', 'is_not_empty'];
+const DATE_CONDITIONS = ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty'];
+const OPTION_CONDITIONS = ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'];
+const LIST_CONDITIONS = ['contains', 'does_not_contain', 'is_empty', 'is_not_empty'];
+
+const CONDITIONS_BY_TYPE = {
+  title: TEXT_CONDITIONS,
+  rich_text: TEXT_CONDITIONS,
+  url: TEXT_CONDITIONS,
+  email: TEXT_CONDITIONS,
+  phone_number: TEXT_CONDITIONS,
+  number: NUMBER_CONDITIONS,
+  date: DATE_CONDITIONS,
+  created_time: DATE_CONDITIONS,
+  last_edited_time: DATE_CONDITIONS,
+  select: OPTION_CONDITIONS,
+  status: OPTION_CONDITIONS,
+  multi_select: LIST_CONDITIONS,
+  people: LIST_CONDITIONS,
+  relation: LIST_CONDITIONS,
+  checkbox: ['equals', 'does_not_equal']
+};
+
+/**
+ * Describe a database's properties for the LLM and for validation
+ * @param {Object} database - Database object from the Notion API
+ * @returns {Array} - Properties, as { name, type, options }
+ */
+const describeSchema = (database) => {
+  return Object.entries((database && database.properties) || {}).map(([name, property]) => {
+    const config = property[property.type] || {};
+    return {
+      name,
+      type: property.type,
+      options: (config.options || []).map(option => option.name)
+    };
+  });
+};
+
+/**
+ * Get a database with its schema, from the cache or the Notion API
+ * @param {string} databaseId - Notion database ID
+ * @returns {Promise<Object>} - Database object
+ */
+const getDatabaseWithSchema = async (databaseId) => {
+  const cached = notionCache.databases.get(databaseId);
+  if (cached && cached.properties) {
+    return cached;
+  }
+  return notionApi.getDatabase(databaseId);
+};
+
+/**
+ * Find the cached database a question is most likely about
+ * @param {string} query - The user's question
+ * @returns {string|null} - Database ID, or null if no database title matches
+ */
+const findDatabase = (query) => {
+  const queryTerms = new Set(notionCache.tokenize(query));
+  let best = null;
+
+  for (const [id, database] of notionCache.databases.entries()) {
+    const title = database.title ? notionUtils.extractTextFromTitle(database.title) : '';
+    const titleTerms = notionCache.tokenize(title);
+    const matches = titleTerms.filter(term => queryTerms.has(term)).length;
+
+    if (matches > 0 && (!best || matches > best.matches)) {
+      best = { id, matches };
+    }
+  }
+
+  return best ? best.id : null;
+};
+
+/**
+ * Ask the LLM to translate a question into a Notion filter and sorts
+ * @param {string} query - The user's question
+ * @param {string} title - Database title
+ * @param {Array} schema - Database properties
+ * @returns {Promise<Object|null>} - { filter, sorts, limit }, or null if the question isn't about the rows
+ */
+const buildQueryPlan = async (query, title, schema) => {
+  const properties = schema
+    .map(property => `- "${property.name}" (${property.type})${property.options.length > 0 ? `: ${property.options.join(', ')}` : ''}`)
+    .join('\n');
+
+  const prompt = [
+    {
+      role: 'system',
+      content: `You translate questions about the Notion database "${title}" into a Notion API database query.
+      Today is ${new Date().toISOString().slice(0, 10)}.
+
+      Database properties:
+      ${properties}
+
+      Respond with ONLY a JSON object of the form:
+      {"answerable": true, "filter": <Notion filter or null>, "sorts": [{"property": "<name>", "direction": "ascending" | "descending"}], "limit": <number or null>}
+
+      Filters use the Notion API format, e.g. {"property": "Due", "date": {"before": "2025-06-01"}} or
+      {"and": [{"property": "Status", "status": {"equals": "Open"}}, {"property": "Amount", "number": {"greater_than": 1000}}]}.
+      The condition key is the property type. Use only the listed properties and options, and ISO dates.
+      Use {"answerable": false} if the question is not about the rows of this database.`
+    },
+    {
+      role: 'user',
+      content: query
+    }
+  ];
+
+  const response = await llm.getProvider().json(prompt, { purpose: 'database-query' });
+  const plan = response.data;
+
+  if (!plan || plan.answerable === false) {
+    return null;
+  }
+
+  return {
+    filter: plan.filter || null,
+    sorts: Array.isArray(plan.sorts) ? plan.sorts : [],
+    limit: Number.isInteger(plan.limit) && plan.limit > 0 ? plan.limit : DEFAULT_LIMIT
+  };
+};
+
+/**
+ * Check a filter against a database schema
+ * @param {Object|null} filter - Notion filter
+ * @param {Array} schema - Database properties
+ * @throws {Error} - If the filter uses unknown properties or conditions
+ */
+const validateFilter = (filter, schema) => {
+  if (!filter) return;
+
+  if (Array.isArray(filter.and) || Array.isArray(filter.or)) {
+    for (const child of filter.and || filter.or) {
+      validateFilter(child, schema);
+    }
+    return;
+  }
+
+  const property = schema.find(candidate => candidate.name === filter.property);
+  if (!property) {
+    throw new Error(`Unknown property "${filter.property}"`);
+  }
+
+  const conditions = CONDITIONS_BY_TYPE[property.type];
+  const condition = filter[property.type];
+  if (!conditions || !condition || typeof condition !== 'object') {
+    throw new Error(`Property "${property.name}" cannot be filtered as ${Object.keys(filter).filter(key => key !== 'property').join(', ') || 'nothing'}`);
+  }
+
+  for (const operator of Object.keys(condition)) {
+    if (!conditions.includes(operator)) {
+      throw new Error(`Unsupported condition "${operator}" for ${property.type} property "${property.name}"`);
+    }
+  }
+};
+
+/**
+ * Check sorts against a database schema
+ * @param {Array} sorts - Notion sorts
+ * @param {Array} schema - Database properties
+ * @throws {Error} - If a sort uses an unknown property or direction
+ */
+const validateSorts = (sorts, schema) => {
+  for (const sort of sorts) {
+    if (!schema.some(property => property.name === sort.property)) {
+      throw new Error(`Unknown sort property "${sort.property}"`);
+    }
+    if (!['ascending', 'descending'].includes(sort.direction)) {
+      throw new Error(`Unsupported sort direction "${sort.direction}"`);
+    }
+  }
+};
+
+/**
+ * Get a property value of a formatted database item
+ * @param {Object} item - Item from formatDatabaseItems
+ * @param {Object} property - Schema property
+ * @returns {*} - Property value
+ */
+const getValue = (item, property) => {
+  return property.type === 'title' ? item.title : item.properties[property.name];
+};
+
+const isEmptyValue = (value) => {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+// Dates compare by day; values are date strings or { start, end } objects
+const toDay = (value) => {
+  const date = value && typeof value === 'object' ? value.start : value;
+  return date ? String(date).slice(0, 10) : null;
+};
+
+/**
+ * Test a single condition against a value
+ * @param {string} type - Property type
+ * @param {string} operator - Condition operator
+ * @param {*} expected - Value from the filter
+ * @param {*} value - Value of the item
+ * @returns {boolean} - Whether the value satisfies the condition
+ */
+const testCondition = (type, operator, expected, value) => {
+  if (operator === 'is_empty') return isEmptyValue(value) === (expected !== false);
+  if (operator === 'is_not_empty') return isEmptyValue(value) !== (expected !== false);
+
+  if (CONDITIONS_BY_TYPE[type] === DATE_CONDITIONS) {
+    const day = toDay(value);
+    const target = toDay(expected);
+    if (!day || !target) return false;
+
+    switch (operator) {
+      case 'equals': return day === target;
+      case 'before': return day < target;
+      case 'after': return day > target;
+      case 'on_or_before': return day <= target;
+      case 'on_or_after': return day >= target;
+      default: return false;
+    }
+  }
+
+  if (type === 'number') {
+    if (typeof value !== 'number') return operator === 'does_not_equal';
+
+    switch (operator) {
+      case 'equals': return value === expected;
+      case 'does_not_equal': return value !== expected;
+      case 'greater_than': return value > expected;
+      case 'less_than': return value < expected;
+      case 'greater_than_or_equal_to': return value >= expected;
+      case 'less_than_or_equal_to': return value <= expected;
+      default: return false;
+    }
+  }
+
+  if (type === 'checkbox') {
+    return operator === 'equals' ? value === expected : value !== expected;
+  }
+
+  const expectedText = String(expected).toLowerCase();
+
+  if (Array.isArray(value)) {
+    const includes = value.some(entry => String(entry).toLowerCase() === expectedText);
+    return operator === 'contains' ? includes : !includes;
+  }
+
+  const text = value === null || value === undefined ? '' : String(value).toLowerCase();
+  switch (operator) {
+    case 'equals': return text === expectedText;
+    case 'does_not_equal': return text !== expectedText;
+    case 'contains': return text.includes(expectedText);
+    case 'does_not_contain': return !text.includes(expectedText);
+    case 'starts_with': return text.startsWith(expectedText);
+    case 'ends_with': return text.endsWith(expectedText);
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a validated filter against a formatted database item
+ * @param {Object|null} filter - Notion filter
+ * @param {Object} item - Item from formatDatabaseItems
+ * @param {Array} schema - Database properties
+ * @returns {boolean} - Whether the item matches
+ */
+const evaluateFilter = (filter, item, schema) => {
+  if (!filter) return true;
+
+  if (Array.isArray(filter.and)) {
+    return filter.and.every(child => evaluateFilter(child, item, schema));
+  }
+  if (Array.isArray(filter.or)) {
+    return filter.or.some(child => evaluateFilter(child, item, schema));
+  }
+
+  const property = schema.find(candidate => candidate.name === filter.property);
+  const value = getValue(item, property);
+
+  return Object.entries(filter[property.type]).every(([operator, expected]) =>
+    testCondition(property.type, operator, expected, value)
+  );
+};
+
+/**
+ * Sort formatted database items
+ * @param {Array} items - Items from formatDatabaseItems
+ * @param {Array} sorts - Notion sorts
+ * @param {Array} schema - Database properties
+ * @returns {Array} - Sorted copy of the items
+ */
+const sortItems = (items, sorts, schema) => {
+  const sortValue = (item, property) => {
+    const value = getValue(item, property);
+    if (CONDITIONS_BY_TYPE[property.type] === DATE_CONDITIONS) return toDay(value);
+    if (Array.isArray(value)) return value.join(', ').toLowerCase();
+    return typeof value === 'string' ? value.toLowerCase() : value;
+  };
+
+  return [...items].sort((a, b) => {
+    for (const sort of sorts) {
+      const property = schema.find(candidate => candidate.name === sort.property);
+      const left = sortValue(a, property);
+      const right = sortValue(b, property);
+      if (left === right) continue;
+
+      // Empty values go last, as in Notion
+      if (isEmptyValue(left)) return 1;
+      if (isEmptyValue(right)) return -1;
+
+      const order = left < right ? -1 : 1;
+      return sort.direction === 'descending' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Format a property value for a table cell
+ * @param {*} value - Property value
+ * @returns {string} - Cell text
+ */
+const formatCell = (value) => {
+  let text;
+  if (isEmptyValue(value)) {
+    text = '';
+  } else if (Array.isArray(value)) {
+    text = value.join(', ');
+  } else if (typeof value === 'boolean') {
+    text = value ? 'Yes' : 'No';
+  } else if (typeof value === 'object') {
+    text = value.end ? `${value.start} → ${value.end}` : value.start || '';
+  } else {
+    text = String(value);
+  }
+
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+};
+
+/**
+ * Render matching items as a Markdown table
+ * @param {Array} items - Items from formatDatabaseItems
+ * @param {Array} schema - Database properties
+ * @param {Array} focus - Names of properties the question is about, shown first
+ * @returns {string} - Markdown table
+ */
+const formatItemsTable = (items, schema, focus = []) => {
+  const titleProperty = schema.find(property => property.type === 'title') || { name: 'Name', type: 'title' };
+  const others = schema.filter(property => property !== titleProperty);
+  const columns = [
+    titleProperty,
+    ...others.filter(property => focus.includes(property.name)),
+    ...others.filter(property => !focus.includes(property.name))
+  ].slice(0, MAX_TABLE_COLUMNS);
+
+  const rows = items.map(item => {
+    const cells = columns.map(property => formatCell(getValue(item, property)));
+    // Link the title to the Notion page
+    if (item.url) {
+      cells[0] = `[${cells[0] || 'Untitled'}](${item.url})`;
+    }
+    return cells;
+  });
+
+  const lines = [columns.map(property => property.name), ...rows].map(cells => `| ${cells.join(' | ')} |`);
+  return notionUtils.formatTable({ table: { table_width: columns.length, has_column_header: true } }, lines);
+};
+
+/**
+ * Collect the property names a filter and sorts refer to
+ * @param {Object|null} filter - Notion filter
+ * @param {Array} sorts - Notion sorts
+ * @returns {Array} - Property names
+ */
+const referencedProperties = (filter, sorts) => {
+  const names = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.property) names.push(node.property);
+    (node.and || node.or || []).forEach(visit);
+  };
+  visit(filter);
+  sorts.forEach(sort => names.push(sort.property));
+  return [...new Set(names)];
+};
+
+/**
+ * Run a query plan, against cached items when available
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} plan - { filter, sorts, limit }
+ * @param {Array} schema - Database properties
+ * @returns {Promise<Array>} - Matching items
+ */
+const runQuery = async (databaseId, plan, schema) => {
+  const cachedItems = notionCache.databaseItems.get(databaseId);
+
+  if (cachedItems) {
+    const matches = cachedItems.filter(item => evaluateFilter(plan.filter, item, schema));
+    return sortItems(matches, plan.sorts, schema).slice(0, plan.limit);
+  }
+
+  // Only as many rows as the plan wants are fetched from the API
+  const response = await notionApi.queryDatabase(databaseId, plan.filter || {}, plan.sorts, plan.limit);
+  return notionUtils.formatDatabaseItems(response);
+};
+
+/**
+ * Answer a question from the rows of a database
+ * @param {string} query - The user's question
+ * @param {string} [databaseId] - Database to query; found from the question when omitted
+ * @returns {Promise<Object|null>} - { database, items, table, plan }, or null if the question
+ *   isn't about a database's rows
+ */
+const answer = async (query, databaseId = findDatabase(query)) => {
+  if (!databaseId) {
+    return null;
+  }
+
+  const database = await getDatabaseWithSchema(databaseId);
+  const schema = describeSchema(database);
+  const title = database.title ? notionUtils.extractTextFromTitle(database.title) : 'Untitled Database';
+
+  if (schema.length === 0) {
+    return null;
+  }
+
+  const plan = await buildQueryPlan(query, title, schema);
+  if (!plan) {
+    return null;
+  }
+
+  validateFilter(plan.filter, schema);
+  validateSorts(plan.sorts, schema);
+
+  const items = await runQuery(databaseId, plan, schema);
+
+  return {
+    database: {
+      id: databaseId,
+      title,
+      url: `https://notion.so/${databaseId.replace(/-/g, '')}`
+    },
+    plan,
+    items,
+    table: items.length > 0 ? formatItemsTable(items, schema, referencedProperties(plan.filter, plan.sorts)) : ''
+  };
+};
+
+module.exports = {
+  answer,
+  findDatabase,
+  describeSchema,
+  buildQueryPlan,
+  validateFilter,
+  validateSorts,
+  evaluateFilter,
+  sortItems,
+  formatItemsTable
+};
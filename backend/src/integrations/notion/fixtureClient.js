@@ -0,0 +1,311 @@
+/**
+ * Fixture Notion Client
+ *
+ * Stands in for @notionhq/client with content captured from a real
+ * workspace, so the cache, the agents and the tests run without a token.
+ * It answers the calls api.js makes (search, pages.retrieve, blocks.retrieve,
+ * blocks.children.list, databases.retrieve, databases.query) with the same
+ * response shapes, including cursor pagination and 404 errors.
+ *
+ * The fixture directory holds:
+ * - all-content.json: Array of pages and databases, as returned by search
+ * - Files of the form { page, blocks }: a page and its top-level blocks;
+ *   a block's own children can be nested under `children`
+ * - Files of the form { database, items }: a database and its rows
+ * - Files holding a single block object, for blocks.retrieve
+ * Files may be in subdirectories; any other JSON is ignored.
+ */
+const fs = require('fs');
+const path = require('path');
+const notionUtils = require('./utils');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error like the ones the Notion client throws
+ * @param {number} status - HTTP status
+ * @param {string} code - Notion error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const notionError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Return one page of a list response
+ * @param {Array} results - All results, in order
+ * @param {Object} params - Request parameters with page_size and start_cursor
+ * @param {string} type - List type, e.g. 'block' or 'page_or_database'
+ * @returns {Object} - List response
+ */
+const paginate = (results, params = {}, type) => {
+  const pageSize = Math.min(MAX_PAGE_SIZE, params.page_size || MAX_PAGE_SIZE);
+  const start = params.start_cursor ? parseInt(params.start_cursor, 10) : 0;
+  if (Number.isNaN(start) || start < 0 || start > results.length) {
+    throw notionError(400, 'validation_error', `Invalid start_cursor: ${params.start_cursor}`);
+  }
+
+  const end = start + pageSize;
+  return {
+    object: 'list',
+    results: results.slice(start, end),
+    has_more: end < results.length,
+    next_cursor: end < results.length ? String(end) : null,
+    type,
+    [type]: {}
+  };
+};
+
+/**
+ * Copy a block without its nested children, which the API never returns inline
+ * @param {Object} block - Block from a fixture
+ * @returns {Object}
+ */
+const withoutChildren = (block) => {
+  const { children, ...rest } = block;
+  return rest;
+};
+
+class FixtureNotionClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding the captured content
+   */
+  constructor({ dataDir }) {
+    this.dataDir = dataDir;
+    this.isLocal = true; // No rate limit to respect
+    this.isLoaded = false;
+
+    this.pagesById = new Map(); // Map of page ID to page
+    this.databasesById = new Map(); // Map of database ID to database
+    this.itemsByDatabase = new Map(); // Map of database ID to its rows
+    this.blocksById = new Map(); // Map of block ID to block
+    this.childrenById = new Map(); // Map of page or block ID to its child blocks
+
+    // Same namespaces as @notionhq/client
+    this.pages = {
+      retrieve: async ({ page_id: pageId }) => this.retrievePage(pageId)
+    };
+    this.blocks = {
+      retrieve: async ({ block_id: blockId }) => this.retrieveBlock(blockId),
+      children: {
+        list: async (params) => this.listChildren(params)
+      }
+    };
+    this.databases = {
+      retrieve: async ({ database_id: databaseId }) => this.retrieveDatabase(databaseId),
+      query: async (params) => this.queryDatabase(params)
+    };
+  }
+
+  /**
+   * Read the fixture directory
+   */
+  load() {
+    if (this.isLoaded) {
+      return;
+    }
+
+    if (!fs.existsSync(this.dataDir)) {
+      throw new Error(`Notion fixture directory not found: ${this.dataDir}`);
+    }
+
+    for (const file of this.listJsonFiles(this.dataDir)) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`Skipping unreadable Notion fixture ${file}: ${error.message}`);
+        continue;
+      }
+
+      if (Array.isArray(data)) {
+        data.forEach(item => this.addObject(item));
+      } else if (data && data.page) {
+        this.addObject(data.page);
+        this.addBlocks(data.page.id, data.blocks || []);
+      } else if (data && data.database) {
+        this.addObject(data.database);
+        this.itemsByDatabase.set(notionUtils.toDashedId(data.database.id), data.items || []);
+        (data.items || []).forEach(item => this.addObject(item));
+      } else if (data && data.object === 'block') {
+        this.blocksById.set(notionUtils.toDashedId(data.id), withoutChildren(data));
+      }
+    }
+
+    this.isLoaded = true;
+    console.log(`📁 Loaded Notion fixtures from ${this.dataDir}: ${this.pagesById.size} pages, ${this.databasesById.size} databases, ${this.blocksById.size} blocks`);
+  }
+
+  /**
+   * List the JSON files in a directory and its subdirectories
+   * @param {string} dir - Directory
+   * @returns {Array} - File paths, sorted so later files consistently win
+   */
+  listJsonFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return this.listJsonFiles(entryPath);
+        return entry.name.endsWith('.json') ? [entryPath] : [];
+      });
+  }
+
+  /**
+   * Add a page or database
+   * @param {Object} object - Page or database object
+   */
+  addObject(object) {
+    if (!object || !object.id) return;
+
+    const id = notionUtils.toDashedId(object.id);
+    if (object.object === 'database') {
+      this.databasesById.set(id, object);
+    } else if (object.object === 'page') {
+      this.pagesById.set(id, object);
+    }
+  }
+
+  /**
+   * Add the child blocks of a page or block, and their nested children
+   * @param {string} parentId - Page or block ID
+   * @param {Array} blocks - Child blocks, optionally with `children`
+   */
+  addBlocks(parentId, blocks) {
+    this.childrenById.set(notionUtils.toDashedId(parentId), blocks.map(withoutChildren));
+
+    for (const block of blocks) {
+      this.blocksById.set(notionUtils.toDashedId(block.id), withoutChildren(block));
+      if (Array.isArray(block.children)) {
+        this.addBlocks(block.id, block.children);
+      }
+    }
+  }
+
+  /**
+   * Get the title of a page or database, for search
+   * @param {Object} object - Page or database
+   * @returns {string}
+   */
+  getTitle(object) {
+    return object.object === 'database'
+      ? notionUtils.extractTextFromTitle(object.title)
+      : notionUtils.getPageTitle(object);
+  }
+
+  /**
+   * Search page and database titles, as POST /v1/search does
+   * @param {Object} params - Search parameters: query, filter, sort, page_size, start_cursor
+   * @returns {Promise<Object>} - List response
+   */
+  async search(params = {}) {
+    this.load();
+
+    const query = (params.query || '').toLowerCase().trim();
+    const objectType = params.filter && params.filter.property === 'object' ? params.filter.value : null;
+    const direction = params.sort && params.sort.direction === 'ascending' ? 1 : -1;
+
+    const results = [...this.pagesById.values(), ...this.databasesById.values()]
+      .filter(object => !objectType || object.object === objectType)
+      .filter(object => !query || this.getTitle(object).toLowerCase().includes(query))
+      .sort((a, b) => direction * (Date.parse(a.last_edited_time) - Date.parse(b.last_edited_time)));
+
+    return paginate(results, params, 'page_or_database');
+  }
+
+  /**
+   * Get a page, as GET /v1/pages/:id does
+   * @param {string} pageId - Page ID
+   * @returns {Object}
+   */
+  retrievePage(pageId) {
+    this.load();
+
+    const page = this.pagesById.get(notionUtils.toDashedId(pageId || ''));
+    if (!page) {
+      throw notionError(404, 'object_not_found', `Could not find page with ID: ${pageId}.`);
+    }
+    return page;
+  }
+
+  /**
+   * Get a block, as GET /v1/blocks/:id does
+   * @param {string} blockId - Block ID
+   * @returns {Object}
+   */
+  retrieveBlock(blockId) {
+    this.load();
+
+    const block = this.blocksById.get(notionUtils.toDashedId(blockId || ''));
+    if (!block) {
+      throw notionError(404, 'object_not_found', `Could not find block with ID: ${blockId}.`);
+    }
+    return block;
+  }
+
+  /**
+   * List the children of a page or block, as GET /v1/blocks/:id/children does
+   * Pages and blocks whose content wasn't captured have no children.
+   * @param {Object} params - block_id, page_size, start_cursor
+   * @returns {Object} - List response
+   */
+  listChildren(params = {}) {
+    this.load();
+
+    const id = notionUtils.toDashedId(params.block_id || '');
+    if (!this.childrenById.has(id) && !this.pagesById.has(id) && !this.blocksById.has(id)) {
+      throw notionError(404, 'object_not_found', `Could not find block with ID: ${params.block_id}.`);
+    }
+
+    return paginate(this.childrenById.get(id) || [], params, 'block');
+  }
+
+  /**
+   * Get a database, as GET /v1/databases/:id does
+   * @param {string} databaseId - Database ID
+   * @returns {Object}
+   */
+  retrieveDatabase(databaseId) {
+    this.load();
+
+    const database = this.databasesById.get(notionUtils.toDashedId(databaseId || ''));
+    if (!database) {
+      throw notionError(404, 'object_not_found', `Could not find database with ID: ${databaseId}.`);
+    }
+    return database;
+  }
+
+  /**
+   * Query the rows of a database, as POST /v1/databases/:id/query does
+   * @param {Object} params - database_id, filter, sorts, page_size, start_cursor
+   * @returns {Object} - List response
+   */
+  queryDatabase(params = {}) {
+    const database = this.retrieveDatabase(params.database_id);
+    const id = notionUtils.toDashedId(database.id);
+
+    let items = this.itemsByDatabase.get(id) ||
+      [...this.pagesById.values()].filter(page => page.parent && page.parent.database_id &&
+        notionUtils.toDashedId(page.parent.database_id) === id);
+
+    if (params.filter || (params.sorts && params.sorts.length > 0)) {
+      // Loaded here because databaseQuery depends on api.js, which creates this client
+      const databaseQuery = require('./databaseQuery');
+      const schema = databaseQuery.describeSchema(database);
+      const formatted = notionUtils.formatDatabaseItems({ results: items });
+      const rows = new Map(formatted.map((item, index) => [item, items[index]]));
+
+      const matching = formatted.filter(item => databaseQuery.evaluateFilter(params.filter || null, item, schema));
+      items = databaseQuery.sortItems(matching, params.sorts || [], schema).map(item => rows.get(item));
+    }
+
+    return paginate(items, params, 'page_or_database');
+  }
+}
+
+module.exports = FixtureNotionClient;
@@ -0,0 +1,207 @@
+/**
+ * Query Intent Classifier
+ *
+ * Works out what kind of answer a query is after: a definition, the steps
+ * of a process, a person to contact, where something is, a list, a
+ * comparison or a policy. The intent decides how the search ranks pages
+ * (twoStageRetrieval), which document types are boosted and how the answer
+ * is formatted.
+ *
+ * Queries are classified by rules. When INTENT_CLASSIFIER=llm, queries the
+ * rules are unsure about are passed to the LLM instead.
+ */
+const llm = require('../../services/llm');
+
+// Below this confidence the rules defer to the LLM, if it is enabled
+const LLM_CONFIDENCE_THRESHOLD = 0.6;
+
+// Rank score of pages whose document type suits the intent is multiplied by this
+const DOCUMENT_TYPE_BOOST = 1.5;
+// Title matches count this much more for intents answered by finding the right page
+const TITLE_STRATEGY_WEIGHT = 2;
+
+/**
+ * Intents, in the order they win ties
+ * - openers: how queries of this kind usually start or are phrased
+ * - cues: words that say more about the answer wanted than the opener does, so they count double
+ * - strategy: how the search looks for pages ('title' weighs title matches more,
+ *   'document_type' boosts documentTypes, 'broad' and 'section' rank as usual)
+ * - documentTypes: document types whose pages are ranked higher
+ * - answerFormat: how the answer is laid out
+ */
+const INTENTS = {
+  COMPARISON: {
+    openers: [/^(?:compare|which is better)\b/, /\bbetter\b/],
+    cues: [/\bdifferen(?:ce|t)s?\b/, /\bcompar(?:e|ed|ing|ison)\b/, /\b(?:vs\.?|versus)\b/, /\bsimilar(?:ity|ities)?\b/],
+    strategy: 'broad',
+    documentTypes: [],
+    answerFormat: 'comparison'
+  },
+  CONTACT: {
+    openers: [/^who\b/, /\b(?:reach|speak to|talk to|ask)\b/],
+    cues: [/\bcontacts?\b/, /\be-?mail (?:address )?(?:of|for)\b/, /\bphone (?:number )?(?:of|for)\b/, /\bresponsible for\b/],
+    strategy: 'document_type',
+    documentTypes: ['CONTACT_LIST'],
+    answerFormat: 'contact'
+  },
+  PROCESS: {
+    openers: [/^how (?:do|can|should|would) (?:i|we)\b/, /\bhow to\b/, /\b(?:apply|submit|lodge|request|claim|set up|book)\b/],
+    cues: [/\bsteps?\b/, /\bprocess\b/, /\bprocedures?\b/],
+    strategy: 'document_type',
+    documentTypes: ['PROCEDURE', 'FORM'],
+    answerFormat: 'steps'
+  },
+  POLICY: {
+    openers: [/^(?:can|may) (?:i|we)\b/, /\b(?:am i|are we|is it) (?:allowed|permitted|required)\b/],
+    cues: [/\bpolic(?:y|ies)\b/, /\b(?:rules?|requirements?|entitle(?:d|ment))\b/],
+    strategy: 'document_type',
+    documentTypes: ['POLICY'],
+    answerFormat: 'requirements'
+  },
+  LOCATION: {
+    openers: [/^where\b/, /\bfind (?:the|a|our)\b/],
+    cues: [/\b(?:located|address)\b/, /\blink to\b/],
+    strategy: 'title',
+    documentTypes: [],
+    answerFormat: 'location'
+  },
+  LIST: {
+    openers: [/^(?:list|show me all|name)\b/, /^what are\b/, /\b(?:which|what) \w+ (?:are there|do we have)\b/],
+    cues: [/\ball (?:the |our )?\w+s\b/, /\bexamples\b/],
+    strategy: 'broad',
+    documentTypes: [],
+    answerFormat: 'list'
+  },
+  DEFINITION: {
+    openers: [/^what(?: is|'s| does)\b/, /^explain\b/],
+    cues: [/\bmean(?:s|ing)?\b/, /\bdefin(?:e|ition)\b/, /\bstand for\b/],
+    strategy: 'title',
+    documentTypes: ['GENERAL_INFO'],
+    answerFormat: 'definition'
+  },
+  GENERAL: {
+    openers: [],
+    cues: [],
+    strategy: 'section',
+    documentTypes: [],
+    answerFormat: 'summary'
+  }
+};
+
+// Instructions given to the LLM that writes the answer
+const ANSWER_FORMATS = {
+  comparison: 'Compare the options side by side, ideally in a table, and say which fits which situation.',
+  contact: 'Name the person or team to contact first, followed by their role, email and phone number where known.',
+  steps: 'Give the steps as a numbered list in the order they are done, noting who does each step and any form to use.',
+  requirements: 'State what is and is not allowed first, then the conditions, and mention the policy it comes from.',
+  location: 'Say where the information is kept, including the page path and link.',
+  list: 'Answer with a bulleted list, one item per line.',
+  definition: 'Start with a one or two sentence definition, then add any useful detail.',
+  summary: 'Answer directly, then give the supporting detail.'
+};
+
+/**
+ * Build the classification result for an intent
+ * @param {string} name - Intent name
+ * @param {number} confidence - Confidence between 0 and 1
+ * @param {string} source - 'rules' or 'llm'
+ * @returns {Object} - { name, confidence, source, strategy, documentTypes, answerFormat }
+ */
+const toIntent = (name, confidence, source) => {
+  const { strategy, documentTypes, answerFormat } = INTENTS[name];
+  return { name, confidence, source, strategy, documentTypes, answerFormat };
+};
+
+/**
+ * Classify a query by the cues it contains
+ * @param {string} query - The user's query
+ * @returns {Object} - Intent; GENERAL with no confidence when nothing matches
+ */
+const classifyIntent = (query = '') => {
+  const text = query.toLowerCase().replace(/\s+/g, ' ').trim();
+  const scores = Object.entries(INTENTS).map(([name, { openers, cues }]) => [
+    name,
+    openers.filter(pattern => pattern.test(text)).length + cues.filter(pattern => pattern.test(text)).length * 2
+  ]);
+
+  const total = scores.reduce((sum, [, score]) => sum + score, 0);
+  // Stable sort, so ties go to the intent listed first
+  const [bestName, bestScore] = [...scores].sort((a, b) => b[1] - a[1])[0];
+
+  if (bestScore === 0) {
+    return toIntent('GENERAL', 0, 'rules');
+  }
+
+  return toIntent(bestName, Math.round((bestScore / total) * 100) / 100, 'rules');
+};
+
+/**
+ * Ask the LLM for the intent of a query
+ * @param {string} query - The user's query
+ * @returns {Promise<Object|null>} - Intent, or null if the reply names no known intent
+ */
+const classifyIntentWithLlm = async (query) => {
+  const prompt = [
+    {
+      role: 'system',
+      content: `You classify questions asked of a company knowledge base by the kind of answer they need.
+      Respond with ONLY a JSON object of the form {"intent": "PROCESS"}.
+
+      Intents:
+      - DEFINITION: what something is or means
+      - PROCESS: how to do something, step by step
+      - CONTACT: who to contact or who is responsible
+      - LOCATION: where something is kept or found
+      - LIST: several items of one kind
+      - COMPARISON: the difference between two or more things
+      - POLICY: what is allowed, required or entitled
+      - GENERAL: anything else`
+    },
+    {
+      role: 'user',
+      content: `Classify this question: "${query}"`
+    }
+  ];
+
+  const response = await llm.getProvider().json(prompt, { purpose: 'intent' });
+  const name = response.data && typeof response.data.intent === 'string' ? response.data.intent.toUpperCase() : null;
+
+  return name && INTENTS[name] ? toIntent(name, 1, 'llm') : null;
+};
+
+/**
+ * Work out the intent of a query, using the LLM when it is enabled and the rules are unsure
+ * @param {string} query - The user's query
+ * @returns {Promise<Object>} - Intent
+ */
+const detectIntent = async (query) => {
+  const intent = classifyIntent(query);
+
+  if (process.env.INTENT_CLASSIFIER !== 'llm' || intent.confidence >= LLM_CONFIDENCE_THRESHOLD) {
+    return intent;
+  }
+
+  try {
+    return (await classifyIntentWithLlm(query)) || intent;
+  } catch (error) {
+    console.error('Error classifying query intent with LLM:', error);
+    return intent;
+  }
+};
+
+/**
+ * Describe how an answer should be laid out for an intent
+ * @param {Object} intent - Intent from classifyIntent or detectIntent
+ * @returns {string} - Instruction for the LLM
+ */
+const describeAnswerFormat = (intent) => {
+  return ANSWER_FORMATS[intent && intent.answerFormat] || ANSWER_FORMATS.summary;
+};
+
+module.exports = {
+  classifyIntent,
+  detectIntent,
+  describeAnswerFormat,
+  DOCUMENT_TYPE_BOOST,
+  TITLE_STRATEGY_WEIGHT
+};
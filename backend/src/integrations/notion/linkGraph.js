@@ -0,0 +1,185 @@
+/**
+ * Page Link Graph
+ *
+ * Connects cached pages that reference each other through mentions,
+ * link_to_page blocks and notion.so URLs (see notionUtils.extractLinkedIds,
+ * run when a page is cached). Keeps the outbound and inbound links of each
+ * page and a PageRank authority score, so pages many others point to rank
+ * higher and linked pages can be offered as related. The graph follows the
+ * Notion cache and is rebuilt whenever its index changes.
+ */
+const notionCache = require('./cache');
+
+// PageRank: share of a page's rank passed on through its links, iteration limit and convergence threshold
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+class LinkGraph {
+  constructor() {
+    this.outbound = new Map(); // Map of page ID to Set of page/database IDs it links to
+    this.inbound = new Map(); // Map of page/database ID to Set of page IDs linking to it
+    this.authority = new Map(); // Map of ID to PageRank, scaled so the highest is 1
+    this.edgeCount = 0;
+    this.revision = null; // Cache revision the graph reflects
+  }
+
+  /**
+   * Rebuild the graph if the cache has changed since it was built
+   */
+  sync() {
+    if (!notionCache.isInitialized || this.revision === notionCache.revision) {
+      return;
+    }
+
+    this.build([...notionCache.pages.values()], [...notionCache.databases.keys()]);
+    this.revision = notionCache.revision;
+  }
+
+  /**
+   * Build the graph from cached pages
+   * @param {Array} pages - Cached pages with their `links`
+   * @param {Array} [databaseIds] - Cached databases, which can be linked to but have no links of their own
+   */
+  build(pages, databaseIds = []) {
+    const nodes = new Set([...pages.map(page => page.id), ...databaseIds]);
+
+    this.outbound = new Map();
+    this.inbound = new Map();
+    this.edgeCount = 0;
+
+    for (const id of nodes) {
+      this.outbound.set(id, new Set());
+      this.inbound.set(id, new Set());
+    }
+
+    // Links to pages the integration can't see are left out
+    for (const page of pages) {
+      for (const targetId of page.links || []) {
+        if (targetId === page.id || !nodes.has(targetId) || this.outbound.get(page.id).has(targetId)) continue;
+
+        this.outbound.get(page.id).add(targetId);
+        this.inbound.get(targetId).add(page.id);
+        this.edgeCount++;
+      }
+    }
+
+    this.authority = this.computePageRank();
+    console.log(`🔗 Built link graph of ${nodes.size} pages with ${this.edgeCount} links`);
+  }
+
+  /**
+   * Compute PageRank over the graph
+   * @returns {Map} - Map of ID to rank, scaled so the highest is 1
+   */
+  computePageRank() {
+    const ids = [...this.outbound.keys()];
+    const count = ids.length;
+    if (count === 0) {
+      return new Map();
+    }
+
+    let ranks = new Map(ids.map(id => [id, 1 / count]));
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      // Rank of pages without links is spread over every page
+      let danglingRank = 0;
+      for (const id of ids) {
+        if (this.outbound.get(id).size === 0) {
+          danglingRank += ranks.get(id);
+        }
+      }
+
+      const base = (1 - DAMPING) / count + DAMPING * danglingRank / count;
+      const next = new Map(ids.map(id => [id, base]));
+
+      for (const id of ids) {
+        const targets = this.outbound.get(id);
+        if (targets.size === 0) continue;
+
+        const share = DAMPING * ranks.get(id) / targets.size;
+        for (const targetId of targets) {
+          next.set(targetId, next.get(targetId) + share);
+        }
+      }
+
+      const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - ranks.get(id)), 0);
+      ranks = next;
+      if (change < TOLERANCE) break;
+    }
+
+    const highest = Math.max(...ranks.values());
+    return new Map([...ranks.entries()].map(([id, rank]) => [id, rank / highest]));
+  }
+
+  /**
+   * Whether any cached page links to another
+   * @returns {boolean}
+   */
+  hasLinks() {
+    this.sync();
+    return this.edgeCount > 0;
+  }
+
+  /**
+   * Get the pages and databases a page links to
+   * @param {string} id - Page ID
+   * @returns {Array} - IDs
+   */
+  getOutboundLinks(id) {
+    this.sync();
+    return [...(this.outbound.get(id) || [])];
+  }
+
+  /**
+   * Get the pages that link to a page or database
+   * @param {string} id - Page or database ID
+   * @returns {Array} - IDs
+   */
+  getInboundLinks(id) {
+    this.sync();
+    return [...(this.inbound.get(id) || [])];
+  }
+
+  /**
+   * Get the authority of a page
+   * @param {string} id - Page or database ID
+   * @returns {number} - Between 0 and 1; 0 for pages not in the graph
+   */
+  getAuthority(id) {
+    this.sync();
+    return this.authority.get(id) || 0;
+  }
+
+  /**
+   * Get the pages linked to or from a page, pages linked both ways first, then by authority
+   * @param {string} id - Page ID
+   * @param {number} [limit] - Maximum number of pages
+   * @returns {Array} - IDs
+   */
+  getLinkedPages(id, limit = 10) {
+    this.sync();
+    const outbound = this.outbound.get(id) || new Set();
+    const inbound = this.inbound.get(id) || new Set();
+    const linkCount = (otherId) => (outbound.has(otherId) ? 1 : 0) + (inbound.has(otherId) ? 1 : 0);
+
+    return [...new Set([...outbound, ...inbound])]
+      .sort((a, b) => linkCount(b) - linkCount(a) || this.getAuthority(b) - this.getAuthority(a))
+      .slice(0, limit);
+  }
+
+  /**
+   * Order pages by authority, highest first
+   * @param {Array} ids - Page or database IDs
+   * @returns {Array} - IDs
+   */
+  rankByAuthority(ids) {
+    this.sync();
+    return [...ids].sort((a, b) => this.getAuthority(b) - this.getAuthority(a));
+  }
+}
+
+// Create singleton instance
+const linkGraph = new LinkGraph();
+
+module.exports = linkGraph;
@@ -0,0 +1,251 @@
+/**
+ * Notion Markdown Renderer
+ *
+ * Renders Notion block trees (blocks with their children nested under
+ * `children`, as returned by notionApi.getBlockTree) as Markdown, keeping
+ * heading levels, list numbering and nesting, tables, code languages,
+ * callouts and links.
+ */
+const notionUtils = require('./utils');
+
+// Block types rendered as list items, which are joined without blank lines
+const LIST_TYPES = new Set(['bulleted_list_item', 'numbered_list_item', 'to_do', 'toggle']);
+
+// Block types that only group their children
+const CONTAINER_TYPES = new Set(['column_list', 'column', 'synced_block', 'template']);
+
+/**
+ * Prefix every non-empty line of a block of text
+ * @param {string} text - Text to prefix
+ * @param {string} prefix - Prefix for each line
+ * @returns {string}
+ */
+const prefixLines = (text, prefix) => {
+  return text.split('\n').map(line => (line ? prefix + line : prefix.trimEnd())).join('\n');
+};
+
+/**
+ * Render one rich text segment with its annotations and link
+ * @param {Object} text - Notion rich text object
+ * @returns {string} - Markdown
+ */
+const renderTextSegment = (text) => {
+  // Mentions and equations are resolved by the shared text extraction
+  let content = text.type === 'text'
+    ? (text.plain_text || '')
+    : notionUtils.extractTextFromRichText([text]);
+
+  if (!content || text.type === 'equation') {
+    return content;
+  }
+
+  const annotations = text.annotations || {};
+
+  // Keep surrounding whitespace outside the markers so the Markdown stays valid
+  const [, leading, core, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) {
+    return content;
+  }
+
+  let formatted = annotations.code ? '`' + core + '`' : core;
+  if (annotations.bold) formatted = `**${formatted}**`;
+  if (annotations.italic) formatted = `*${formatted}*`;
+  if (annotations.strikethrough) formatted = `~~${formatted}~~`;
+  if (text.href) formatted = `[${formatted}](${text.href})`;
+
+  return leading + formatted + trailing;
+};
+
+/**
+ * Render rich text as Markdown
+ * @param {Array} richText - Array of Notion rich text objects
+ * @returns {string} - Markdown
+ */
+const renderRichText = (richText = []) => {
+  if (!Array.isArray(richText)) {
+    return '';
+  }
+  return richText.map(renderTextSegment).join('');
+};
+
+/**
+ * Notion URL for a page, database or block ID
+ * @param {string} id - Notion ID
+ * @returns {string}
+ */
+const notionUrl = (id) => `https://notion.so/${String(id).replace(/-/g, '')}`;
+
+/**
+ * Render a table block from its rows
+ * @param {Object} table - Table block with table_row children
+ * @returns {string} - Markdown table
+ */
+const renderTable = (table) => {
+  const rows = (table.children || [])
+    .filter(row => row.type === 'table_row' && row.table_row)
+    .map(row => '| ' + (row.table_row.cells || []).map(cell =>
+      renderRichText(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+    ).join(' | ') + ' |');
+
+  return notionUtils.formatTable(table, rows);
+};
+
+/**
+ * Render the text of a block without its children
+ * @param {Object} block - Notion block
+ * @returns {string} - Markdown
+ */
+const renderBlockText = (block) => {
+  const data = block[block.type];
+
+  // Structures cached before blocks were kept whole only carry extracted text
+  if (!data) {
+    return block.content || '';
+  }
+
+  switch (block.type) {
+    case 'paragraph':
+      return renderRichText(data.rich_text);
+    case 'heading_1':
+      return `# ${renderRichText(data.rich_text)}`;
+    case 'heading_2':
+      return `## ${renderRichText(data.rich_text)}`;
+    case 'heading_3':
+      return `### ${renderRichText(data.rich_text)}`;
+    // List markers and quote prefixes are added by renderBlock
+    case 'bulleted_list_item':
+    case 'numbered_list_item':
+    case 'to_do':
+    case 'toggle':
+    case 'quote':
+      return renderRichText(data.rich_text);
+    case 'callout': {
+      const icon = data.icon && data.icon.type === 'emoji' ? `${data.icon.emoji} ` : '';
+      return icon + renderRichText(data.rich_text);
+    }
+    case 'code': {
+      const caption = renderRichText(data.caption);
+      const code = '```' + (data.language && data.language !== 'plain text' ? data.language : '') +
+        '\n' + notionUtils.extractTextFromRichText(data.rich_text) + '\n```';
+      return caption ? `${code}\n${caption}` : code;
+    }
+    case 'equation':
+      return `$$\n${data.expression || ''}\n$$`;
+    case 'divider':
+      return '---';
+    case 'image': {
+      const caption = renderRichText(data.caption);
+      const url = notionUtils.getFileUrl(data);
+      return url ? `![${caption}](${url})` : caption;
+    }
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf': {
+      const caption = renderRichText(data.caption);
+      const url = notionUtils.getFileUrl(data);
+      const label = data.name || caption || block.type;
+      return url ? `[${label}](${url})` : caption;
+    }
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const caption = renderRichText(data.caption);
+      return data.url ? `[${caption || data.url}](${data.url})` : caption;
+    }
+    case 'child_page':
+      return `[${data.title || 'Untitled'}](${notionUrl(block.id)})`;
+    case 'child_database':
+      return `[${data.title || 'Untitled database'}](${notionUrl(block.id)})`;
+    case 'link_to_page': {
+      const id = data[data.type];
+      return id ? `[${notionUtils.extractTextFromBlock(block).replace(/^→ /, '')}](${notionUrl(id)})` : '';
+    }
+    default:
+      return notionUtils.extractTextFromBlock(block);
+  }
+};
+
+/**
+ * Render a block and its children
+ * @param {Object} block - Notion block with optional children
+ * @param {number} number - Position of a numbered list item in its list
+ * @returns {string} - Markdown
+ */
+const renderBlock = (block, number = 1) => {
+  const children = Array.isArray(block.children) ? block.children : [];
+
+  if (block.type === 'table') {
+    return renderTable(block);
+  }
+
+  if (CONTAINER_TYPES.has(block.type)) {
+    return renderBlocks(children);
+  }
+
+  const text = renderBlockText(block);
+  const childText = renderBlocks(children);
+
+  switch (block.type) {
+    case 'bulleted_list_item':
+    case 'toggle':
+    case 'numbered_list_item':
+    case 'to_do': {
+      let marker = '- ';
+      if (block.type === 'numbered_list_item') marker = `${number}. `;
+      if (block.type === 'to_do') marker = block.to_do.checked ? '- [x] ' : '- [ ] ';
+
+      // Nested content is indented to line up with the item text
+      const item = marker + text;
+      return childText ? `${item}\n${prefixLines(childText, ' '.repeat(marker.length))}` : item;
+    }
+    case 'quote':
+    case 'callout': {
+      const body = [text, childText].filter(part => part).join('\n\n');
+      return prefixLines(body, '> ');
+    }
+    default:
+      return [text, childText].filter(part => part).join('\n\n');
+  }
+};
+
+/**
+ * Render a list of sibling blocks as Markdown
+ * @param {Array} blocks - Notion blocks, each with optional children
+ * @returns {string} - Markdown
+ */
+const renderBlocks = (blocks = []) => {
+  if (!Array.isArray(blocks)) {
+    return '';
+  }
+
+  let output = '';
+  let previousWasListItem = false;
+  let number = 0;
+
+  for (const block of blocks) {
+    // Numbering restarts whenever a numbered list is interrupted
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+
+    const markdown = renderBlock(block, number);
+    if (!markdown) {
+      continue;
+    }
+
+    const isListItem = LIST_TYPES.has(block.type);
+    if (output) {
+      output += previousWasListItem && isListItem ? '\n' : '\n\n';
+    }
+
+    output += markdown;
+    previousWasListItem = isListItem;
+  }
+
+  return output;
+};
+
+module.exports = {
+  renderBlocks,
+  renderBlock,
+  renderRichText
+};
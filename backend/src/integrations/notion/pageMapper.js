@@ -1,17 +1,20 @@
 /**
  * Page Mapper
  * 
- * Maps Notion page IDs to the defined workspace structure.
- * Uses fuzzy matching for titles and provides fallback classification.
+ * Maps Notion page IDs to the approved workspace sections.
+ * Pages outside the sections are classified by title.
  */
 
 const notionApi = require('./api');
 const notionUtils = require('./utils');
 const WORKSPACE_STRUCTURE = require('./workspaceStructure');
+const workspaceDiscovery = require('./workspaceDiscovery');
+const contentProcessors = require('./contentProcessors');
 
 class PageMapper {
   constructor() {
     this.pageIdMap = null;
+    this.pages = []; // Page metadata the map was built from
     this.initialized = false;
   }
   
@@ -38,7 +41,36 @@ class PageMapper {
    */
   async buildPageIdMap() {
     // Get all pages (just metadata)
-    const pages = await this.getAllPageMetadata();
+    this.pages = await this.getAllPageMetadata();
+    
+    return this.mapPages(this.pages);
+  }
+  
+  /**
+   * Rebuild the page ID map after sections were approved, renamed or rediscovered
+   */
+  refreshSections() {
+    if (!this.initialized) {
+      return;
+    }
+    
+    this.pageIdMap = this.mapPages(this.pages);
+  }
+  
+  /**
+   * Map pages to the approved sections
+   */
+  mapPages(pages) {
+    // Section membership comes from the page hierarchy the sections were discovered from
+    const sectionPages = new Map();
+    for (const [sectionKey, section] of Object.entries(workspaceDiscovery.getSections())) {
+      sectionPages.set(section.id, { type: 'SECTION', key: sectionKey });
+      for (const pageId of section.pageIds) {
+        if (!sectionPages.has(pageId)) {
+          sectionPages.set(pageId, { type: 'CHILD_PAGE', parentSection: sectionKey });
+        }
+      }
+    }
     
     // Create mapping
     const pageIdMap = {};
@@ -48,62 +80,34 @@ class PageMapper {
       const pageId = page.id;
       const pageTitle = notionUtils.getPageTitle(page);
       
-      // Try to match to our known structure
-      let matched = false;
+      const sectionMapping = sectionPages.get(pageId);
+      if (sectionMapping) {
+        pageIdMap[pageId] = {
+          ...sectionMapping,
+          title: pageTitle,
+          parent: page.parent
+        };
+        continue;
+      }
       
-      // Check if it's a main section
-      for (const [sectionKey, section] of Object.entries(WORKSPACE_STRUCTURE.sections)) {
-        if (this.titleMatches(pageTitle, section.title)) {
-          pageIdMap[pageId] = {
-            type: 'SECTION',
-            key: sectionKey,
-            title: pageTitle,
-            parent: page.parent
-          };
-          matched = true;
-          break;
-        }
-        
-        // Check if it's a known child page
-        for (const childKey of section.children) {
-          const childTitle = childKey.replace(/_/g, ' ');
-          if (this.titleMatches(pageTitle, childTitle)) {
-            pageIdMap[pageId] = {
-              type: 'CHILD_PAGE',
-              key: childKey,
-              parentSection: sectionKey,
-              title: pageTitle,
-              parent: page.parent
-            };
-            matched = true;
+      // Not in a section, so classify by title
+      let documentType = 'GENERAL_INFO';
+      
+      for (const [typeKey, typeInfo] of Object.entries(WORKSPACE_STRUCTURE.documentTypes)) {
+        for (const term of typeInfo.keyTerms) {
+          if (pageTitle.toLowerCase().includes(term)) {
+            documentType = typeKey;
             break;
           }
         }
-        
-        if (matched) break;
       }
       
-      // If not matched to known structure, try to classify by content
-      if (!matched) {
-        // Simple classification based on title
-        let documentType = 'GENERAL_INFO';
-        
-        for (const [typeKey, typeInfo] of Object.entries(WORKSPACE_STRUCTURE.documentTypes)) {
-          for (const term of typeInfo.keyTerms) {
-            if (pageTitle.toLowerCase().includes(term)) {
-              documentType = typeKey;
-              break;
-            }
-          }
-        }
-        
-        pageIdMap[pageId] = {
-          type: 'UNKNOWN_PAGE',
-          documentType,
-          title: pageTitle,
-          parent: page.parent
-        };
-      }
+      pageIdMap[pageId] = {
+        type: 'UNKNOWN_PAGE',
+        documentType,
+        title: pageTitle,
+        parent: page.parent
+      };
     }
     
     return pageIdMap;
@@ -113,60 +117,20 @@ class PageMapper {
    * Get all page metadata from Notion
    */
   async getAllPageMetadata() {
-    const pages = [];
-    let hasMore = true;
-    let startCursor = undefined;
-    
-    while (hasMore) {
-      try {
-        const response = await notionApi.search({
-          start_cursor: startCursor,
-          page_size: 100,
-          filter: {
-            property: 'object',
-            value: 'page'
-          }
-        });
-        
-        pages.push(...response.results);
-        
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
-        
-        // Add a small delay to avoid rate limiting
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 500));
+    try {
+      // The API wrapper follows next_cursor until every page has been returned
+      const response = await notionApi.search('', {
+        filter: {
+          value: 'page',
+          property: 'object'
         }
-      } catch (error) {
-        console.error('Error fetching page metadata:', error);
-        // Break the loop on error
-        hasMore = false;
-      }
+      });
+
+      return response.results;
+    } catch (error) {
+      console.error('Error fetching page metadata:', error);
+      return [];
     }
-    
-    return pages;
-  }
-  
-  /**
-   * Check if titles match (fuzzy matching)
-   */
-  titleMatches(title1, title2) {
-    if (!title1 || !title2) return false;
-    
-    // Normalize both titles
-    const normalize = (str) => str.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const norm1 = normalize(title1);
-    const norm2 = normalize(title2);
-    
-    // Check for exact match after normalization
-    if (norm1 === norm2) return true;
-    
-    // Check if one contains the other
-    if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-    
-    // Could add more sophisticated fuzzy matching if needed
-    
-    return false;
   }
   
   /**
@@ -224,22 +188,12 @@ class PageMapper {
    * Classify a page based on its content
    */
   async classifyPage(pageId, content) {
-    // Default classification
-    let documentType = 'GENERAL_INFO';
-    
-    // Check for document type patterns in content
-    for (const [typeKey, typeInfo] of Object.entries(WORKSPACE_STRUCTURE.documentTypes)) {
-      for (const term of typeInfo.keyTerms) {
-        if (content.toLowerCase().includes(term)) {
-          documentType = typeKey;
-          break;
-        }
-      }
-    }
+    const mapping = this.pageIdMap && this.pageIdMap[pageId];
+    const documentType = contentProcessors.classifyDocument(mapping ? mapping.title : '', content);
     
     // Update the page mapping if it exists
-    if (this.pageIdMap[pageId]) {
-      this.pageIdMap[pageId].documentType = documentType;
+    if (mapping) {
+      mapping.documentType = documentType;
     }
     
     return documentType;
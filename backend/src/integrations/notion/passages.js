@@ -0,0 +1,148 @@
+/**
+ * Notion Passages
+ *
+ * Splits a page's block tree into heading-scoped passages. Each passage keeps
+ * the ID of the block it starts at, the headings above it and its position in
+ * the page, so search can return the relevant part of a page and link
+ * straight to it.
+ */
+const notionUtils = require('./utils');
+const markdownRenderer = require('./markdownRenderer');
+
+// Passages longer than this are split at block boundaries
+const DEFAULT_MAX_CHARS = 1500;
+
+const HEADING_LEVELS = {
+  heading_1: 1,
+  heading_2: 2,
+  heading_3: 3
+};
+
+// Blocks that only group other blocks; their children are chunked as if they were top-level
+const CONTAINER_TYPES = new Set(['column_list', 'column', 'synced_block']);
+
+/**
+ * Flatten container blocks so headings inside columns and synced blocks start passages too
+ * @param {Array} blocks - Block tree
+ * @returns {Array} - Blocks in reading order
+ */
+const flattenContainers = (blocks = []) => {
+  const flat = [];
+  for (const block of blocks) {
+    if (CONTAINER_TYPES.has(block.type) && Array.isArray(block.children)) {
+      flat.push(...flattenContainers(block.children));
+    } else {
+      flat.push(block);
+    }
+  }
+  return flat;
+};
+
+/**
+ * Plain text of a heading block
+ * @param {Object} block - Heading block
+ * @returns {string}
+ */
+const headingText = (block) => {
+  // Structures cached before blocks were kept whole only carry extracted text
+  return notionUtils.extractTextFromBlock(block) || block.content || '';
+};
+
+/**
+ * Build a passage object
+ * @param {Object} page - Page the passage belongs to
+ * @param {string} blockId - Block the passage starts at
+ * @param {Array} headingPath - Headings above the passage, outermost first
+ * @param {number} position - Position of the passage in the page
+ * @param {string} content - Markdown content
+ * @returns {Object} - Passage
+ */
+const createPassage = (page, blockId, headingPath, position, content) => {
+  const pageUrl = page.url || `https://notion.so/${page.id.replace(/-/g, '')}`;
+
+  return {
+    id: `${page.id}#${blockId}`,
+    pageId: page.id,
+    blockId,
+    headingPath,
+    position,
+    content,
+    url: blockId === page.id ? pageUrl : `${pageUrl}#${blockId.replace(/-/g, '')}`
+  };
+};
+
+/**
+ * Split a page into heading-scoped passages
+ * @param {Object} page - Page with id, url and (as a fallback) content
+ * @param {Array} blocks - Block tree of the page
+ * @param {Object} options - Chunking options
+ * @param {number} [options.maxChars] - Maximum length of a passage
+ * @returns {Array} - Passages in page order
+ */
+const buildPassages = (page, blocks = [], options = {}) => {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+
+  // Without a block structure the whole page becomes one passage
+  if (!blocks || blocks.length === 0) {
+    return page.content ? [createPassage(page, page.id, [], 0, page.content)] : [];
+  }
+
+  // Group blocks into sections, each starting at a heading
+  const sections = [];
+  const headingStack = [];
+  let current = null;
+
+  for (const block of flattenContainers(blocks)) {
+    const level = HEADING_LEVELS[block.type];
+
+    if (level) {
+      headingStack.length = level - 1;
+      headingStack[level - 1] = headingText(block);
+      current = { headingPath: headingStack.filter(heading => heading), blocks: [block] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      current = { headingPath: [], blocks: [] };
+      sections.push(current);
+    }
+    current.blocks.push(block);
+  }
+
+  // Render each section, splitting long ones at block boundaries
+  const passages = [];
+
+  for (const section of sections) {
+    let chunk = [];
+    let chunkLength = 0;
+
+    const emit = () => {
+      const content = markdownRenderer.renderBlocks(chunk);
+      if (content.trim()) {
+        passages.push(createPassage(page, chunk[0].id || page.id, section.headingPath, passages.length, content));
+      }
+      chunk = [];
+      chunkLength = 0;
+    };
+
+    for (const block of section.blocks) {
+      const blockLength = markdownRenderer.renderBlock(block).length;
+      if (chunk.length > 0 && chunkLength + blockLength > maxChars) {
+        emit();
+      }
+      chunk.push(block);
+      chunkLength += blockLength;
+    }
+
+    if (chunk.length > 0) {
+      emit();
+    }
+  }
+
+  return passages;
+};
+
+module.exports = {
+  buildPassages
+};
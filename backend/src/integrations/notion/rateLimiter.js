@@ -0,0 +1,94 @@
+/**
+ * Rate Limiter
+ *
+ * A token bucket shared by every Notion API call, so that the integration
+ * stays within Notion's limit of roughly three requests per second.
+ */
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerSecond - Sustained request rate
+   * @param {number} options.burst - Maximum number of requests allowed at once
+   */
+  constructor({ requestsPerSecond = 3, burst = 3 } = {}) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Top up the bucket for the time elapsed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request may be made
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Release waiting callers in order while tokens are available
+   */
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift().resolve();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  /**
+   * Hold back all requests for a period, e.g. after a 429 response
+   * @param {number} ms - How long to pause
+   */
+  pause(ms) {
+    this.tokens = Math.min(this.tokens, 0) - (ms / 1000) * this.requestsPerSecond;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Stop the wait timer and turn away queued callers, so that a pending
+   * queue doesn't keep the process alive on shutdown
+   */
+  dispose() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const waiting = this.queue.splice(0);
+    waiting.forEach(({ reject }) => reject(new Error('Rate limiter was disposed')));
+  }
+}
+
+// Shared limiter for all Notion requests
+const notionRateLimiter = new RateLimiter({
+  requestsPerSecond: parseFloat(process.env.NOTION_API_RATE_LIMIT) || 3
+});
+
+module.exports = notionRateLimiter;
+module.exports.RateLimiter = RateLimiter;
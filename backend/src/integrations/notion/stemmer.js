@@ -0,0 +1,167 @@
+/**
+ * Porter Stemmer
+ *
+ * Reduces English words to their stems (M.F. Porter, "An algorithm for
+ * suffix stripping", 1980), so that "policies", "policy" and "policing"
+ * are indexed as the same term.
+ */
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Check whether the letter at a position is a consonant
+ * @param {string} word - Word being stemmed
+ * @param {number} i - Letter position
+ * @returns {boolean} - Whether the letter is a consonant
+ */
+const isConsonant = (word, i) => {
+  const letter = word[i];
+  if ('aeiou'.includes(letter)) return false;
+  if (letter === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+};
+
+/**
+ * Count the vowel-consonant sequences in a stem (Porter's m)
+ * @param {string} stem - Stem to measure
+ * @returns {number} - Measure of the stem
+ */
+const measure = (stem) => {
+  let count = 0;
+  let previousVowel = false;
+
+  for (let i = 0; i < stem.length; i++) {
+    const vowel = !isConsonant(stem, i);
+    if (previousVowel && !vowel) count++;
+    previousVowel = vowel;
+  }
+
+  return count;
+};
+
+const hasVowel = (stem) => {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+};
+
+const endsWithDoubleConsonant = (word) => {
+  const last = word.length - 1;
+  return last > 0 && word[last] === word[last - 1] && isConsonant(word, last);
+};
+
+// Consonant-vowel-consonant, where the last consonant is not w, x or y
+const endsWithCvc = (word) => {
+  const last = word.length - 1;
+  return last >= 2 &&
+    isConsonant(word, last - 2) && !isConsonant(word, last - 1) && isConsonant(word, last) &&
+    !'wxy'.includes(word[last]);
+};
+
+/**
+ * Replace the first matching suffix when the remaining stem is long enough
+ * @param {string} word - Word being stemmed
+ * @param {Array} suffixes - Pairs of suffix and replacement
+ * @param {number} minMeasure - Measure the stem must exceed
+ * @returns {string} - Word with the suffix replaced
+ */
+const replaceSuffix = (word, suffixes, minMeasure) => {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+};
+
+/**
+ * Stem an English word
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem of the word
+ */
+const stem = (word) => {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // Step 1a: plurals
+  if (word.endsWith('sses') || word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    word = word.slice(0, -1);
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+    if (suffix) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y to i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, STEP2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, 0);
+
+  // Step 4: remove suffixes from long stems
+  const suffix = STEP4_SUFFIXES
+    .filter(ending => word.endsWith(ending))
+    .sort((a, b) => b.length - a.length)[0];
+  if (suffix) {
+    const base = word.slice(0, -suffix.length);
+    const allowed = suffix !== 'ion' || base.endsWith('s') || base.endsWith('t');
+    if (allowed && measure(base) > 1) {
+      word = base;
+    }
+  }
+
+  // Step 5: final e and double l
+  if (word.endsWith('e')) {
+    const base = word.slice(0, -1);
+    const m = measure(base);
+    if (m > 1 || (m === 1 && !endsWithCvc(base))) {
+      word = base;
+    }
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+};
+
+module.exports = {
+  stem
+};
@@ -6,10 +6,13 @@
  */
 
 const WORKSPACE_STRUCTURE = require('./workspaceStructure');
+const workspaceDiscovery = require('./workspaceDiscovery');
 const pageMapper = require('./pageMapper');
 const notionApi = require('./api');
 const notionUtils = require('./utils');
+const markdownRenderer = require('./markdownRenderer');
 const notionCache = require('./cache');
+const { DOCUMENT_TYPE_BOOST, TITLE_STRATEGY_WEIGHT } = require('./intentClassifier');
 
 class StructuredSearch {
   constructor() {
@@ -33,6 +36,9 @@ class StructuredSearch {
   
   /**
    * Perform a structure-aware search
+   * @param {string} query - The user's query
+   * @param {Object} options - Search options
+   * @param {Object} [options.intent] - Intent from intentClassifier; picks the strategy and the document types to boost
    */
   async search(query, options = {}) {
     if (!this.initialized) {
@@ -46,6 +52,7 @@ class StructuredSearch {
     };
     
     const searchOptions = { ...defaultOptions, ...options };
+    const strategy = searchOptions.intent ? searchOptions.intent.strategy : 'section';
     
     // Analyze query to determine relevant sections
     const relevantSections = this.findRelevantSections(query);
@@ -53,25 +60,38 @@ class StructuredSearch {
     // Perform search with section prioritization
     const results = [];
     
+    // Pages of the document types that answer this kind of query come first
+    if (strategy === 'document_type') {
+      for (const documentType of searchOptions.intent.documentTypes) {
+        const pageIds = pageMapper.getPagesOfType(documentType);
+        results.push(...await this.searchInPages(query, pageIds, 'general', searchOptions));
+      }
+    }
+    
+    // Broad queries (lists, comparisons) gather results from every relevant section instead of stopping at the first
+    const hasEnough = () => strategy !== 'broad' && results.length >= searchOptions.maxResults;
+    
     // First search in highly relevant sections
-    for (const sectionKey of relevantSections.highRelevance) {
-      const sectionResults = await this.searchInSection(query, sectionKey, searchOptions);
-      results.push(...sectionResults);
-      
-      // Stop if we have enough results
-      if (results.length >= searchOptions.maxResults) {
-        break;
+    if (!hasEnough()) {
+      for (const sectionKey of relevantSections.highRelevance) {
+        const sectionResults = await this.searchInSection(query, sectionKey, searchOptions);
+        results.push(...sectionResults);
+        
+        // Stop if we have enough results
+        if (hasEnough()) {
+          break;
+        }
       }
     }
     
     // If we don't have enough results, try medium relevance sections
-    if (results.length < searchOptions.maxResults) {
+    if (!hasEnough()) {
       for (const sectionKey of relevantSections.mediumRelevance) {
         const sectionResults = await this.searchInSection(query, sectionKey, searchOptions);
         results.push(...sectionResults);
         
         // Stop if we have enough results
-        if (results.length >= searchOptions.maxResults) {
+        if (hasEnough()) {
           break;
         }
       }
@@ -104,28 +124,15 @@ class StructuredSearch {
    * Find relevant sections based on query
    */
   findRelevantSections(query) {
-    const queryLower = query.toLowerCase();
+    const scores = new Map(workspaceDiscovery.matchSections(query).map(({ key, score }) => [key, score]));
     const highRelevance = [];
     const mediumRelevance = [];
     const lowRelevance = [];
     
-    // Check each section for relevance
-    for (const [sectionKey, section] of Object.entries(WORKSPACE_STRUCTURE.sections)) {
-      let relevanceScore = 0;
-      
-      // Check if query contains section title
-      if (queryLower.includes(section.title.toLowerCase())) {
-        relevanceScore += 3;
-      }
-      
-      // Check if query contains key terms
-      for (const term of section.keyTerms) {
-        if (queryLower.includes(term)) {
-          relevanceScore += 1;
-        }
-      }
+    // Categorize each approved section by relevance score
+    for (const sectionKey of Object.keys(workspaceDiscovery.getSections())) {
+      const relevanceScore = scores.get(sectionKey) || 0;
       
-      // Categorize by relevance score
       if (relevanceScore >= 3) {
         highRelevance.push(sectionKey);
       } else if (relevanceScore >= 1) {
@@ -146,12 +153,16 @@ class StructuredSearch {
    * Search within a specific section
    */
   async searchInSection(query, sectionKey, options) {
-    const section = WORKSPACE_STRUCTURE.sections[sectionKey];
-    
     // Get page IDs for this section and its children
     const pageIds = pageMapper.getPagesForSection(sectionKey);
     
-    // Search within these pages
+    return this.searchInPages(query, pageIds, sectionKey, options);
+  }
+  
+  /**
+   * Search within a set of pages
+   */
+  async searchInPages(query, pageIds, sectionKey, options) {
     const results = [];
     
     for (const pageId of pageIds) {
@@ -174,8 +185,11 @@ class StructuredSearch {
           // Get page content if requested
           let content = '';
           if (options.includeContent) {
-            const pageStructure = await this.traversePageContent(pageId, 0, 3); // Reduced depth for efficiency
-            content = this.extractContentFromStructure(pageStructure);
+            const pageStructure = await notionApi.getBlockTree(pageId, {
+              maxDepth: 3, // Reduced depth for efficiency
+              shouldTraverse: (block, depth) => this.shouldTraverseBlock(block.type, depth)
+            });
+            content = markdownRenderer.renderBlocks(pageStructure);
           }
           
           pageContent = {
@@ -187,7 +201,7 @@ class StructuredSearch {
         }
         
         // Calculate relevance
-        const relevance = this.calculateRelevance(query, pageContent, sectionKey);
+        const relevance = this.calculateRelevance(query, pageContent, sectionKey, options.intent);
         
         if (relevance > 0) {
           results.push({
@@ -250,23 +264,24 @@ class StructuredSearch {
   /**
    * Calculate relevance of a page to a query
    */
-  calculateRelevance(query, pageContent, sectionKey) {
+  calculateRelevance(query, pageContent, sectionKey, intent = null) {
     const queryLower = query.toLowerCase();
     const titleLower = pageContent.title.toLowerCase();
     const contentLower = pageContent.content ? pageContent.content.toLowerCase() : '';
+    const titleWeight = intent && intent.strategy === 'title' ? TITLE_STRATEGY_WEIGHT : 1;
     
     let relevance = 0;
     
     // Title match is highly relevant
     if (titleLower.includes(queryLower)) {
-      relevance += 5;
+      relevance += 5 * titleWeight;
     }
     
     // Check for query terms in title
     const queryTerms = queryLower.split(/\s+/).filter(term => term.length > 2);
     for (const term of queryTerms) {
       if (titleLower.includes(term)) {
-        relevance += 2;
+        relevance += 2 * titleWeight;
       }
     }
     
@@ -286,7 +301,7 @@ class StructuredSearch {
     }
     
     // Section relevance bonus
-    const section = WORKSPACE_STRUCTURE.sections[sectionKey];
+    const section = workspaceDiscovery.getSections()[sectionKey];
     if (section) {
       // Check if content contains section key terms
       for (const term of section.keyTerms) {
@@ -296,6 +311,12 @@ class StructuredSearch {
       }
     }
     
+    // Pages of the document types the intent asks for
+    const mapping = pageMapper.getPageMapping(pageContent.id);
+    if (intent && mapping && intent.documentTypes.includes(mapping.documentType)) {
+      relevance *= DOCUMENT_TYPE_BOOST;
+    }
+    
     return relevance;
   }
   
@@ -354,59 +375,6 @@ class StructuredSearch {
     return uniqueResults.sort((a, b) => b.relevance - a.relevance);
   }
   
-  /**
-   * Traverse page content recursively (simplified version)
-   */
-  async traversePageContent(blockId, currentDepth = 0, maxDepth = 3) {
-    // Stop if we've reached the maximum depth
-    if (currentDepth > maxDepth) {
-      return [];
-    }
-    
-    try {
-      // Get the blocks at this level
-      const response = await notionApi.getChildBlocks(blockId);
-      const blocks = response.results || [];
-      
-      if (blocks.length === 0) {
-        return [];
-      }
-      
-      // Process each block
-      const structuredContent = [];
-      
-      for (const block of blocks) {
-        // Extract text from this block
-        const blockContent = notionUtils.extractTextFromBlock(block);
-        
-        // Create a structure entry for this block
-        const blockEntry = {
-          id: block.id,
-          type: block.type,
-          content: blockContent,
-          children: []
-        };
-        
-        // Check if this block has children and is important enough to traverse
-        if (block.has_children && this.shouldTraverseBlock(block.type, currentDepth)) {
-          // Recursively get children
-          blockEntry.children = await this.traversePageContent(
-            block.id,
-            currentDepth + 1,
-            maxDepth
-          );
-        }
-        
-        structuredContent.push(blockEntry);
-      }
-      
-      return structuredContent;
-    } catch (error) {
-      console.error(`Error traversing content at depth ${currentDepth}:`, error);
-      return [];
-    }
-  }
-  
   /**
    * Determine if a block should be traversed based on its type and depth
    */
@@ -422,32 +390,6 @@ class StructuredSearch {
     
     return false;
   }
-  
-  /**
-   * Extract text content from structured page content
-   */
-  extractContentFromStructure(structure, indentLevel = 0) {
-    if (!structure || structure.length === 0) {
-      return '';
-    }
-    
-    let content = '';
-    const indent = '  '.repeat(indentLevel);
-    
-    for (const block of structure) {
-      // Add this block's content
-      if (block.content) {
-        content += `${indent}${block.content}\n`;
-      }
-      
-      // Add children's content with increased indentation
-      if (block.children && block.children.length > 0) {
-        content += this.extractContentFromStructure(block.children, indentLevel + 1);
-      }
-    }
-    
-    return content;
-  }
 }
 
 // Create singleton instance
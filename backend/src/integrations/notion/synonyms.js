@@ -0,0 +1,84 @@
+/**
+ * Synonym Dictionary
+ *
+ * Connects a term with its synonyms and expansions (e.g. AFSL and
+ * Australian Financial Services License). Whenever any of them occurs in a
+ * document or a query, a shared "syn:" term is added, so each variant
+ * matches the others. The dictionary is stored in SQLite and edited by admins.
+ */
+const synonymRepository = require('../../repositories/synonymRepository');
+const analyzer = require('./analyzer');
+
+const SYNONYM_PREFIX = 'syn:';
+
+class SynonymDictionary {
+  constructor() {
+    this.isLoaded = false;
+    this.phrases = new Map(); // Map of first term to the phrases starting with it
+  }
+
+  /**
+   * Load, or reload after an edit, the dictionary from the database
+   */
+  load() {
+    this.phrases = new Map();
+
+    try {
+      for (const entry of synonymRepository.getAllSynonyms()) {
+        const termWords = analyzer.analyze(entry.term);
+        const canonical = SYNONYM_PREFIX + (termWords.length > 0 ? termWords.join('_') : entry.id);
+
+        for (const variant of [entry.term, ...entry.synonyms]) {
+          const terms = analyzer.analyze(variant);
+          if (terms.length === 0) continue;
+
+          if (!this.phrases.has(terms[0])) {
+            this.phrases.set(terms[0], []);
+          }
+          this.phrases.get(terms[0]).push({ terms, canonical });
+        }
+      }
+    } catch (error) {
+      console.error('Error loading search synonyms:', error);
+    }
+
+    this.isLoaded = true;
+  }
+
+  /**
+   * Find the synonym terms for analyzed text
+   * @param {Array} terms - Terms from the analyzer
+   * @returns {Array} - One synonym term per matched variant, in the order they occur
+   */
+  expand(terms) {
+    if (!this.isLoaded) {
+      this.load();
+    }
+
+    const expansions = [];
+
+    for (let i = 0; i < terms.length; i++) {
+      for (const phrase of this.phrases.get(terms[i]) || []) {
+        if (phrase.terms.every((term, offset) => terms[i + offset] === term)) {
+          expansions.push(phrase.canonical);
+        }
+      }
+    }
+
+    return expansions;
+  }
+
+  /**
+   * Check whether a term was added by the dictionary
+   * @param {string} term - Indexed term
+   * @returns {boolean} - Whether the term is a synonym term
+   */
+  isSynonymTerm(term) {
+    return term.startsWith(SYNONYM_PREFIX);
+  }
+}
+
+// Create a singleton instance
+const synonymDictionary = new SynonymDictionary();
+
+module.exports = synonymDictionary;
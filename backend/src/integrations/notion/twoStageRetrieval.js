@@ -2,16 +2,59 @@
  * Two-Stage Retrieval
  *
  * Implements a two-stage retrieval process for Notion content:
- * 1. Initial search returns potential answer locations
- * 2. Detailed retrieval gets full content when requested
+ * 1. Initial search returns potential answer locations, fusing keyword
+ *    and semantic (embedding) rankings with link authority and the approved
+ *    workspace sections the query is about
+ * 2. Detailed retrieval gets full content when requested, narrowed down
+ *    to the best passages for long pages
  */
 
 const notionApi = require('./api');
 const notionUtils = require('./utils');
+const markdownRenderer = require('./markdownRenderer');
 const notionCache = require('./cache');
+const vectorIndex = require('./vectorIndex');
+const linkGraph = require('./linkGraph');
 const adaptiveStructure = require('./adaptiveStructure');
+const workspaceDiscovery = require('./workspaceDiscovery');
+const contentProcessors = require('./contentProcessors');
+const { DOCUMENT_TYPE_BOOST, TITLE_STRATEGY_WEIGHT } = require('./intentClassifier');
 // No need for workspace structure with adaptive approach
-const { processMessage } = require('../../services/geminiService');
+const llm = require('../../services/llm');
+
+// Pages longer than this are narrowed down to their best passages before reaching the LLM
+const MAX_FULL_CONTENT_CHARS = 4000;
+const MAX_DETAIL_PASSAGES = 4;
+
+// Rankings fused by reciprocal rank: each ranking adds 1 / (RRF_K + rank) to a page's score
+const RRF_K = 60;
+const MAX_SOURCES = 10;
+const MAX_CANDIDATES = 30;
+const MAX_PASSAGES_PER_SOURCE = 3;
+// Weight of the authority ranking (from the link graph) relative to the keyword and semantic rankings
+const AUTHORITY_RANK_WEIGHT = 0.5;
+// Weight of the ranking of pages in the approved workspace sections the query is about
+const SECTION_RANK_WEIGHT = 0.5;
+const MAX_RELATED_PAGES = 3;
+
+/**
+ * Fuse rankings of pages with reciprocal rank fusion
+ * @param {Array} rankings - Arrays of page IDs, best first
+ * @param {Array} [weights] - Weight of each ranking, 1 when not given
+ * @returns {Map} - Map of page ID to fused score, best first
+ */
+const reciprocalRankFusion = (rankings, weights = []) => {
+  const scores = new Map();
+
+  rankings.forEach((ranking, rankingIndex) => {
+    const weight = weights[rankingIndex] === undefined ? 1 : weights[rankingIndex];
+    ranking.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + weight / (RRF_K + index + 1));
+    });
+  });
+
+  return new Map([...scores.entries()].sort((a, b) => b[1] - a[1]));
+};
 
 class TwoStageRetrieval {
   constructor() {
@@ -51,8 +94,12 @@ class TwoStageRetrieval {
 
   /**
    * Stage 1: Find potential sources for a query
+   * @param {string} query - The user's query
+   * @param {Object} [options] - Search options
+   * @param {Object} [options.intent] - Intent from intentClassifier; picks the ranking strategy and the document types to boost
+   * @returns {Promise<Array>} - Potential sources, best first
    */
-  async findPotentialSources(query) {
+  async findPotentialSources(query, options = {}) {
     console.log(`Finding potential sources for query: "${query}"`);
 
     if (!this.initialized) {
@@ -63,16 +110,15 @@ class TwoStageRetrieval {
     // First try to search using the cache if it's initialized
     let searchResults = [];
     if (notionCache.isInitialized) {
-      searchResults = notionCache.search(query);
+      searchResults = await this.searchCache(query, { intent: options.intent });
       console.log(`Found ${searchResults.length} results in cache`);
     }
 
     // If we don't have enough results, try direct API search
     if (searchResults.length < 5) {
       try {
-        const apiResults = await notionApi.search({
-          query,
-          page_size: 5 - searchResults.length
+        const apiResults = await notionApi.search(query, {
+          limit: 5 - searchResults.length
         });
 
         const formattedResults = notionUtils.formatSearchResults(apiResults);
@@ -109,28 +155,178 @@ class TwoStageRetrieval {
         // Track this page access
         adaptiveStructure.trackPageAccess(result.id);
 
+        const passages = result.passages || [];
+        const cachedContent = notionCache.isInitialized ? notionCache.getContent(result.id) : null;
+
         return {
           id: result.id,
           title: result.title || 'Untitled',
-          preview: await this.generatePreview(result.id, query),
+          preview: await this.generatePreview(result.id, query, passages),
           path: await this.getPathInHierarchy(result.id),
           url: result.url || `https://notion.so/${result.id.replace(/-/g, '')}`,
+          // Deep links to the sections that matched
+          passages: passages.map(({ blockId, headingPath, url }) => ({ blockId, headingPath, url })),
+          documentType: cachedContent ? contentProcessors.classifyDocument(cachedContent.title, cachedContent.content || '') : null,
           relevance: result.score || 1
         };
       })
     );
 
-    return potentialSources;
+    return this.boostByDocumentType(potentialSources, options.intent);
+  }
+
+  /**
+   * Move sources of the document types an intent asks for up the ranking
+   * @param {Array} sources - Potential sources, best first
+   * @param {Object} [intent] - Intent from intentClassifier
+   * @returns {Array} - Sources, best first
+   */
+  boostByDocumentType(sources, intent) {
+    if (!intent || intent.documentTypes.length === 0) {
+      return sources;
+    }
+
+    // Sources come from rankings with different score scales (fused cache results, API results),
+    // so the boost applies to their rank rather than their score
+    return sources
+      .map((source, index) => {
+        const boost = intent.documentTypes.includes(source.documentType) ? DOCUMENT_TYPE_BOOST : 1;
+        return { source, score: boost / (index + 1) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(({ source }) => source);
+  }
+
+  /**
+   * Search the cache by keywords and by meaning, fusing both rankings with page authority from the link graph
+   * and with the approved workspace sections the query is about
+   * @param {string} query - The user's query
+   * @param {Object} [options] - Search options
+   * @param {Object} [options.intent] - Intent from intentClassifier; the 'title' strategy weighs title matches more
+   * @returns {Promise<Array>} - Search results with their best passages
+   */
+  async searchCache(query, options = {}) {
+    const { intent = null } = options;
+    const { fieldWeights } = notionCache.getRankingOptions();
+
+    const keywordResults = notionCache.search(query, {
+      maxResults: MAX_CANDIDATES,
+      maxPassagesPerPage: MAX_PASSAGES_PER_SOURCE,
+      ...(intent && intent.strategy === 'title'
+        ? { fieldWeights: { ...fieldWeights, title: fieldWeights.title * TITLE_STRATEGY_WEIGHT } }
+        : {})
+    });
+
+    let semanticHits = [];
+    try {
+      semanticHits = await vectorIndex.search(query, { maxResults: MAX_CANDIDATES * MAX_PASSAGES_PER_SOURCE });
+    } catch (error) {
+      console.error('Error searching passage embeddings:', error);
+    }
+
+    const keywordIds = keywordResults.map(result => result.id);
+    const keywordResultsById = new Map(keywordResults.map(result => [result.id, result]));
+
+    // Pages that many others link to are ranked a little higher
+    const rankByAuthority = (ids) => linkGraph.hasLinks() ? linkGraph.rankByAuthority(ids) : [];
+
+    if (semanticHits.length === 0) {
+      const authorityRanking = rankByAuthority(keywordIds);
+      const sectionRanking = this.rankBySection(query, keywordIds);
+      if (authorityRanking.length === 0 && sectionRanking.length === 0) {
+        return keywordResults.slice(0, MAX_SOURCES);
+      }
+
+      const fused = reciprocalRankFusion(
+        [keywordIds, authorityRanking, sectionRanking],
+        [1, AUTHORITY_RANK_WEIGHT, SECTION_RANK_WEIGHT]
+      );
+      return [...fused.entries()].slice(0, MAX_SOURCES).map(([id, score]) => ({ ...keywordResultsById.get(id), score }));
+    }
+
+    // Pages in the order of their best semantic passage
+    const semanticPassages = new Map();
+    for (const { passage, score } of semanticHits) {
+      if (!semanticPassages.has(passage.pageId)) {
+        semanticPassages.set(passage.pageId, []);
+      }
+      semanticPassages.get(passage.pageId).push(notionCache.toPassageResult(passage, score));
+    }
+
+    const semanticIds = [...semanticPassages.keys()];
+    const candidateIds = [...new Set([...keywordIds, ...semanticIds])];
+    const fused = reciprocalRankFusion([
+      keywordIds,
+      semanticIds,
+      rankByAuthority(candidateIds),
+      this.rankBySection(query, candidateIds)
+    ], [1, 1, AUTHORITY_RANK_WEIGHT, SECTION_RANK_WEIGHT]);
+
+    const sources = [];
+    for (const [id, score] of fused.entries()) {
+      if (sources.length >= MAX_SOURCES) break;
+
+      // Vectors can outlive a page that was just removed from the cache
+      const keywordResult = keywordResultsById.get(id);
+      const page = keywordResult || notionCache.getContent(id);
+      if (!page) continue;
+
+      // Keyword passages first, then semantic ones not already included
+      const passages = [...((keywordResult && keywordResult.passages) || [])];
+      for (const passage of semanticPassages.get(id) || []) {
+        if (!passages.some(existing => existing.id === passage.id)) {
+          passages.push(passage);
+        }
+      }
+
+      sources.push({
+        id,
+        type: page.type || 'page',
+        title: page.title,
+        url: page.url,
+        score,
+        passages: passages.slice(0, MAX_PASSAGES_PER_SOURCE)
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Rank the candidate pages that belong to the approved workspace sections matching a query
+   * @param {string} query - The user's query
+   * @param {Array} candidateIds - Page IDs, best first
+   * @returns {Array} - Candidates in a matching section, by section score and then by their order
+   */
+  rankBySection(query, candidateIds) {
+    const matches = workspaceDiscovery.matchSections(query);
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const sectionScores = new Map();
+    for (const id of candidateIds) {
+      const match = matches.find(({ section }) => section.pageIds.includes(id));
+      if (match) {
+        sectionScores.set(id, match.score);
+      }
+    }
+
+    // Sorting is stable, so candidates of the same section keep their order
+    return [...sectionScores.keys()].sort((a, b) => sectionScores.get(b) - sectionScores.get(a));
   }
 
   /**
    * Generate a preview for a potential source
+   * @param {string} pageId - Page to preview
+   * @param {string} query - The user's query
+   * @param {Array} passages - Matching passages of the page, best first
    */
-  async generatePreview(pageId, query) {
+  async generatePreview(pageId, query, passages = []) {
     try {
-      // Try to get from cache first
-      let content = '';
-      if (notionCache.isInitialized) {
+      // Preview the passages that matched, falling back to the start of the page
+      let content = passages.map(passage => passage.content).join('\n\n');
+      if (!content && notionCache.isInitialized) {
         const cachedContent = notionCache.getContent(pageId);
         if (cachedContent) {
           content = cachedContent.content;
@@ -140,8 +336,8 @@ class TwoStageRetrieval {
       // If not in cache, get a brief content sample
       if (!content) {
         // Get page blocks directly
-        const blocks = await notionApi.getChildBlocks(pageId);
-        content = this.extractTextFromBlocks(blocks);
+        const response = await notionApi.getChildBlocks(pageId);
+        content = markdownRenderer.renderBlocks(response.results);
       }
 
       // Limit content length
@@ -177,7 +373,7 @@ class TwoStageRetrieval {
         }
       ];
 
-      const response = await processMessage(prompt);
+      const response = await llm.getProvider().chat(prompt, { purpose: 'preview' });
       return response.content;
     } catch (error) {
       console.error('Error generating focused preview:', error);
@@ -273,8 +469,8 @@ class TwoStageRetrieval {
         const pageTitle = notionUtils.getPageTitle(page);
 
         // Get page blocks directly with recursive retrieval
-        const blocks = await this.getPageBlocksRecursively(pageId, 3); // Deeper traversal
-        const content = this.extractTextFromBlocks(blocks);
+        const blocks = await notionApi.getBlockTree(pageId, { maxDepth: 3 }); // Deeper traversal
+        const content = markdownRenderer.renderBlocks(blocks);
 
         pageContent = {
           id: pageId,
@@ -284,26 +480,38 @@ class TwoStageRetrieval {
         };
       }
 
+      // The whole page is classified and processed, even when only some passages are shown
+      const documentType = await this.classifyDocumentType(pageId, pageContent.content, pageContent.title);
+      const processed = await this.processContentByType(pageContent, documentType, query);
+
+      // Long pages are narrowed down to the passages that answer the query
+      const passages = this.selectPassages(pageId, pageContent, query);
+      if (passages.length > 0) {
+        pageContent = {
+          ...pageContent,
+          content: passages.map(passage => {
+            const breadcrumb = passage.headingPath.length > 0 ? `(${passage.headingPath.join(' > ')})\n` : '';
+            return breadcrumb + passage.content;
+          }).join('\n\n')
+        };
+      }
+
       // Get related pages
       const relatedPages = await this.findRelatedPages(pageId, query);
 
       // Get the path in the hierarchy
       const path = await this.getPathInHierarchy(pageId);
 
-      // Classify the document type
-      const documentType = await this.classifyDocumentType(pageId, pageContent.content);
-
-      // Process content based on document type
-      const processedContent = await this.processContentByType(pageContent, documentType, query);
-
       return {
         id: pageId,
         title: pageContent.title,
-        content: processedContent,
+        content: pageContent.content,
         path,
         documentType,
+        processed,
         relatedPages,
-        url: pageContent.url
+        url: pageContent.url,
+        passages: passages.map(({ blockId, headingPath, url }) => ({ blockId, headingPath, url }))
       };
     } catch (error) {
       console.error(`Error getting detailed content for ${pageId}:`, error);
@@ -311,25 +519,40 @@ class TwoStageRetrieval {
     }
   }
 
+  /**
+   * Pick the passages of a long page that best match a query
+   * @param {string} pageId - Page the content belongs to
+   * @param {Object} pageContent - Page with content
+   * @param {string} query - The user's query
+   * @returns {Array} - Passages in page order, or an empty array to use the whole page
+   */
+  selectPassages(pageId, pageContent, query) {
+    if (!notionCache.isInitialized || !query || (pageContent.content || '').length <= MAX_FULL_CONTENT_CHARS) {
+      return [];
+    }
+
+    return notionCache.searchPassages(query, { pageId, maxResults: MAX_DETAIL_PASSAGES })
+      .sort((a, b) => a.position - b.position);
+  }
+
   /**
    * Find related pages
    */
   async findRelatedPages(pageId, query) {
     try {
-      // Use adaptive structure to find related pages
-      const relatedIds = await adaptiveStructure.findRelatedPages(pageId);
+      // Pages linked to or from this one come first, then its neighbours in the page hierarchy
+      const linkedIds = linkGraph.getLinkedPages(pageId, MAX_RELATED_PAGES);
+      const hierarchyIds = await adaptiveStructure.findRelatedPages(pageId);
+      const relatedIds = [...new Set([...linkedIds, ...hierarchyIds])];
 
-      // Get basic info for each page (up to 3)
+      // Get basic info for each page
       const relatedPages = await Promise.all(
-        relatedIds.slice(0, 3).map(async id => {
+        relatedIds.slice(0, MAX_RELATED_PAGES).map(async id => {
           try {
             // Try to get from cache first
             let title = 'Untitled';
             if (notionCache.isInitialized) {
-              const cachedPage = notionCache.getPage(id);
-              if (cachedPage) {
-                title = cachedPage.title || 'Untitled';
-              }
+              title = notionCache.getTitle(id) || 'Untitled';
             }
 
             // If not in cache, get from API
@@ -362,123 +585,24 @@ class TwoStageRetrieval {
 
   /**
    * Classify document type
+   * @param {string} pageId - Page ID
+   * @param {string} content - Page content as Markdown
+   * @param {string} [title] - Page title
+   * @returns {Promise<string>} - Document type, e.g. 'PROCEDURE'
    */
-  async classifyDocumentType(pageId, content) {
-    // Simple classification based on content keywords
-    const contentLower = content.toLowerCase();
-
-    if (contentLower.includes('policy') || contentLower.includes('guideline') || contentLower.includes('rule')) {
-      return 'POLICY';
-    } else if (contentLower.includes('procedure') || contentLower.includes('process') || contentLower.includes('how to')) {
-      return 'PROCEDURE';
-    } else if (contentLower.includes('contact') || contentLower.includes('email') || contentLower.includes('phone')) {
-      return 'CONTACT_LIST';
-    } else if (contentLower.includes('form') || contentLower.includes('template') || contentLower.includes('fill')) {
-      return 'FORM';
-    } else {
-      return 'GENERAL_INFO';
-    }
+  async classifyDocumentType(pageId, content, title = '') {
+    return contentProcessors.classifyDocument(title, content || '');
   }
 
   /**
    * Process content based on document type
+   * @param {Object} pageContent - Page with content
+   * @param {string} documentType - Document type
+   * @param {string} query - The user's query
+   * @returns {Promise<Object>} - Typed object for the document type (steps, requirements, people or fields)
    */
   async processContentByType(pageContent, documentType, query) {
-    // For MVP, we'll just return the raw content
-    // In a future version, this would process content differently based on type
-    return pageContent.content;
-  }
-
-  /**
-   * Extract text from blocks
-   */
-  extractTextFromBlocks(blocks, indentLevel = 0) {
-    if (!blocks || blocks.length === 0) {
-      return '';
-    }
-
-    let content = '';
-    const indent = '  '.repeat(indentLevel);
-
-    for (const block of blocks) {
-      // Extract text from this block
-      let blockContent = '';
-
-      if (block.type === 'paragraph') {
-        blockContent = this.extractTextFromRichText(block.paragraph.rich_text);
-      } else if (block.type === 'heading_1') {
-        blockContent = this.extractTextFromRichText(block.heading_1.rich_text);
-      } else if (block.type === 'heading_2') {
-        blockContent = this.extractTextFromRichText(block.heading_2.rich_text);
-      } else if (block.type === 'heading_3') {
-        blockContent = this.extractTextFromRichText(block.heading_3.rich_text);
-      } else if (block.type === 'bulleted_list_item') {
-        blockContent = '• ' + this.extractTextFromRichText(block.bulleted_list_item.rich_text);
-      } else if (block.type === 'numbered_list_item') {
-        blockContent = '1. ' + this.extractTextFromRichText(block.numbered_list_item.rich_text);
-      } else if (block.type === 'to_do') {
-        blockContent = `[${block.to_do.checked ? 'x' : ' '}] ` + this.extractTextFromRichText(block.to_do.rich_text);
-      } else if (block.type === 'toggle') {
-        blockContent = this.extractTextFromRichText(block.toggle.rich_text);
-      } else if (block.type === 'child_page') {
-        blockContent = `[Page: ${block.child_page.title}]`;
-      } else if (block.type === 'child_database') {
-        blockContent = `[Database: ${block.child_database.title}]`;
-      }
-
-      if (blockContent) {
-        content += `${indent}${blockContent}\n`;
-      }
-
-      // Add children's content with increased indentation
-      if (block.has_children) {
-        try {
-          const childBlocks = block.children || [];
-          content += this.extractTextFromBlocks(childBlocks, indentLevel + 1);
-        } catch (error) {
-          console.error(`Error processing child blocks:`, error);
-        }
-      }
-    }
-
-    return content;
-  }
-
-  /**
-   * Extract text from rich text
-   */
-  extractTextFromRichText(richText) {
-    if (!richText || richText.length === 0) {
-      return '';
-    }
-
-    return richText.map(t => t.plain_text).join('');
-  }
-
-  /**
-   * Get page blocks recursively
-   */
-  async getPageBlocksRecursively(pageId, maxDepth = 2, currentDepth = 0) {
-    if (currentDepth > maxDepth) {
-      return [];
-    }
-
-    try {
-      const response = await notionApi.getChildBlocks(pageId);
-      const blocks = response.results || [];
-
-      // Process children recursively
-      for (const block of blocks) {
-        if (block.has_children) {
-          block.children = await this.getPageBlocksRecursively(block.id, maxDepth, currentDepth + 1);
-        }
-      }
-
-      return blocks;
-    } catch (error) {
-      console.error(`Error getting blocks for ${pageId}:`, error);
-      return [];
-    }
+    return contentProcessors.processContent(documentType, pageContent.content || '');
   }
 }
 
@@ -486,3 +610,4 @@ class TwoStageRetrieval {
 const twoStageRetrieval = new TwoStageRetrieval();
 
 module.exports = twoStageRetrieval;
+module.exports.reciprocalRankFusion = reciprocalRankFusion;
@@ -5,6 +5,68 @@
  * These functions help extract and format content from Notion.
  */
 
+// Looks up the title of a page or database by ID, used for mentions and links
+let titleResolver = null;
+
+/**
+ * Set the function used to look up page and database titles by ID
+ * @param {Function|null} resolver - Function taking an ID and returning a title or null
+ */
+const setTitleResolver = (resolver) => {
+  titleResolver = resolver;
+};
+
+/**
+ * Look up the title of a page or database
+ * @param {string} id - Page or database ID
+ * @returns {string|null} - Title, or null if unknown
+ */
+const resolveTitle = (id) => {
+  if (!id || !titleResolver) {
+    return null;
+  }
+
+  try {
+    return titleResolver(id) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Extract the text of a mention
+ * @param {Object} text - Rich text object of type mention
+ * @returns {string} - Text for the mention
+ */
+const extractTextFromMention = (text) => {
+  const mention = text.mention || {};
+  const plainText = text.plain_text || '';
+
+  switch (mention.type) {
+    case 'page':
+    case 'database': {
+      // Notion reports "Untitled" for pages the integration can't see
+      const id = mention[mention.type] && mention[mention.type].id;
+      const title = resolveTitle(id);
+      if (title && (!plainText || plainText === 'Untitled')) {
+        return title;
+      }
+      return plainText || title || '';
+    }
+    case 'date': {
+      if (plainText) return plainText;
+      const { start, end } = mention.date || {};
+      return end ? `${start} → ${end}` : (start || '');
+    }
+    case 'user':
+      return plainText || `@${(mention.user && mention.user.name) || 'user'}`;
+    case 'link_preview':
+      return plainText || (mention.link_preview && mention.link_preview.url) || '';
+    default:
+      return plainText;
+  }
+};
+
 /**
  * Extract plain text from rich text objects
  * @param {Array} richText - Array of rich text objects
@@ -15,7 +77,27 @@ const extractTextFromRichText = (richText = []) => {
     return '';
   }
 
-  return richText.map(text => text.plain_text || '').join('');
+  return richText.map(text => {
+    if (text.type === 'mention') {
+      return extractTextFromMention(text);
+    }
+    if (text.type === 'equation') {
+      return `$${(text.equation && text.equation.expression) || text.plain_text || ''}$`;
+    }
+    return text.plain_text || '';
+  }).join('');
+};
+
+/**
+ * Get the URL of a file-like block (image, file, pdf, video, audio)
+ * @param {Object} fileObject - The block's type-specific object
+ * @returns {string} - URL, or an empty string
+ */
+const getFileUrl = (fileObject) => {
+  if (!fileObject) return '';
+  if (fileObject.type === 'external') return fileObject.external?.url || '';
+  if (fileObject.type === 'file') return fileObject.file?.url || '';
+  return fileObject.url || '';
 };
 
 /**
@@ -38,6 +120,12 @@ const getPageTitle = (page) => {
     return extractTextFromRichText(page.title);
   }
 
+  // Wiki and renamed databases keep the title under another name
+  const titleProperty = page.properties && Object.values(page.properties).find(property => property && property.type === 'title');
+  if (titleProperty) {
+    return extractTextFromRichText(titleProperty.title);
+  }
+
   return 'Untitled';
 };
 
@@ -52,6 +140,8 @@ const extractTextFromBlock = (block) => {
   const blockType = block.type;
   if (!blockType || !block[blockType]) return '';
 
+  const data = block[blockType];
+
   // Handle different block types
   switch (blockType) {
     case 'paragraph':
@@ -66,20 +156,125 @@ const extractTextFromBlock = (block) => {
       return '• ' + extractTextFromRichText(block.bulleted_list_item.rich_text);
     case 'numbered_list_item':
       return '- ' + extractTextFromRichText(block.numbered_list_item.rich_text);
-    case 'to_do':
+    case 'to_do': {
       const checked = block.to_do.checked ? '[x]' : '[ ]';
       return `${checked} ${extractTextFromRichText(block.to_do.rich_text)}`;
+    }
     case 'toggle':
       return extractTextFromRichText(block.toggle.rich_text);
-    case 'code':
-      return '```\n' + extractTextFromRichText(block.code.rich_text) + '\n```';
+    case 'code': {
+      const caption = extractTextFromRichText(block.code.caption);
+      const code = '```' + (block.code.language || '') + '\n' + extractTextFromRichText(block.code.rich_text) + '\n```';
+      return caption ? `${code}\n${caption}` : code;
+    }
     case 'quote':
       return '> ' + extractTextFromRichText(block.quote.rich_text);
-    case 'callout':
-      return `[!] ${extractTextFromRichText(block.callout.rich_text)}`;
-    default:
+    case 'callout': {
+      const icon = data.icon && data.icon.type === 'emoji' ? data.icon.emoji : '[!]';
+      return `${icon} ${extractTextFromRichText(block.callout.rich_text)}`;
+    }
+    case 'equation':
+      return `$$${data.expression || ''}$$`;
+    case 'divider':
+      return '---';
+    case 'table_row':
+      return '| ' + (data.cells || []).map(cell =>
+        extractTextFromRichText(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+      ).join(' | ') + ' |';
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const caption = extractTextFromRichText(data.caption);
+      return caption ? `${caption} (${data.url})` : (data.url || '');
+    }
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf': {
+      const caption = extractTextFromRichText(data.caption);
+      const name = data.name || caption || blockType;
+      const url = getFileUrl(data);
+      return url ? `[${name}](${url})${caption && caption !== name ? ` ${caption}` : ''}` : caption;
+    }
+    case 'child_page':
+      return data.title || '';
+    case 'child_database':
+      return data.title || '';
+    case 'link_to_page': {
+      const id = data[data.type];
+      const title = resolveTitle(id);
+      return `→ ${title || (data.type === 'database_id' ? 'Linked database' : 'Linked page')}`;
+    }
+    case 'template':
+      return extractTextFromRichText(data.rich_text);
+    // Layout and container blocks carry no text of their own; their content is in their children
+    case 'table':
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+    case 'table_of_contents':
+    case 'breadcrumb':
       return '';
+    default:
+      // Fall back to any rich text the block carries, so new block types are still searchable
+      return data.rich_text ? extractTextFromRichText(data.rich_text) : '';
+  }
+};
+
+/**
+ * Get the block whose children hold a block's content.
+ * A synced block copy has no children of its own; its content lives under the original block.
+ * @param {Object} block - Notion block object
+ * @returns {string} - Block ID to list children of
+ */
+const getContentSourceId = (block) => {
+  if (block && block.type === 'synced_block' && block.synced_block && block.synced_block.synced_from) {
+    return block.synced_block.synced_from.block_id;
   }
+  return block.id;
+};
+
+/**
+ * Format the rows of a table block as a Markdown table
+ * @param {Object} table - Notion table block
+ * @param {Array} rows - Text of each row, as returned by extractTextFromBlock for table_row blocks
+ * @returns {string} - Markdown table
+ */
+const formatTable = (table, rows = []) => {
+  const lines = rows.filter(row => row);
+  if (lines.length === 0) {
+    return '';
+  }
+
+  const width = (table.table && table.table.table_width) || lines[0].split(' | ').length;
+  const separator = '|' + ' --- |'.repeat(width);
+
+  // Markdown tables need a header row, so an empty one is added when Notion has none
+  if (table.table && table.table.has_column_header) {
+    return [lines[0], separator, ...lines.slice(1)].join('\n');
+  }
+  return ['|' + '  |'.repeat(width), separator, ...lines].join('\n');
+};
+
+/**
+ * Extract text from a block and its already-fetched children.
+ * Children are expected on `block.children`, as built by recursive block fetches.
+ * @param {Object} block - Notion block object with optional children
+ * @returns {string} - Text content
+ */
+const extractTextFromBlockTree = (block) => {
+  if (!block) return '';
+
+  const children = Array.isArray(block.children) ? block.children : [];
+
+  if (block.type === 'table') {
+    return formatTable(block, children.map(row => extractTextFromBlock(row)));
+  }
+
+  return [extractTextFromBlock(block), ...children.map(child => extractTextFromBlockTree(child))]
+    .filter(text => text)
+    .join('\n');
 };
 
 /**
@@ -92,7 +287,7 @@ const extractTextFromBlocks = (blocks = []) => {
     return '';
   }
 
-  return blocks.map(block => extractTextFromBlock(block)).filter(text => text).join('\n');
+  return blocks.map(block => extractTextFromBlockTree(block)).filter(text => text).join('\n');
 };
 
 /**
@@ -181,6 +376,17 @@ const formatDatabaseItems = (queryResponse) => {
           result.properties[key] = property.email;
         } else if (property.type === 'phone_number') {
           result.properties[key] = property.phone_number;
+        } else if (property.type === 'status') {
+          result.properties[key] = property.status?.name || null;
+        } else if (property.type === 'people') {
+          result.properties[key] = (property.people || []).map(person => person.name || person.id);
+        } else if (property.type === 'relation') {
+          result.properties[key] = (property.relation || []).map(relation => resolveTitle(relation.id) || relation.id);
+        } else if (property.type === 'created_time' || property.type === 'last_edited_time') {
+          result.properties[key] = { start: property[property.type], end: null };
+        } else if (property.type === 'unique_id') {
+          const { prefix, number } = property.unique_id || {};
+          result.properties[key] = number === undefined ? null : (prefix ? `${prefix}-${number}` : number);
         } else if (property.type === 'formula') {
           result.properties[key] = property.formula.string ||
                                   property.formula.number ||
@@ -219,12 +425,116 @@ const extractTextFromTitle = (title) => {
   return '';
 };
 
+// Page URLs end in the page ID, e.g. https://www.notion.so/acme/Expense-Policy-1a2b...; a "#" part points at a block
+const NOTION_URL_PATTERN = /(?:^\/|notion\.(?:so|site)\/)(?:[^?#\s]*[/-])?([0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12})(?=[?#]|$)/i;
+
+/**
+ * Format a Notion ID with dashes, as the API returns them
+ * @param {string} id - ID with or without dashes
+ * @returns {string} - Dashed lowercase ID
+ */
+const toDashedId = (id) => {
+  const hex = id.replace(/-/g, '').toLowerCase();
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Get the page or database a Notion URL points to
+ * @param {string} url - Absolute notion.so / notion.site URL, or a workspace-relative link such as "/1a2b..."
+ * @returns {string|null} - Dashed ID, or null for other URLs
+ */
+const getIdFromNotionUrl = (url) => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const match = url.trim().match(NOTION_URL_PATTERN);
+  return match ? toDashedId(match[1]) : null;
+};
+
+/**
+ * Collect the pages and databases a list of rich text objects links to
+ * @param {Array} richText - Array of rich text objects
+ * @param {Set} ids - Set the linked IDs are added to
+ */
+const collectLinksFromRichText = (richText, ids) => {
+  if (!Array.isArray(richText)) return;
+
+  for (const text of richText) {
+    if (text.type === 'mention') {
+      const mention = text.mention || {};
+      if ((mention.type === 'page' || mention.type === 'database') && mention[mention.type] && mention[mention.type].id) {
+        ids.add(toDashedId(mention[mention.type].id));
+      } else if (mention.type === 'link_preview' && mention.link_preview) {
+        const id = getIdFromNotionUrl(mention.link_preview.url);
+        if (id) ids.add(id);
+      }
+    }
+
+    const id = getIdFromNotionUrl(text.href || (text.text && text.text.link && text.text.link.url));
+    if (id) ids.add(id);
+  }
+};
+
+/**
+ * Find the pages and databases a block tree links to through mentions,
+ * link_to_page blocks and notion.so URLs. Child pages are not links; they are
+ * part of the page hierarchy.
+ * Children are expected on `block.children`, as built by recursive block fetches.
+ * @param {Array} blocks - Array of Notion blocks with optional children
+ * @param {string} [selfId] - ID of the page the blocks belong to, left out of the result
+ * @returns {Array} - Unique dashed IDs, in the order they first appear
+ */
+const extractLinkedIds = (blocks = [], selfId = null) => {
+  const ids = new Set();
+
+  const visit = (block) => {
+    const data = block && block[block.type];
+    if (data) {
+      collectLinksFromRichText(data.rich_text, ids);
+      collectLinksFromRichText(data.caption, ids);
+      for (const cell of data.cells || []) {
+        collectLinksFromRichText(cell, ids);
+      }
+
+      if (block.type === 'link_to_page' && data[data.type]) {
+        ids.add(toDashedId(data[data.type]));
+      } else if (data.url) {
+        // Bookmarks, embeds and link previews of other pages
+        const id = getIdFromNotionUrl(data.url);
+        if (id) ids.add(id);
+      }
+    }
+
+    for (const child of Array.isArray(block && block.children) ? block.children : []) {
+      visit(child);
+    }
+  };
+
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    visit(block);
+  }
+
+  if (selfId) {
+    ids.delete(toDashedId(selfId));
+  }
+
+  return [...ids];
+};
+
 module.exports = {
+  setTitleResolver,
   extractTextFromRichText,
   getPageTitle,
   extractTextFromBlock,
   extractTextFromBlocks,
+  getFileUrl,
+  getContentSourceId,
+  formatTable,
   formatSearchResults,
   formatDatabaseItems,
-  extractTextFromTitle
+  extractTextFromTitle,
+  toDashedId,
+  getIdFromNotionUrl,
+  extractLinkedIds
 };
@@ -0,0 +1,221 @@
+/**
+ * Passage Vector Index
+ *
+ * Keeps an embedding of every cached passage so queries can be matched by
+ * meaning. The index follows the Notion cache: whenever the cache's search
+ * index changes, new and edited passages are embedded and removed ones are
+ * dropped. Corpus-fitted embedders (LSA) are refitted when much of the
+ * corpus has changed; vectors from other embedders are persisted.
+ */
+const crypto = require('crypto');
+const notionCache = require('./cache');
+const cacheStore = require('./cacheStore');
+const embeddings = require('../../services/embeddings');
+
+// Refit a corpus-fitted embedder once this share of the passages is new or edited
+const REFIT_RATIO = 0.2;
+
+class VectorIndex {
+  constructor() {
+    this.vectors = new Map(); // Map of passage ID to unit-length vector
+    this.contentHashes = new Map(); // Map of passage ID to hash of the embedded text
+    this.revision = null; // Cache revision the vectors reflect
+    this.pendingUpdate = null;
+    this.isLoaded = false;
+    this.isFitting = false; // Vectors are being replaced by ones from a new fit
+    this.fitCount = 0;
+  }
+
+  /**
+   * Embed all cached passages
+   * @returns {Promise<boolean>} - Whether the index is ready
+   */
+  async initialize() {
+    return this.sync();
+  }
+
+  /**
+   * Bring the vectors in line with the cached passages
+   * @returns {Promise<boolean>} - Whether the index is ready
+   */
+  async sync() {
+    const embedder = embeddings.getEmbedder();
+    if (!embedder || !notionCache.isInitialized) {
+      return false;
+    }
+
+    if (this.revision === notionCache.revision) {
+      return true;
+    }
+
+    // Concurrent searches share one update, which starts after the current request is handled
+    if (!this.pendingUpdate) {
+      this.pendingUpdate = new Promise(resolve => setImmediate(resolve))
+        .then(() => this.update(embedder))
+        .then(() => true)
+        .catch(error => {
+          console.error('❌ Error updating passage embeddings:', error);
+          return false;
+        })
+        .finally(() => {
+          this.pendingUpdate = null;
+        });
+    }
+
+    return this.pendingUpdate;
+  }
+
+  /**
+   * Embed new and edited passages and drop removed ones
+   * @param {BaseEmbedder} embedder - The active embedder
+   */
+  async update(embedder) {
+    const revision = notionCache.revision;
+    const model = `${embedder.name}:${embedder.modelName}`;
+
+    // Vectors of a fixed model survive restarts
+    if (!embedder.needsFit && !this.isLoaded) {
+      for (const [id, { contentHash, vector }] of cacheStore.loadEmbeddings(model).entries()) {
+        this.vectors.set(id, vector);
+        this.contentHashes.set(id, contentHash);
+      }
+      this.isLoaded = true;
+    }
+
+    const passages = [...notionCache.passages.values()];
+    const texts = new Map(passages.map(passage => [passage.id, this.getPassageText(passage)]));
+
+    const removedIds = [...this.vectors.keys()].filter(id => !texts.has(id));
+    for (const id of removedIds) {
+      this.vectors.delete(id);
+      this.contentHashes.delete(id);
+    }
+
+    let changed = passages.filter(passage => this.contentHashes.get(passage.id) !== hash(texts.get(passage.id)));
+
+    if (embedder.needsFit && (!embedder.isFitted || changed.length > passages.length * REFIT_RATIO)) {
+      console.log(`🧮 Fitting ${embedder.name} embeddings on ${passages.length} passages...`);
+      this.isFitting = true;
+      try {
+        this.fitCount++;
+        await embedder.fit(passages.map(passage => texts.get(passage.id)));
+        this.vectors.clear();
+        this.contentHashes.clear();
+        changed = passages;
+        await this.embedPassages(embedder, changed, texts);
+      } finally {
+        this.isFitting = false;
+      }
+    } else {
+      await this.embedPassages(embedder, changed, texts);
+    }
+
+    if (!embedder.needsFit && (changed.length > 0 || removedIds.length > 0)) {
+      cacheStore.saveEmbeddings(
+        model,
+        changed.map(passage => ({
+          id: passage.id,
+          contentHash: this.contentHashes.get(passage.id),
+          vector: this.vectors.get(passage.id)
+        })),
+        removedIds
+      );
+    }
+
+    this.revision = revision;
+  }
+
+  /**
+   * Embed passages and store their vectors
+   * @param {BaseEmbedder} embedder - The active embedder
+   * @param {Array} passages - Passages to embed
+   * @param {Map} texts - Map of passage ID to the text to embed
+   */
+  async embedPassages(embedder, passages, texts) {
+    if (passages.length === 0) return;
+
+    console.log(`🧮 Embedding ${passages.length} passages...`);
+    const vectors = await embedder.embed(passages.map(passage => texts.get(passage.id)));
+
+    passages.forEach((passage, i) => {
+      this.vectors.set(passage.id, vectors[i]);
+      this.contentHashes.set(passage.id, hash(texts.get(passage.id)));
+    });
+  }
+
+  /**
+   * Check whether searches can use the vectors
+   * @returns {boolean} - Whether the vectors are ready
+   */
+  isReady() {
+    return this.revision !== null && !this.isFitting && this.vectors.size > 0;
+  }
+
+  /**
+   * Get the text embedded for a passage
+   * @param {Object} passage - Cached passage
+   * @returns {string} - Page title, headings and content
+   */
+  getPassageText(passage) {
+    const title = notionCache.getTitle(passage.pageId) || '';
+    return [title, ...passage.headingPath, passage.content].join('\n');
+  }
+
+  /**
+   * Find the passages closest in meaning to a query
+   *
+   * Searches never wait for the embeddings: an update is started in the background and,
+   * until the first fit is done or while refitting, no passages are returned.
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} [options.maxResults=20] - Maximum number of passages
+   * @param {string} [options.pageId] - Only return passages of this page
+   * @returns {Promise<Array>} - Passages with a similarity score, best first
+   */
+  async search(query, options = {}) {
+    const { maxResults = 20, pageId = null } = options;
+
+    if (!query) {
+      return [];
+    }
+
+    this.sync();
+    if (!this.isReady()) {
+      return [];
+    }
+
+    const fitCount = this.fitCount;
+    const [queryVector] = await embeddings.getEmbedder().embed([query]);
+    if (fitCount !== this.fitCount || !this.isReady()) {
+      // A refit started while the query was embedded; its vectors don't match the query
+      return [];
+    }
+
+    const results = [];
+    for (const [passageId, vector] of this.vectors.entries()) {
+      const passage = notionCache.passages.get(passageId);
+      if (!passage || (pageId && passage.pageId !== pageId)) continue;
+
+      const score = embeddings.cosineSimilarity(queryVector, vector);
+      if (score > 0) {
+        results.push({ passage, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults);
+  }
+}
+
+/**
+ * Hash the text a vector was made from
+ * @param {string} text - Embedded text
+ * @returns {string} - Hash
+ */
+const hash = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// Create a singleton instance
+const vectorIndex = new VectorIndex();
+
+module.exports = vectorIndex;
@@ -0,0 +1,236 @@
+/**
+ * Notion Webhooks
+ *
+ * Turns Notion's page and database change events into targeted cache
+ * refreshes, so edits show up without waiting for the hourly sync.
+ * Events are signed with the subscription's verification token and checked
+ * before anything is queued. Notion sends several events for one edit, so
+ * changes are collected for a short quiet period and each page is re-fetched
+ * once per burst.
+ *
+ * Configuration (environment variables):
+ * - NOTION_WEBHOOK_VERIFICATION_TOKEN: Token Notion sent when the subscription was created
+ * - NOTION_WEBHOOK_DEBOUNCE_MS: Quiet period before queued changes are fetched (default 2000)
+ */
+const crypto = require('crypto');
+const notionCache = require('./cache');
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+// A steady stream of events still gets fetched at least this often
+const MAX_WAIT_MS = 30 * 1000;
+// Entries that keep failing to load are left to the hourly sync after this many tries
+const MAX_ATTEMPTS = 3;
+
+// Events that change what is cached; others (comments, locking) are acknowledged and ignored
+const PAGE_EVENTS = ['page.created', 'page.content_updated', 'page.properties_updated', 'page.moved', 'page.undeleted', 'page.deleted'];
+const DATABASE_EVENTS = ['database.created', 'database.content_updated', 'database.schema_updated', 'database.moved', 'database.undeleted', 'database.deleted'];
+// Data sources belong to a database, which is what the cache holds
+const DATA_SOURCE_EVENTS = ['data_source.created', 'data_source.content_updated', 'data_source.schema_updated', 'data_source.moved', 'data_source.undeleted', 'data_source.deleted'];
+
+/**
+ * Check the signature Notion puts on each event
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Notion-Signature header, "sha256=<hex>"
+ * @param {string} token - The subscription's verification token
+ * @returns {boolean} - Whether the event was signed with the token
+ */
+const verifySignature = (rawBody, signature, token) => {
+  if (!rawBody || !signature || !token) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', token).update(rawBody).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Work out which cached entries an event affects
+ * @param {Object} event - Webhook event
+ * @returns {Array} - Changes: [{ id, type: 'page' | 'database', deleted, parentDatabaseId }]
+ */
+const getChangesFromEvent = (event = {}) => {
+  const entity = event.entity || {};
+  const parent = (event.data && event.data.parent) || {};
+  const parentDatabaseId = parent.type === 'database' ? parent.id : null;
+
+  if (!entity.id || typeof event.type !== 'string') {
+    return [];
+  }
+
+  if (PAGE_EVENTS.includes(event.type)) {
+    return [{ id: entity.id, type: 'page', deleted: event.type === 'page.deleted', parentDatabaseId }];
+  }
+
+  if (DATABASE_EVENTS.includes(event.type)) {
+    return [{ id: entity.id, type: 'database', deleted: event.type === 'database.deleted', parentDatabaseId: null }];
+  }
+
+  // A data source changing means its database's schema or rows changed
+  if (DATA_SOURCE_EVENTS.includes(event.type) && parentDatabaseId) {
+    return [{ id: parentDatabaseId, type: 'database', deleted: false, parentDatabaseId: null }];
+  }
+
+  return [];
+};
+
+class WebhookQueue {
+  /**
+   * @param {Function} handler - Receives the queued changes; resolves to null to have them all retried
+   *   later, or to an object whose `failed` array lists the IDs to retry
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs] - Quiet period before changes are handed over
+   * @param {number} [options.maxWaitMs] - Longest a change waits while events keep arriving
+   */
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.debounceMs = options.debounceMs || DEFAULT_DEBOUNCE_MS;
+    this.maxWaitMs = options.maxWaitMs || MAX_WAIT_MS;
+    this.pending = new Map(); // Map of entry ID to its latest change
+    this.timer = null;
+    this.firstQueuedAt = null;
+    this.isFlushing = false;
+    this.stats = { received: 0, queued: 0, fetched: 0, failed: 0, lastFlushAt: null };
+  }
+
+  /**
+   * Queue changes, merging them with those already waiting for the same entries
+   * @param {Array} changes - Changes from getChangesFromEvent
+   */
+  enqueue(changes) {
+    this.stats.received++;
+
+    for (const change of changes) {
+      const existing = this.pending.get(change.id);
+      // The latest event decides whether the entry still exists
+      this.pending.set(change.id, {
+        ...change,
+        parentDatabaseId: change.parentDatabaseId || (existing && existing.parentDatabaseId) || null
+      });
+      this.stats.queued++;
+    }
+
+    if (this.pending.size > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Wait for a quiet period before flushing, up to the maximum wait
+   */
+  schedule() {
+    if (!this.firstQueuedAt) {
+      this.firstQueuedAt = Date.now();
+    }
+
+    const delay = Math.max(0, Math.min(this.debounceMs, this.firstQueuedAt + this.maxWaitMs - Date.now()));
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+
+    // Waiting changes shouldn't keep the process alive
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Hand the queued changes to the handler
+   */
+  async flush() {
+    if (this.isFlushing || this.pending.size === 0) {
+      return;
+    }
+
+    const changes = [...this.pending.values()];
+    this.pending.clear();
+    this.firstQueuedAt = null;
+    this.isFlushing = true;
+
+    try {
+      const result = await this.handler(changes);
+
+      if (result === null) {
+        // Busy; put back the changes that newer events haven't replaced
+        this.requeue(changes);
+      } else {
+        const failedIds = new Set((result && result.failed) || []);
+        const failed = changes.filter(change => failedIds.has(change.id));
+        this.requeue(failed, { countAttempt: true });
+
+        this.stats.fetched += changes.length - failed.length;
+        this.stats.lastFlushAt = new Date().toISOString();
+      }
+    } catch (error) {
+      console.error('❌ Error processing Notion webhook changes:', error);
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (this.pending.size > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Put changes back in the queue, unless newer events have replaced them
+   * @param {Array} changes - Changes that were handed to the handler
+   * @param {Object} [options]
+   * @param {boolean} [options.countAttempt=false] - Whether the changes failed to load, counting towards MAX_ATTEMPTS
+   */
+  requeue(changes, { countAttempt = false } = {}) {
+    for (const change of changes) {
+      if (this.pending.has(change.id)) {
+        continue;
+      }
+
+      const attempts = (change.attempts || 0) + (countAttempt ? 1 : 0);
+      if (attempts >= MAX_ATTEMPTS) {
+        console.error(`❌ Giving up on Notion ${change.type} ${change.id} after ${attempts} failed loads`);
+        this.stats.failed++;
+        continue;
+      }
+
+      this.pending.set(change.id, { ...change, attempts });
+    }
+  }
+
+  /**
+   * Drop queued changes without fetching them
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    this.firstQueuedAt = null;
+  }
+
+  /**
+   * Get the queue's counters and what is waiting
+   * @returns {Object} - Status
+   */
+  getStatus() {
+    return {
+      ...this.stats,
+      pending: [...this.pending.keys()]
+    };
+  }
+}
+
+// Queue shared by the webhook endpoint, refreshing the Notion cache
+const webhookQueue = new WebhookQueue(
+  changes => notionCache.refreshEntries(changes),
+  { debounceMs: parseInt(process.env.NOTION_WEBHOOK_DEBOUNCE_MS, 10) || DEFAULT_DEBOUNCE_MS }
+);
+
+module.exports = {
+  verifySignature,
+  getChangesFromEvent,
+  WebhookQueue,
+  webhookQueue
+};
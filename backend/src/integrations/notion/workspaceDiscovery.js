@@ -0,0 +1,357 @@
+/**
+ * Workspace Discovery
+ *
+ * Derives the sections of the Notion workspace from the page hierarchy
+ * instead of a hardcoded structure. Every top-level page with sub-pages
+ * becomes a section; its key terms are the words that set its pages apart
+ * from the other sections (TF-IDF over the cached content). Discovered
+ * sections are stored for review: admins rename, pin and approve them, and
+ * only approved sections are used for search.
+ */
+const adaptiveStructure = require('./adaptiveStructure');
+const notionCache = require('./cache');
+const analyzer = require('./analyzer');
+const workspaceSectionRepository = require('../../repositories/workspaceSectionRepository');
+
+const MAX_KEY_TERMS = 10;
+// Key terms must appear on this many pages of a section, unless the section has fewer pages
+const MIN_TERM_PAGES = 2;
+// Only this much of each page is read when picking key terms
+const MAX_PAGE_CHARS = 20000;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class WorkspaceDiscovery {
+  constructor() {
+    this.sections = {}; // Map of section key to approved section
+    this.isLoaded = false;
+    this.pendingDiscovery = null;
+  }
+
+  /**
+   * Load the approved sections and refresh the discovered ones in the background
+   */
+  async initialize() {
+    this.load();
+
+    this.discover()
+      .then(sections => {
+        const pending = sections.filter(section => section.status === 'pending').length;
+        console.log(`✅ Workspace discovery finished with ${sections.length} sections (${pending} awaiting review)`);
+      })
+      .catch(error => {
+        console.error('❌ Error discovering workspace sections:', error);
+      });
+
+    return true;
+  }
+
+  /**
+   * Load the approved sections from the database
+   */
+  load() {
+    this.sections = {};
+    for (const section of workspaceSectionRepository.getApprovedSections()) {
+      this.sections[section.key] = {
+        id: section.id,
+        title: section.title,
+        documentType: 'SECTION',
+        keyTerms: section.keyTerms,
+        children: section.children,
+        pageIds: section.pageIds
+      };
+    }
+    this.isLoaded = true;
+  }
+
+  /**
+   * Get the approved sections
+   * @returns {Object} - Map of section key to section
+   */
+  getSections() {
+    if (!this.isLoaded) {
+      this.load();
+    }
+    return this.sections;
+  }
+
+  /**
+   * Score the approved sections against a query
+   *
+   * A section scores 3 when the query contains its title, plus 1 for each of its key
+   * terms in the query. Key terms are single words, so they are compared by stem
+   * ("invoices" matches "invoice").
+   * @param {string} query - Search query
+   * @returns {Array} - Matching sections, as { key, section, score }, best first
+   */
+  matchSections(query) {
+    const queryLower = query.toLowerCase();
+    const queryTerms = new Set(analyzer.analyze(query));
+    const matches = [];
+
+    for (const [key, section] of Object.entries(this.getSections())) {
+      let score = queryLower.includes(section.title.toLowerCase()) ? 3 : 0;
+      for (const term of section.keyTerms) {
+        if (analyzer.analyze(term).some(keyTerm => queryTerms.has(keyTerm))) {
+          score += 1;
+        }
+      }
+
+      if (score > 0) {
+        matches.push({ key, section, score });
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Discover the sections of the workspace and store them for review
+   * @returns {Promise<Array>} - All stored sections, including those awaiting review
+   */
+  async discover() {
+    // Concurrent requests share one run
+    if (!this.pendingDiscovery) {
+      this.pendingDiscovery = this.runDiscovery().finally(() => {
+        this.pendingDiscovery = null;
+      });
+    }
+
+    return this.pendingDiscovery;
+  }
+
+  /**
+   * Build the sections from the page hierarchy and save them
+   * @returns {Promise<Array>} - All stored sections
+   */
+  async runDiscovery() {
+    if (!adaptiveStructure.initialized) {
+      await adaptiveStructure.initialize();
+    }
+    await adaptiveStructure.hierarchyReady;
+
+    const existingKeys = new Map(
+      workspaceSectionRepository.getAllSections().map(section => [section.id, section.key])
+    );
+
+    const sections = this.buildSections(
+      {
+        topLevelPages: adaptiveStructure.topLevelPages,
+        pageChildren: adaptiveStructure.pageChildren,
+        pageParents: adaptiveStructure.pageParents
+      },
+      id => notionCache.pages.get(id) || null,
+      existingKeys
+    );
+
+    // An empty hierarchy means the pages could not be listed, not that the sections are gone
+    if (sections.length === 0) {
+      console.warn('⚠️ No workspace sections found; keeping the stored sections');
+      return workspaceSectionRepository.getAllSections();
+    }
+
+    const stored = workspaceSectionRepository.saveDiscoveredSections(sections);
+    this.load();
+    return stored;
+  }
+
+  /**
+   * Build sections from a page hierarchy
+   * @param {Object} hierarchy - { topLevelPages, pageChildren, pageParents } as kept by the adaptive structure
+   * @param {Function} getPage - Returns the cached page ({ title, content }) for an ID, or null
+   * @param {Map} [existingKeys] - Keys already given to section page IDs, kept stable across runs
+   * @returns {Array} - Discovered sections
+   */
+  buildSections(hierarchy, getPage, existingKeys = new Map()) {
+    const { pageChildren } = hierarchy;
+    const roots = this.findSectionRoots(hierarchy);
+
+    const sections = roots.map(rootId => {
+      const pageIds = this.getDescendants(rootId, pageChildren);
+      const children = (pageChildren[rootId] || []).map(id => ({
+        id,
+        title: (getPage(id) && getPage(id).title) || 'Untitled'
+      }));
+
+      return { id: rootId, pageIds: [rootId, ...pageIds], children };
+    });
+
+    // Key terms are weighed against the other sections, so they are picked once all are known
+    const termCounts = sections.map(section => this.countTerms(section.pageIds.map(getPage).filter(Boolean)));
+    const sectionFrequency = new Map();
+    for (const counts of termCounts) {
+      for (const term of counts.keys()) {
+        sectionFrequency.set(term, (sectionFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const usedKeys = new Set(existingKeys.values());
+
+    return sections.map((section, i) => {
+      const keyTerms = this.pickKeyTerms(termCounts[i], sectionFrequency, sections.length, section.pageIds.length);
+      const page = getPage(section.id);
+      const title = page && page.title && page.title !== 'Untitled'
+        ? page.title
+        : this.titleFromTerms(keyTerms);
+
+      let key = existingKeys.get(section.id);
+      if (!key) {
+        key = this.uniqueKey(title, usedKeys);
+        usedKeys.add(key);
+      }
+
+      return {
+        id: section.id,
+        key,
+        discoveredTitle: title,
+        keyTerms,
+        children: section.children,
+        pageIds: section.pageIds
+      };
+    });
+  }
+
+  /**
+   * Find the pages that head a section
+   * @param {Object} hierarchy - Page hierarchy
+   * @returns {Array} - Section page IDs
+   */
+  findSectionRoots(hierarchy) {
+    const { topLevelPages, pageChildren, pageParents } = hierarchy;
+    const knownPages = new Set([...topLevelPages, ...Object.keys(pageChildren), ...Object.keys(pageParents)]);
+
+    // Pages shared without their parent are top-level as far as the integration can see
+    let roots = [...knownPages].filter(id => !pageParents[id] || !knownPages.has(pageParents[id]));
+    roots = roots.filter(id => (pageChildren[id] || []).length > 0);
+
+    // A workspace kept under a single home page is split at the next level instead
+    const homePages = roots.filter(id => topLevelPages.includes(id));
+    if (homePages.length === 1) {
+      const [homeId] = homePages;
+      const subSections = pageChildren[homeId].filter(id => (pageChildren[id] || []).length > 0);
+      if (subSections.length >= 2) {
+        roots = [...roots.filter(id => id !== homeId), ...subSections];
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Get all pages below a page
+   * @param {string} pageId - Page ID
+   * @param {Object} pageChildren - Map of page ID to child page IDs
+   * @returns {Array} - Descendant page IDs
+   */
+  getDescendants(pageId, pageChildren) {
+    const descendants = [];
+    const visited = new Set([pageId]);
+    const queue = [...(pageChildren[pageId] || [])];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (visited.has(id)) continue;
+      visited.add(id);
+      descendants.push(id);
+      queue.push(...(pageChildren[id] || []));
+    }
+
+    return descendants;
+  }
+
+  /**
+   * Count the terms of a section's pages
+   * @param {Array} pages - Cached pages of the section
+   * @returns {Map} - Map of term to { count, pages, forms } where forms counts each spelling
+   */
+  countTerms(pages) {
+    const counts = new Map();
+
+    for (const page of pages) {
+      const text = `${page.title || ''}\n${(page.content || '').slice(0, MAX_PAGE_CHARS)}`;
+      const seen = new Set();
+
+      for (const [word] of analyzer.normalize(text).matchAll(WORD_PATTERN)) {
+        const [term] = analyzer.analyze(word);
+        // Acronyms and codes are too ambiguous to describe a section
+        if (!term || term.length < 3 || /\d/.test(term)) continue;
+
+        if (!counts.has(term)) {
+          counts.set(term, { count: 0, pages: 0, forms: new Map() });
+        }
+        const entry = counts.get(term);
+        const form = word.toLowerCase();
+        entry.count++;
+        entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+        if (!seen.has(term)) {
+          entry.pages++;
+          seen.add(term);
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Pick the terms that best describe a section
+   * @param {Map} counts - Term counts of the section
+   * @param {Map} sectionFrequency - Number of sections using each term
+   * @param {number} sectionCount - Number of sections
+   * @param {number} pageCount - Number of pages in the section
+   * @returns {Array} - Key terms, as the most common spelling of each term
+   */
+  pickKeyTerms(counts, sectionFrequency, sectionCount, pageCount) {
+    const minPages = Math.min(MIN_TERM_PAGES, pageCount);
+    const total = [...counts.values()].reduce((sum, entry) => sum + entry.count, 0) || 1;
+
+    return [...counts.entries()]
+      .filter(([, entry]) => entry.pages >= minPages)
+      .map(([term, entry]) => ({
+        entry,
+        score: (entry.count / total) * Math.log(1 + sectionCount / sectionFrequency.get(term))
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_KEY_TERMS)
+      .map(({ entry }) => [...entry.forms.entries()].sort((a, b) => b[1] - a[1])[0][0]);
+  }
+
+  /**
+   * Name a section whose page has no title after its key terms
+   * @param {Array} keyTerms - Key terms of the section
+   * @returns {string} - Title
+   */
+  titleFromTerms(keyTerms) {
+    if (keyTerms.length === 0) {
+      return 'Untitled Section';
+    }
+    return keyTerms
+      .slice(0, 3)
+      .map(term => term.charAt(0).toUpperCase() + term.slice(1))
+      .join(', ');
+  }
+
+  /**
+   * Turn a title into a section key that is not in use yet
+   * @param {string} title - Section title
+   * @param {Set} usedKeys - Keys already in use
+   * @returns {string} - Key such as 'accounting_finance'
+   */
+  uniqueKey(title, usedKeys) {
+    const base = analyzer.normalize(title)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '_')
+      .replace(/^_+|_+$/g, '') || 'section';
+
+    let key = base;
+    for (let n = 2; usedKeys.has(key); n++) {
+      key = `${base}_${n}`;
+    }
+    return key;
+  }
+}
+
+// Create singleton instance
+const workspaceDiscovery = new WorkspaceDiscovery();
+
+module.exports = workspaceDiscovery;
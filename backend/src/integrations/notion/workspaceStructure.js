@@ -1,42 +1,12 @@
 /**
- * Hardcoded representation of the Notion workspace structure
+ * Document and block types of the Notion workspace
  * 
- * This defines the main sections, document types, and their characteristics.
- * For the MVP, this is a hardcoded approach that will be replaced with
- * dynamic discovery in future versions.
+ * This defines the document types and block types and their characteristics.
+ * The sections of the workspace are discovered from its page hierarchy
+ * (see workspaceDiscovery.js).
  */
 
 const WORKSPACE_STRUCTURE = {
-  // Main sections of the workspace
-  sections: {
-    'accounting_finance': {
-      title: 'Accounting / Finance',
-      documentType: 'SECTION',
-      childTypes: ['PROCEDURE', 'POLICY', 'CONTACT_LIST', 'FORM'],
-      keyTerms: ['budget', 'expense', 'invoice', 'payment', 'accounting', 'finance', 'financial', 'money', 'fund'],
-      // Known child pages
-      children: [
-        'company_information',
-        'bank_accounts',
-        'insurance',
-        'compliance',
-        'australian_financial_services_license',
-        'investment_trusts_and_funds',
-        'startup_valuation_policy',
-        'fund_management',
-        'startup_investment_payments',
-        'supplier_and_contractors',
-        'client_contracts_and_invoicing',
-        'payroll',
-        'staff_expense_management',
-        'end_of_month_process',
-        'grant_tracking_and_acquittals',
-        'sales_startup_terms'
-      ]
-    },
-    // Add other main sections as needed based on your Notion workspace
-  },
-  
   // Document types and their characteristics
   documentTypes: {
     'POLICY': {
@@ -107,6 +77,27 @@ const WORKSPACE_STRUCTURE = {
     'child_database': {
       importance: 'high',
       contentType: 'reference'
+    },
+    'callout': {
+      importance: 'high',
+      contentType: 'text'
+    },
+    'table': {
+      importance: 'high',
+      contentType: 'table'
+    },
+    // Container blocks whose content lives entirely in their children
+    'synced_block': {
+      importance: 'high',
+      contentType: 'container'
+    },
+    'column_list': {
+      importance: 'high',
+      contentType: 'container'
+    },
+    'column': {
+      importance: 'high',
+      contentType: 'container'
     }
   }
 };
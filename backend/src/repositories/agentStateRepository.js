@@ -0,0 +1,41 @@
+const db = require('../database/db');
+
+/**
+ * Get an agent's state for a chat
+ */
+const getState = (chatId, agentId) => {
+  const row = db.prepare(
+    'SELECT state FROM agent_state WHERE chat_id = ? AND agent_id = ?'
+  ).get(chatId, agentId);
+  
+  return row ? JSON.parse(row.state) : null;
+};
+
+/**
+ * Save an agent's state for a chat
+ */
+const setState = (chatId, agentId, state) => {
+  const now = new Date().toISOString();
+  
+  db.prepare(`
+    INSERT INTO agent_state (chat_id, agent_id, state, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(chat_id, agent_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `).run(chatId, agentId, JSON.stringify(state), now);
+  
+  return state;
+};
+
+/**
+ * Clear an agent's state for a chat
+ */
+const clearState = (chatId, agentId) => {
+  return db.prepare(
+    'DELETE FROM agent_state WHERE chat_id = ? AND agent_id = ?'
+  ).run(chatId, agentId);
+};
+
+module.exports = {
+  getState,
+  setState,
+  clearState
+};
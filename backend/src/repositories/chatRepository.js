@@ -31,7 +31,8 @@ const getChatById = (chatId) => {
       role: msg.role,
       content: msg.content,
       timestamp: msg.timestamp,
-      model: msg.model
+      model: msg.model,
+      metadata: msg.metadata ? JSON.parse(msg.metadata) : null
     }));
   }
   
@@ -102,19 +103,22 @@ const updateChatTitle = (chatId, title) => {
  * Delete chat
  */
 const deleteChat = (chatId) => {
+  // Agent state is only meaningful within its chat
+  db.prepare('DELETE FROM agent_state WHERE chat_id = ?').run(chatId);
   return db.prepare('DELETE FROM chats WHERE id = ?').run(chatId);
 };
 
 /**
  * Add message to chat
+ * Metadata is any JSON-serializable detail about how the message was produced.
  */
-const addMessage = (chatId, role, content, model = null) => {
+const addMessage = (chatId, role, content, model = null, metadata = null) => {
   const messageId = uuidv4();
   const now = new Date().toISOString();
   
   db.prepare(
-    'INSERT INTO messages (id, chat_id, role, content, model, timestamp) VALUES (?, ?, ?, ?, ?, ?)'
-  ).run(messageId, chatId, role, content, model, now);
+    'INSERT INTO messages (id, chat_id, role, content, model, metadata, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  ).run(messageId, chatId, role, content, model, metadata ? JSON.stringify(metadata) : null, now);
   
   // Update chat's updated_at timestamp
   db.prepare(
@@ -126,6 +130,7 @@ const addMessage = (chatId, role, content, model = null) => {
     role,
     content,
     model,
+    metadata,
     timestamp: now
   };
 };
@@ -0,0 +1,71 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/db');
+
+/**
+ * Convert a database row to a synonym entry
+ */
+const toSynonym = (row) => ({
+  id: row.id,
+  term: row.term,
+  synonyms: JSON.parse(row.synonyms),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Get all synonym entries
+ */
+const getAllSynonyms = () => {
+  return db.prepare('SELECT * FROM search_synonyms ORDER BY term COLLATE NOCASE').all().map(toSynonym);
+};
+
+/**
+ * Get a synonym entry by ID
+ */
+const getSynonymById = (id) => {
+  const row = db.prepare('SELECT * FROM search_synonyms WHERE id = ?').get(id);
+  return row ? toSynonym(row) : null;
+};
+
+/**
+ * Add a term with its synonyms
+ */
+const createSynonym = (term, synonyms) => {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(
+    'INSERT INTO search_synonyms (id, term, synonyms, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+  ).run(id, term, JSON.stringify(synonyms), now, now);
+
+  return getSynonymById(id);
+};
+
+/**
+ * Update a term and its synonyms
+ */
+const updateSynonym = (id, term, synonyms) => {
+  const now = new Date().toISOString();
+
+  const result = db.prepare(
+    'UPDATE search_synonyms SET term = ?, synonyms = ?, updated_at = ? WHERE id = ?'
+  ).run(term, JSON.stringify(synonyms), now, id);
+
+  return result.changes > 0 ? getSynonymById(id) : null;
+};
+
+/**
+ * Delete a synonym entry
+ */
+const deleteSynonym = (id) => {
+  const result = db.prepare('DELETE FROM search_synonyms WHERE id = ?').run(id);
+  return result.changes > 0;
+};
+
+module.exports = {
+  getAllSynonyms,
+  getSynonymById,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym
+};
@@ -0,0 +1,115 @@
+const db = require('../database/db');
+
+/**
+ * Convert a database row to a workspace section
+ */
+const toSection = (row) => ({
+  id: row.id,
+  key: row.key,
+  title: row.title || row.discovered_title,
+  discoveredTitle: row.discovered_title,
+  keyTerms: JSON.parse(row.key_terms),
+  children: JSON.parse(row.children),
+  pageIds: JSON.parse(row.page_ids),
+  status: row.status,
+  pinned: row.pinned === 1,
+  discoveredAt: row.discovered_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Get all workspace sections
+ */
+const getAllSections = () => {
+  return db.prepare('SELECT * FROM workspace_sections ORDER BY key').all().map(toSection);
+};
+
+/**
+ * Get the sections an admin has approved
+ */
+const getApprovedSections = () => {
+  return db.prepare("SELECT * FROM workspace_sections WHERE status = 'approved' ORDER BY key").all().map(toSection);
+};
+
+/**
+ * Get a workspace section by ID
+ */
+const getSectionById = (id) => {
+  const row = db.prepare('SELECT * FROM workspace_sections WHERE id = ?').get(id);
+  return row ? toSection(row) : null;
+};
+
+/**
+ * Store the result of a discovery run. New sections await review, known ones
+ * keep their key, title and review status, and pinned sections are left as
+ * they are. Sections that were not rediscovered are removed unless pinned.
+ */
+const saveDiscoveredSections = (sections) => {
+  const now = new Date().toISOString();
+
+  const upsert = db.prepare(`
+    INSERT INTO workspace_sections (id, key, discovered_title, key_terms, children, page_ids, discovered_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      discovered_title = excluded.discovered_title,
+      key_terms = excluded.key_terms,
+      children = excluded.children,
+      page_ids = excluded.page_ids,
+      discovered_at = excluded.discovered_at
+    WHERE workspace_sections.pinned = 0
+  `);
+
+  db.transaction(() => {
+    for (const section of sections) {
+      upsert.run(
+        section.id,
+        section.key,
+        section.discoveredTitle,
+        JSON.stringify(section.keyTerms),
+        JSON.stringify(section.children),
+        JSON.stringify(section.pageIds),
+        now,
+        now
+      );
+    }
+
+    const ids = sections.map(section => section.id);
+    db.prepare(
+      `DELETE FROM workspace_sections WHERE pinned = 0 AND id NOT IN (${ids.map(() => '?').join(', ')})`
+    ).run(...ids);
+  })();
+
+  return getAllSections();
+};
+
+/**
+ * Rename, pin or review a section
+ */
+const updateSection = (id, { title, status, pinned }) => {
+  const section = getSectionById(id);
+  if (!section) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+
+  db.prepare(
+    'UPDATE workspace_sections SET title = ?, status = ?, pinned = ?, updated_at = ? WHERE id = ?'
+  ).run(
+    title !== undefined ? title : (section.title === section.discoveredTitle ? null : section.title),
+    status !== undefined ? status : section.status,
+    (pinned !== undefined ? pinned : section.pinned) ? 1 : 0,
+    now,
+    id
+  );
+
+  return getSectionById(id);
+};
+
+module.exports = {
+  getAllSections,
+  getApprovedSections,
+  getSectionById,
+  saveDiscoveredSections,
+  updateSection
+};
@@ -4,7 +4,14 @@ const {
   adminLogin,
   getActiveChats, 
   getDeletedChats, 
-  getChatInsights 
+  getChatInsights,
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getWorkspaceSections,
+  discoverWorkspaceSections,
+  updateWorkspaceSection
 } = require('../controllers/adminController');
 
 const router = express.Router();
@@ -32,4 +39,15 @@ router.get('/chats/active', getActiveChats);
 router.get('/chats/deleted', getDeletedChats);
 router.get('/insights', getChatInsights);
 
+// Search synonym dictionary
+router.get('/synonyms', getSynonyms);
+router.post('/synonyms', createSynonym);
+router.put('/synonyms/:id', updateSynonym);
+router.delete('/synonyms/:id', deleteSynonym);
+
+// Discovered workspace sections
+router.get('/workspace/sections', getWorkspaceSections);
+router.post('/workspace/discover', discoverWorkspaceSections);
+router.patch('/workspace/sections/:id', updateWorkspaceSection);
+
 module.exports = router;
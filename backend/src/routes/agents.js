@@ -13,12 +13,12 @@ const router = express.Router();
 router.use(isAuthenticated);
 
 /**
- * Get all available agents
+ * Get the agent catalog, with each agent's health
  * GET /api/agents
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const agents = agentService.getAgents();
+    const agents = await agentService.getAgents();
     res.json(agents);
   } catch (error) {
     console.error('Error getting agents:', error);
@@ -30,9 +30,28 @@ router.get('/', (req, res) => {
   }
 });
 
+/**
+ * Get the health of every agent, including those that could not be loaded
+ * GET /api/agents/health
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const agents = await agentService.checkHealth();
+    res.json(agents);
+  } catch (error) {
+    console.error('Error checking agent health:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error checking agent health', 
+      error: error.message 
+    });
+  }
+});
+
 /**
  * Process a query with the agent service
  * POST /api/agents/query
+ * context.agentIds limits routing to the listed agents
  */
 router.post('/query', async (req, res) => {
   try {
@@ -0,0 +1,9 @@
+const express = require('express');
+const { receiveWebhook } = require('../controllers/notionWebhookController');
+
+const router = express.Router();
+
+// Notion signs its events, so webhooks need no session
+router.post('/webhooks', receiveWebhook);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 /**
  * Script to clear the Notion cache
  * 
- * This script clears the Notion cache and forces a refresh.
+ * This script clears the persisted Notion cache so the next server start
+ * re-crawls the workspace from scratch.
  */
 
 // Import the Notion cache
@@ -10,16 +11,8 @@ const notionCache = require('../integrations/notion/cache');
 // Clear the cache
 console.log('Clearing Notion cache...');
 
-// Reset all cache data structures
-notionCache.pages.clear();
-notionCache.databases.clear();
-notionCache.databaseItems.clear();
-notionCache.searchIndex = { title: {}, content: {} };
-
-// Reset initialization flags
-notionCache.isInitialized = false;
-notionCache.isLoading = false;
-notionCache.lastRefreshTime = null;
+// Remove the persisted snapshot, block structures and search index
+notionCache.clear();
 
 console.log('✅ Notion cache cleared successfully');
-console.log('The cache will be reinitialized when the server starts');
+console.log('The cache will be rebuilt from Notion when the server starts');
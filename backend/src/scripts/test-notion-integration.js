@@ -5,7 +5,7 @@
  */
 
 require('dotenv').config();
-const NotionAgent = require('../agents/notionAgent');
+const NotionAgent = require('../agents/notion/notionAgent');
 const pageMapper = require('../integrations/notion/pageMapper');
 const structuredSearch = require('../integrations/notion/structuredSearch');
 const twoStageRetrieval = require('../integrations/notion/twoStageRetrieval');
@@ -101,10 +101,11 @@ async function testNotionIntegration() {
     console.log(`\n${colors.cyan}Step 6: Testing Notion agent...${colors.reset}`);
     const notionAgent = new NotionAgent();
     console.log(`${colors.blue}Initializing Notion agent...${colors.reset}`);
+    await notionAgent.init();
     
     // Test canHandle
     const canHandle = await notionAgent.canHandle(testQuery);
-    console.log(`${colors.blue}Can handle query: ${canHandle}${colors.reset}`);
+    console.log(`${colors.blue}Can handle query: ${canHandle.confidence} (${canHandle.reason})${colors.reset}`);
     
     // Test processQuery
     console.log(`${colors.blue}Processing query...${colors.reset}`);
@@ -1,3 +1,5 @@
+const path = require('path');
+const { fork } = require('child_process');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
@@ -16,20 +18,28 @@ const colors = {
 // Load environment variables
 dotenv.config();
 
-// Import API tests
-const runAllTests = async () => {
+const { captureRawBody } = require('./controllers/notionWebhookController');
+
+// Run the API tests in their own process, so they use an in-memory database
+// and leave this process's caches and agents untouched
+const runAllTests = () => {
   console.log(`${colors.magenta}Running API tests before starting server...${colors.reset}`);
 
-  try {
-    // Import and run tests
-    const { runAllTests } = require('./tests/api-test-module');
-    await runAllTests();
-    console.log(`${colors.green}All tests passed! Starting server...${colors.reset}`);
-    return true;
-  } catch (error) {
-    console.error(`${colors.red}Error running tests: ${error.message}${colors.reset}`);
-    return false;
-  }
+  return new Promise(resolve => {
+    const tests = fork(path.join(__dirname, 'tests', 'api-test.js'));
+
+    tests.on('error', error => {
+      console.error(`${colors.red}Error running tests: ${error.message}${colors.reset}`);
+      resolve(false);
+    });
+
+    tests.on('exit', code => {
+      if (code === 0) {
+        console.log(`${colors.green}All tests passed! Starting server...${colors.reset}`);
+      }
+      resolve(code === 0);
+    });
+  });
 };
 
 // Create Express app
@@ -41,7 +51,8 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// The raw body is kept for checking Notion webhook signatures
+app.use(express.json({ verify: captureRawBody }));
 
 // Import auth controller with sessions
 const { sessions } = require('./controllers/authController');
@@ -102,56 +113,25 @@ const chatRoutes = require('./routes/chat');
 const adminRoutes = require('./routes/admin');
 const feedbackRoutes = require('./routes/feedback');
 const agentRoutes = require('./routes/agents');
+const notionRoutes = require('./routes/notion');
 
 // Import Notion components
 const notionCache = require('./integrations/notion/cache');
-const adaptiveStructure = require('./integrations/notion/adaptiveStructure');
-const twoStageRetrieval = require('./integrations/notion/twoStageRetrieval');
-
-// Initialize agents system
-require('./agents');
-
-// Initialize Notion components at server startup with a delay to ensure server is fully started
-setTimeout(async () => {
-  console.log('Starting Notion components initialization (delayed start)...');
-
-  try {
-    // Step 1: Initialize Notion cache
-    console.log('Initializing Notion cache...');
-    const cacheSuccess = await notionCache.initialize();
-
-    if (cacheSuccess) {
-      console.log('✅ Notion cache initialized successfully');
-    } else {
-      console.log('ℹ️ Server will use direct API calls until cache is ready');
-    }
-
-    // Step 2: Initialize adaptive structure
-    console.log('Initializing adaptive structure...');
-    const adaptiveSuccess = await adaptiveStructure.initialize();
-
-    if (adaptiveSuccess) {
-      console.log('✅ Adaptive structure initialized successfully');
-    } else {
-      console.log('⚠️ Adaptive structure initialization failed');
-    }
-
-    // Step 3: Initialize two-stage retrieval
-    console.log('Initializing two-stage retrieval...');
-    const retrievalSuccess = await twoStageRetrieval.initialize();
-
-    if (retrievalSuccess) {
-      console.log('✅ Two-stage retrieval initialized successfully');
-    } else {
-      console.log('⚠️ Two-stage retrieval initialization failed');
-    }
-
-    console.log('✅ All Notion components initialized');
-  } catch (error) {
-    console.error('❌ Error initializing Notion components:', error);
-    console.log('ℹ️ Server will continue to function using direct API calls');
-  }
-}, 3000); // 3 second delay
+const { webhookQueue } = require('./integrations/notion/webhooks');
+
+// Load the agents in src/agents; they are prepared before the server starts listening
+const { agentService } = require('./agents');
+const notionRateLimiter = require('./integrations/notion/rateLimiter');
+
+// Let agents release their resources before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, async () => {
+    console.log(`Received ${signal}, shutting down agents...`);
+    await agentService.disposeAgents();
+    notionRateLimiter.dispose();
+    process.exit(0);
+  });
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -164,6 +144,8 @@ app.get('/api/notion/cache/status', (req, res) => {
     initialized: notionCache.isInitialized,
     loading: notionCache.isLoading,
     lastRefreshTime: notionCache.lastRefreshTime,
+    lastSync: notionCache.lastSync,
+    webhooks: webhookQueue.getStatus(),
     memoryUsage: notionCache.getMemoryUsage()
   };
 
@@ -200,6 +182,7 @@ app.use('/api/chats', chatRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/agents', agentRoutes);
+app.use('/api/notion', notionRoutes);
 
 // Start server with tests
 const startServer = async () => {
@@ -212,6 +195,9 @@ const startServer = async () => {
     return;
   }
 
+  // Prepare the agents, e.g. load the Notion cache, so none is listed before it is ready
+  await agentService.initializeAgents();
+
   // Start server if tests pass
   const PORT = process.env.PORT || 3001;
   app.listen(PORT, () => {
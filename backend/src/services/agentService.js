@@ -2,18 +2,136 @@
  * Agent Service
  *
  * This service acts as a central router for agent-based queries.
- * It determines which agent should handle a query and routes accordingly.
- * It also processes agent responses through the central chatbot before returning to the user.
+ * The query is first refined into a standalone question using the
+ * conversation so far. Each agent rates how confident it is that it can
+ * handle that question, the routing policy picks agents from those ratings,
+ * and the chosen agents run in parallel. All their responses go to the
+ * central chatbot, which merges them into one answer before it is returned
+ * to the user.
  */
 
-// Import the Gemini service for LLM-based decisions
-const { processMessage } = require('./geminiService');
 // Import the central chatbot service
-const { processAgentResponse } = require('./centralChatbotService');
+const { synthesizeAgentResponses } = require('./centralChatbotService');
+// Import the conversation-scoped agent state store
+const agentStateRepo = require('../repositories/agentStateRepository');
+const { createRoutingPolicy } = require('./routingPolicy');
+const { refineQuery } = require('./queryRefiner');
+const { loadAgents } = require('../agents/loader');
+
+// How long an agent may take before its answer is left out; agents can set config.timeoutMs
+const DEFAULT_AGENT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Read what canHandle returned, accepting the booleans of older agents
+ * @param {Object|boolean} result - canHandle's result
+ * @returns {Object} - { confidence, reason }
+ */
+const toRoutingScore = (result) => {
+  if (typeof result === 'boolean') {
+    return { confidence: result ? 1 : 0, reason: result ? 'Can handle the query' : 'Cannot handle the query' };
+  }
+
+  const confidence = Number(result && result.confidence);
+  return {
+    confidence: Number.isNaN(confidence) ? 0 : Math.min(1, Math.max(0, confidence)),
+    reason: (result && result.reason) || 'No reason given'
+  };
+};
 
 class AgentService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.routingPolicy] - Policy from createRoutingPolicy (default: configured by environment)
+   */
+  constructor(options = {}) {
     this.agents = new Map();
+    this.unavailableAgents = []; // Agents found by loadAgents that could not be registered
+    this.routingPolicy = options.routingPolicy || createRoutingPolicy();
+  }
+
+  /**
+   * Register the agents found in a directory
+   * @param {string} directory - Directory with one subdirectory, and manifest.json, per agent
+   */
+  loadAgents(directory) {
+    const { agents, unavailable } = loadAgents(directory);
+
+    agents.forEach(agent => this.registerAgent(agent));
+    this.unavailableAgents.push(...unavailable);
+  }
+
+  /**
+   * Call each agent's init() hook; agents that fail to initialize are deactivated
+   * @returns {Promise<void>}
+   */
+  async initializeAgents() {
+    await Promise.all(Array.from(this.agents.values()).map(async agent => {
+      try {
+        await agent.init();
+        console.log(`Agent initialized: ${agent.name} (${agent.id})`);
+      } catch (error) {
+        console.error(`Error initializing agent ${agent.name}, deactivating it:`, error);
+        agent.isActive = false;
+      }
+    }));
+  }
+
+  /**
+   * Ask each agent for its health, including agents that could not be loaded
+   * @returns {Promise<Array>} - [{ id, name, isActive, status, message, details }]
+   */
+  async checkHealth() {
+    const registered = await Promise.all(Array.from(this.agents.values()).map(async agent => ({
+      id: agent.id,
+      name: agent.name,
+      isActive: agent.isActive,
+      ...await this.getAgentHealth(agent)
+    })));
+
+    const unavailable = this.unavailableAgents.map(({ id, name, reason }) => ({
+      id,
+      name,
+      isActive: false,
+      status: 'unavailable',
+      message: reason
+    }));
+
+    return [...registered, ...unavailable];
+  }
+
+  /**
+   * Ask an agent for its health, treating a failed check as unavailable
+   * @param {BaseAgent} agent - The agent
+   * @returns {Promise<Object>} - { status, message, details }
+   */
+  async getAgentHealth(agent) {
+    try {
+      return await agent.health();
+    } catch (error) {
+      return { status: 'unavailable', message: `Health check failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Call each agent's dispose() hook
+   * @returns {Promise<void>}
+   */
+  async disposeAgents() {
+    await Promise.all(Array.from(this.agents.values()).map(async agent => {
+      try {
+        await agent.dispose();
+      } catch (error) {
+        console.error(`Error disposing agent ${agent.name}:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Replace the routing policy
+   * @param {Object} routingPolicy - Policy from createRoutingPolicy
+   */
+  setRoutingPolicy(routingPolicy) {
+    this.routingPolicy = routingPolicy;
   }
 
   /**
@@ -31,90 +149,174 @@ class AgentService {
   }
 
   /**
-   * Get all registered agents
-   * @returns {Array} - Array of agent info objects
+   * Get the agent catalog: every agent found, including those that could not be loaded
+   * @returns {Promise<Array>} - [{ id, name, description, icon, color, source, hasDefaultQuery,
+   *   isActive, health: { status, message } }]
+   */
+  async getAgents() {
+    const registered = await Promise.all(Array.from(this.agents.values()).map(async agent => {
+      const { status, message } = await this.getAgentHealth(agent);
+      return { ...agent.getInfo(), health: { status, message } };
+    }));
+
+    const unavailable = this.unavailableAgents.map(({ reason, ...info }) => ({
+      ...info,
+      hasDefaultQuery: false,
+      isActive: false,
+      health: { status: 'unavailable', message: reason }
+    }));
+
+    return [...registered, ...unavailable];
+  }
+
+  /**
+   * Create a state store for an agent, scoped to a conversation
+   * @param {string} chatId - The chat the query belongs to
+   * @param {string} agentId - The agent that owns the state
+   * @returns {Object} - Accessor with get, set and clear
+   */
+  createStateAccessor(chatId, agentId) {
+    if (!chatId) {
+      // Without a chat there is nothing to persist against, so the state only lives for this request
+      let state = {};
+      return {
+        get: () => state,
+        set: (next) => { state = next || {}; },
+        clear: () => { state = {}; }
+      };
+    }
+
+    return {
+      get: () => agentStateRepo.getState(chatId, agentId) || {},
+      set: (next) => agentStateRepo.setState(chatId, agentId, next || {}),
+      clear: () => agentStateRepo.clearState(chatId, agentId)
+    };
+  }
+
+  /**
+   * Build the context handed to an agent
+   * @param {BaseAgent} agent - The agent that will receive the context
+   * @param {Object} context - The routing context
+   * @param {AbortSignal} [signal] - Aborted when the agent's answer is no longer wanted
+   * @returns {Object} - The context with the agent's state store and signal attached
    */
-  getAgents() {
-    return Array.from(this.agents.values()).map(agent => agent.getInfo());
+  createAgentContext(agent, context = {}, signal = null) {
+    const state = this.createStateAccessor(context.chatId, agent.id);
+
+    return {
+      ...context,
+      signal,
+      // An agent that was given up on can't change the conversation's state any more
+      state: {
+        get: state.get,
+        set: (next) => { if (!signal || !signal.aborted) state.set(next); },
+        clear: () => { if (!signal || !signal.aborted) state.clear(); }
+      }
+    };
   }
 
   /**
-   * Route a query to the appropriate agent
+   * Route a query to the agents that can handle it
    * @param {string} query - The user's query
-   * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - The response from the agent processed through the central chatbot
+   * @param {Object} context - Additional context; context.agentId sends the query to that agent alone,
+   *   and context.agentIds limits routing to the listed agents
+   * @param {Object} options - Routing options
+   * @param {Function} [options.onToken] - Streams the central chatbot's reply when an agent answered
+   * @returns {Promise<Object>} - The agents' responses merged by the central chatbot
    */
-  async routeQuery(query, context = {}) {
+  async routeQuery(query, context = {}, options = {}) {
     try {
-      let agentResponse;
-      let agentSource;
+      let agentResponses;
+      let routing = null;
+
+      // Follow-ups to an agent's own earlier answer are left for that agent to interpret
+      const refinement = this.findContinuingAgent(query, context)
+        ? { original: query, refined: query, changes: [] }
+        : await refineQuery(query, context.conversationHistory || []);
+      const agentQuery = refinement.refined;
 
       // If specific agent is requested, use it directly
       if (context.agentId && this.agents.has(context.agentId)) {
         const agent = this.agents.get(context.agentId);
-        agentSource = agent.name;
 
         if (agent.isActive) {
-          // For Notion agent, we can process even with an empty query
+          // Agents with a default query in their manifest can be triggered with an empty message
           // This allows automatic triggering when the agent is selected
-          if (agent.id === 'notion' && (!query || query.trim() === '')) {
-            // Use a default query for the Notion agent when no query is provided
-            const defaultQuery = 'Show me available information in Notion';
-            console.log(`Using default query for Notion agent: "${defaultQuery}"`);
-            agentResponse = await agent.processQuery(defaultQuery);
+          const defaultQuery = agent.manifest && agent.manifest.defaultQuery;
+          if (defaultQuery && (!query || query.trim() === '')) {
+            console.log(`Using default query for ${agent.name}: "${defaultQuery}"`);
+            agentResponses = [await this.runAgent(agent, defaultQuery, context)];
           } else {
-            agentResponse = await agent.processQuery(query);
+            agentResponses = [await this.runAgent(agent, agentQuery, context)];
           }
         } else {
-          agentResponse = {
+          agentResponses = [{
             success: false,
-            message: `Agent ${agent.name} is not active`
-          };
+            message: `Agent ${agent.name} is not active`,
+            source: agent.name,
+            agentId: agent.id
+          }];
         }
       } else {
-        // Find the best agent for this query
-        const bestAgent = await this.findBestAgent(query);
+        routing = await this.selectAgents(agentQuery, context);
+        const selectedAgents = routing.agents;
 
-        if (!bestAgent) {
+        if (selectedAgents.length === 0) {
           console.log('No agent could handle the query, falling back to Gemini');
-          agentResponse = {
+          agentResponses = [{
             success: false,
             message: "I couldn't find an agent to handle your query."
-          };
+          }];
         } else {
-          // Process the query with the selected agent
-          agentSource = bestAgent.name;
-          agentResponse = await bestAgent.processQuery(query, context);
+          console.log(`Routing query to ${selectedAgents.map(agent => agent.name).join(', ')}`);
+          agentResponses = await Promise.all(selectedAgents.map(agent => this.runAgent(agent, agentQuery, context)));
 
-          // Check if the agent was able to handle the query
-          if (!agentResponse.success) {
+          if (!agentResponses.some(response => response.success)) {
             console.log('No agent could handle the query, falling back to Gemini');
           }
         }
       }
 
-      // Add source information to the agent response
-      if (!agentResponse.source && agentSource) {
-        agentResponse.source = agentSource;
-      }
+      const answered = agentResponses.filter(response => response.success);
+      // The answer leans on the first agent that answered; its metadata is kept at the top level
+      const primary = answered[0] || agentResponses[0];
+      const source = answered.length > 0
+        ? answered.map(response => response.source).filter(Boolean).join(', ')
+        : primary.source;
 
-      // Process the agent response through the central chatbot
-      console.log('Processing agent response through central chatbot');
-      const chatbotResponse = await processAgentResponse(
+      // Merge the responses through the central chatbot
+      // Only successful responses are streamed; unsuccessful ones are replaced
+      // by the caller's fallback, so their text should never reach the client
+      console.log('Processing agent responses through central chatbot');
+      const chatbotResponse = await synthesizeAgentResponses(
         query,
-        agentResponse,
-        context.conversationHistory || []
+        agentResponses,
+        context.conversationHistory || [],
+        answered.length > 0 ? options.onToken : null
       );
 
       // Return the processed response
       return {
-        success: agentResponse.success,
+        success: answered.length > 0,
         message: chatbotResponse.content,
-        source: agentResponse.source,
+        source,
         model: chatbotResponse.model,
         metadata: {
-          originalAgentResponse: agentResponse.message,
-          agentSource: agentResponse.source
+          ...primary.metadata,
+          originalAgentResponse: primary.message,
+          // The user's words and the standalone query the agents were given
+          query: { original: refinement.original, refined: refinement.refined, changes: refinement.changes },
+          agentSource: source,
+          // Every agent that was asked, in the order they were selected
+          agents: agentResponses.filter(response => response.agentId).map(response => ({
+            id: response.agentId,
+            name: response.source,
+            success: !!response.success,
+            timedOut: !!response.timedOut,
+            durationMs: response.durationMs
+          })),
+          // Why these agents were chosen; absent when the client picked the agent
+          ...(routing ? { routing: routing.decision } : {})
         }
       };
     } catch (error) {
@@ -127,80 +329,138 @@ class AgentService {
   }
 
   /**
-   * Find the best agent to handle a query
+   * Run a query through one agent, giving up when it takes too long.
+   * The agent's signal is aborted when it times out, and any state it writes afterwards is dropped.
+   * @param {BaseAgent} agent - The agent to run
    * @param {string} query - The user's query
-   * @returns {Promise<BaseAgent|null>} - The best agent or null if none found
+   * @param {Object} context - The routing context
+   * @returns {Promise<Object>} - The agent's response, tagged with agentId, source and durationMs
    */
-  async findBestAgent(query) {
-    // Get all active agents
-    const activeAgents = Array.from(this.agents.values()).filter(agent => agent.isActive);
+  async runAgent(agent, query, context = {}) {
+    const timeoutMs = agent.config.timeoutMs ||
+      parseInt(process.env.AGENT_TIMEOUT_MS, 10) || DEFAULT_AGENT_TIMEOUT_MS;
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer;
 
-    if (activeAgents.length === 0) {
-      return null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        controller.abort();
+        resolve({
+          success: false,
+          timedOut: true,
+          message: `Agent ${agent.name} did not respond within ${timeoutMs}ms`
+        });
+      }, timeoutMs);
+    });
+
+    let response;
+    try {
+      response = await Promise.race([agent.processQuery(query, this.createAgentContext(agent, context, controller.signal)), timeout]);
+    } catch (error) {
+      console.error(`Error processing query with agent ${agent.name}:`, error);
+      response = {
+        success: false,
+        message: `Error processing query with agent ${agent.name}: ${error.message}`
+      };
+    } finally {
+      clearTimeout(timer);
     }
 
-    // First, check if we have a Notion agent
-    const notionAgent = activeAgents.find(agent => agent.id === 'notion');
+    // Agents that resolve to nothing, e.g. for a branch they don't handle, count as failed
+    response = response || { success: false, message: `Agent ${agent.name} returned no response` };
 
-    // If we don't have a Notion agent, return null
-    if (!notionAgent) {
-      return null;
+    if (response.timedOut) {
+      console.warn(response.message);
     }
 
-    // Simple check: if the query contains 'notion', use the Notion agent
-    const queryLower = query.toLowerCase();
-    if (queryLower.includes('notion') ||
-        queryLower.includes('wiki') ||
-        queryLower.includes('knowledge base') ||
-        queryLower.includes('documentation')) {
-      console.log(`Query contains Notion-related keywords: "${query}"`);
-      return notionAgent;
-    }
+    return {
+      ...response,
+      source: response.source || agent.name,
+      agentId: agent.id,
+      durationMs: Date.now() - startedAt
+    };
+  }
 
-    // Check for information-seeking patterns
-    const infoPatterns = [
-      'find', 'search', 'look up', 'tell me about', 'what is',
-      'how to', 'where can i', 'information on', 'details about'
-    ];
+  /**
+   * Choose the agents that should handle a query
+   * @param {string} query - The user's query
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { agents, decision }: the chosen agents, and the scores and reasoning behind them
+   */
+  async selectAgents(query, context = {}) {
+    const activeAgents = this.getRoutableAgents(context);
 
-    if (infoPatterns.some(pattern => queryLower.includes(pattern))) {
-      console.log(`Query contains information-seeking patterns: "${query}"`);
-      return notionAgent;
+    // A follow-up to an agent's earlier answer in this chat goes to that agent alone
+    const continuing = this.findContinuingAgent(query, context);
+    if (continuing) {
+      const decision = {
+        policy: 'follow-up',
+        candidates: [{ id: continuing.id, confidence: 1, reason: 'Continues this agent\'s earlier answer' }],
+        selected: [continuing.id],
+        reason: 'Follow-up to an earlier answer'
+      };
+      this.logRoutingDecision(query, decision);
+      return { agents: [continuing], decision };
     }
 
-    // If we're still here, try using the LLM as a last resort
-    try {
-      const prompt = [
-        {
-          role: 'system',
-          content: `You are a classifier that determines if a query is related to retrieving information from a knowledge base.
-          Answer with ONLY a single word: either "YES" or "NO".
-
-          Answer YES if the query is asking for information, facts, or knowledge that would be stored in a documentation system.
-          Answer NO for conversational queries, greetings, or questions not related to retrieving information.`
-        },
-        {
-          role: 'user',
-          content: `Is this query asking for information that would be in a knowledge base? "${query}"
-          Answer with ONLY YES or NO.`
-        }
-      ];
+    const candidates = await Promise.all(activeAgents.map(async agent => {
+      try {
+        return { agent, ...toRoutingScore(await agent.canHandle(query, this.createAgentContext(agent, context))) };
+      } catch (error) {
+        console.error(`Error checking whether agent ${agent.name} can handle the query:`, error);
+        return { agent, confidence: 0, reason: `canHandle failed: ${error.message}` };
+      }
+    }));
 
-      const response = await processMessage(prompt);
-      const answer = response.content.trim().toUpperCase();
-      console.log(`LLM classification for "${query}": ${answer}`);
+    const { selected, reason } = await this.routingPolicy.select(query, candidates);
+    const decision = {
+      policy: this.routingPolicy.name,
+      candidates: candidates.map(({ agent, confidence, reason: agentReason }) => ({ id: agent.id, confidence, reason: agentReason })),
+      selected: selected.map(({ agent }) => agent.id),
+      reason
+    };
+    this.logRoutingDecision(query, decision);
 
-      if (answer.includes('YES')) {
-        console.log(`LLM determined query is information-seeking: "${query}"`);
-        return notionAgent;
-      } else {
-        console.log(`LLM determined query is not information-seeking: "${query}"`);
-        return null;
-      }
-    } catch (error) {
-      console.error('Error using LLM to classify query:', error);
-      return null;
-    }
+    // Run in registration order, so merged answers come out in a stable order
+    return { agents: activeAgents.filter(agent => decision.selected.includes(agent.id)), decision };
+  }
+
+  /**
+   * Get the active agents a query may be routed to
+   * @param {Object} context - Additional context; a non-empty context.agentIds allows only the listed agents
+   * @returns {Array} - Agents in registration order
+   */
+  getRoutableAgents(context = {}) {
+    const allowed = Array.isArray(context.agentIds) && context.agentIds.length > 0 ? context.agentIds : null;
+
+    return Array.from(this.agents.values())
+      .filter(agent => agent.isActive && (!allowed || allowed.includes(agent.id)));
+  }
+
+  /**
+   * Find the agent whose earlier answer in this chat a query follows up on
+   * @param {string} query - The user's query
+   * @param {Object} context - Additional context
+   * @returns {BaseAgent|null} - The agent, or null if the query is not such a follow-up
+   */
+  findContinuingAgent(query, context = {}) {
+    return this.getRoutableAgents(context).find(agent =>
+      typeof agent.isFollowUp === 'function' &&
+      agent.isFollowUp(query, agent.getState(this.createAgentContext(agent, context)))
+    ) || null;
+  }
+
+  /**
+   * Log which agents a query went to and why
+   * @param {string} query - The user's query
+   * @param {Object} decision - Decision from selectAgents
+   */
+  logRoutingDecision(query, decision) {
+    const lines = decision.candidates.map(candidate =>
+      `  ${decision.selected.includes(candidate.id) ? '✓' : '✗'} ${candidate.id} (${candidate.confidence.toFixed(2)}): ${candidate.reason}`
+    );
+    console.log(`Routing decision for "${query}" [${decision.policy}]: ${decision.reason}\n${lines.join('\n')}`);
   }
 }
 
@@ -1,68 +1,16 @@
-const { genAI, modelName } = require('../services/geminiService');
+const llm = require('./llm');
+const { emitWholeResponse } = require('./geminiService');
 
 /**
  * Central Chatbot Service
  *
  * This service acts as the final layer between agents and the user.
  * It takes agent responses and formats them in a professional, secretary-like manner.
- * It always uses the Gemini 2.0 Flash model for quick, conversational responses.
+ * It uses the configured LLM provider (Gemini 2.0 Flash by default) for quick, conversational responses.
  */
 
-/**
- * Process agent responses and format a final response for the user
- * @param {string} userQuery - The original user query
- * @param {Object} agentResponse - The response from the agent system
- * @param {Array} conversationHistory - The full conversation history
- * @returns {Promise<Object>} - The formatted response for the user
- */
-const processAgentResponse = async (userQuery, agentResponse, conversationHistory = []) => {
-  try {
-    // Check if we have a valid API key
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey || apiKey === 'YOUR_GEMINI_API_KEY_HERE') {
-      console.log('Central chatbot using mock response because no valid API key is provided');
-      return {
-        content: agentResponse.message || 'No response from agent',
-        model: 'simulation-mode'
-      };
-    }
-
-    console.log('Central chatbot processing agent response with Gemini Flash');
-
-    // If the agent response was not successful, handle it differently
-    if (!agentResponse.success) {
-      console.log('Agent response was not successful, using Gemini to generate a response');
-
-      // Use Gemini to generate a response based on the query
-      try {
-        const model = genAI.getGenerativeModel({ model: modelName });
-
-        const prompt = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
-
-        The user has asked: "${userQuery}"
-
-        Unfortunately, I don't have specific information about this in our knowledge base. Please provide a polite, professional response explaining that we don't have this information, and offer to help with something else.
-
-        Keep your response concise, professional, and helpful. Don't apologize excessively.`;
-
-        const result = await model.generateContent(prompt);
-
-        return {
-          content: result.response.text(),
-          model: modelName,
-          originalAgentResponse: agentResponse // Keep the original response for debugging
-        };
-      } catch (error) {
-        console.error('Error generating fallback response:', error);
-        return {
-          content: "I don't have specific information about that in our knowledge base. Is there something else I can help you with?",
-          model: 'fallback-response'
-        };
-      }
-    }
-
-    // Create the system prompt content
-    const systemPromptContent = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
+// Persona and rules for every answer the central chatbot writes
+const ASSISTANT_PROMPT = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
 
     IDENTITY:
     - You ARE an employee of SBC Australia
@@ -105,6 +53,78 @@ const processAgentResponse = async (userQuery, agentResponse, conversationHistor
     - If asked about vision, mission, or company information, respond as a knowledgeable insider
     - NEVER confuse SBC Australia with SBS (Special Broadcasting Service)`;
 
+/**
+ * Format the end of the conversation for a system prompt
+ * @param {Array} conversationHistory - The full conversation history
+ * @returns {string} - History section, or an empty string if there is none
+ */
+const formatHistory = (conversationHistory = []) => {
+  if (!conversationHistory || conversationHistory.length === 0) {
+    return '';
+  }
+
+  const relevantHistory = conversationHistory.slice(-10); // Last 5 exchanges (10 messages)
+  return 'CONVERSATION HISTORY (for context):\n' +
+    relevantHistory.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n');
+};
+
+/**
+ * Process agent responses and format a final response for the user
+ * @param {string} userQuery - The original user query
+ * @param {Object} agentResponse - The response from the agent system
+ * @param {Array} conversationHistory - The full conversation history
+ * @param {Function} [onToken] - When provided, the response is streamed through this callback
+ * @returns {Promise<Object>} - The formatted response for the user
+ */
+const processAgentResponse = async (userQuery, agentResponse, conversationHistory = [], onToken = null) => {
+  try {
+    // Without a real or scripted LLM, pass the agent's answer straight through
+    if (llm.isSimulation()) {
+      console.log('Central chatbot using mock response because no LLM provider is configured');
+      return emitWholeResponse({
+        content: agentResponse.message || 'No response from agent',
+        model: 'simulation-mode'
+      }, onToken);
+    }
+
+    const provider = llm.getProvider();
+    console.log(`Central chatbot processing agent response with ${provider.name} (${provider.modelName})`);
+
+    // If the agent response was not successful, handle it differently
+    if (!agentResponse.success) {
+      console.log('Agent response was not successful, using the LLM to generate a response');
+
+      // Use the LLM to generate a response based on the query
+      try {
+        const prompt = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
+
+        The user has asked: "${userQuery}"
+
+        Unfortunately, I don't have specific information about this in our knowledge base. Please provide a polite, professional response explaining that we don't have this information, and offer to help with something else.
+
+        Keep your response concise, professional, and helpful. Don't apologize excessively.`;
+
+        const response = await provider.generate(
+          [{ role: 'user', content: prompt }],
+          { purpose: 'central-fallback', temperature: 0.2 },
+          onToken
+        );
+
+        return {
+          content: response.content,
+          model: response.model,
+          originalAgentResponse: agentResponse // Keep the original response for debugging
+        };
+      } catch (error) {
+        console.error('Error generating fallback response:', error);
+        return emitWholeResponse({
+          content: "I don't have specific information about that in our knowledge base. Is there something else I can help you with?",
+          model: 'fallback-response'
+        }, onToken);
+      }
+    }
+
+
     // Format the agent response information
     const agentInfoContent = `AGENT INFORMATION:
     Agent: ${agentResponse.source || 'Knowledge Base'}
@@ -113,82 +133,122 @@ const processAgentResponse = async (userQuery, agentResponse, conversationHistor
     ${agentResponse.metadata ? `Additional context: ${JSON.stringify(agentResponse.metadata)}` : ''}`;
 
     // Prepare conversation history if available
-    let historyContent = '';
-    if (conversationHistory && conversationHistory.length > 0) {
-      const relevantHistory = conversationHistory.slice(-10); // Last 5 exchanges (10 messages)
-      historyContent = 'CONVERSATION HISTORY (for context):\n' +
-        relevantHistory.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n');
-    }
+    const historyContent = formatHistory(conversationHistory);
 
     // Combine all system information
     const fullSystemPrompt = [
-      systemPromptContent,
+      ASSISTANT_PROMPT,
       agentInfoContent,
       historyContent
     ].filter(Boolean).join('\n\n');
 
-    // We'll use the chat-based approach instead of the direct content generation
-
     try {
-      // Get the model
-      const model = genAI.getGenerativeModel({ model: modelName });
-
-      // Format the conversation for Gemini
-      const formattedMessages = [];
-
-      // Add system message first
-      formattedMessages.push({
-        role: "user",
-        parts: [{ text: fullSystemPrompt }],
-      });
-
-      formattedMessages.push({
-        role: "model",
-        parts: [{ text: "I understand my role as SBC Assistant. I'll process this information professionally." }],
-      });
-
-      // Add the user query
-      formattedMessages.push({
-        role: "user",
-        parts: [{ text: userQuery }],
-      });
-
-      // Create a chat session
-      const chat = model.startChat({
-        generationConfig: {
+      const response = await provider.generate(
+        [
+          { role: 'system', content: fullSystemPrompt },
+          { role: 'user', content: userQuery }
+        ],
+        {
+          purpose: 'central-chatbot',
           temperature: 0.2,
-          maxOutputTokens: 2048,
+          maxOutputTokens: 2048
         },
-        history: formattedMessages.slice(0, -1), // All messages except the last one
-      });
-
-      // Send the last message to get a response
-      const lastMessage = formattedMessages[formattedMessages.length - 1];
-      const result = await chat.sendMessage(lastMessage.parts[0].text);
+        onToken
+      );
 
       return {
-        content: result.response.text(),
-        model: modelName,
+        content: response.content,
+        model: response.model,
         originalAgentResponse: agentResponse // Keep the original response for debugging
       };
     } catch (apiError) {
-      console.error('Error calling Gemini API for central chatbot:', apiError);
+      console.error('Error calling LLM provider for central chatbot:', apiError);
       // Fall back to the original agent response
-      return {
+      return emitWholeResponse({
         content: agentResponse.message || 'No response from agent',
         model: 'central-chatbot-error'
-      };
+      }, onToken);
     }
   } catch (error) {
     console.error('Error in central chatbot processing:', error);
     // Return the original agent response if there's an error
-    return {
+    return emitWholeResponse({
       content: agentResponse.message || 'Error processing response',
       model: 'central-chatbot-error'
+    }, onToken);
+  }
+};
+
+/**
+ * Merge the responses of several agents into one answer for the user
+ * A single answer goes through processAgentResponse unchanged; several are
+ * combined by the LLM, with each part attributed to the agent it came from.
+ * @param {string} userQuery - The original user query
+ * @param {Array} agentResponses - Responses from the agents that were asked
+ * @param {Array} conversationHistory - The full conversation history
+ * @param {Function} [onToken] - When provided, the response is streamed through this callback
+ * @returns {Promise<Object>} - The formatted response for the user, with the sources it drew on
+ */
+const synthesizeAgentResponses = async (userQuery, agentResponses, conversationHistory = [], onToken = null) => {
+  const answered = agentResponses.filter(response => response.success);
+  const sources = answered.map(response => response.source || 'Knowledge Base');
+
+  if (answered.length <= 1) {
+    const response = await processAgentResponse(userQuery, answered[0] || agentResponses[0], conversationHistory, onToken);
+    return { ...response, sources };
+  }
+
+  // Used without an LLM, and when the LLM fails
+  const combined = answered
+    .map((response, index) => `**${sources[index]}**\n\n${response.message || 'No response from agent'}`)
+    .join('\n\n');
+
+  if (llm.isSimulation()) {
+    console.log('Central chatbot combining agent responses without an LLM because no LLM provider is configured');
+    return { ...emitWholeResponse({ content: combined, model: 'simulation-mode' }, onToken), sources };
+  }
+
+  const provider = llm.getProvider();
+  console.log(`Central chatbot merging ${answered.length} agent responses with ${provider.name} (${provider.modelName})`);
+
+  const agentInfoContent = `AGENT INFORMATION:
+    Several sources answered the query. Combine them into one answer:
+    - Put related information together instead of repeating each source in turn
+    - End each part of the answer with the source it came from in square brackets, e.g. [${sources[0]}]
+    - These brackets are the only place to name a source
+    - If the sources disagree, say so and give both
+
+    ${answered.map((response, index) => `SOURCE ${index + 1}: ${sources[index]}
+    Response: ${response.message || 'No specific message provided'}
+    ${response.metadata ? `Additional context: ${JSON.stringify(response.metadata)}` : ''}`).join('\n\n    ')}`;
+
+  try {
+    const response = await provider.generate(
+      [
+        { role: 'system', content: [ASSISTANT_PROMPT, agentInfoContent, formatHistory(conversationHistory)].filter(Boolean).join('\n\n') },
+        { role: 'user', content: userQuery }
+      ],
+      {
+        purpose: 'central-synthesis',
+        temperature: 0.2,
+        maxOutputTokens: 2048
+      },
+      onToken
+    );
+
+    return {
+      content: response.content,
+      model: response.model,
+      sources,
+      originalAgentResponses: answered // Keep the original responses for debugging
     };
+  } catch (error) {
+    console.error('Error calling LLM provider to merge agent responses:', error);
+    return { ...emitWholeResponse({ content: combined, model: 'central-chatbot-error' }, onToken), sources };
   }
 };
 
 module.exports = {
-  processAgentResponse
+  processAgentResponse,
+  synthesizeAgentResponses
 };
@@ -0,0 +1,86 @@
+/**
+ * Base Embedder Interface
+ *
+ * Embedders turn text into vectors so passages can be compared by meaning
+ * rather than by shared keywords. Vectors are plain arrays of numbers
+ * normalized to unit length, so cosine similarity is a dot product.
+ */
+class BaseEmbedder {
+  /**
+   * Constructor for the base embedder
+   * @param {string} name - Embedder name (e.g. 'lsa')
+   * @param {Object} config - Configuration options
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.modelName = config.model || null;
+
+    // Embedders learnt from the corpus must be fitted before use, and their
+    // vectors change whenever they are refitted
+    this.needsFit = false;
+    this.isFitted = true;
+  }
+
+  /**
+   * Learn the embedding from a corpus (only for corpus-fitted embedders)
+   * @param {Array} texts - Documents of the corpus
+   * @returns {Promise<void>}
+   */
+  async fit(texts) {}
+
+  /**
+   * Embed a batch of texts
+   * @param {Array} texts - Texts to embed
+   * @returns {Promise<Array>} - One unit-length vector per text
+   */
+  async embed(texts) {
+    throw new Error('Method embed() must be implemented by subclasses');
+  }
+
+  /**
+   * Get information about this embedder
+   * @returns {Object} - Embedder information
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.modelName,
+      needsFit: this.needsFit
+    };
+  }
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array} vector - Vector to normalize
+ * @returns {Array} - Normalized vector (all zeros stays all zeros)
+ */
+const normalizeVector = (vector) => {
+  let norm = 0;
+  for (const value of vector) {
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+
+  return norm > 0 ? Array.from(vector, value => value / norm) : Array.from(vector);
+};
+
+/**
+ * Cosine similarity of two unit-length vectors
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @returns {number} - Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+};
+
+module.exports = BaseEmbedder;
+module.exports.normalizeVector = normalizeVector;
+module.exports.cosineSimilarity = cosineSimilarity;
@@ -0,0 +1,81 @@
+/**
+ * Embedder Registry
+ *
+ * Creates the configured embedder and hands out a shared instance.
+ *
+ * Configuration (environment variables):
+ * - EMBEDDING_PROVIDER: 'lsa' (default, offline), 'openai-compatible' or 'none'
+ * - EMBEDDING_MODEL: Model name for 'openai-compatible' (e.g. nomic-embed-text)
+ * - EMBEDDING_BASE_URL / EMBEDDING_API_KEY: Endpoint and key for 'openai-compatible',
+ *   defaulting to LLM_BASE_URL / LLM_API_KEY
+ * - EMBEDDING_DIMENSIONS: Number of latent dimensions for 'lsa'
+ */
+require('dotenv').config();
+const LsaEmbedder = require('./lsaEmbedder');
+const OpenAICompatibleEmbedder = require('./openAICompatibleEmbedder');
+const { cosineSimilarity } = require('./baseEmbedder');
+
+const embedders = {
+  'lsa': LsaEmbedder,
+  'openai-compatible': OpenAICompatibleEmbedder
+};
+
+let activeEmbedder;
+
+/**
+ * Read embedder configuration from the environment
+ * @returns {Object} - Embedder configuration
+ */
+const getConfigFromEnv = () => ({
+  provider: process.env.EMBEDDING_PROVIDER || 'lsa',
+  model: process.env.EMBEDDING_MODEL,
+  baseUrl: process.env.EMBEDDING_BASE_URL || process.env.LLM_BASE_URL,
+  apiKey: process.env.EMBEDDING_API_KEY || process.env.LLM_API_KEY,
+  dimensions: process.env.EMBEDDING_DIMENSIONS
+});
+
+/**
+ * Create an embedder from configuration
+ * @param {Object} config - Embedder configuration, including the provider name
+ * @returns {BaseEmbedder|null} - The embedder, or null when embeddings are turned off
+ */
+const createEmbedder = (config) => {
+  if (config.provider === 'none') {
+    return null;
+  }
+
+  const Embedder = embedders[config.provider];
+
+  if (!Embedder) {
+    throw new Error(`Unknown embedding provider "${config.provider}". Use one of: ${Object.keys(embedders).join(', ')}, none`);
+  }
+
+  return new Embedder(config);
+};
+
+/**
+ * Get the shared embedder, creating it from the environment on first use
+ * @returns {BaseEmbedder|null} - The active embedder, or null when embeddings are turned off
+ */
+const getEmbedder = () => {
+  if (activeEmbedder === undefined) {
+    activeEmbedder = createEmbedder(getConfigFromEnv());
+    console.log(`Embedding provider: ${activeEmbedder ? `${activeEmbedder.name} (${activeEmbedder.modelName})` : 'none'}`);
+  }
+  return activeEmbedder;
+};
+
+/**
+ * Replace the shared embedder (used by tests and scripts)
+ * @param {BaseEmbedder|null} embedder - The embedder to use
+ */
+const setEmbedder = (embedder) => {
+  activeEmbedder = embedder;
+};
+
+module.exports = {
+  createEmbedder,
+  getEmbedder,
+  setEmbedder,
+  cosineSimilarity
+};
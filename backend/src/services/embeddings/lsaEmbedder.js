@@ -0,0 +1,339 @@
+/**
+ * LSA Embedder
+ *
+ * Offline, CPU-only embedder based on latent semantic analysis. It is fitted
+ * on the passages themselves: a TF-IDF term-document matrix is reduced to
+ * its main latent dimensions with a randomized truncated SVD, so terms that
+ * are used in the same contexts end up close together even when a query and
+ * a passage share no words.
+ */
+const BaseEmbedder = require('./baseEmbedder');
+const { normalizeVector } = BaseEmbedder;
+const analyzer = require('../../integrations/notion/analyzer');
+
+const DEFAULT_DIMENSIONS = 100;
+// Extra random directions and power iterations improve the accuracy of the randomized SVD
+const OVERSAMPLING = 10;
+const POWER_ITERATIONS = 2;
+const MAX_VOCABULARY = 20000;
+// Terms must occur in this many documents to be part of the vocabulary, once the corpus is large enough
+const MIN_DOCUMENT_FREQUENCY = 2;
+const MIN_DOCUMENTS_FOR_PRUNING = 50;
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so a corpus always gives the same embedding
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw from a standard normal distribution (Box-Muller)
+ * @param {Function} random - Uniform random numbers
+ * @returns {number} - Normally distributed number
+ */
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Multiply a sparse document matrix by a dense matrix
+ * @param {Array} rows - Sparse rows, as { indices, values }
+ * @param {Float64Array} matrix - Dense terms x width matrix, row-major
+ * @param {number} width - Number of columns
+ * @returns {Float64Array} - Dense documents x width matrix
+ */
+const multiply = (rows, matrix, width) => {
+  const result = new Float64Array(rows.length * width);
+
+  rows.forEach((row, r) => {
+    for (let n = 0; n < row.indices.length; n++) {
+      const offset = row.indices[n] * width;
+      const value = row.values[n];
+      for (let c = 0; c < width; c++) {
+        result[r * width + c] += value * matrix[offset + c];
+      }
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Multiply the transpose of a sparse document matrix by a dense matrix
+ * @param {Array} rows - Sparse rows, as { indices, values }
+ * @param {Float64Array} matrix - Dense documents x width matrix, row-major
+ * @param {number} width - Number of columns
+ * @param {number} termCount - Number of terms
+ * @returns {Float64Array} - Dense terms x width matrix
+ */
+const multiplyTransposed = (rows, matrix, width, termCount) => {
+  const result = new Float64Array(termCount * width);
+
+  rows.forEach((row, r) => {
+    for (let n = 0; n < row.indices.length; n++) {
+      const offset = row.indices[n] * width;
+      const value = row.values[n];
+      for (let c = 0; c < width; c++) {
+        result[offset + c] += value * matrix[r * width + c];
+      }
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Orthonormalize the columns of a dense matrix in place (modified Gram-Schmidt)
+ * @param {Float64Array} matrix - Dense height x width matrix, row-major
+ * @param {number} height - Number of rows
+ * @param {number} width - Number of columns
+ * @returns {Float64Array} - The same matrix
+ */
+const orthonormalize = (matrix, height, width) => {
+  for (let c = 0; c < width; c++) {
+    for (let previous = 0; previous < c; previous++) {
+      let dot = 0;
+      for (let r = 0; r < height; r++) {
+        dot += matrix[r * width + c] * matrix[r * width + previous];
+      }
+      for (let r = 0; r < height; r++) {
+        matrix[r * width + c] -= dot * matrix[r * width + previous];
+      }
+    }
+
+    let norm = 0;
+    for (let r = 0; r < height; r++) {
+      norm += matrix[r * width + c] ** 2;
+    }
+    norm = Math.sqrt(norm);
+
+    // Columns that are linearly dependent on earlier ones are zeroed
+    for (let r = 0; r < height; r++) {
+      matrix[r * width + c] = norm > 1e-10 ? matrix[r * width + c] / norm : 0;
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * Eigen-decompose a small symmetric matrix (cyclic Jacobi method)
+ * @param {Array} matrix - Symmetric size x size matrix as an array of rows; overwritten
+ * @returns {Object} - { values, vectors } with eigenvectors as the columns of vectors
+ */
+const symmetricEigen = (matrix) => {
+  const size = matrix.length;
+  const vectors = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        offDiagonal += matrix[p][q] ** 2;
+      }
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        const apq = matrix[p][q];
+        if (Math.abs(apq) < 1e-30) continue;
+
+        const theta = (matrix[q][q] - matrix[p][p]) / (2 * apq);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < size; k++) {
+          const akp = matrix[k][p];
+          const akq = matrix[k][q];
+          matrix[k][p] = c * akp - s * akq;
+          matrix[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = matrix[p][k];
+          const aqk = matrix[q][k];
+          matrix[p][k] = c * apk - s * aqk;
+          matrix[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: matrix.map((row, i) => row[i]),
+    vectors
+  };
+};
+
+class LsaEmbedder extends BaseEmbedder {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {number} [config.dimensions] - Number of latent dimensions
+   */
+  constructor(config = {}) {
+    super('lsa', { ...config, model: config.model || 'lsa' });
+
+    this.dimensions = Number(config.dimensions) || DEFAULT_DIMENSIONS;
+    this.needsFit = true;
+    this.isFitted = false;
+
+    this.vocabulary = new Map(); // Map of term to column
+    this.idf = null;
+    this.projection = null; // Terms x rank matrix mapping TF-IDF vectors into the latent space
+    this.rank = 0;
+  }
+
+  /**
+   * Build the unit-length TF-IDF vector of analyzed text
+   * @param {Array} terms - Terms from the analyzer
+   * @returns {Object} - Sparse vector, as { indices, values }
+   */
+  weigh(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+      const index = this.vocabulary.get(term);
+      if (index !== undefined) {
+        counts.set(index, (counts.get(index) || 0) + 1);
+      }
+    }
+
+    const indices = [...counts.keys()];
+    const values = normalizeVector(indices.map(index => (1 + Math.log(counts.get(index))) * this.idf[index]));
+
+    return { indices, values };
+  }
+
+  async fit(texts) {
+    const documents = texts.map(text => analyzer.analyze(text));
+
+    // Vocabulary of the most widespread terms
+    const documentFrequency = new Map();
+    for (const terms of documents) {
+      for (const term of new Set(terms)) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const minFrequency = documents.length >= MIN_DOCUMENTS_FOR_PRUNING ? MIN_DOCUMENT_FREQUENCY : 1;
+    const vocabulary = [...documentFrequency.entries()]
+      .filter(([, frequency]) => frequency >= minFrequency)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_VOCABULARY);
+
+    this.vocabulary = new Map(vocabulary.map(([term], index) => [term, index]));
+    this.idf = vocabulary.map(([, frequency]) => Math.log((documents.length + 1) / (frequency + 1)) + 1);
+
+    const rows = documents.map(terms => this.weigh(terms));
+    const termCount = vocabulary.length;
+    this.rank = Math.min(this.dimensions, documents.length, termCount);
+
+    if (this.rank === 0) {
+      this.projection = null;
+      this.isFitted = true;
+      return;
+    }
+
+    // Randomized range finder: an orthonormal basis Q for the dominant column space of A
+    const width = Math.min(this.rank + OVERSAMPLING, documents.length, termCount);
+    const random = createRandom(42);
+    const omega = Float64Array.from({ length: termCount * width }, () => gaussian(random));
+
+    let basis = orthonormalize(multiply(rows, omega, width), documents.length, width);
+    for (let i = 0; i < POWER_ITERATIONS; i++) {
+      const termBasis = orthonormalize(multiplyTransposed(rows, basis, width, termCount), termCount, width);
+      basis = orthonormalize(multiply(rows, termBasis, width), documents.length, width);
+    }
+
+    // B = Q^T A is small; its singular vectors come from the eigenvectors of B B^T
+    const bTransposed = multiplyTransposed(rows, basis, width, termCount);
+    const gram = Array.from({ length: width }, () => new Array(width).fill(0));
+    for (let j = 0; j < termCount; j++) {
+      const offset = j * width;
+      for (let a = 0; a < width; a++) {
+        const value = bTransposed[offset + a];
+        if (value === 0) continue;
+        for (let b = a; b < width; b++) {
+          gram[a][b] += value * bTransposed[offset + b];
+        }
+      }
+    }
+    for (let a = 0; a < width; a++) {
+      for (let b = 0; b < a; b++) {
+        gram[a][b] = gram[b][a];
+      }
+    }
+
+    const { values, vectors } = symmetricEigen(gram);
+    const components = values
+      .map((value, index) => ({ value, index }))
+      .filter(component => component.value > 1e-10)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, this.rank);
+    this.rank = components.length;
+
+    // Right singular vectors V = B^T W / sigma; a document is embedded as its TF-IDF vector times V
+    this.projection = new Float32Array(termCount * this.rank);
+    for (let j = 0; j < termCount; j++) {
+      for (let i = 0; i < this.rank; i++) {
+        const { value, index } = components[i];
+        let sum = 0;
+        for (let a = 0; a < width; a++) {
+          sum += bTransposed[j * width + a] * vectors[a][index];
+        }
+        this.projection[j * this.rank + i] = sum / Math.sqrt(value);
+      }
+    }
+
+    this.isFitted = true;
+  }
+
+  async embed(texts) {
+    if (!this.isFitted) {
+      throw new Error('LSA embedder must be fitted before embedding');
+    }
+
+    return texts.map(text => {
+      const vector = new Array(this.rank).fill(0);
+      if (!this.projection) return vector;
+
+      const { indices, values } = this.weigh(analyzer.analyze(text));
+      for (let n = 0; n < indices.length; n++) {
+        const offset = indices[n] * this.rank;
+        for (let i = 0; i < this.rank; i++) {
+          vector[i] += values[n] * this.projection[offset + i];
+        }
+      }
+
+      return normalizeVector(vector);
+    });
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      dimensions: this.rank,
+      vocabularySize: this.vocabulary.size
+    };
+  }
+}
+
+module.exports = LsaEmbedder;
@@ -0,0 +1,82 @@
+/**
+ * OpenAI-Compatible Embedder
+ *
+ * Embeds text with any HTTP endpoint that implements the OpenAI embeddings
+ * API, such as a local Ollama or llama.cpp server running an embedding model.
+ */
+const BaseEmbedder = require('./baseEmbedder');
+const { normalizeVector } = BaseEmbedder;
+
+// Texts sent per request
+const BATCH_SIZE = 32;
+
+class OpenAICompatibleEmbedder extends BaseEmbedder {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.baseUrl - API base URL (e.g. http://localhost:11434/v1)
+   * @param {string} config.model - Embedding model name
+   * @param {string} [config.apiKey] - Bearer token, if the server requires one
+   * @param {number} [config.timeoutMs] - Request timeout
+   */
+  constructor(config = {}) {
+    super('openai-compatible', config);
+
+    if (!config.baseUrl) {
+      throw new Error('OpenAI-compatible embedder requires a base URL. Set EMBEDDING_BASE_URL or LLM_BASE_URL in .env');
+    }
+    if (!config.model) {
+      throw new Error('OpenAI-compatible embedder requires a model. Set EMBEDDING_MODEL in .env');
+    }
+
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = config.timeoutMs || 60000;
+  }
+
+  /**
+   * POST a batch to the embeddings endpoint
+   * @param {Array} input - Texts to embed
+   * @returns {Promise<Array>} - Vectors in input order
+   */
+  async request(input) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.modelName, input }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Embedding endpoint returned ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    return (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      // Empty strings are rejected by some servers
+      const batch = texts.slice(i, i + BATCH_SIZE).map(text => text || ' ');
+      const embeddings = await this.request(batch);
+
+      if (embeddings.length !== batch.length) {
+        throw new Error(`Embedding endpoint returned ${embeddings.length} vectors for ${batch.length} texts`);
+      }
+      vectors.push(...embeddings.map(normalizeVector));
+    }
+
+    return vectors;
+  }
+}
+
+module.exports = OpenAICompatibleEmbedder;
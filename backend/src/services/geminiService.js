@@ -1,119 +1,110 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-require('dotenv').config();
+const llm = require('./llm');
 
-// Initialize the Google Generative AI with API key
-const apiKey = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(apiKey);
-const modelName = "gemini-2.0-flash";
+/**
+ * Gemini Service
+ *
+ * Generates SBC Assistant replies through the configured LLM provider
+ * (Gemini by default, see services/llm). The module keeps its name so
+ * existing imports continue to work.
+ */
+
+// Offline replies used when the configured provider fails
+const simulationProvider = new llm.FixtureProvider();
+
+// Default system prompt, used when the caller doesn't provide one
+const SYSTEM_PROMPT = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
+
+  IDENTITY:
+  - You ARE an employee of SBC Australia
+  - You are speaking as a representative of SBC Australia
+  - You should use "we", "our", and "us" when referring to SBC Australia
+  - You have been with the company for several years and are knowledgeable about its operations
+  - You are proud to be part of the SBC Australia team
+
+  COMPANY INFORMATION:
+  - SBC Australia is NOT the same as SBS (Special Broadcasting Service)
+  - SBC Australia is a global leading startup accelerator
+  - We help startups scale globally through mentorship, funding, and strategic connections
+  - If you receive information about SBS Australia (broadcasting), IGNORE it completely
+  - If asked about our vision and mission, our vision is to be the world's premier startup accelerator
+  - Our mission is to empower innovative startups to transform industries and create global impact
+
+  TONE AND STYLE:
+  - Professional and confident
+  - Concise and direct
+  - Structured and organized
+  - Helpful and service-oriented
+  - Warm but not overly casual
+
+  IMPORTANT RULES:
+  - Always respond as if you are part of SBC Australia ("we", "our", "us")
+  - Never use phrases like "Based on the information available" or "I can tell you that"
+  - Never repeat information
+  - Never use nested bullet points
+  - Never use exclamation marks
+  - Keep total response under 100 words whenever possible
+  - Start with a direct answer in 1 sentence
+  - If asked about vision, mission, or company information, respond as a knowledgeable insider
+  - NEVER confuse SBC Australia with SBS (Special Broadcasting Service)`;
 
 /**
- * Process a message with the Gemini model
+ * Process a message with the configured LLM
  * @param {Array} messages - The conversation history
  * @returns {Promise<Object>} - The AI response
  */
 const processMessage = async (messages) => {
+  return generateResponse(messages);
+};
+
+/**
+ * Process a message with the configured LLM, streaming tokens as they arrive
+ * @param {Array} messages - The conversation history
+ * @param {Function} onToken - Called with each chunk of generated text
+ * @returns {Promise<Object>} - The complete AI response
+ */
+const processMessageStream = async (messages, onToken) => {
+  return generateResponse(messages, onToken);
+};
+
+/**
+ * Generate a response with the configured LLM
+ * Falls back to a mock reply when the provider fails before streaming anything;
+ * a failure after tokens were streamed is thrown instead.
+ * @param {Array} messages - The conversation history
+ * @param {Function} [onToken] - When provided, the response is streamed through this callback
+ * @returns {Promise<Object>} - The AI response
+ */
+const generateResponse = async (messages, onToken = null) => {
   try {
-    // Check if we have a valid API key
-    if (!apiKey || apiKey === 'YOUR_GEMINI_API_KEY_HERE') {
-      console.log('Using mock response because no valid API key is provided');
-      return provideMockResponse(messages);
+    // Add the system prompt first if it's not already in the messages
+    const hasSystemMessage = messages.some(msg => msg.role === 'system');
+    const prompt = hasSystemMessage
+      ? messages
+      : [{ role: 'system', content: SYSTEM_PROMPT }, ...messages];
+
+    // If there are no conversation messages, return a mock response
+    if (!prompt.some(msg => msg.role !== 'system')) {
+      console.log('No valid messages to send to the LLM');
+      return emitWholeResponse(await provideMockResponse(messages), onToken);
     }
 
-    // Define the system prompt
-    const systemPromptContent = `You are a professional, efficient executive assistant named SBC Assistant working at SBC Australia.
-
-      IDENTITY:
-      - You ARE an employee of SBC Australia
-      - You are speaking as a representative of SBC Australia
-      - You should use "we", "our", and "us" when referring to SBC Australia
-      - You have been with the company for several years and are knowledgeable about its operations
-      - You are proud to be part of the SBC Australia team
-
-      COMPANY INFORMATION:
-      - SBC Australia is NOT the same as SBS (Special Broadcasting Service)
-      - SBC Australia is a global leading startup accelerator
-      - We help startups scale globally through mentorship, funding, and strategic connections
-      - If you receive information about SBS Australia (broadcasting), IGNORE it completely
-      - If asked about our vision and mission, our vision is to be the world's premier startup accelerator
-      - Our mission is to empower innovative startups to transform industries and create global impact
-
-      TONE AND STYLE:
-      - Professional and confident
-      - Concise and direct
-      - Structured and organized
-      - Helpful and service-oriented
-      - Warm but not overly casual
-
-      IMPORTANT RULES:
-      - Always respond as if you are part of SBC Australia ("we", "our", "us")
-      - Never use phrases like "Based on the information available" or "I can tell you that"
-      - Never repeat information
-      - Never use nested bullet points
-      - Never use exclamation marks
-      - Keep total response under 100 words whenever possible
-      - Start with a direct answer in 1 sentence
-      - If asked about vision, mission, or company information, respond as a knowledgeable insider
-      - NEVER confuse SBC Australia with SBS (Special Broadcasting Service)`;
+    // Text already streamed can't be taken back, so the mock reply is only used before the first token
+    let hasStreamed = false;
+    const trackedOnToken = onToken && (text => {
+      hasStreamed = true;
+      onToken(text);
+    });
 
     try {
-      // Get the model
-      const model = genAI.getGenerativeModel({ model: modelName });
-
-      // Format the conversation history for Gemini
-      const formattedMessages = [];
-
-      // Add system message first if it's not already in the messages
-      const hasSystemMessage = messages.some(msg => msg.role === 'system');
-
-      if (!hasSystemMessage) {
-        formattedMessages.push({
-          role: "user",
-          parts: [{ text: systemPromptContent }],
-        });
-
-        formattedMessages.push({
-          role: "model",
-          parts: [{ text: "I understand my role as SBC Assistant. I'll follow these guidelines in our conversation." }],
-        });
-      }
-
-      // Add the rest of the messages
-      for (const msg of messages) {
-        if (msg.role === 'system') continue; // Skip system messages as we've handled them
-
-        formattedMessages.push({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
-        });
-      }
-
-      // If there are no messages after filtering, return a mock response
-      if (formattedMessages.length === 0) {
-        console.log('No valid messages to send to Gemini');
-        return provideMockResponse(messages);
+      return await llm.getProvider().generate(prompt, { purpose: 'chat', temperature: 0.0 }, trackedOnToken);
+    } catch (apiError) {
+      console.error('Error calling LLM provider:', apiError);
+      if (hasStreamed) {
+        throw new Error(`The reply stopped part way through: ${apiError.message}`);
       }
 
-      // Create a chat session
-      const chat = model.startChat({
-        generationConfig: {
-          temperature: 0.0,
-          maxOutputTokens: 2048,
-        },
-        history: formattedMessages.slice(0, -1), // All messages except the last one
-      });
-
-      // Send the last message to get a response
-      const lastMessage = formattedMessages[formattedMessages.length - 1];
-      const result = await chat.sendMessage(lastMessage.parts[0].text);
-
-      return {
-        content: result.response.text(),
-        model: modelName
-      };
-    } catch (apiError) {
-      console.error('Error calling Gemini API:', apiError);
       console.log('Falling back to mock response');
-      return provideMockResponse(messages);
+      return emitWholeResponse(await provideMockResponse(messages), onToken);
     }
   } catch (error) {
     console.error('Error processing message:', error);
@@ -122,38 +113,30 @@ const processMessage = async (messages) => {
 };
 
 /**
- * Provide a mock response when the API is not available
- * @param {Array} messages - The conversation history
- * @returns {Object} - A mock response
+ * Emit a non-streamed response through the token callback in one piece
+ * @param {Object} response - Response with a content field
+ * @param {Function} [onToken] - Token callback
+ * @returns {Object} - The same response
  */
-const provideMockResponse = (messages) => {
-  // Get the last user message
-  const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
-  const userContent = lastUserMessage ? lastUserMessage.content : '';
-
-  // Generate a contextual mock response
-  let response;
-
-  if (userContent.toLowerCase().includes('weather')) {
-    response = 'No access to weather data. Check Weather.com, your device\'s weather app, or ask a virtual assistant.';
-  } else if (userContent.toLowerCase().includes('hello') || userContent.toLowerCase().includes('hi')) {
-    response = 'Hello. I\'m SBC Assistant. How can I help you?';
-  } else if (userContent.toLowerCase().includes('help')) {
-    response = 'I can help with company information, knowledge base queries, and basic tasks. What do you need?';
-  } else if (userContent.toLowerCase().includes('thank')) {
-    response = 'You\'re welcome.';
-  } else {
-    response = 'Running in simulation mode. Add a Gemini API key to your .env file and restart for full functionality.';
+const emitWholeResponse = (response, onToken = null) => {
+  if (onToken && response.content) {
+    onToken(response.content);
   }
+  return response;
+};
 
-  return {
-    content: response,
-    model: 'simulation-mode'
-  };
+/**
+ * Provide a mock response when the LLM is not available
+ * @param {Array} messages - The conversation history
+ * @returns {Promise<Object>} - A mock response
+ */
+const provideMockResponse = (messages) => {
+  return simulationProvider.chat(messages);
 };
 
 module.exports = {
   processMessage,
-  genAI,
-  modelName
+  processMessageStream,
+  emitWholeResponse,
+  provideMockResponse
 };
@@ -0,0 +1,121 @@
+/**
+ * Base LLM Provider Interface
+ *
+ * All LLM providers implement this interface so the rest of the backend
+ * can generate text without knowing which model or vendor is behind it.
+ *
+ * Messages use a provider-neutral format:
+ *   [{ role: 'system' | 'user' | 'assistant', content: string }]
+ */
+class BaseProvider {
+  /**
+   * Constructor for the base provider
+   * @param {string} name - Provider name (e.g. 'gemini')
+   * @param {Object} config - Configuration options
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.modelName = config.model || null;
+    this.isOffline = false;
+  }
+
+  /**
+   * Generate a complete chat response
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Generation options (temperature, maxOutputTokens, purpose)
+   * @returns {Promise<Object>} - { content, model }
+   */
+  async chat(messages, options = {}) {
+    throw new Error('Method chat() must be implemented by subclasses');
+  }
+
+  /**
+   * Generate a chat response, emitting text chunks as they are produced
+   * Providers without native streaming emit the whole response as one chunk.
+   * @param {Array} messages - Conversation messages
+   * @param {Function} onToken - Called with each chunk of generated text
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - { content, model }
+   */
+  async stream(messages, onToken, options = {}) {
+    const response = await this.chat(messages, options);
+    if (onToken && response.content) {
+      onToken(response.content);
+    }
+    return response;
+  }
+
+  /**
+   * Generate a response that must be valid JSON
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - { data, content, model }
+   */
+  async json(messages, options = {}) {
+    const response = await this.chat(messages, { ...options, responseFormat: 'json' });
+    return {
+      ...response,
+      data: parseJsonResponse(response.content)
+    };
+  }
+
+  /**
+   * Count the tokens a set of messages would use
+   * The default is a rough estimate of four characters per token.
+   * @param {Array} messages - Conversation messages
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(messages) {
+    const text = messages.map(msg => msg.content || '').join('\n');
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Generate a response, streaming it when a token callback is provided
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Generation options
+   * @param {Function} [onToken] - Token callback
+   * @returns {Promise<Object>} - { content, model }
+   */
+  async generate(messages, options = {}, onToken = null) {
+    return onToken ? this.stream(messages, onToken, options) : this.chat(messages, options);
+  }
+
+  /**
+   * Get information about this provider
+   * @returns {Object} - Provider information
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.modelName,
+      isOffline: this.isOffline
+    };
+  }
+}
+
+/**
+ * Parse a JSON response, tolerating Markdown code fences around it
+ * @param {string} content - Raw model output
+ * @returns {*} - Parsed JSON value
+ */
+const parseJsonResponse = (content) => {
+  const trimmed = (content || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall back to the first JSON object or array in the text
+    const match = trimmed.match(/[{[][\s\S]*[}\]]/);
+    if (match) {
+      return JSON.parse(match[0]);
+    }
+    throw new Error(`LLM response is not valid JSON: ${error.message}`);
+  }
+};
+
+module.exports = BaseProvider;
+module.exports.parseJsonResponse = parseJsonResponse;
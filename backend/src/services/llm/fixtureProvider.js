@@ -0,0 +1,132 @@
+/**
+ * Fixture Provider
+ *
+ * Deterministic, offline LLM provider. Responses come from a script of
+ * rules, so the whole pipeline can run and be tested without network access.
+ *
+ * A script file (LLM_FIXTURE_PATH) is JSON of the form:
+ * {
+ *   "model": "fixture",
+ *   "rules": [
+ *     { "purpose": "agent-routing", "match": "expense", "json": { "knowledgeBase": true } },
+ *     { "match": "/reimburs(e|ment)/i", "response": "Submit receipts within 30 days." }
+ *   ],
+ *   "defaultResponse": "..."
+ * }
+ *
+ * Rules are tried in order. "purpose" must equal the caller's options.purpose
+ * when given, and "match" is a case-insensitive substring (or /regex/flags)
+ * tested against the last user message. Without a script, the built-in
+ * simulation-mode replies are used.
+ */
+const fs = require('fs');
+const BaseProvider = require('./baseProvider');
+
+// Replies used when no script is configured
+const SIMULATION_RULES = [
+  { match: 'weather', response: 'No access to weather data. Check Weather.com, your device\'s weather app, or ask a virtual assistant.' },
+  { match: 'hello', response: 'Hello. I\'m SBC Assistant. How can I help you?' },
+  { match: 'hi', response: 'Hello. I\'m SBC Assistant. How can I help you?' },
+  { match: 'help', response: 'I can help with company information, knowledge base queries, and basic tasks. What do you need?' },
+  { match: 'thank', response: 'You\'re welcome.' }
+];
+
+const SIMULATION_DEFAULT = 'Running in simulation mode. Add a Gemini API key to your .env file and restart for full functionality.';
+
+class FixtureProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} [config.fixturePath] - Path to a JSON script file
+   * @param {Object} [config.script] - Script object, used instead of a file
+   */
+  constructor(config = {}) {
+    const script = config.script || (config.fixturePath ? loadScript(config.fixturePath) : null);
+
+    super('fixture', { ...config, model: config.model || (script && script.model) || 'simulation-mode' });
+
+    this.isOffline = true;
+    this.hasScript = !!script;
+    this.rules = script ? script.rules || [] : SIMULATION_RULES;
+    this.defaultResponse = script && script.defaultResponse !== undefined
+      ? script.defaultResponse
+      : SIMULATION_DEFAULT;
+
+    // Every request is recorded so tests can assert on prompts
+    this.calls = [];
+  }
+
+  /**
+   * Find the first rule matching a request
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Generation options
+   * @returns {Object|null} - Matching rule
+   */
+  findRule(messages, options = {}) {
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    const text = lastUserMessage ? lastUserMessage.content : '';
+
+    return this.rules.find(rule => {
+      if (rule.purpose && rule.purpose !== options.purpose) {
+        return false;
+      }
+      return !rule.match || matches(rule.match, text);
+    }) || null;
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ method: 'chat', messages, options });
+
+    const rule = this.findRule(messages, options);
+    let content = this.defaultResponse;
+
+    if (rule) {
+      content = rule.json !== undefined ? JSON.stringify(rule.json) : rule.response;
+    } else if (options.responseFormat === 'json') {
+      content = '{}';
+    }
+
+    return {
+      content,
+      model: this.modelName
+    };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const response = await this.chat(messages, options);
+
+    // Emit word by word so streaming consumers see more than one chunk
+    for (const piece of response.content.match(/\S+\s*|\s+/g) || []) {
+      onToken(piece);
+    }
+
+    return response;
+  }
+
+  async countTokens(messages) {
+    return messages.reduce((total, msg) => total + (msg.content || '').split(/\s+/).filter(Boolean).length, 0);
+  }
+}
+
+/**
+ * Load a script file
+ */
+const loadScript = (fixturePath) => {
+  const script = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  return Array.isArray(script) ? { rules: script } : script;
+};
+
+/**
+ * Test a rule pattern against text
+ * @param {string} pattern - Substring, or a /regex/flags string
+ * @param {string} text - Text to test
+ * @returns {boolean} - Whether the pattern matches
+ */
+const matches = (pattern, text) => {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+  }
+  return text.toLowerCase().includes(pattern.toLowerCase());
+};
+
+module.exports = FixtureProvider;
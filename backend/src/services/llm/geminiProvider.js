@@ -0,0 +1,130 @@
+/**
+ * Gemini Provider
+ *
+ * LLM provider backed by Google's Gemini models.
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+class GeminiProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.apiKey - Gemini API key
+   * @param {string} [config.model] - Model name
+   */
+  constructor(config = {}) {
+    super('gemini', { ...config, model: config.model || DEFAULT_MODEL });
+    this.genAI = new GoogleGenerativeAI(config.apiKey);
+  }
+
+  /**
+   * Convert neutral messages into Gemini chat contents
+   * Gemini has no system role in chat history, so system messages are sent
+   * as a leading user turn followed by a short model acknowledgement.
+   * @param {Array} messages - Conversation messages
+   * @returns {Array} - Gemini contents
+   */
+  toContents(messages) {
+    const contents = [];
+
+    const systemText = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    if (systemText) {
+      contents.push({
+        role: 'user',
+        parts: [{ text: systemText }]
+      });
+
+      contents.push({
+        role: 'model',
+        parts: [{ text: "I understand my role as SBC Assistant. I'll follow these guidelines in our conversation." }]
+      });
+    }
+
+    for (const msg of messages) {
+      if (msg.role === 'system') continue;
+
+      contents.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      });
+    }
+
+    return contents;
+  }
+
+  /**
+   * Start a chat session holding every message except the last one
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Generation options
+   * @returns {Object} - { chat, lastMessage }
+   */
+  startChat(messages, options = {}) {
+    const contents = this.toContents(messages);
+
+    if (contents.length === 0) {
+      throw new Error('No messages to send to Gemini');
+    }
+
+    const model = this.genAI.getGenerativeModel({ model: options.model || this.modelName });
+
+    const generationConfig = {
+      temperature: options.temperature ?? 0.0,
+      maxOutputTokens: options.maxOutputTokens || 2048
+    };
+
+    if (options.responseFormat === 'json') {
+      generationConfig.responseMimeType = 'application/json';
+    }
+
+    const chat = model.startChat({
+      generationConfig,
+      history: contents.slice(0, -1) // All messages except the last one
+    });
+
+    const lastMessage = contents[contents.length - 1];
+    return { chat, lastMessage: lastMessage.parts[0].text };
+  }
+
+  async chat(messages, options = {}) {
+    const { chat, lastMessage } = this.startChat(messages, options);
+    const result = await chat.sendMessage(lastMessage);
+
+    return {
+      content: result.response.text(),
+      model: options.model || this.modelName
+    };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const { chat, lastMessage } = this.startChat(messages, options);
+    const result = await chat.sendMessageStream(lastMessage);
+    let content = '';
+
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (chunkText) {
+        content += chunkText;
+        onToken(chunkText);
+      }
+    }
+
+    return {
+      content,
+      model: options.model || this.modelName
+    };
+  }
+
+  async countTokens(messages) {
+    const model = this.genAI.getGenerativeModel({ model: this.modelName });
+    const result = await model.countTokens({ contents: this.toContents(messages) });
+    return result.totalTokens;
+  }
+}
+
+module.exports = GeminiProvider;
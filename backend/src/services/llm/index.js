@@ -0,0 +1,102 @@
+/**
+ * LLM Provider Registry
+ *
+ * Creates the configured LLM provider and hands out a shared instance.
+ *
+ * Configuration (environment variables):
+ * - LLM_PROVIDER: 'gemini', 'openai-compatible' or 'fixture'.
+ *   Defaults to 'gemini' when GEMINI_API_KEY is set, otherwise 'fixture'.
+ * - LLM_MODEL: Model name (Gemini defaults to gemini-2.0-flash; required for 'openai-compatible')
+ * - LLM_BASE_URL / LLM_API_KEY: Endpoint and key for 'openai-compatible'
+ * - LLM_FIXTURE_PATH: Script file for 'fixture'
+ */
+require('dotenv').config();
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const providers = {
+  'gemini': GeminiProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'fixture': FixtureProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Check whether a Gemini API key has been configured
+ * @returns {boolean} - Whether the key is usable
+ */
+const hasGeminiApiKey = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  return !!apiKey && apiKey !== 'YOUR_GEMINI_API_KEY_HERE';
+};
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object} - Provider configuration
+ */
+const getConfigFromEnv = () => {
+  const provider = process.env.LLM_PROVIDER || (hasGeminiApiKey() ? 'gemini' : 'fixture');
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL,
+    apiKey: provider === 'gemini' ? process.env.GEMINI_API_KEY : process.env.LLM_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL,
+    fixturePath: process.env.LLM_FIXTURE_PATH
+  };
+};
+
+/**
+ * Create a provider from configuration
+ * @param {Object} config - Provider configuration, including the provider name
+ * @returns {BaseProvider} - The provider
+ */
+const createProvider = (config) => {
+  const Provider = providers[config.provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(config);
+};
+
+/**
+ * Get the shared provider, creating it from the environment on first use
+ * @returns {BaseProvider} - The active provider
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider(getConfigFromEnv());
+    console.log(`LLM provider: ${activeProvider.name} (${activeProvider.modelName})`);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the shared provider (used by tests and scripts)
+ * @param {BaseProvider} provider - The provider to use
+ */
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Check whether we are running on the built-in simulation replies,
+ * i.e. an offline provider without a script
+ * @returns {boolean} - Whether responses are simulated
+ */
+const isSimulation = () => {
+  const provider = getProvider();
+  return provider.isOffline && !provider.hasScript;
+};
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  isSimulation,
+  FixtureProvider
+};
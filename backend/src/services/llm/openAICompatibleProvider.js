@@ -0,0 +1,133 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * LLM provider for any HTTP endpoint that implements the OpenAI
+ * chat completions API, such as a local llama.cpp or Ollama server.
+ */
+const BaseProvider = require('./baseProvider');
+
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.baseUrl - API base URL (e.g. http://localhost:11434/v1)
+   * @param {string} config.model - Model name
+   * @param {string} [config.apiKey] - Bearer token, if the server requires one
+   * @param {number} [config.timeoutMs] - Request timeout
+   */
+  constructor(config = {}) {
+    super('openai-compatible', config);
+
+    // Report every missing setting at once, when the provider is selected,
+    // rather than on the first request
+    const missing = [];
+    if (!config.baseUrl) missing.push('LLM_BASE_URL');
+    if (!config.model) missing.push('LLM_MODEL');
+    if (missing.length > 0) {
+      throw new Error(`OpenAI-compatible provider is missing settings. Set ${missing.join(', ')} in .env`);
+    }
+
+    // A host without a scheme (e.g. localhost:11434) parses as a URL, so check the protocol too
+    let protocol = null;
+    try {
+      protocol = new URL(config.baseUrl).protocol;
+    } catch (error) {
+      // Reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`OpenAI-compatible provider base URL "${config.baseUrl}" is not a valid http(s) URL. Check LLM_BASE_URL in .env`);
+    }
+
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = config.timeoutMs || 120000;
+  }
+
+  /**
+   * Build the request body for a chat completion
+   */
+  buildBody(messages, options, stream) {
+    const body = {
+      model: options.model || this.modelName,
+      messages: messages.map(msg => ({ role: msg.role, content: msg.content })),
+      temperature: options.temperature ?? 0.0,
+      max_tokens: options.maxOutputTokens || 2048,
+      stream
+    };
+
+    if (options.responseFormat === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  /**
+   * POST to the chat completions endpoint
+   */
+  async request(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`LLM endpoint returned ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.request(this.buildBody(messages, options, false));
+    const data = await response.json();
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      model: data.model || options.model || this.modelName
+    };
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const response = await this.request(this.buildBody(messages, options, true));
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let model = options.model || this.modelName;
+
+    // The response is a Server-Sent Events stream of "data: {json}" lines
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') continue;
+
+        const parsed = JSON.parse(data);
+        model = parsed.model || model;
+
+        const text = parsed.choices?.[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+      }
+    }
+
+    return { content, model };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
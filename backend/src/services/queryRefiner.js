@@ -0,0 +1,248 @@
+/**
+ * Query Refiner
+ *
+ * Turns the user's message into a standalone search query before it is
+ * routed to agents. Follow-ups such as "and who approves it?" only make
+ * sense next to the earlier turns, so the LLM rewrites them with the
+ * pronouns and missing words filled in from the conversation. Company
+ * acronyms from the synonym dictionary (e.g. AFSL) are spelled out, so
+ * agents match pages that only use the full name.
+ *
+ * Configuration (environment variables):
+ * - QUERY_REFINER: llm (default; rewrite follow-ups with the LLM, falling back to rules),
+ *   rules (no LLM calls) or off (pass queries through unchanged)
+ */
+const llm = require('./llm');
+const synonymRepository = require('../repositories/synonymRepository');
+
+// Prior messages given to the LLM, and the length each is cut to
+const HISTORY_MESSAGES = 6;
+const MAX_MESSAGE_LENGTH = 500;
+
+// Pronouns that stand in for something named in an earlier turn
+const REFERENCE_PRONOUNS = new Set(['it', 'its', 'they', 'them', 'he', 'she', 'him', 'her']);
+// Words that refer back only when used on their own ("who approves that?"), not before a noun ("that policy")
+const DEMONSTRATIVES = new Set(['this', 'that', 'these', 'those']);
+// Words that can follow a demonstrative used on its own: auxiliaries, prepositions,
+// adverbs and the verbs follow-ups usually ask with ("does that apply to contractors?")
+const NON_NOUN_WORDS = new Set([
+  'is', 'are', 'was', 'were', 'be', 'been', 'does', 'do', 'did', 'has', 'have', 'had',
+  'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must',
+  'about', 'for', 'to', 'in', 'on', 'of', 'with', 'from', 'at', 'by', 'under', 'after', 'before',
+  'and', 'or', 'but', 'also', 'still', 'too', 'again', 'then', 'only', 'all', 'one',
+  'mean', 'means', 'apply', 'applies', 'cover', 'covers', 'include', 'includes', 'work', 'works',
+  'cost', 'costs', 'need', 'needs', 'require', 'requires', 'change', 'changed', 'happen', 'take', 'takes'
+]);
+// Openings that continue the previous question ("and who approves it?", "what about contractors?")
+const CONTINUATION_PATTERN = /^(?:and|also|or|but|so|then|what about|how about|same for|what if)\b/i;
+// Bare question words that only make sense as a follow-up ("why?", "how long?")
+const ELLIPTICAL_PATTERN = /^(?:why|how|when|where|who|which|what)(?:\s+(?:long|much|many|often|else|exactly|not|so|then|one|ones))?\s*[?.!]*$/i;
+
+// Acronyms: a capital letter followed by capitals, digits or &, e.g. AFSL or R&D
+const ACRONYM_PATTERN = /^[A-Z][A-Z0-9&]{1,9}$/;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the user's earlier questions, most recent last
+ * @param {Array} conversationHistory - Messages before this one
+ * @returns {Array} - Contents of the user messages
+ */
+const getPreviousQuestions = (conversationHistory = []) => {
+  return conversationHistory
+    .filter(message => message.role === 'user' && message.content && message.content.trim())
+    .map(message => message.content.trim());
+};
+
+/**
+ * Check whether a query uses a pronoun that refers to something outside it
+ * A demonstrative followed by a noun ("this policy") names what it means, and a
+ * "that" after a noun starts a relative clause ("a policy that covers leave").
+ * @param {string} text - The query
+ * @returns {boolean}
+ */
+const hasReference = (text) => {
+  const tokens = text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?|[^\sa-z0-9]/g) || [];
+  const isWord = (token) => !!token && /^[a-z0-9]/.test(token);
+
+  return tokens.some((token, index) => {
+    const [word, contraction] = token.split("'");
+    if (REFERENCE_PRONOUNS.has(word)) {
+      return true;
+    }
+    if (!DEMONSTRATIVES.has(word)) {
+      return false;
+    }
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (contraction || !isWord(next)) {
+      // "that's", or nothing after it: "who approves that?"
+      return true;
+    }
+    if (word === 'that' && isWord(previous) && !NON_NOUN_WORDS.has(previous)) {
+      return false;
+    }
+    return NON_NOUN_WORDS.has(next);
+  });
+};
+
+/**
+ * Check whether a query depends on earlier turns to make sense
+ * @param {string} query - The user's query
+ * @param {Array} conversationHistory - Messages before this one
+ * @returns {boolean}
+ */
+const needsContext = (query, conversationHistory = []) => {
+  if (getPreviousQuestions(conversationHistory).length === 0) {
+    return false;
+  }
+
+  const text = query.trim();
+  return CONTINUATION_PATTERN.test(text) ||
+    ELLIPTICAL_PATTERN.test(text) ||
+    hasReference(text);
+};
+
+/**
+ * Spell out the company acronyms a query uses
+ * Each acronym in the synonym dictionary is followed by its first expansion,
+ * unless the query already contains one of them.
+ * @param {string} query - The query
+ * @returns {Object} - { query, expanded: [acronym] }
+ */
+const expandAcronyms = (query) => {
+  let refined = query;
+  const expanded = [];
+
+  for (const { term, synonyms } of synonymRepository.getAllSynonyms()) {
+    if (!ACRONYM_PATTERN.test(term) || synonyms.length === 0) continue;
+
+    const pattern = new RegExp(`(^|[^\\w&])(${escapeRegExp(term)})(?![\\w&])`);
+    const alreadySpelledOut = synonyms.some(synonym => refined.toLowerCase().includes(synonym.toLowerCase()));
+    if (!pattern.test(refined) || alreadySpelledOut) continue;
+
+    refined = refined.replace(pattern, `$1$2 (${synonyms[0]})`);
+    expanded.push(term);
+  }
+
+  return { query: refined, expanded };
+};
+
+/**
+ * Ask the LLM to rewrite a follow-up as a standalone query
+ * @param {string} query - The user's query
+ * @param {Array} conversationHistory - Messages before this one
+ * @returns {Promise<string|null>} - The rewritten query, or null if the reply has none
+ */
+const rewriteWithLlm = async (query, conversationHistory) => {
+  const history = conversationHistory
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .slice(-HISTORY_MESSAGES)
+    .map(message => `${message.role.toUpperCase()}: ${(message.content || '').slice(0, MAX_MESSAGE_LENGTH)}`)
+    .join('\n');
+
+  const prompt = [
+    {
+      role: 'system',
+      content: `You rewrite the latest message of a conversation as a standalone question for searching a company knowledge base.
+      Respond with ONLY a JSON object of the form {"query": "Who approves expense claims?"}.
+
+      - Replace pronouns and references such as "it", "that policy" or "the same" with what they refer to
+      - Fill in words left out because they were in an earlier question
+      - Keep the user's meaning and wording otherwise; do not answer the question
+      - If the message already stands on its own, return it unchanged
+
+      CONVERSATION:
+      ${history}`
+    },
+    {
+      role: 'user',
+      content: `Rewrite this message: "${query}"`
+    }
+  ];
+
+  const response = await llm.getProvider().json(prompt, { purpose: 'query-refinement' });
+  const rewritten = response.data && typeof response.data.query === 'string' ? response.data.query.trim() : '';
+
+  return rewritten || null;
+};
+
+/**
+ * Resolve a follow-up without the LLM by adding the question it continues
+ * @param {string} query - The user's query
+ * @param {Array} conversationHistory - Messages before this one
+ * @returns {string}
+ */
+const rewriteWithRules = (query, conversationHistory) => {
+  const previousQuestions = getPreviousQuestions(conversationHistory);
+  const previous = previousQuestions[previousQuestions.length - 1];
+
+  return `${query.trim()} (following: ${previous})`;
+};
+
+/**
+ * Turn the user's message into a standalone search query
+ * @param {string} query - The user's query
+ * @param {Array} [conversationHistory] - Messages before this one
+ * @returns {Promise<Object>} - { original, refined, changes }, where changes lists what was done
+ *   ('context:llm', 'context:rules' or 'acronym:<term>')
+ */
+const refineQuery = async (query, conversationHistory = []) => {
+  const mode = process.env.QUERY_REFINER || 'llm';
+  const unchanged = { original: query, refined: query, changes: [] };
+
+  if (mode === 'off' || !query || !query.trim()) {
+    return unchanged;
+  }
+
+  try {
+    let refined = query.trim();
+    const changes = [];
+
+    if (needsContext(refined, conversationHistory)) {
+      let rewritten = null;
+      if (mode === 'llm' && !llm.isSimulation()) {
+        try {
+          rewritten = await rewriteWithLlm(refined, conversationHistory);
+        } catch (error) {
+          console.error('Error rewriting query with LLM:', error);
+        }
+      }
+
+      if (rewritten) {
+        if (rewritten !== refined) {
+          refined = rewritten;
+          changes.push('context:llm');
+        }
+      } else {
+        refined = rewriteWithRules(refined, conversationHistory);
+        changes.push('context:rules');
+      }
+    }
+
+    const acronyms = expandAcronyms(refined);
+    refined = acronyms.query;
+    changes.push(...acronyms.expanded.map(term => `acronym:${term}`));
+
+    if (changes.length > 0) {
+      console.log(`Refined query "${query}" to "${refined}" (${changes.join(', ')})`);
+    }
+
+    return { original: query, refined, changes };
+  } catch (error) {
+    console.error('Error refining query:', error);
+    return unchanged;
+  }
+};
+
+module.exports = {
+  needsContext,
+  expandAcronyms,
+  refineQuery
+};
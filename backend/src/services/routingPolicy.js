@@ -0,0 +1,143 @@
+/**
+ * Routing Policy
+ *
+ * Decides which agents answer a query from the confidence each agent gave
+ * in canHandle. Candidates below the threshold are never chosen; the policy
+ * picks among the rest:
+ * - threshold: every candidate at or above the threshold
+ * - top-k: the k most confident candidates
+ * - llm: the most confident candidate, asking the LLM to break the tie when
+ *   others come within the tie margin of it
+ *
+ * Configuration (environment variables):
+ * - AGENT_ROUTING_POLICY: threshold (default), top-k or llm
+ * - AGENT_ROUTING_THRESHOLD: Lowest confidence an agent can be chosen with (default 0.5)
+ * - AGENT_ROUTING_TOP_K: Agents chosen by the top-k policy (default 1)
+ * - AGENT_ROUTING_TIE_MARGIN: How close to the best a candidate must be to tie (default 0.1)
+ */
+const llm = require('./llm');
+
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_TOP_K = 1;
+const DEFAULT_TIE_MARGIN = 0.1;
+
+/**
+ * Read a number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number}
+ */
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Keep the candidates confident enough to be chosen, most confident first
+ * @param {Array} candidates - [{ agent, confidence, reason }]
+ * @param {number} threshold - Lowest confidence allowed
+ * @returns {Array}
+ */
+const eligible = (candidates, threshold) => {
+  // Stable sort, so equally confident agents keep their registration order
+  return candidates
+    .filter(candidate => candidate.confidence >= threshold)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Ask the LLM which of several agents suits a query best
+ * @param {Object} provider - LLM provider
+ * @param {string} query - The user's query
+ * @param {Array} tied - Candidates to choose between
+ * @returns {Promise<Object|null>} - The chosen candidate, or null if the reply names none of them
+ */
+const breakTieWithLlm = async (provider, query, tied) => {
+  const prompt = [
+    {
+      role: 'system',
+      content: `You route questions to the assistant best placed to answer them.
+      Respond with ONLY a JSON object of the form {"agentId": "notion"}.
+
+      Assistants:
+      ${tied.map(({ agent, reason }) => `- ${agent.id}: ${agent.name} (${reason})`).join('\n      ')}`
+    },
+    {
+      role: 'user',
+      content: `Which assistant should answer: "${query}"`
+    }
+  ];
+
+  const response = await provider.json(prompt, { purpose: 'agent-tie-break' });
+  const agentId = response.data && response.data.agentId;
+
+  return tied.find(candidate => candidate.agent.id === agentId) || null;
+};
+
+/**
+ * Create a routing policy
+ * @param {Object} [config] - Settings; each defaults to its environment variable
+ * @param {string} [config.policy] - 'threshold', 'top-k' or 'llm'
+ * @param {number} [config.threshold] - Lowest confidence an agent can be chosen with
+ * @param {number} [config.topK] - Agents chosen by the top-k policy
+ * @param {number} [config.tieMargin] - How close to the best a candidate must be to tie
+ * @param {Object} [config.provider] - LLM provider for the llm policy (default: the configured one)
+ * @returns {Object} - Policy with its settings and select(query, candidates)
+ */
+const createRoutingPolicy = (config = {}) => {
+  const name = config.policy || process.env.AGENT_ROUTING_POLICY || 'threshold';
+  const threshold = config.threshold !== undefined ? config.threshold : readNumber('AGENT_ROUTING_THRESHOLD', DEFAULT_THRESHOLD);
+  const topK = config.topK || readNumber('AGENT_ROUTING_TOP_K', DEFAULT_TOP_K);
+  const tieMargin = config.tieMargin !== undefined ? config.tieMargin : readNumber('AGENT_ROUTING_TIE_MARGIN', DEFAULT_TIE_MARGIN);
+
+  const policies = {
+    threshold: async (query, candidates) => {
+      const selected = eligible(candidates, threshold);
+      return { selected, reason: `${selected.length} agent(s) at or above confidence ${threshold}` };
+    },
+
+    'top-k': async (query, candidates) => {
+      const selected = eligible(candidates, threshold).slice(0, topK);
+      return { selected, reason: `Top ${topK} agent(s) at or above confidence ${threshold}` };
+    },
+
+    llm: async (query, candidates) => {
+      const ranked = eligible(candidates, threshold);
+      const tied = ranked.filter(candidate => ranked[0].confidence - candidate.confidence <= tieMargin);
+
+      if (tied.length <= 1) {
+        return {
+          selected: ranked.slice(0, 1),
+          reason: ranked.length > 0 ? 'Most confident agent' : `No agent at or above confidence ${threshold}`
+        };
+      }
+
+      try {
+        const chosen = await breakTieWithLlm(config.provider || llm.getProvider(), query, tied);
+        if (chosen) {
+          return { selected: [chosen], reason: `LLM chose between ${tied.map(({ agent }) => agent.id).join(', ')}` };
+        }
+      } catch (error) {
+        console.error('Error breaking routing tie with LLM:', error);
+      }
+
+      return { selected: tied.slice(0, 1), reason: 'Tie not broken by the LLM; most confident agent chosen' };
+    }
+  };
+
+  if (!policies[name]) {
+    throw new Error(`Unknown routing policy: ${name}. Use one of: ${Object.keys(policies).join(', ')}`);
+  }
+
+  return {
+    name,
+    threshold,
+    topK,
+    tieMargin,
+    select: policies[name]
+  };
+};
+
+module.exports = {
+  createRoutingPolicy
+};
@@ -5,10 +5,49 @@
  * before starting the server.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
 const { processMessage } = require('../services/geminiService');
 const { processAgentResponse } = require('../services/centralChatbotService');
-const notionAgent = require('../agents/notionAgent');
+const llm = require('../services/llm');
+const { FixtureProvider } = llm;
+const notionAgent = require('../agents/notion/notionAgent');
+const BaseAgent = require('../agents/baseAgent');
+const agentLoader = require('../agents/loader');
+const agentService = require('../services/agentService');
+const { createRoutingPolicy } = require('../services/routingPolicy');
+const queryRefiner = require('../services/queryRefiner');
+const chatRepository = require('../repositories/chatRepository');
 const notionCache = require('../integrations/notion/cache');
+const notionUtils = require('../integrations/notion/utils');
+const markdownRenderer = require('../integrations/notion/markdownRenderer');
+const { buildPassages } = require('../integrations/notion/passages');
+const analyzer = require('../integrations/notion/analyzer');
+const databaseQuery = require('../integrations/notion/databaseQuery');
+const workspaceDiscovery = require('../integrations/notion/workspaceDiscovery');
+const contentProcessors = require('../integrations/notion/contentProcessors');
+const intentClassifier = require('../integrations/notion/intentClassifier');
+const linkGraph = require('../integrations/notion/linkGraph');
+const { WebhookQueue, webhookQueue } = require('../integrations/notion/webhooks');
+const { captureRawBody } = require('../controllers/notionWebhookController');
+const notionRoutes = require('../routes/notion');
+const chatRoutes = require('../routes/chat');
+const { sessions } = require('../controllers/authController');
+const FixtureNotionClient = require('../integrations/notion/fixtureClient');
+const notionApi = require('../integrations/notion/api');
+const cacheStore = require('../integrations/notion/cacheStore');
+const { RateLimiter } = require('../integrations/notion/rateLimiter');
+const synonymDictionary = require('../integrations/notion/synonyms');
+const synonymRepository = require('../repositories/synonymRepository');
+const vectorIndex = require('../integrations/notion/vectorIndex');
+const twoStageRetrieval = require('../integrations/notion/twoStageRetrieval');
+const { reciprocalRankFusion } = twoStageRetrieval;
+const embeddings = require('../services/embeddings');
+const LsaEmbedder = require('../services/embeddings/lsaEmbedder');
+const workspaceSectionRepository = require('../repositories/workspaceSectionRepository');
+const { NotionCache } = notionCache;
 
 // Colors for console output
 const colors = {
@@ -48,6 +87,68 @@ async function runTest(name, testFn) {
   }
 }
 
+/**
+ * Add a page with paragraph blocks to a fixture Notion client
+ * @param {FixtureNotionClient} client - The client
+ * @param {Object} page - { id, title, lastEditedTime, paragraphs: [string] }
+ */
+function addTestPage(client, { id, title, lastEditedTime = '2025-01-01T00:00:00.000Z', paragraphs = [] }) {
+  const richText = text => [{ type: 'text', plain_text: text, text: { content: text } }];
+
+  client.addObject({
+    object: 'page',
+    id,
+    last_edited_time: lastEditedTime,
+    parent: { type: 'workspace', workspace: true },
+    properties: { title: { type: 'title', title: richText(title) } }
+  });
+  client.addBlocks(id, paragraphs.map(text => ({
+    object: 'block',
+    id: crypto.randomUUID(),
+    type: 'paragraph',
+    has_children: false,
+    paragraph: { rich_text: richText(text) }
+  })));
+}
+
+/**
+ * Create a fixture Notion client holding only the given pages
+ * @param {Array} pages - Pages for addTestPage
+ * @returns {FixtureNotionClient}
+ */
+function createTestNotionClient(pages = []) {
+  const client = new FixtureNotionClient({ dataDir: null });
+  client.isLoaded = true;
+  pages.forEach(page => addTestPage(client, page));
+  return client;
+}
+
+/**
+ * Create a Notion cache holding only the given pages, indexed but not persisted
+ * @param {Array} documents - [{ id, title, passages: [string] }]
+ * @returns {NotionCache}
+ */
+function createTestCache(documents) {
+  const cache = new NotionCache();
+  // Mentions elsewhere in the tests resolve against the shared cache
+  notionUtils.setTitleResolver(id => notionCache.getTitle(id));
+
+  for (const { id, title, passages = [] } of documents) {
+    const page = {
+      id,
+      title,
+      url: `https://notion.so/${id}`,
+      passages: passages.map((content, index) => ({ id: `${id}#${index}`, pageId: id, headingPath: [], position: index, content }))
+    };
+    cache.pages.set(id, page);
+    page.passages.forEach(passage => cache.passages.set(passage.id, passage));
+    cache.indexText('title', id, title);
+    cache.indexPassages(page);
+  }
+
+  return cache;
+}
+
 /**
  * Test the Gemini API integration
  */
@@ -67,6 +168,152 @@ async function testGeminiAPI() {
   console.log(`${colors.yellow}Gemini API response: ${response.content.substring(0, 100)}...${colors.reset}`);
 }
 
+/**
+ * Test the offline fixture LLM provider
+ */
+async function testFixtureProvider() {
+  console.log(`${colors.blue}Testing fixture LLM provider...${colors.reset}`);
+
+  const provider = new FixtureProvider({
+    script: {
+      rules: [
+        { purpose: 'agent-routing', json: { knowledgeBase: true } },
+        { match: '/expense/i', response: 'Submit expense claims within 30 days.' }
+      ],
+      defaultResponse: 'No scripted reply.'
+    }
+  });
+
+  const messages = [{ role: 'user', content: 'How do I claim an Expense?' }];
+
+  const chatResponse = await provider.chat(messages);
+  if (chatResponse.content !== 'Submit expense claims within 30 days.') {
+    throw new Error(`Unexpected chat response: ${chatResponse.content}`);
+  }
+
+  const chunks = [];
+  const streamResponse = await provider.stream(messages, chunk => chunks.push(chunk));
+  if (chunks.length < 2 || chunks.join('') !== streamResponse.content) {
+    throw new Error('Streamed chunks do not add up to the response');
+  }
+
+  const jsonResponse = await provider.json(messages, { purpose: 'agent-routing' });
+  if (!jsonResponse.data || jsonResponse.data.knowledgeBase !== true) {
+    throw new Error('JSON response was not parsed');
+  }
+
+  const tokenCount = await provider.countTokens(messages);
+  if (tokenCount !== 6) {
+    throw new Error(`Unexpected token count: ${tokenCount}`);
+  }
+
+  console.log(`${colors.yellow}Fixture provider recorded ${provider.calls.length} calls${colors.reset}`);
+}
+
+/**
+ * Test the OpenAI-compatible LLM provider against a stubbed fetch
+ */
+async function testOpenAICompatibleProvider() {
+  console.log(`${colors.blue}Testing OpenAI-compatible LLM provider...${colors.reset}`);
+
+  // Missing or malformed settings fail when the provider is selected
+  const settingsError = (config) => {
+    try {
+      llm.createProvider({ provider: 'openai-compatible', ...config });
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+  if (!(settingsError({ baseUrl: 'http://llm.test/v1' }) || '').includes('LLM_MODEL')) {
+    throw new Error('Provider was created without a model');
+  }
+  if (!(settingsError({ model: 'local-model' }) || '').includes('LLM_BASE_URL')) {
+    throw new Error('Provider was created without a base URL');
+  }
+  if (!(settingsError({ baseUrl: 'localhost:11434', model: 'local-model' }) || '').includes('not a valid http(s) URL')) {
+    throw new Error('Provider was created with an invalid base URL');
+  }
+
+  const provider = llm.createProvider({
+    provider: 'openai-compatible',
+    baseUrl: 'http://llm.test/v1/',
+    model: 'local-model',
+    apiKey: 'test-key'
+  });
+
+  const requests = [];
+  let reply = null;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return reply();
+  };
+
+  try {
+    // Streaming, with events split across network chunks
+    const events = [
+      'data: {"model":"local-model-q4","choices":[{"delta":{"role":"assistant"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"Submit "}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":"receipts."}}]}\n\n',
+      'data: [DONE]\n\n'
+    ];
+    reply = () => new Response(new ReadableStream({
+      start(controller) {
+        events.forEach(event => controller.enqueue(new TextEncoder().encode(event)));
+        controller.close();
+      }
+    }));
+
+    const tokens = [];
+    const messages = [{ role: 'user', content: 'How do I claim expenses?' }];
+    const streamed = await provider.generate(messages, {}, token => tokens.push(token));
+    if (tokens.join('|') !== 'Submit |receipts.' || streamed.content !== 'Submit receipts.') {
+      throw new Error(`Unexpected streamed tokens: ${tokens.join('|')}`);
+    }
+    if (streamed.model !== 'local-model-q4') {
+      throw new Error(`Streamed model was not taken from the response: ${streamed.model}`);
+    }
+
+    const streamRequest = requests[0];
+    if (streamRequest.url !== 'http://llm.test/v1/chat/completions' ||
+        streamRequest.headers['Authorization'] !== 'Bearer test-key' ||
+        streamRequest.body.stream !== true ||
+        streamRequest.body.model !== 'local-model') {
+      throw new Error(`Unexpected streaming request: ${JSON.stringify(streamRequest)}`);
+    }
+
+    // JSON replies ask for a JSON object and are parsed
+    reply = () => Response.json({
+      model: 'local-model',
+      choices: [{ message: { content: '```json\n{"knowledgeBase": true}\n```' } }]
+    });
+    const jsonResponse = await provider.json(messages, { purpose: 'agent-routing' });
+    if (!jsonResponse.data || jsonResponse.data.knowledgeBase !== true) {
+      throw new Error('JSON response was not parsed');
+    }
+    if (requests[1].body.stream !== false || requests[1].body.response_format?.type !== 'json_object') {
+      throw new Error(`Unexpected JSON request: ${JSON.stringify(requests[1].body)}`);
+    }
+
+    // Endpoint errors carry the status and the start of the body
+    reply = () => new Response('model "local-model" not found', { status: 404 });
+    let endpointError = null;
+    try {
+      await provider.generate(messages);
+    } catch (error) {
+      endpointError = error;
+    }
+    if (!endpointError || endpointError.message !== 'LLM endpoint returned 404: model "local-model" not found') {
+      throw new Error(`Endpoint error was not reported: ${endpointError && endpointError.message}`);
+    }
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  console.log(`${colors.yellow}OpenAI-compatible provider made ${requests.length} requests${colors.reset}`);
+}
+
 /**
  * Test the Central Chatbot Service
  */
@@ -111,6 +358,1599 @@ async function testNotionAgent() {
   console.log(`${colors.yellow}Extracted search terms: ${searchTerms}${colors.reset}`);
 }
 
+/**
+ * Test text extraction from Notion block types
+ */
+async function testBlockExtraction() {
+  console.log(`${colors.blue}Testing Notion block extraction...${colors.reset}`);
+
+  const text = (content) => [{ type: 'text', plain_text: content }];
+  const row = (...cells) => ({ type: 'table_row', table_row: { cells: cells.map(text) } });
+
+  const table = notionUtils.formatTable(
+    { type: 'table', table: { table_width: 2, has_column_header: true } },
+    [row('Expense', 'Limit'), row('Meals', '$50')].map(notionUtils.extractTextFromBlock)
+  );
+  if (table !== '| Expense | Limit |\n| --- | --- |\n| Meals | $50 |') {
+    throw new Error(`Unexpected table: ${table}`);
+  }
+
+  notionUtils.setTitleResolver(id => (id === 'page-1' ? 'Travel Policy' : null));
+  const mention = notionUtils.extractTextFromBlock({
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [
+        { type: 'text', plain_text: 'See ' },
+        { type: 'mention', plain_text: 'Untitled', mention: { type: 'page', page: { id: 'page-1' } } }
+      ]
+    }
+  });
+  if (mention !== 'See Travel Policy') {
+    throw new Error(`Mention was not resolved: ${mention}`);
+  }
+
+  const synced = { id: 'copy', type: 'synced_block', synced_block: { synced_from: { block_id: 'original' } } };
+  if (notionUtils.getContentSourceId(synced) !== 'original') {
+    throw new Error('Synced block did not point at its source');
+  }
+
+  const equation = notionUtils.extractTextFromBlock({ type: 'equation', equation: { expression: 'e=mc^2' } });
+  const childPage = notionUtils.extractTextFromBlock({ type: 'child_page', child_page: { title: 'GST Returns' } });
+  if (equation !== '$$e=mc^2$$' || childPage !== 'GST Returns') {
+    throw new Error('Equation or child page text missing');
+  }
+
+  // Restore the cache's resolver
+  notionUtils.setTitleResolver(id => notionCache.getTitle(id));
+}
+
+/**
+ * Test Markdown rendering of Notion block trees
+ */
+async function testMarkdownRenderer() {
+  console.log(`${colors.blue}Testing Notion Markdown renderer...${colors.reset}`);
+
+  const text = (content, annotations = {}) => [{ type: 'text', plain_text: content, annotations }];
+  const markdown = markdownRenderer.renderBlocks([
+    { type: 'heading_2', heading_2: { rich_text: text('Claims') } },
+    {
+      type: 'numbered_list_item',
+      numbered_list_item: { rich_text: text('Open the form') },
+      children: [{ type: 'bulleted_list_item', bulleted_list_item: { rich_text: text('Use the finance portal') } }]
+    },
+    { type: 'numbered_list_item', numbered_list_item: { rich_text: text('Attach receipts', { bold: true }) } },
+    { type: 'code', code: { language: 'sql', rich_text: text('SELECT 1') } }
+  ]);
+
+  const expected = [
+    '## Claims',
+    '',
+    '1. Open the form',
+    '   - Use the finance portal',
+    '2. **Attach receipts**',
+    '',
+    '```sql',
+    'SELECT 1',
+    '```'
+  ].join('\n');
+
+  if (markdown !== expected) {
+    throw new Error(`Unexpected Markdown:\n${markdown}`);
+  }
+}
+
+/**
+ * Test splitting a page into heading-scoped passages
+ */
+async function testPassages() {
+  console.log(`${colors.blue}Testing Notion passage chunking...${colors.reset}`);
+
+  const text = (content) => [{ type: 'text', plain_text: content }];
+  const passages = buildPassages({ id: 'page-1', url: 'https://notion.so/page1' }, [
+    { id: 'b1', type: 'paragraph', paragraph: { rich_text: text('Overview of expenses') } },
+    { id: 'h1', type: 'heading_1', heading_1: { rich_text: text('Travel') } },
+    { id: 'p1', type: 'paragraph', paragraph: { rich_text: text('Book flights early') } },
+    { id: 'h2', type: 'heading_2', heading_2: { rich_text: text('Meals') } },
+    { id: 'p2', type: 'paragraph', paragraph: { rich_text: text('Keep receipts') } }
+  ]);
+
+  const summary = passages.map(passage => `${passage.blockId}:${passage.headingPath.join('>')}`);
+  if (summary.join(',') !== 'b1:,h1:Travel,h2:Travel>Meals') {
+    throw new Error(`Unexpected passages: ${summary.join(', ')}`);
+  }
+
+  if (passages[2].id !== 'page-1#h2' || passages[2].url !== 'https://notion.so/page1#h2') {
+    throw new Error(`Unexpected passage link: ${passages[2].id} ${passages[2].url}`);
+  }
+}
+
+/**
+ * Test the search analyzer on English, accented, CJK and acronym text
+ */
+async function testAnalyzer() {
+  console.log(`${colors.blue}Testing search analyzer...${colors.reset}`);
+
+  const cases = [
+    ['Expense Policies for the HR team', 'expens polici hr team'],
+    ['Café résumé', 'cafe resum'],
+    ['員工報銷', '員工 工報 報銷'],
+    ['hr policy in AU', 'hr polici au']
+  ];
+
+  for (const [text, expected] of cases) {
+    const terms = analyzer.analyze(text).join(' ');
+    if (terms !== expected) {
+      throw new Error(`Analyzed "${text}" as "${terms}", expected "${expected}"`);
+    }
+  }
+}
+
+/**
+ * Test filtering database items with a Notion filter
+ */
+async function testDatabaseQuery() {
+  console.log(`${colors.blue}Testing Notion database filters...${colors.reset}`);
+
+  const schema = databaseQuery.describeSchema({
+    properties: {
+      Name: { type: 'title', title: {} },
+      Due: { type: 'date', date: {} },
+      Status: { type: 'status', status: { options: [{ name: 'Open' }, { name: 'Closed' }] } }
+    }
+  });
+  const items = [
+    { id: 'a', title: 'Export Grant', properties: { Due: { start: '2025-05-15' }, Status: 'Open' } },
+    { id: 'b', title: 'Tax Incentive', properties: { Due: { start: '2025-07-01' }, Status: 'Open' } },
+    { id: 'c', title: 'Seed Grant', properties: { Due: { start: '2025-03-01' }, Status: 'Closed' } }
+  ];
+
+  const filter = { property: 'Due', date: { before: '2025-06-01' } };
+  databaseQuery.validateFilter(filter, schema);
+
+  const matches = databaseQuery.sortItems(
+    items.filter(item => databaseQuery.evaluateFilter(filter, item, schema)),
+    [{ property: 'Due', direction: 'ascending' }],
+    schema
+  );
+  if (matches.map(item => item.id).join(',') !== 'c,a') {
+    throw new Error(`Unexpected matches: ${matches.map(item => item.id).join(',')}`);
+  }
+
+  let rejected = false;
+  try {
+    databaseQuery.validateFilter({ property: 'Status', number: { greater_than: 1 } }, schema);
+  } catch (error) {
+    rejected = true;
+  }
+  if (!rejected) {
+    throw new Error('Filter with the wrong property type was accepted');
+  }
+
+  const table = databaseQuery.formatItemsTable(matches, schema);
+  if (!table.startsWith('| Name | Due | Status |\n| --- | --- | --- |\n| Seed Grant | 2025-03-01 | Closed |')) {
+    throw new Error(`Unexpected table:\n${table}`);
+  }
+
+  // A limited query stops paging once it has enough rows, instead of reading the whole database
+  const requests = [];
+  const previousClient = notionApi.setClient({
+    databases: {
+      query: async (params) => {
+        requests.push(params);
+        const results = Array.from({ length: params.page_size }, (_, i) => ({ id: `row-${requests.length}-${i}`, object: 'page' }));
+        return { results, has_more: true, next_cursor: `cursor-${requests.length}` };
+      }
+    }
+  });
+  try {
+    const limited = await notionApi.queryDatabase('database-a', {}, [], 3);
+    if (requests.length !== 1 || requests[0].page_size !== 3 || limited.results.length !== 3) {
+      throw new Error(`Limited query made ${requests.length} requests for ${limited.results.length} rows`);
+    }
+  } finally {
+    notionApi.setClient(previousClient);
+  }
+}
+
+/**
+ * Test discovering workspace sections from the page hierarchy
+ */
+async function testWorkspaceDiscovery() {
+  console.log(`${colors.blue}Testing workspace discovery...${colors.reset}`);
+
+  const pages = {
+    home: { title: 'Company Wiki', content: 'Welcome' },
+    finance: { title: 'Accounting / Finance', content: 'Budgets and invoices.' },
+    invoicing: { title: 'Client Invoicing', content: 'Send invoices monthly with payment terms.' },
+    payroll: { title: 'Payroll', content: 'Payroll runs fortnightly. Contractors send invoices for payment.' },
+    people: { title: 'Untitled', content: 'Leave policy' },
+    leave: { title: 'Annual Leave', content: 'Request leave in the HR portal.' },
+    onboarding: { title: 'Onboarding', content: 'New starters learn how to request leave.' }
+  };
+  const hierarchy = {
+    topLevelPages: ['home'],
+    pageChildren: { home: ['finance', 'people'], finance: ['invoicing', 'payroll'], people: ['leave', 'onboarding'] },
+    pageParents: { finance: 'home', people: 'home', invoicing: 'finance', payroll: 'finance', leave: 'people', onboarding: 'people' }
+  };
+
+  // The single home page is split into its sub-sections
+  const sections = workspaceDiscovery.buildSections(hierarchy, id => pages[id] || null, new Map([['finance', 'finance']]));
+  const summary = sections.map(section => `${section.key}:${section.discoveredTitle}:${section.keyTerms.join('+')}`);
+  const expected = ['finance:Accounting / Finance:invoices+send+payment', 'leave_request:Leave, Request:leave+request'];
+
+  if (JSON.stringify(summary) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected sections: ${JSON.stringify(summary)}`);
+  }
+  if (sections[0].pageIds.join(',') !== 'finance,invoicing,payroll') {
+    throw new Error(`Unexpected section pages: ${sections[0].pageIds.join(',')}`);
+  }
+}
+
+/**
+ * Test document-type-specific content processing
+ */
+async function testContentProcessors() {
+  console.log(`${colors.blue}Testing content processors...${colors.reset}`);
+
+  const procedure = [
+    '## Steps',
+    '1. Receive the invoice from the supplier',
+    '   - Owner: Accounts payable',
+    '2. **Finance manager**: approve the invoice in Xero',
+    '3. File the remittance'
+  ].join('\n');
+  const procedureType = contentProcessors.classifyDocument('Supplier Payment Procedure', procedure);
+  const steps = contentProcessors.processContent(procedureType, procedure).steps;
+  if (procedureType !== 'PROCEDURE' || steps.map(step => `${step.number}:${step.owner}`).join(',') !== '1:Accounts payable,2:Finance manager,3:null') {
+    throw new Error(`Unexpected procedure: ${procedureType} ${JSON.stringify(steps)}`);
+  }
+
+  const policy = contentProcessors.processContent('POLICY', [
+    'Effective date: 1 July 2024',
+    '',
+    '- Staff must submit receipts within 30 days.',
+    '- Expenses must not include alcohol.'
+  ].join('\n'));
+  if (policy.effectiveDate.iso !== '2024-07-01' || policy.requirements.map(r => r.level).join(',') !== 'mandatory,prohibited') {
+    throw new Error(`Unexpected policy: ${JSON.stringify(policy)}`);
+  }
+
+  const contacts = contentProcessors.processContent('CONTACT_LIST', [
+    '| Name | Role | Email |',
+    '| --- | --- | --- |',
+    '| Jane Smith | CFO | jane@example.com |',
+    '',
+    '- Bob Lee – Office Manager – 0412 345 678'
+  ].join('\n'));
+  const people = contacts.people.map(person => `${person.name}/${person.role}/${person.email || person.phone}`);
+  if (people.join(',') !== 'Jane Smith/CFO/jane@example.com,Bob Lee/Office Manager/0412 345 678') {
+    throw new Error(`Unexpected contacts: ${people.join(',')}`);
+  }
+
+  const form = contentProcessors.processContent('FORM', 'Date of birth*: ______\nPayment method (EFT / card):');
+  const fields = form.fields.map(field => `${field.label}:${field.type}:${field.required}`);
+  if (fields.join(',') !== 'Date of birth:date:true,Payment method:select:false') {
+    throw new Error(`Unexpected form fields: ${fields.join(',')}`);
+  }
+
+  // A key term in the title is not enough without evidence in the content
+  const titleOnly = [
+    ['Staff Expense Management and Reimbursements', ''],
+    ['Scouting: HubSpot - Email Responding', 'Reply to founders within two days.'],
+    ['Accounting / Finance', [
+      'This document outlines the processes for budgets, expense cards and supplier invoices.',
+      '- Bookkeeper: accounts@example.com',
+      '- Budgets are reviewed each quarter.',
+      '- Supplier invoices are paid on Thursdays.',
+      '- Expense cards are issued by the CEO.',
+      '- Receipts are uploaded to Xero.'
+    ].join('\n')]
+  ].map(([title, content]) => `${title}:${contentProcessors.classifyDocument(title, content)}`);
+  if (titleOnly.some(result => !result.endsWith(':GENERAL_INFO'))) {
+    throw new Error(`Pages were typed by their title alone: ${titleOnly.join(', ')}`);
+  }
+  const contactList = contentProcessors.classifyDocument('Key Contacts', '- Jane Smith: jane@example.com\n- Bob Lee: bob@example.com');
+  if (contactList !== 'CONTACT_LIST') {
+    throw new Error(`Unexpected type for a contact list: ${contactList}`);
+  }
+
+  // Long pages are truncated before the extracted structure is, so the page content reaches the LLM
+  const previousProvider = llm.getProvider();
+  const provider = new FixtureProvider({ script: { defaultResponse: 'Follow the steps.' } });
+  llm.setProvider(provider);
+  try {
+    const manySteps = Array.from({ length: 150 }, (_, i) => `${i + 1}. Complete task number ${i + 1}`).join('\n');
+    const pageContent = `${'Background on the process. '.repeat(100)}\nLast line of the page.`;
+    await new notionAgent().formatDetailedResponse({
+      title: 'Long Procedure',
+      path: 'Operations',
+      documentType: 'PROCEDURE',
+      content: pageContent,
+      processed: contentProcessors.processContent('PROCEDURE', manySteps)
+    });
+
+    const prompt = provider.calls[0].messages.find(message => message.role === 'user').content;
+    if (!prompt.includes('Last line of the page.') || !prompt.includes('(summary truncated)') || !prompt.includes('1. Complete task number 1')) {
+      throw new Error('The page content was cut off instead of the extracted structure');
+    }
+  } finally {
+    llm.setProvider(previousProvider);
+  }
+}
+
+/**
+ * Test that queries are classified by the kind of answer they need
+ */
+async function testIntentClassifier() {
+  console.log(`${colors.blue}Testing query intent classification...${colors.reset}`);
+
+  const expected = {
+    'What is an AFSL?': 'DEFINITION',
+    'How do I submit an expense claim?': 'PROCESS',
+    'Who should I contact about payroll?': 'CONTACT',
+    'Where can I find the brand guidelines?': 'LOCATION',
+    'List all our office locations': 'LIST',
+    'What is the difference between annual leave and personal leave?': 'COMPARISON',
+    'Am I allowed to work from home?': 'POLICY',
+    'Tell me about the accelerator program': 'GENERAL'
+  };
+
+  for (const [query, name] of Object.entries(expected)) {
+    const intent = intentClassifier.classifyIntent(query);
+    if (intent.name !== name) {
+      throw new Error(`Expected ${name} for "${query}", got ${intent.name}`);
+    }
+  }
+
+  const intent = intentClassifier.classifyIntent('What are the onboarding steps?');
+  if (intent.strategy !== 'document_type' || !intent.documentTypes.includes('PROCEDURE') || intent.answerFormat !== 'steps') {
+    throw new Error(`Unexpected intent: ${JSON.stringify(intent)}`);
+  }
+}
+
+/**
+ * Test that links between pages are found and scored
+ */
+async function testLinkGraph() {
+  console.log(`${colors.blue}Testing page link graph...${colors.reset}`);
+
+  const policyId = '1a2b3c4d-5e6f-7081-9203-a4b5c6d7e8f9';
+  const formId = '2b3c4d5e-6f70-8192-03a4-b5c6d7e8f901';
+  const blocks = [
+    {
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [
+          { type: 'mention', mention: { type: 'page', page: { id: policyId } }, plain_text: 'Expense Policy' },
+          { type: 'text', text: { content: 'claim form', link: { url: 'https://www.notion.so/acme/Claim-Form-2b3c4d5e6f70819203a4b5c6d7e8f901?pvs=4' } } }
+        ]
+      },
+      children: [{ type: 'link_to_page', link_to_page: { type: 'page_id', page_id: policyId } }]
+    },
+    { type: 'bookmark', bookmark: { url: 'https://example.com/2b3c4d5e6f70819203a4b5c6d7e8f901', caption: [] } }
+  ];
+  const links = notionUtils.extractLinkedIds(blocks);
+  if (links.join(',') !== `${policyId},${formId}`) {
+    throw new Error(`Unexpected links: ${links.join(',')}`);
+  }
+
+  // The hub is linked from every other page, so it has the most authority
+  linkGraph.build([
+    { id: 'guide', links: ['hub', 'faq'] },
+    { id: 'faq', links: ['hub', 'guide'] },
+    { id: 'hub', links: ['guide', 'faq'] },
+    { id: 'orphan', links: ['hub', 'unshared'] }
+  ]);
+  const ranking = linkGraph.rankByAuthority(['orphan', 'faq', 'guide', 'hub']);
+  if (ranking[0] !== 'hub' || ranking[ranking.length - 1] !== 'orphan') {
+    throw new Error(`Unexpected authority ranking: ${ranking.join(',')}`);
+  }
+  if (linkGraph.getLinkedPages('guide').join(',') !== 'hub,faq' || linkGraph.getInboundLinks('hub').length !== 3) {
+    throw new Error(`Unexpected links of guide: ${linkGraph.getLinkedPages('guide').join(',')}`);
+  }
+}
+
+/**
+ * Test that the fixture Notion client answers like the API from captured content
+ */
+async function testNotionFixtureClient() {
+  console.log(`${colors.blue}Testing fixture Notion client...${colors.reset}`);
+
+  const dataDir = path.join(__dirname, '..', '..', '..', 'notion-api-test', 'notion-data');
+  const client = new FixtureNotionClient({ dataDir });
+
+  // Following next_cursor returns every captured page once, most recently edited first
+  const ids = [];
+  let response = { has_more: true, next_cursor: undefined };
+  while (response.has_more) {
+    response = await client.search({ page_size: 100, ...(response.next_cursor ? { start_cursor: response.next_cursor } : {}) });
+    ids.push(...response.results.map(result => result.id));
+  }
+  if (ids.length !== client.pagesById.size || new Set(ids).size !== ids.length) {
+    throw new Error(`Search returned ${ids.length} results for ${client.pagesById.size} pages`);
+  }
+
+  const captured = JSON.parse(fs.readFileSync(path.join(dataDir, 'pages', fs.readdirSync(path.join(dataDir, 'pages'))[0]), 'utf8'));
+  const page = await client.pages.retrieve({ page_id: captured.page.id.replace(/-/g, '') });
+  const children = await client.blocks.children.list({ block_id: page.id, page_size: 2 });
+  if (children.results[0].id !== captured.blocks[0].id || children.has_more !== captured.blocks.length > 2) {
+    throw new Error('Child blocks do not match the captured page');
+  }
+
+  const title = notionUtils.getPageTitle(page);
+  const matches = await client.search({ query: title.toLowerCase() });
+  if (!matches.results.some(result => result.id === page.id)) {
+    throw new Error(`Search for "${title}" did not find the page`);
+  }
+
+  try {
+    await client.pages.retrieve({ page_id: '00000000-0000-0000-0000-000000000000' });
+    throw new Error('Unknown page was found');
+  } catch (error) {
+    if (error.status !== 404 || error.code !== 'object_not_found') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Test that signed Notion webhook events queue the pages they change, once per burst
+ */
+async function testNotionWebhooks() {
+  console.log(`${colors.blue}Testing Notion webhooks...${colors.reset}`);
+
+  const fixtureDir = path.join(__dirname, 'fixtures', 'notion-webhooks');
+  const token = 'secret_test_webhook_token';
+  const previousToken = process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN;
+  process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN = token;
+
+  // A local stand-in for Notion posts recorded events to the endpoint
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use('/api/notion', notionRoutes);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/notion/webhooks`;
+
+  const send = (name, signingToken = token) => {
+    const body = fs.readFileSync(path.join(fixtureDir, `${name}.json`), 'utf8');
+    const signature = `sha256=${crypto.createHmac('sha256', signingToken).update(body).digest('hex')}`;
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Notion-Signature': signature },
+      body
+    });
+  };
+
+  // The server runs these tests at startup, so the shared queue's counters are put back afterwards
+  const previousStats = { ...webhookQueue.stats };
+  webhookQueue.clear();
+
+  try {
+    if ((await send('verification', 'unsigned')).status !== 200) {
+      throw new Error('Verification request was not acknowledged');
+    }
+
+    if ((await send('page-deleted', 'wrong_token')).status !== 401 || webhookQueue.pending.size > 0) {
+      throw new Error('Event with an invalid signature was accepted');
+    }
+
+    const events = ['page-content-updated', 'page-properties-updated', 'page-created-in-database', 'page-deleted', 'database-schema-updated', 'comment-created'];
+    for (const name of events) {
+      const response = await send(name);
+      if (response.status !== 200) {
+        throw new Error(`Event ${name} was rejected with ${response.status}`);
+      }
+    }
+
+    const pending = [...webhookQueue.pending.values()]
+      .map(change => `${change.type}:${change.id.slice(0, 4)}${change.deleted ? ':deleted' : ''}${change.parentDatabaseId ? `:in-${change.parentDatabaseId.slice(0, 4)}` : ''}`);
+    if (pending.join(',') !== 'page:1531,page:1d2b:in-9f8e,page:2a9c:deleted,database:9f8e') {
+      throw new Error(`Unexpected queued changes: ${pending.join(',')}`);
+    }
+  } finally {
+    webhookQueue.clear();
+    webhookQueue.stats = previousStats;
+    // fetch keeps connections open, which would keep the server alive
+    server.closeAllConnections();
+    server.close();
+    if (previousToken === undefined) {
+      delete process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN;
+    } else {
+      process.env.NOTION_WEBHOOK_VERIFICATION_TOKEN = previousToken;
+    }
+  }
+
+  // A burst of events for one page is fetched once, after the quiet period
+  const batches = [];
+  const queue = new WebhookQueue(async changes => {
+    batches.push(changes.map(change => change.id));
+    return {};
+  }, { debounceMs: 20 });
+  queue.enqueue([{ id: 'page-a', type: 'page', deleted: false }]);
+  queue.enqueue([{ id: 'page-a', type: 'page', deleted: false }, { id: 'page-b', type: 'page', deleted: false }]);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  if (JSON.stringify(batches) !== JSON.stringify([['page-a', 'page-b']])) {
+    throw new Error(`Unexpected fetch batches: ${JSON.stringify(batches)}`);
+  }
+
+  // Entries that fail to load are queued again, up to the attempt limit
+  const retried = [];
+  const retryQueue = new WebhookQueue(async changes => {
+    retried.push(changes.map(change => change.id));
+    return { failed: changes.filter(change => change.id === 'page-b').map(change => change.id) };
+  }, { debounceMs: 20 });
+  retryQueue.enqueue([{ id: 'page-a', type: 'page', deleted: false }, { id: 'page-b', type: 'page', deleted: false }]);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  if (JSON.stringify(retried) !== JSON.stringify([['page-a', 'page-b'], ['page-b'], ['page-b']])) {
+    throw new Error(`Unexpected retry batches: ${JSON.stringify(retried)}`);
+  }
+  const retryStatus = retryQueue.getStatus();
+  if (retryStatus.fetched !== 1 || retryStatus.failed !== 1 || retryStatus.pending.length !== 0) {
+    throw new Error(`Failed entries were counted as fetched: ${JSON.stringify(retryStatus)}`);
+  }
+}
+
+/**
+ * Test that replies stream as Server-Sent Events and that the stored reply matches what was streamed
+ */
+async function testMessageStreaming() {
+  console.log(`${colors.blue}Testing streamed replies...${colors.reset}`);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chats', chatRoutes);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const sessionId = 'streaming-test-session';
+  sessions[sessionId] = true;
+
+  // Providers that fail part way through a reply, or before it starts
+  class FailingProvider extends FixtureProvider {
+    constructor(tokensBeforeFailure) {
+      super({ script: { defaultResponse: 'Unused reply.' } });
+      this.tokensBeforeFailure = tokensBeforeFailure;
+    }
+
+    async stream(messages, onToken) {
+      this.tokensBeforeFailure.forEach(text => onToken(text));
+      throw new Error('Connection reset');
+    }
+  }
+
+  const send = async (chatId, content) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/chats/${chatId}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', 'Authorization': sessionId },
+      body: JSON.stringify({ content })
+    });
+    return (await response.text()).split('\n\n').filter(Boolean).map(rawEvent => {
+      const [eventLine, dataLine] = rawEvent.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+  };
+  const sequence = events => events.map(({ event }) => event).filter((event, index, all) => event !== 'token' || all[index - 1] !== 'token').join(',');
+  const streamedText = events => events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+
+  // Route to no agents unless a case adds one, so replies come straight from the provider
+  const registered = new Map(agentService.agents);
+  agentService.agents.clear();
+  const previousProvider = llm.getProvider();
+  const chat = chatRepository.createChat('Streaming test');
+
+  // An agent whose answer is merged by the central chatbot, with the intent it found
+  class PolicyAgent extends BaseAgent {
+    async canHandle() {
+      return { confidence: 0.9, reason: 'Scripted' };
+    }
+
+    async processQuery() {
+      return { success: true, message: 'Submit receipts within 30 days.', metadata: { intent: { name: 'PROCESS' } } };
+    }
+  }
+
+  try {
+    llm.setProvider(new FixtureProvider({ script: { defaultResponse: 'Submit receipts within 30 days.' } }));
+    agentService.agents.set('policies', new PolicyAgent('policies', 'Policies'));
+    const streamed = await send(chat.id, 'How do I claim expenses?');
+    agentService.agents.clear();
+    const stored = chatRepository.getChatById(chat.id).messages.filter(message => message.role === 'assistant');
+    const { intent, routing, agents } = stored[0].metadata || {};
+    if (!intent || intent.name !== 'PROCESS' || routing.selected.join(',') !== 'policies' || agents[0].id !== 'policies') {
+      throw new Error(`Routing and intent were not stored with the reply: ${JSON.stringify(stored[0].metadata)}`);
+    }
+    if (sequence(streamed) !== 'user_message,token,assistant_message' || streamed.filter(({ event }) => event === 'token').length < 2) {
+      throw new Error(`Unexpected events: ${sequence(streamed)}`);
+    }
+    if (streamedText(streamed) !== 'Submit receipts within 30 days.' || stored[0].content !== streamedText(streamed)) {
+      throw new Error(`Stored reply differs from the streamed one: "${stored[0] && stored[0].content}"`);
+    }
+
+    // A provider failing before any token falls back to the offline reply, streamed once
+    llm.setProvider(new FailingProvider([]));
+    const fallback = await send(chat.id, 'hello');
+    const fallbackReply = fallback.find(({ event }) => event === 'assistant_message');
+    if (sequence(fallback) !== 'user_message,token,assistant_message' || fallbackReply.data.content !== streamedText(fallback)) {
+      throw new Error(`Unexpected fallback events: ${sequence(fallback)}`);
+    }
+
+    // A provider failing part way through is reported, not followed by a second reply
+    llm.setProvider(new FailingProvider(['Submit ', 'receipts ']));
+    const failed = await send(chat.id, 'How do I claim travel?');
+    if (sequence(failed) !== 'user_message,token,error' || streamedText(failed) !== 'Submit receipts ') {
+      throw new Error(`Unexpected events for a failed stream: ${sequence(failed)} "${streamedText(failed)}"`);
+    }
+    if (chatRepository.getChatById(chat.id).messages.filter(message => message.role === 'assistant').length !== 2) {
+      throw new Error('A reply that failed part way through was stored');
+    }
+  } finally {
+    llm.setProvider(previousProvider);
+    agentService.agents.clear();
+    registered.forEach((agent, id) => agentService.agents.set(id, agent));
+    chatRepository.deleteChat(chat.id);
+    delete sessions[sessionId];
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+/**
+ * Test that agent state is kept per conversation
+ */
+async function testAgentState() {
+  console.log(`${colors.blue}Testing conversation-scoped agent state...${colors.reset}`);
+
+  const firstChat = chatRepository.createChat('Agent state test A');
+  const secondChat = chatRepository.createChat('Agent state test B');
+
+  try {
+    const agent = new notionAgent();
+    const first = agentService.createStateAccessor(firstChat.id, agent.id);
+    const second = agentService.createStateAccessor(secondChat.id, agent.id);
+
+    first.set({ twoStageMode: true, pendingSources: [{ id: 'page-a', title: 'Leave Policy' }] });
+    second.set({ twoStageMode: true, pendingSources: [{ id: 'page-b', title: 'Expense Claims' }] });
+
+    // A fresh accessor reads back from the database, as it would after a restart
+    const reloaded = agentService.createStateAccessor(firstChat.id, agent.id).get();
+    if (reloaded.pendingSources[0].id !== 'page-a') {
+      throw new Error('State was not isolated per chat');
+    }
+
+    const context = { state: second };
+    if (!agent.isFollowUp('More details about expense claims', agent.getState(context))) {
+      throw new Error('Follow-up was not recognised from chat state');
+    }
+
+    first.clear();
+    if (Object.keys(first.get()).length !== 0 || !second.get().twoStageMode) {
+      throw new Error('Clearing one chat affected another');
+    }
+  } finally {
+    chatRepository.deleteChat(firstChat.id);
+    chatRepository.deleteChat(secondChat.id);
+  }
+}
+
+/**
+ * Test that follow-ups are rewritten as standalone queries and stored with the reply
+ */
+async function testQueryRefiner() {
+  console.log(`${colors.blue}Testing query refiner...${colors.reset}`);
+
+  const history = [
+    { role: 'user', content: 'How do I submit an expense claim?' },
+    { role: 'assistant', content: 'Upload your receipts to the expense form within 30 days.' }
+  ];
+
+  const followUps = ['and who approves it?', 'Does that apply to contractors?', 'Who approves that?', 'How long?'];
+  const standalone = ['Who approves leave requests?', 'Is there a policy that covers parental leave?', 'Payroll dates', 'Is this policy mandatory?'];
+  const misread = [
+    ...followUps.filter(query => !queryRefiner.needsContext(query, history)),
+    ...standalone.filter(query => queryRefiner.needsContext(query, history))
+  ];
+  if (misread.length > 0) {
+    throw new Error(`Follow-ups were not told apart from standalone questions: ${misread.join(' | ')}`);
+  }
+
+  // Without the LLM, standalone questions are passed on without the previous question
+  const previousMode = process.env.QUERY_REFINER;
+  process.env.QUERY_REFINER = 'rules';
+  try {
+    for (const query of standalone.slice(1, 3)) {
+      const { refined } = await queryRefiner.refineQuery(query, history);
+      if (refined.includes('(following:')) {
+        throw new Error(`Standalone question was treated as a follow-up: ${refined}`);
+      }
+    }
+    if (!(await queryRefiner.refineQuery('Does that apply to contractors?', history)).refined.includes('(following: How do I submit an expense claim?)')) {
+      throw new Error('Follow-up was not given the previous question');
+    }
+  } finally {
+    if (previousMode === undefined) delete process.env.QUERY_REFINER;
+    else process.env.QUERY_REFINER = previousMode;
+  }
+
+  const { query: expanded } = queryRefiner.expandAcronyms('Do we hold an AFSL?');
+  if (!expanded.startsWith('Do we hold an AFSL (Australian Financial Services')) {
+    throw new Error(`Acronym was not expanded: ${expanded}`);
+  }
+
+  const previousProvider = llm.getProvider();
+  llm.setProvider(new FixtureProvider({
+    script: { rules: [{ purpose: 'query-refinement', json: { query: 'Who approves expense claims?' } }] }
+  }));
+
+  const chat = chatRepository.createChat('Query refiner test');
+  try {
+    const refinement = await queryRefiner.refineQuery('and who approves it?', history);
+    if (refinement.refined !== 'Who approves expense claims?' || refinement.changes.join(',') !== 'context:llm') {
+      throw new Error(`Unexpected refinement: ${JSON.stringify(refinement)}`);
+    }
+
+    chatRepository.addMessage(chat.id, 'assistant', 'Your manager approves them.', 'fixture', { query: refinement });
+    const stored = chatRepository.getChatById(chat.id).messages[0].metadata;
+    if (!stored || stored.query.original !== 'and who approves it?' || stored.query.refined !== refinement.refined) {
+      throw new Error('Queries were not stored in the message metadata');
+    }
+  } finally {
+    llm.setProvider(previousProvider);
+    chatRepository.deleteChat(chat.id);
+  }
+}
+
+/**
+ * Test that routing policies choose agents by the confidence they report
+ */
+async function testRoutingPolicy() {
+  console.log(`${colors.blue}Testing routing policies...${colors.reset}`);
+
+  const candidate = (id, confidence) => ({ agent: { id, name: `${id} agent` }, confidence, reason: 'Scripted' });
+  const candidates = [candidate('notion', 0.7), candidate('hr', 0.75), candidate('calendar', 0.3)];
+  const chosen = async (policy) => (await policy.select('Who approves leave?', candidates)).selected.map(({ agent }) => agent.id).join(',');
+
+  const threshold = await chosen(createRoutingPolicy({ policy: 'threshold', threshold: 0.5 }));
+  const topK = await chosen(createRoutingPolicy({ policy: 'top-k', threshold: 0.2, topK: 2 }));
+  if (threshold !== 'hr,notion' || topK !== 'hr,notion') {
+    throw new Error(`Unexpected selections: threshold ${threshold}, top-k ${topK}`);
+  }
+
+  // notion and hr are within the tie margin, so the LLM decides
+  const provider = new FixtureProvider({
+    script: { rules: [{ purpose: 'agent-tie-break', json: { agentId: 'notion' } }] }
+  });
+  const tieBreak = await chosen(createRoutingPolicy({ policy: 'llm', threshold: 0.5, tieMargin: 0.1, provider }));
+  const clearWinner = await chosen(createRoutingPolicy({ policy: 'llm', threshold: 0.5, tieMargin: 0.01, provider }));
+  if (tieBreak !== 'notion' || clearWinner !== 'hr' || provider.calls.length !== 1) {
+    throw new Error(`Unexpected LLM policy selections: ${tieBreak}, ${clearWinner}`);
+  }
+}
+
+/**
+ * Test that the Notion agent rates ordinary questions from the cache when the LLM can't classify them
+ */
+async function testNotionRouting() {
+  console.log(`${colors.blue}Testing Notion agent routing without the LLM...${colors.reset}`);
+
+  const client = createTestNotionClient([
+    { id: '00000000-0000-4000-8000-000000000061', title: 'Expense Claims', paragraphs: ['Claim expenses through the finance portal within 30 days.'] },
+    { id: '00000000-0000-4000-8000-000000000062', title: 'Leave Requests', paragraphs: ['Leave requests are approved by your manager.'] }
+  ]);
+  const previousClient = notionApi.setClient(client);
+  const previousEmbedder = embeddings.setEmbedder(null);
+  const previousProvider = llm.getProvider();
+
+  try {
+    notionCache.clear();
+    await notionCache.sync();
+    notionCache.isInitialized = true;
+
+    const agent = new notionAgent();
+    agent.isConfigured = true;
+    const questions = ['How do I claim expenses?', 'Who approves leave requests?', 'expense reimbursement policy'];
+
+    // An unparseable classification, then a provider that fails outright
+    const providers = [
+      new FixtureProvider({ script: { defaultResponse: 'Not sure.' } }),
+      { json: async () => { throw new Error('No API key'); } }
+    ];
+    for (const provider of providers) {
+      llm.setProvider(provider);
+      for (const question of questions) {
+        const { confidence, reason } = await agent.canHandle(question);
+        if (confidence < 0.5) {
+          throw new Error(`"${question}" was rated ${confidence}: ${reason}`);
+        }
+      }
+
+      const unrelated = await agent.canHandle('Tell me a joke');
+      if (unrelated.confidence <= 0 || unrelated.confidence >= 0.5) {
+        throw new Error(`Unrelated question was rated ${unrelated.confidence}`);
+      }
+    }
+  } finally {
+    llm.setProvider(previousProvider);
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+    embeddings.setEmbedder(previousEmbedder);
+  }
+}
+
+/**
+ * Test that agents are discovered from manifests, listed in the catalog and their lifecycle hooks are called
+ */
+async function testAgentLoader() {
+  console.log(`${colors.blue}Testing agent loader...${colors.reset}`);
+
+  // The shipped manifests are valid
+  const agentsDir = path.join(__dirname, '..', 'agents');
+  for (const entry of fs.readdirSync(agentsDir, { withFileTypes: true }).filter(item => item.isDirectory())) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(agentsDir, entry.name, 'manifest.json'), 'utf8'));
+    const errors = agentLoader.validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid manifest for ${entry.name}: ${errors.join('; ')}`);
+    }
+  }
+
+  // A variable can be required only outside a given mode, as NOTION_API_KEY is outside the fixture backend
+  const previousWikiBackend = process.env.TEST_WIKI_BACKEND;
+  const wikiEnv = [{ name: 'TEST_WIKI_KEY', unless: { TEST_WIKI_BACKEND: 'fixture' } }];
+  try {
+    process.env.TEST_WIKI_BACKEND = 'api';
+    const missingOutsideFixture = agentLoader.getMissingEnv(wikiEnv).join(',');
+    process.env.TEST_WIKI_BACKEND = 'fixture';
+    const missingWithFixture = agentLoader.getMissingEnv(wikiEnv).join(',');
+    if (missingOutsideFixture !== 'TEST_WIKI_KEY' || missingWithFixture !== '') {
+      throw new Error(`Unexpected conditional variables: "${missingOutsideFixture}", "${missingWithFixture}"`);
+    }
+  } finally {
+    if (previousWikiBackend === undefined) delete process.env.TEST_WIKI_BACKEND;
+    else process.env.TEST_WIKI_BACKEND = previousWikiBackend;
+  }
+  if (agentLoader.validateManifest({ id: 'wiki', name: 'Wiki', description: 'Wiki', requiredEnv: [{ unless: {} }] }).length !== 1) {
+    throw new Error('A requiredEnv entry without a name was accepted');
+  }
+
+  const pluginDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'agents-'));
+  const writePlugin = (name, manifest, source) => {
+    fs.mkdirSync(path.join(pluginDir, name));
+    fs.writeFileSync(path.join(pluginDir, name, 'manifest.json'), JSON.stringify(manifest));
+    if (source) fs.writeFileSync(path.join(pluginDir, name, 'index.js'), source);
+  };
+
+  writePlugin('calendar', {
+    id: 'calendar',
+    name: 'Calendar',
+    description: 'Answers questions about meetings',
+    requiredEnv: ['TEST_CALENDAR_URL'],
+    configSchema: { properties: { days: { type: 'integer', env: 'TEST_CALENDAR_DAYS', default: 7 } } }
+  }, `
+    const BaseAgent = require(${JSON.stringify(path.join(agentsDir, 'baseAgent'))});
+    const calls = [];
+    class CalendarAgent extends BaseAgent {
+      constructor(config) { super('calendar', 'Calendar', config); this.calls = calls; }
+      async init() { calls.push('init'); }
+      async health() { return { status: 'degraded', message: 'Syncing' }; }
+      async dispose() { calls.push('dispose'); }
+    }
+    module.exports = CalendarAgent;
+  `);
+  writePlugin('crm', { id: 'crm', name: 'CRM', description: 'Customer records', requiredEnv: [['TEST_CRM_KEY', 'TEST_CRM_TOKEN']] });
+
+  const registered = new Map(agentService.agents);
+  const unavailable = agentService.unavailableAgents;
+  const previousEnv = { url: process.env.TEST_CALENDAR_URL, days: process.env.TEST_CALENDAR_DAYS };
+  agentService.agents.clear();
+  agentService.unavailableAgents = [];
+  process.env.TEST_CALENDAR_URL = 'https://calendar.example';
+  process.env.TEST_CALENDAR_DAYS = '14';
+
+  try {
+    agentService.loadAgents(pluginDir);
+    const calendar = agentService.agents.get('calendar');
+    if (!calendar || calendar.config.days !== 14 || calendar.getInfo().description !== 'Answers questions about meetings') {
+      throw new Error('Calendar agent was not loaded with its manifest and config');
+    }
+
+    await agentService.initializeAgents();
+    const health = await agentService.checkHealth();
+    const catalog = await agentService.getAgents();
+    await agentService.disposeAgents();
+
+    const statuses = health.map(agent => `${agent.id}:${agent.status}`).join(',');
+    if (statuses !== 'calendar:degraded,crm:unavailable' || !health[1].message.includes('TEST_CRM_KEY or TEST_CRM_TOKEN')) {
+      throw new Error(`Unexpected health: ${statuses}`);
+    }
+    const catalogEntries = catalog.map(agent => `${agent.id}:${agent.isActive}:${agent.health.status}`).join(',');
+    if (catalogEntries !== 'calendar:true:degraded,crm:false:unavailable' || catalog[1].description !== 'Customer records') {
+      throw new Error(`Unexpected catalog: ${catalogEntries}`);
+    }
+    if (calendar.calls.join(',') !== 'init,dispose') {
+      throw new Error(`Unexpected lifecycle calls: ${calendar.calls.join(',')}`);
+    }
+  } finally {
+    agentService.agents.clear();
+    registered.forEach((agent, id) => agentService.agents.set(id, agent));
+    agentService.unavailableAgents = unavailable;
+    ['TEST_CALENDAR_URL', 'TEST_CALENDAR_DAYS'].forEach((name, index) => {
+      const value = index === 0 ? previousEnv.url : previousEnv.days;
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that a query fans out to every agent that can handle it, leaving out slow ones
+ */
+async function testAgentFanOut() {
+  console.log(`${colors.blue}Testing multi-agent routing...${colors.reset}`);
+
+  class ScriptedAgent extends BaseAgent {
+    constructor(id, { confidence = 0.8, delayMs = 0, timeoutMs } = {}) {
+      super(id, `${id} agent`, { timeoutMs });
+      this.confidence = confidence;
+      this.delayMs = delayMs;
+    }
+
+    async canHandle() {
+      return { confidence: this.confidence, reason: 'Scripted' };
+    }
+
+    async processQuery(query, context) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      this.setState(context, { lastQuery: query });
+      return { success: true, message: `${this.id} answer to ${query}` };
+    }
+  }
+
+  // Route among the scripted agents only
+  const registered = new Map(agentService.agents);
+  agentService.agents.clear();
+
+  try {
+    [
+      new ScriptedAgent('policies'),
+      new ScriptedAgent('people', { delayMs: 10 }),
+      new ScriptedAgent('weather', { confidence: 0.1 }),
+      new ScriptedAgent('archive', { delayMs: 200, timeoutMs: 20 })
+    ].forEach(agent => agentService.agents.set(agent.id, agent));
+
+    const response = await agentService.routeQuery('Who approves leave?');
+    const asked = response.metadata.agents.map(agent => `${agent.id}:${agent.success ? 'ok' : agent.timedOut ? 'timeout' : 'failed'}`);
+
+    if (!response.success || asked.join(',') !== 'policies:ok,people:ok,archive:timeout') {
+      throw new Error(`Unexpected agents: ${asked.join(',')}`);
+    }
+    if (response.source !== 'policies agent, people agent' || !response.message) {
+      throw new Error(`Unexpected merged response from ${response.source}`);
+    }
+    if (response.metadata.routing.selected.includes('weather') || response.metadata.routing.candidates.length !== 4) {
+      throw new Error('Routing decision was not recorded');
+    }
+
+    // Agents selected in the client limit routing to themselves
+    const limited = await agentService.routeQuery('Who approves leave?', { agentIds: ['people', 'weather'] });
+    const limitedCandidates = limited.metadata.routing.candidates.map(candidate => candidate.id).join(',');
+    if (limitedCandidates !== 'people,weather' || limited.metadata.routing.selected.join(',') !== 'people') {
+      throw new Error(`Routing ignored the selected agents: ${limitedCandidates}`);
+    }
+
+    // An agent that resolves to nothing fails on its own instead of failing the whole fan-out
+    const silent = new ScriptedAgent('silent');
+    silent.processQuery = async () => undefined;
+    const silentResponse = await agentService.runAgent(silent, 'Who approves leave?');
+    if (silentResponse.success !== false || silentResponse.agentId !== 'silent' || !silentResponse.message.includes('no response')) {
+      throw new Error(`Unexpected response from an agent that returned nothing: ${JSON.stringify(silentResponse)}`);
+    }
+
+    // An agent that timed out can't change the conversation's state when it finishes later
+    const chat = chatRepository.createChat('Agent timeout test');
+    try {
+      const slow = new ScriptedAgent('slow', { delayMs: 100, timeoutMs: 20 });
+      const timedOut = await agentService.runAgent(slow, 'Who approves leave?', { chatId: chat.id });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      if (!timedOut.timedOut || Object.keys(agentService.createStateAccessor(chat.id, slow.id).get()).length !== 0) {
+        throw new Error('A timed-out agent changed the conversation state');
+      }
+
+      const quick = new ScriptedAgent('quick', { delayMs: 10, timeoutMs: 100 });
+      await agentService.runAgent(quick, 'Who approves leave?', { chatId: chat.id });
+      if (agentService.createStateAccessor(chat.id, quick.id).get().lastQuery !== 'Who approves leave?') {
+        throw new Error('An agent that answered in time could not save its state');
+      }
+    } finally {
+      chatRepository.deleteChat(chat.id);
+    }
+  } finally {
+    agentService.agents.clear();
+    registered.forEach((agent, id) => agentService.agents.set(id, agent));
+  }
+}
+
+/**
+ * Test that Notion requests are spaced out by the rate limiter and retried on 429 and 5xx
+ */
+async function testNotionRequests() {
+  console.log(`${colors.blue}Testing Notion rate limiting and retries...${colors.reset}`);
+
+  // A burst of two, then one request every 50ms
+  const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+  const start = Date.now();
+  const waits = [];
+  for (let i = 0; i < 5; i++) {
+    await limiter.acquire();
+    waits.push(Date.now() - start);
+  }
+  if (waits[1] > 20 || waits[4] < 130) {
+    throw new Error(`Requests were not spaced out: ${waits.join(',')}ms`);
+  }
+
+  // After a 429 every caller holds back for the pause
+  limiter.pause(100);
+  const pausedAt = Date.now();
+  await limiter.acquire();
+  if (Date.now() - pausedAt < 90) {
+    throw new Error('Request was made during the pause');
+  }
+
+  // Disposing clears the wait timer and turns away queued requests
+  const waiting = limiter.acquire().then(() => null, error => error);
+  if (!limiter.timer) {
+    throw new Error('Queued request did not start a wait timer');
+  }
+  limiter.dispose();
+  const rejection = await waiting;
+  if (limiter.timer || limiter.queue.length > 0 || !rejection) {
+    throw new Error('Disposed rate limiter still holds queued requests');
+  }
+
+  const failure = (status, retryAfter) => Object.assign(new Error(`Status ${status}`), {
+    status,
+    headers: retryAfter !== undefined ? { 'retry-after': retryAfter } : undefined
+  });
+  const failingClient = (failures) => {
+    const client = { isLocal: true, attempts: 0 };
+    client.pages = {
+      retrieve: async ({ page_id: pageId }) => {
+        const error = failures[client.attempts++];
+        if (error) throw error;
+        return { id: pageId };
+      }
+    };
+    return client;
+  };
+
+  // 5xx and 429 responses are retried after the Retry-After delay
+  const flaky = failingClient([failure(503, '0'), failure(429, '0')]);
+  const previousClient = notionApi.setClient(flaky);
+  try {
+    const page = await notionApi.getPage('page-a');
+    if (page.id !== 'page-a' || flaky.attempts !== 3) {
+      throw new Error(`Expected success on the third attempt, got ${flaky.attempts} attempts`);
+    }
+
+    // Other errors fail at once, and retries stop after the limit
+    for (const [failures, expectedAttempts] of [[[failure(400)], 1], [Array(10).fill(failure(502, '0')), 6]]) {
+      const client = failingClient(failures);
+      notionApi.setClient(client);
+      try {
+        await notionApi.getPage('page-a');
+        throw new Error('Request succeeded');
+      } catch (error) {
+        if (!error.status || client.attempts !== expectedAttempts) {
+          throw new Error(`Expected ${expectedAttempts} attempts for status ${failures[0].status}, got ${client.attempts}`);
+        }
+      }
+    }
+  } finally {
+    notionApi.setClient(previousClient);
+  }
+}
+
+/**
+ * Test BM25F ranking: field weights, length normalization and IDF
+ */
+async function testBm25f() {
+  console.log(`${colors.blue}Testing BM25F ranking...${colors.reset}`);
+
+  const cache = createTestCache([
+    { id: 'parking', title: 'Parking', passages: ['Visitors use the north lot.'] },
+    { id: 'reception', title: 'Reception', passages: ['Ask reception for parking.'] },
+    { id: 'handbook', title: 'Handbook', passages: ['The handbook covers dress code, working hours, lunch breaks, security passes, fire drills, first aid officers, kitchen rules, printing, meeting rooms and parking for staff and contractors.'] },
+    { id: 'leave', title: 'Leave', passages: ['Annual leave and sick leave.'] },
+    { id: 'requests', title: 'Leave requests', passages: ['Managers approve requests.'] },
+    { id: 'parental', title: 'Parental leave', passages: ['Parental leave lasts twelve weeks.'] }
+  ]);
+  const order = (options = {}) => cache.search('parking', options).map(result => result.id).join(',');
+
+  // Title matches count double by default; without title weight the title-only match scores nothing
+  if (order() !== 'parking,reception,handbook') {
+    throw new Error(`Unexpected default ranking: ${order()}`);
+  }
+  if (order({ fieldWeights: { title: 0 } }) !== 'reception,handbook,parking') {
+    throw new Error(`Unexpected ranking without title weight: ${order({ fieldWeights: { title: 0 } })}`);
+  }
+
+  // The short passage outranks the long one only because of length normalization
+  const scores = Object.fromEntries(cache.search('parking', { b: 0 }).map(result => [result.id, result.score]));
+  if (Math.abs(scores.reception - scores.handbook) > 1e-9) {
+    throw new Error('Passages with the same term frequency scored differently without length normalization');
+  }
+
+  // Rare terms weigh more: "visitors" is on one of six pages, "leave" on three
+  const [visitors] = cache.tokenize('visitors');
+  const [leave] = cache.tokenize('leave');
+  const idf = cache.computeIdf([visitors, leave]);
+  if (Math.abs(idf.get(visitors) - Math.log(1 + 5.5 / 1.5)) > 1e-9 || Math.abs(idf.get(leave) - Math.log(1 + 3.5 / 3.5)) > 1e-9) {
+    throw new Error(`Unexpected IDF: ${idf.get(visitors)}, ${idf.get(leave)}`);
+  }
+
+  // A title-only match scores idf * f(k1 + 1) / (f + k1), with f the weighted, length-normalized frequency
+  const titleLength = cache.documentLengths.title.get('parking');
+  const averageTitleLength = cache.fieldLengths.title / cache.documentTerms.title.size;
+  const frequency = 2 / (1 - 0.75 + 0.75 * titleLength / averageTitleLength);
+  const [parking] = cache.tokenize('parking');
+  const expected = cache.computeIdf([parking]).get(parking) * frequency * 2.2 / (frequency + 1.2);
+  const actual = cache.search('parking', { fieldWeights: { content: 0 } })[0].score;
+  if (Math.abs(actual - expected) > 1e-9) {
+    throw new Error(`Title-only score was ${actual}, expected ${expected}`);
+  }
+
+  // Lengths stay in step with the index as documents are replaced and removed
+  cache.indexText('title', 'parking', 'Visitor parking and bicycle storage');
+  cache.removeFromIndex('leave#0');
+  for (const field of ['title', 'content']) {
+    let total = 0;
+    for (const [id, terms] of cache.documentTerms[field].entries()) {
+      const length = [...terms.values()].reduce((sum, count) => sum + count, 0);
+      if (cache.documentLengths[field].get(id) !== length) {
+        throw new Error(`Stale ${field} length for ${id}`);
+      }
+      total += length;
+    }
+    if (cache.fieldLengths[field] !== total || cache.documentLengths[field].size !== cache.documentTerms[field].size) {
+      throw new Error(`Stale ${field} field length`);
+    }
+  }
+}
+
+/**
+ * Test fuzzy matching of misspelled query terms, and synonym expansion as the dictionary changes
+ */
+async function testFuzzyMatchingAndSynonyms() {
+  console.log(`${colors.blue}Testing fuzzy matching and synonyms...${colors.reset}`);
+
+  const cache = createTestCache([
+    { id: 'holidays', title: 'Public holidays', passages: ['Holidays for 2024 and the office fee schedule.'] },
+    { id: 'super', title: 'Superannuation', passages: ['Employer superannuation contributions.'] },
+    { id: 'licence', title: 'Australian Financial Services Licence', passages: ['Conditions of our licence.'] },
+    { id: 'leave', title: 'Paid time off', passages: ['How to book paid time off.'] }
+  ]);
+  const similar = (word) => cache.findSimilarTerms(analyzer.analyze(word)[0]).map(match => match.candidate);
+  const ids = (query) => cache.search(query).map(result => result.id);
+
+  // Terms under eight characters allow one edit, longer terms two
+  const [holidayTerm] = analyzer.analyze('holiday');
+  const [superTerm] = analyzer.analyze('superannuation');
+  if (!similar('hoilday').includes(holidayTerm) || similar('hxlidxy').includes(holidayTerm)) {
+    throw new Error(`Unexpected matches for short misspellings: ${similar('hoilday')}, ${similar('hxlidxy')}`);
+  }
+  if (!similar('supperanuation').includes(superTerm) || similar('sxpxrannxation').includes(superTerm)) {
+    throw new Error(`Unexpected matches for long misspellings: ${similar('supperanuation')}, ${similar('sxpxrannxation')}`);
+  }
+
+  // Short terms and numbers are never corrected
+  if (similar('fie').length > 0 || similar('2025').length > 0) {
+    throw new Error('Short terms or numbers were corrected');
+  }
+
+  // A corrected term finds the page, but scores below the correct spelling
+  const [misspelled] = cache.search('hoilday');
+  const [exact] = cache.search('holiday');
+  if (!misspelled || misspelled.id !== 'holidays' || misspelled.score >= exact.score) {
+    throw new Error('Misspelled query did not find the page with a lower score');
+  }
+
+  const added = [];
+  try {
+    // An acronym matches its expansion, in both directions
+    const afsl = synonymRepository.createSynonym('AFSL', ['Australian Financial Services Licence']);
+    added.push(afsl.id);
+    synonymDictionary.load();
+    if (cache.reindexPhrases([afsl.term, ...afsl.synonyms]) !== 1) {
+      throw new Error('Only the licence page should be re-indexed');
+    }
+    if (ids('AFSL')[0] !== 'licence') {
+      throw new Error(`AFSL did not find the licence page: ${ids('AFSL')}`);
+    }
+
+    // Re-indexing only the affected pages gives the same index as a full rebuild
+    const pto = synonymRepository.createSynonym('PTO', ['paid time off', 'annual leave']);
+    added.push(pto.id);
+    synonymDictionary.load();
+    cache.reindexPhrases([pto.term, ...pto.synonyms]);
+    if (ids('PTO')[0] !== 'leave') {
+      throw new Error(`PTO did not find the paid time off page: ${ids('PTO')}`);
+    }
+
+    const rebuilt = createTestCache([...cache.pages.values()].map(page => ({
+      id: page.id,
+      title: page.title,
+      passages: page.passages.map(passage => passage.content)
+    })));
+    for (const field of ['title', 'content']) {
+      for (const [id, terms] of rebuilt.documentTerms[field].entries()) {
+        const incremental = cache.documentTerms[field].get(id);
+        if (!incremental || JSON.stringify([...incremental]) !== JSON.stringify([...terms])) {
+          throw new Error(`Incremental ${field} terms of ${id} differ from a full rebuild`);
+        }
+      }
+    }
+
+    // Removing an entry takes its synonym terms out of the documents again
+    synonymRepository.deleteSynonym(pto.id);
+    added.pop();
+    synonymDictionary.load();
+    cache.reindexPhrases([pto.term, ...pto.synonyms]);
+    if (ids('PTO').length > 0) {
+      throw new Error('PTO still matched after its synonyms were removed');
+    }
+  } finally {
+    added.forEach(id => synonymRepository.deleteSynonym(id));
+    synonymDictionary.load();
+    // Re-indexing persisted the test pages
+    cache.pages.forEach((page, id) => cacheStore.deleteEntry(id));
+  }
+}
+
+/**
+ * Test that the Notion cache survives a restart through the SQLite store
+ */
+async function testCachePersistence() {
+  console.log(`${colors.blue}Testing Notion cache persistence...${colors.reset}`);
+
+  const expensesId = '00000000-0000-4000-8000-000000000001';
+  const leaveId = '00000000-0000-4000-8000-000000000002';
+  const previousClient = notionApi.setClient(createTestNotionClient([
+    { id: expensesId, title: 'Expense Claims', paragraphs: ['Submit receipts within 30 days.', 'Your manager approves each claim.'] },
+    { id: leaveId, title: 'Leave Policy', paragraphs: ['Annual leave is approved by your manager.'] }
+  ]));
+
+  const summarize = cache => cache.search('manager approves claims')
+    .map(result => `${result.id.slice(-1)}:${result.score.toFixed(6)}:${result.passages.length}`)
+    .join(',');
+
+  try {
+    notionCache.clear();
+    await notionCache.sync();
+    const before = summarize(notionCache);
+
+    // A second cache stands in for the server after a restart
+    const restored = new NotionCache();
+    if (!restored.loadFromStore() || summarize(restored) !== before) {
+      throw new Error(`Restored cache ranks differently: ${summarize(restored)} vs ${before}`);
+    }
+    if ((restored.getPageStructure(expensesId) || []).length !== 2 || restored.passages.size !== notionCache.passages.size) {
+      throw new Error('Block structure or passages were not restored');
+    }
+
+    // Terms persisted by an older index version are rebuilt from the stored pages
+    cacheStore.setMeta('indexVersion', 0);
+    const rebuilt = new NotionCache();
+    if (!rebuilt.loadFromStore() || summarize(rebuilt) !== before) {
+      throw new Error(`Rebuilt index ranks differently: ${summarize(rebuilt)} vs ${before}`);
+    }
+  } finally {
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+    // Each cache points mention titles at itself
+    notionUtils.setTitleResolver(id => notionCache.getTitle(id));
+  }
+}
+
+/**
+ * Test that a sync fetches only what changed and keeps pages that fail to load
+ */
+async function testNotionSync() {
+  console.log(`${colors.blue}Testing incremental Notion sync...${colors.reset}`);
+
+  const expensesId = '00000000-0000-4000-8000-000000000011';
+  const leaveId = '00000000-0000-4000-8000-000000000012';
+  const travelId = '00000000-0000-4000-8000-000000000013';
+  const client = createTestNotionClient([
+    { id: expensesId, title: 'Expense Claims', paragraphs: ['Submit receipts within 30 days.'] },
+    { id: leaveId, title: 'Leave Policy', paragraphs: ['Annual leave is approved by your manager.'] }
+  ]);
+  const previousClient = notionApi.setClient(client);
+
+  // Pages whose retrieval fails, as a transient API error would
+  const failingIds = new Set();
+  const retrievePage = client.pages.retrieve;
+  client.pages.retrieve = async (params) => {
+    if (failingIds.has(params.page_id)) {
+      throw Object.assign(new Error('Bad request'), { status: 400 });
+    }
+    return retrievePage(params);
+  };
+
+  const counts = sync => sync ? `${sync.added}/${sync.updated}/${sync.removed}/${sync.failed}` : 'failed';
+
+  try {
+    notionCache.clear();
+    const first = await notionCache.sync();
+    if (counts(first) !== '2/0/0/0') {
+      throw new Error(`Unexpected first sync: ${counts(first)}`);
+    }
+
+    // One page is edited but fails to load, one is deleted and one is added
+    addTestPage(client, { id: expensesId, title: 'Expense Claims', lastEditedTime: '2025-02-01T00:00:00.000Z', paragraphs: ['Submit receipts within 60 days.'] });
+    client.pagesById.delete(leaveId);
+    addTestPage(client, { id: travelId, title: 'Travel Policy', paragraphs: ['Book flights through the travel desk.'] });
+    failingIds.add(expensesId);
+
+    const second = await notionCache.sync();
+    if (counts(second) !== '1/0/1/1') {
+      throw new Error(`Unexpected sync with a failed page: ${counts(second)}`);
+    }
+    if (!notionCache.getContent(expensesId).content.includes('30 days') || notionCache.search('receipts')[0].id !== expensesId) {
+      throw new Error('The cached version of a page that failed to load was dropped');
+    }
+    if (notionCache.getContent(leaveId) || !notionCache.getContent(travelId)) {
+      throw new Error('Deleted or added pages were not synced');
+    }
+
+    // A webhook refresh that fails keeps the cached page and reports it for a retry
+    notionCache.isInitialized = true;
+    const refresh = await notionCache.refreshEntries([{ id: expensesId, type: 'page', deleted: false }]);
+    if (refresh.updated !== 0 || refresh.failed.join(',') !== expensesId) {
+      throw new Error(`Failed refresh was not reported: ${JSON.stringify(refresh)}`);
+    }
+    if (!notionCache.getContent(expensesId) || notionCache.search('receipts')[0].id !== expensesId) {
+      throw new Error('A page that failed to refresh was dropped from the cache');
+    }
+
+    // The next sync fetches the failed page again, and nothing else
+    failingIds.clear();
+    const third = await notionCache.sync();
+    if (counts(third) !== '0/1/0/0' || !notionCache.getContent(expensesId).content.includes('60 days')) {
+      throw new Error(`Failed page was not fetched again: ${counts(third)}`);
+    }
+  } finally {
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+  }
+}
+
+/**
+ * Test that the intent of a query changes how the agent's search ranks pages
+ */
+async function testIntentRetrieval() {
+  console.log(`${colors.blue}Testing intent-aware retrieval...${colors.reset}`);
+
+  const leaveId = '00000000-0000-4000-8000-000000000041';
+  const handbookId = '00000000-0000-4000-8000-000000000042';
+  const client = createTestNotionClient([
+    { id: leaveId, title: 'Leave and parking', paragraphs: ['Ask your manager.'] },
+    { id: handbookId, title: 'Staff handbook', paragraphs: ['Leave is booked in the portal. Leave balances show the leave taken, and unpaid leave needs approval.'] },
+    { id: '00000000-0000-4000-8000-000000000043', title: 'Parking', paragraphs: ['Visitors use the north lot.'] },
+    { id: '00000000-0000-4000-8000-000000000044', title: 'Printing', paragraphs: ['Use the second floor printer.'] }
+  ]);
+  const previousClient = notionApi.setClient(client);
+  const previousEmbedder = embeddings.getEmbedder();
+  embeddings.setEmbedder(null);
+
+  const order = async (query, intent) => (await twoStageRetrieval.searchCache(query, { intent })).map(source => source.id).join(',');
+
+  try {
+    notionCache.clear();
+    await notionCache.sync();
+    notionCache.isInitialized = true;
+
+    // A general question ranks the page that discusses leave most; a definition looks for the page whose title has it
+    const general = intentClassifier.classifyIntent('leave balances');
+    const definition = intentClassifier.classifyIntent('What does leave mean?');
+    if (general.strategy !== 'section' || definition.strategy !== 'title') {
+      throw new Error(`Unexpected strategies: ${general.strategy}, ${definition.strategy}`);
+    }
+    if (await order('leave', general) !== `${handbookId},${leaveId}`) {
+      throw new Error(`Unexpected ranking for a general question: ${await order('leave', general)}`);
+    }
+    if (await order('leave', definition) !== `${leaveId},${handbookId}`) {
+      throw new Error(`Title strategy did not rank the title match first: ${await order('leave', definition)}`);
+    }
+  } finally {
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+    embeddings.setEmbedder(previousEmbedder);
+  }
+
+  // Sources of the document types a process question asks for move up
+  const sources = ['a', 'b', 'c', 'd'].map(id => ({ id, documentType: id === 'd' ? 'PROCEDURE' : 'GENERAL_INFO' }));
+  const boosted = twoStageRetrieval.boostByDocumentType(sources, intentClassifier.classifyIntent('How do I submit an invoice?'));
+  const unchanged = twoStageRetrieval.boostByDocumentType(sources, intentClassifier.classifyIntent('Who approves invoices?'));
+  if (boosted.map(source => source.id).join('') !== 'abdc' || unchanged.map(source => source.id).join('') !== 'abcd') {
+    throw new Error(`Unexpected document type boost: ${boosted.map(source => source.id).join('')}, ${unchanged.map(source => source.id).join('')}`);
+  }
+}
+
+/**
+ * Test that approved workspace sections rank their pages higher in the agent's search
+ */
+async function testSectionRetrieval() {
+  console.log(`${colors.blue}Testing workspace sections in retrieval...${colors.reset}`);
+
+  const safetyId = '00000000-0000-4000-8000-000000000031';
+  const financeId = '00000000-0000-4000-8000-000000000032';
+  const client = createTestNotionClient([
+    { id: safetyId, title: 'Claims', paragraphs: ['Claims for workplace injury claims.'] },
+    { id: financeId, title: 'Claims', paragraphs: ['Claims for travel costs.'] }
+  ]);
+  const previousClient = notionApi.setClient(client);
+  const previousEmbedder = embeddings.getEmbedder();
+  embeddings.setEmbedder(null);
+
+  const order = async () => (await twoStageRetrieval.searchCache('finance claims')).map(source => source.id);
+
+  try {
+    notionCache.clear();
+    await notionCache.sync();
+    notionCache.isInitialized = true;
+
+    // Without sections, the page mentioning claims more often comes first
+    if ((await order())[0] !== safetyId) {
+      throw new Error(`Unexpected ranking without sections: ${await order()}`);
+    }
+
+    // A pending section is not used; once approved, its title in the query lifts its pages
+    workspaceSectionRepository.saveDiscoveredSections([
+      { id: financeId, key: 'finance', discoveredTitle: 'Finance', keyTerms: ['budget'], children: [], pageIds: [financeId] },
+      { id: safetyId, key: 'safety', discoveredTitle: 'Safety', keyTerms: ['hazard'], children: [], pageIds: [safetyId] }
+    ]);
+    workspaceDiscovery.load();
+    if ((await order())[0] !== safetyId) {
+      throw new Error('A section awaiting review changed the ranking');
+    }
+
+    workspaceSectionRepository.updateSection(financeId, { status: 'approved' });
+    workspaceDiscovery.load();
+    const ranking = await order();
+    if (ranking.join(',') !== `${financeId},${safetyId}`) {
+      throw new Error(`Approved section did not lift its page: ${ranking}`);
+    }
+  } finally {
+    workspaceSectionRepository.saveDiscoveredSections([]);
+    workspaceDiscovery.load();
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+    embeddings.setEmbedder(previousEmbedder);
+  }
+}
+
+/**
+ * Test the LSA embedder, the passage vector index and reciprocal rank fusion
+ */
+async function testEmbeddings() {
+  console.log(`${colors.blue}Testing passage embeddings...${colors.reset}`);
+
+  // Fitting and embedding
+  const corpus = [
+    'Expense claims need receipts and manager approval.',
+    'Submit expense receipts for reimbursement within 30 days.',
+    'Annual leave is booked in the HR portal.',
+    'Public holidays and annual leave entitlements.'
+  ];
+  const lsa = new LsaEmbedder({ dimensions: 2 });
+  let embeddedBeforeFit = true;
+  try {
+    await lsa.embed(['receipts']);
+  } catch (error) {
+    embeddedBeforeFit = false;
+  }
+  if (embeddedBeforeFit) {
+    throw new Error('The LSA embedder embedded text before it was fitted');
+  }
+
+  await lsa.fit(corpus);
+  const vectors = await lsa.embed(corpus);
+  if (lsa.rank !== 2 || vectors.some(vector => vector.length !== 2 || Math.abs(Math.hypot(...vector) - 1) > 1e-9)) {
+    throw new Error('Embeddings are not unit vectors of the fitted rank');
+  }
+
+  // "reimbursement" only occurs in one expense passage, but lands near both of them
+  const [query] = await lsa.embed(['reimbursement']);
+  const similarities = vectors.map(vector => embeddings.cosineSimilarity(query, vector));
+  if (Math.min(similarities[0], similarities[1]) <= Math.max(similarities[2], similarities[3])) {
+    throw new Error(`Unexpected similarities: ${similarities.map(value => value.toFixed(2))}`);
+  }
+
+  const refitted = new LsaEmbedder({ dimensions: 2 });
+  await refitted.fit(corpus);
+  if (JSON.stringify(await refitted.embed(corpus)) !== JSON.stringify(vectors)) {
+    throw new Error('Fitting the same corpus twice gave different embeddings');
+  }
+
+  // Reciprocal rank fusion adds 1 / (60 + rank) per ranking
+  const fused = reciprocalRankFusion([['a', 'b', 'c'], ['c', 'a']]);
+  if ([...fused.keys()].join(',') !== 'a,c,b' || Math.abs(fused.get('a') - (1 / 61 + 1 / 62)) > 1e-12) {
+    throw new Error(`Unexpected fused ranking: ${[...fused.entries()]}`);
+  }
+  const weighted = weights => [...reciprocalRankFusion([['a', 'b'], ['b', 'a']], weights).keys()].join(',');
+  if (weighted([1, 0.5]) !== 'a,b' || weighted([0.5, 1]) !== 'b,a') {
+    throw new Error('Ranking weights were not applied');
+  }
+
+  // Vector index: a small edit is embedded incrementally, a large one refits
+  const ids = Array.from({ length: 6 }, (_, i) => `00000000-0000-4000-8000-00000000002${i}`);
+  const client = createTestNotionClient(ids.map((id, i) => ({
+    id,
+    title: i < 3 ? `Expense guide ${i}` : `Leave guide ${i}`,
+    paragraphs: [corpus[i % corpus.length]]
+  })));
+  const previousClient = notionApi.setClient(client);
+  const previousEmbedder = embeddings.getEmbedder();
+  embeddings.setEmbedder(new LsaEmbedder({ dimensions: 4 }));
+
+  const editPages = async (count, text) => {
+    ids.slice(0, count).forEach((id, i) => addTestPage(client, {
+      id,
+      title: `Expense guide ${i}`,
+      lastEditedTime: new Date(Date.now() + 60000).toISOString(),
+      paragraphs: [text]
+    }));
+    await notionCache.sync();
+  };
+
+  try {
+    notionCache.clear();
+    await notionCache.sync();
+    notionCache.isInitialized = true;
+    const fitCount = vectorIndex.fitCount;
+
+    // Searches don't wait for the first fit
+    if ((await vectorIndex.search('receipts')).length > 0 || !vectorIndex.pendingUpdate) {
+      throw new Error('Search waited for the embeddings or did not start an update');
+    }
+    await vectorIndex.sync();
+    if (vectorIndex.fitCount !== fitCount + 1 || vectorIndex.vectors.size !== notionCache.passages.size) {
+      throw new Error('Passages were not all embedded by the first fit');
+    }
+    if ((await vectorIndex.search('receipts')).length === 0) {
+      throw new Error('No passages found once the embeddings were ready');
+    }
+
+    // One passage in six is under the refit ratio
+    await editPages(1, 'Receipts go to the finance team.');
+    await vectorIndex.sync();
+    if (vectorIndex.fitCount !== fitCount + 1 || vectorIndex.vectors.size !== notionCache.passages.size) {
+      throw new Error('A small edit refitted the embedder or was not embedded');
+    }
+
+    await editPages(3, 'Finance reimburses approved claims monthly.');
+    await vectorIndex.sync();
+    if (vectorIndex.fitCount !== fitCount + 2 || vectorIndex.vectors.size !== notionCache.passages.size) {
+      throw new Error('A large edit did not refit the embedder');
+    }
+
+    // Pages dropped from the cache are skipped even if their vectors are still there
+    notionCache.pages.delete(ids[0]);
+    const sources = await twoStageRetrieval.searchCache('finance reimburses claims');
+    if (sources.some(source => source.id === ids[0]) || sources.length === 0) {
+      throw new Error('A page missing from the cache was returned as a source');
+    }
+  } finally {
+    notionCache.clear();
+    notionApi.setClient(previousClient);
+    embeddings.setEmbedder(previousEmbedder);
+    vectorIndex.vectors.clear();
+    vectorIndex.contentHashes.clear();
+    vectorIndex.revision = null;
+  }
+}
+
 /**
  * Test the Notion Cache
  */
@@ -148,8 +1988,36 @@ async function runAllTests() {
   console.log(`${colors.magenta}Starting API tests...${colors.reset}`);
   
   await runTest('Gemini API', testGeminiAPI);
+  await runTest('Fixture LLM Provider', testFixtureProvider);
+  await runTest('OpenAI-Compatible LLM Provider', testOpenAICompatibleProvider);
   await runTest('Central Chatbot', testCentralChatbot);
   await runTest('Notion Agent', testNotionAgent);
+  await runTest('Notion Block Extraction', testBlockExtraction);
+  await runTest('Notion Markdown Renderer', testMarkdownRenderer);
+  await runTest('Notion Passages', testPassages);
+  await runTest('Search Analyzer', testAnalyzer);
+  await runTest('Notion Database Filters', testDatabaseQuery);
+  await runTest('Workspace Discovery', testWorkspaceDiscovery);
+  await runTest('Content Processors', testContentProcessors);
+  await runTest('Intent Classifier', testIntentClassifier);
+  await runTest('Link Graph', testLinkGraph);
+  await runTest('Notion Webhooks', testNotionWebhooks);
+  await runTest('Notion Fixture Client', testNotionFixtureClient);
+  await runTest('Message Streaming', testMessageStreaming);
+  await runTest('Agent State', testAgentState);
+  await runTest('Query Refiner', testQueryRefiner);
+  await runTest('Routing Policy', testRoutingPolicy);
+  await runTest('Notion Routing', testNotionRouting);
+  await runTest('Multi-Agent Routing', testAgentFanOut);
+  await runTest('Agent Loader', testAgentLoader);
+  await runTest('BM25F Ranking', testBm25f);
+  await runTest('Fuzzy Matching and Synonyms', testFuzzyMatchingAndSynonyms);
+  await runTest('Notion Rate Limiting and Retries', testNotionRequests);
+  await runTest('Notion Cache Persistence', testCachePersistence);
+  await runTest('Notion Incremental Sync', testNotionSync);
+  await runTest('Intent-Aware Retrieval', testIntentRetrieval);
+  await runTest('Workspace Sections in Retrieval', testSectionRetrieval);
+  await runTest('Passage Embeddings', testEmbeddings);
   await runTest('Notion Cache', testNotionCache);
   
   // Print summary
@@ -171,7 +2039,35 @@ async function runAllTests() {
 module.exports = {
   runAllTests,
   testGeminiAPI,
+  testFixtureProvider,
+  testOpenAICompatibleProvider,
   testCentralChatbot,
   testNotionAgent,
+  testBlockExtraction,
+  testMarkdownRenderer,
+  testPassages,
+  testAnalyzer,
+  testDatabaseQuery,
+  testWorkspaceDiscovery,
+  testContentProcessors,
+  testIntentClassifier,
+  testLinkGraph,
+  testNotionWebhooks,
+  testNotionFixtureClient,
+  testMessageStreaming,
+  testAgentState,
+  testQueryRefiner,
+  testRoutingPolicy,
+  testNotionRouting,
+  testAgentFanOut,
+  testAgentLoader,
+  testBm25f,
+  testFuzzyMatchingAndSynonyms,
+  testNotionRequests,
+  testCachePersistence,
+  testNotionSync,
+  testIntentRetrieval,
+  testSectionRetrieval,
+  testEmbeddings,
   testNotionCache
 };
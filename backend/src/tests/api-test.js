@@ -3,13 +3,17 @@
  *
  * This script tests all key API endpoints to ensure they're working correctly.
  * It can be run independently using 'npm test' or automatically during server startup.
+ * The tests run against an in-memory database, never the one the server uses.
  */
+process.env.DATABASE_PATH = ':memory:';
 
 // Import the test module
 const { runAllTests } = require('./api-test-module');
 
-// Run the tests
-runAllTests().catch(error => {
-  console.error(`Error running tests: ${error.message}`);
-  process.exit(1);
-});
+// Run the tests; exit explicitly, since cache and queue timers would keep the process alive
+runAllTests()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Error running tests: ${error.message}`);
+    process.exit(1);
+  });
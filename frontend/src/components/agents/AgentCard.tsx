@@ -5,13 +5,14 @@ import './AgentCard.css';
 interface AgentCardProps {
   agent: Agent;
   isSelected: boolean;
+  isPinned: boolean;
   onSelect: (agentId: string) => void;
+  onPin: (agentId: string) => void;
 }
 
-const AgentCard: React.FC<AgentCardProps> = ({ agent, isSelected, onSelect }) => {
-  // Both agents are essential and can't be deselected
-  const isEssentialAgent = agent.id === 'central-router' || agent.id === 'notion-agent';
-  const isDisabled = isEssentialAgent && isSelected;
+const AgentCard: React.FC<AgentCardProps> = ({ agent, isSelected, isPinned, onSelect, onPin }) => {
+  // Agents the backend reports as unavailable can't be selected
+  const isDisabled = !agent.isActive;
 
   return (
     <div
@@ -33,7 +34,20 @@ const AgentCard: React.FC<AgentCardProps> = ({ agent, isSelected, onSelect }) =>
           </div>
         )}
       </div>
-      <div className="agent-status">
+      {!isDisabled && (
+        <button
+          className={`agent-pin-button ${isPinned ? 'pinned' : ''}`}
+          title={isPinned ? 'Unpin: let routing choose among the selected agents' : 'Pin: send every question to this agent'}
+          onClick={(e) => {
+            // Pinning shouldn't also toggle the selection
+            e.stopPropagation();
+            onPin(agent.id);
+          }}
+        >
+          <i className="fas fa-thumbtack"></i>
+        </button>
+      )}
+      <div className="agent-status" title={agent.health.message}>
         {!agent.isActive ? (
           <span className="status-offline">
             <i className="far fa-circle"></i> Offline
@@ -46,6 +60,10 @@ const AgentCard: React.FC<AgentCardProps> = ({ agent, isSelected, onSelect }) =>
           <span className="status-error">
             <i className="fas fa-exclamation-circle"></i> Error
           </span>
+        ) : agent.health.status === 'degraded' ? (
+          <span className="status-degraded">
+            <i className="fas fa-exclamation-triangle"></i> Degraded
+          </span>
         ) : agent.status === 'idle' ? (
           <span className="status-idle">
             <i className="fas fa-circle"></i> Ready
@@ -5,16 +5,26 @@ import './AgentSelector.css';
 
 interface AgentSelectorProps {
   agents: Agent[];
+  isLoading?: boolean;
+  error?: string | null;
   selectedAgents: AgentId[];
+  pinnedAgent: AgentId | null;
   onAgentSelect: (agentId: AgentId) => void;
   onAgentDeselect: (agentId: AgentId) => void;
+  onAgentPin: (agentId: AgentId) => void;
+  onAgentUnpin: () => void;
 }
 
 const AgentSelector: React.FC<AgentSelectorProps> = ({
   agents,
+  isLoading = false,
+  error = null,
   selectedAgents,
+  pinnedAgent,
   onAgentSelect,
-  onAgentDeselect
+  onAgentDeselect,
+  onAgentPin,
+  onAgentUnpin
 }) => {
   const [searchTerm, setSearchTerm] = useState('');
 
@@ -32,12 +42,20 @@ const AgentSelector: React.FC<AgentSelectorProps> = ({
     }
   };
 
+  const handlePinClick = (agentId: AgentId) => {
+    if (pinnedAgent === agentId) {
+      onAgentUnpin();
+    } else {
+      onAgentPin(agentId);
+    }
+  };
+
   return (
     <div className="agent-selector">
       <div className="agent-selector-header">
-        <h2>Active Agents</h2>
+        <h2>Agents</h2>
         <div className="agent-selector-info">
-          <p>These essential agents are always active</p>
+          <p>Each question goes to the selected agents that can answer it; pin an agent to send every question to it</p>
         </div>
       </div>
 
@@ -61,7 +79,17 @@ const AgentSelector: React.FC<AgentSelectorProps> = ({
       </div>
 
       <div className="agents-list">
-        {filteredAgents.length === 0 ? (
+        {error && agents.length === 0 ? (
+          <div className="no-agents-found">
+            <i className="fas fa-exclamation-circle"></i>
+            <p>{error}</p>
+          </div>
+        ) : isLoading && agents.length === 0 ? (
+          <div className="no-agents-found">
+            <i className="fas fa-spinner fa-spin"></i>
+            <p>Loading agents...</p>
+          </div>
+        ) : filteredAgents.length === 0 ? (
           <div className="no-agents-found">
             <i className="fas fa-search"></i>
             <p>No agents found matching "{searchTerm}"</p>
@@ -72,7 +100,9 @@ const AgentSelector: React.FC<AgentSelectorProps> = ({
               key={agent.id}
               agent={agent}
               isSelected={selectedAgents.includes(agent.id)}
+              isPinned={pinnedAgent === agent.id}
               onSelect={handleAgentClick}
+              onPin={handlePinClick}
             />
           ))
         )}
@@ -80,7 +110,8 @@ const AgentSelector: React.FC<AgentSelectorProps> = ({
 
       <div className="agent-selector-footer">
         <div className="selected-count">
-          Both essential agents are always active
+          {selectedAgents.length} of {agents.filter(agent => agent.isActive).length} available agents selected
+          {pinnedAgent && `, ${agents.find(agent => agent.id === pinnedAgent)?.name || pinnedAgent} pinned`}
         </div>
       </div>
     </div>
@@ -1,5 +1,12 @@
 export type AgentStatus = 'idle' | 'processing' | 'error' | 'offline';
 
+export type AgentHealthStatus = 'ok' | 'degraded' | 'unavailable';
+
+export interface AgentHealth {
+  status: AgentHealthStatus;
+  message: string;
+}
+
 export interface Agent {
   id: string;
   name: string;
@@ -7,7 +14,9 @@ export interface Agent {
   icon: string; // Font Awesome icon class
   color: string; // CSS color value
   source?: string; // Data source (e.g., "Notion", "HubSpot")
+  hasDefaultQuery: boolean; // Can be started with an empty message
   isActive: boolean;
+  health: AgentHealth; // Reported by the backend
   status: AgentStatus;
 }
 
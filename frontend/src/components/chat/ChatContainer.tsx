@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import MessageList from './MessageList';
 import InputArea from './InputArea';
 import { useAgentContext } from '../../contexts/AgentContext';
@@ -7,7 +7,7 @@ import './ChatContainer.css';
 
 const ChatContainer: React.FC = () => {
   // Get agent context
-  const { updateAgentStatus, resetAgentStatuses, selectedAgentIds } = useAgentContext();
+  const { agents, updateAgentStatus, resetAgentStatuses, selectedAgentIds, pinnedAgentId } = useAgentContext();
 
   // Get chat context
   const { getCurrentChat, sendMessage, isLoading: chatIsLoading } = useChatContext();
@@ -26,18 +26,23 @@ const ChatContainer: React.FC = () => {
     };
   }, [resetAgentStatuses]);
 
-  // Automatically trigger Notion agent when it's selected
+  // Chats the pinned agent has already been started in, so a failed start isn't retried
+  const autoStartedChatIds = useRef(new Set<string>());
+
+  // Automatically start the pinned agent when it has a default query
   useEffect(() => {
-    const isNotionSelected = selectedAgentIds.includes('notion-agent');
+    const pinnedAgent = agents.find(agent => agent.id === pinnedAgentId);
     const hasNoMessages = messages.length === 0;
 
-    // If Notion agent is selected and we're in a new chat, trigger it automatically
-    if (isNotionSelected && hasNoMessages && !isLoading && !chatIsLoading) {
-      console.log('Automatically triggering Notion agent');
-      // Send an empty message to trigger the Notion agent
+    // If such an agent is pinned and we're in a new chat, trigger it automatically
+    if (currentChat && pinnedAgent?.hasDefaultQuery && hasNoMessages && !isLoading && !chatIsLoading
+      && !autoStartedChatIds.current.has(currentChat.id)) {
+      console.log(`Automatically triggering ${pinnedAgent.name}`);
+      autoStartedChatIds.current.add(currentChat.id);
+      // Send an empty message to trigger the agent's default query
       sendMessage('');
     }
-  }, [selectedAgentIds, messages.length, isLoading, chatIsLoading, sendMessage]);
+  }, [agents, pinnedAgentId, currentChat, messages.length, isLoading, chatIsLoading, sendMessage]);
 
   // Handle sending a message
   const handleSendMessage = async (content: string) => {
@@ -45,32 +50,19 @@ const ChatContainer: React.FC = () => {
 
     setIsLoading(true);
 
-    // Check which agents are active
-    const isNotionSelected = selectedAgentIds.includes('notion-agent');
-
-    // Set central router to processing status
-    updateAgentStatus('central-router', 'processing');
-
-    // If Notion agent is selected, set it to processing status too
-    if (isNotionSelected) {
-      updateAgentStatus('notion-agent', 'processing');
-    }
+    // Set the agents the message may go to to processing status
+    const activeAgentIds = pinnedAgentId ? [pinnedAgentId] : [...selectedAgentIds];
+    activeAgentIds.forEach(agentId => updateAgentStatus(agentId, 'processing'));
 
     try {
       // Send message to backend
       await sendMessage(content);
 
       // Set agents back to idle
-      updateAgentStatus('central-router', 'idle');
-      if (isNotionSelected) {
-        updateAgentStatus('notion-agent', 'idle');
-      }
+      activeAgentIds.forEach(agentId => updateAgentStatus(agentId, 'idle'));
     } catch (error) {
       console.error('Error sending message:', error);
-      updateAgentStatus('central-router', 'error');
-      if (isNotionSelected) {
-        updateAgentStatus('notion-agent', 'error');
-      }
+      activeAgentIds.forEach(agentId => updateAgentStatus(agentId, 'error'));
     } finally {
       setIsLoading(false);
     }
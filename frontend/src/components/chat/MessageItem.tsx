@@ -11,20 +11,38 @@ import './markdown.css';
 
 export type MessageType = 'user' | 'agent';
 
+// The document an answer came from, with what was extracted for its type
+export interface MessageDocument {
+  title: string;
+  url?: string | null;
+  documentType: string;
+  summary: string;
+}
+
 export interface MessageItemProps {
   type: MessageType;
   content: string;
   timestamp?: Date;
   agentName?: string;
   agentAvatar?: string;
+  isStreaming?: boolean;
+  document?: MessageDocument;
 }
 
+// Document types as shown to users, e.g. CONTACT_LIST -> Contact list
+const formatDocumentType = (documentType: string) => {
+  const words = documentType.toLowerCase().replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
 const MessageItem: React.FC<MessageItemProps> = ({
   type,
   content,
   timestamp = new Date(),
   agentName = 'SBC GPT',
-  agentAvatar
+  agentAvatar,
+  isStreaming = false,
+  document
 }) => {
   const formattedTime = timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   const { speechParams, isSupported: contextSupported } = useTTSContext();
@@ -60,7 +78,7 @@ const MessageItem: React.FC<MessageItemProps> = ({
             {agentName}
           </div>
         )}
-        <div className="message-bubble">
+        <div className={`message-bubble ${isStreaming ? 'streaming' : ''}`}>
           <div className="markdown-content">
             <ReactMarkdown
               rehypePlugins={[rehypeRaw, rehypeSanitize]}
@@ -71,6 +89,28 @@ const MessageItem: React.FC<MessageItemProps> = ({
           </div>
         </div>
 
+        {document && document.summary && (
+          <details className="message-document">
+            <summary>
+              <i className="fas fa-file-alt"></i>
+              {formatDocumentType(document.documentType)}: {document.title}
+            </summary>
+            <div className="markdown-content">
+              <ReactMarkdown
+                rehypePlugins={[rehypeSanitize]}
+                remarkPlugins={[remarkGfm]}
+              >
+                {document.summary}
+              </ReactMarkdown>
+            </div>
+            {document.url && (
+              <a href={document.url} target="_blank" rel="noopener noreferrer">
+                Open in Notion
+              </a>
+            )}
+          </details>
+        )}
+
         <div className="message-footer">
           <div className="message-timestamp">
             {formattedTime}
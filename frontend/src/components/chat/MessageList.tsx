@@ -12,6 +12,10 @@ const MessageList: React.FC<MessageListProps> = ({ messages }) => {
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const { isLoading } = useChatContext();
 
+  // Once streamed text starts arriving it replaces the loading indicator
+  const lastMessage = messages[messages.length - 1];
+  const isReplyStreaming = !!lastMessage && !!lastMessage.isStreaming && lastMessage.content.length > 0;
+
   // Auto-scroll to bottom when messages change
   useEffect(() => {
     if (messagesEndRef.current) {
@@ -30,18 +34,22 @@ const MessageList: React.FC<MessageListProps> = ({ messages }) => {
           <p>Start a conversation by typing a message below.</p>
         </div>
       ) : (
-        messages.map((message, index) => (
-          <MessageItem
-            key={index}
-            type={message.type}
-            content={message.content}
-            timestamp={message.timestamp}
-            agentName={message.agentName}
-            agentAvatar={message.agentAvatar}
-          />
-        ))
+        messages
+          .filter(message => !message.isStreaming || message.content.length > 0)
+          .map((message, index) => (
+            <MessageItem
+              key={index}
+              type={message.type}
+              content={message.content}
+              timestamp={message.timestamp}
+              agentName={message.agentName}
+              agentAvatar={message.agentAvatar}
+              isStreaming={message.isStreaming}
+              document={message.document}
+            />
+          ))
       )}
-      {isLoading && messages.length > 0 && (
+      {isLoading && messages.length > 0 && !isReplyStreaming && (
         <div className="message-item assistant-message loading-message">
           <div className="message-avatar">
             <i className="fas fa-robot"></i>
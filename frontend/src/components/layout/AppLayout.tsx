@@ -14,11 +14,16 @@ interface AppLayoutProps {
 const AppLayout: React.FC<AppLayoutProps> = ({ children }) => {
   const {
     agents,
+    isLoading,
+    error,
     isAgentSelectorOpen,
     setIsAgentSelectorOpen,
     selectedAgentIds,
+    pinnedAgentId,
     handleAgentSelect,
     handleAgentDeselect,
+    handleAgentPin,
+    handleAgentUnpin,
     toggleAgentSelector
   } = useAgentContext();
 
@@ -38,9 +43,14 @@ const AppLayout: React.FC<AppLayoutProps> = ({ children }) => {
       >
         <AgentSelector
           agents={agents}
+          isLoading={isLoading}
+          error={error}
           selectedAgents={selectedAgentIds}
+          pinnedAgent={pinnedAgentId}
           onAgentSelect={handleAgentSelect}
           onAgentDeselect={handleAgentDeselect}
+          onAgentPin={handleAgentPin}
+          onAgentUnpin={handleAgentUnpin}
         />
       </Modal>
     </div>
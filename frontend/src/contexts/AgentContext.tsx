@@ -1,15 +1,25 @@
-import React, { createContext, useContext, useState, ReactNode, useCallback } from 'react';
-import { AgentId, AgentStatus } from '../components/agents/types';
-import { availableAgents as initialAgents } from '../data/agents';
+import React, { createContext, useContext, useState, ReactNode, useCallback, useEffect, useRef } from 'react';
+import { Agent, AgentId, AgentStatus } from '../components/agents/types';
+import { useAuthContext } from './AuthContext';
+import * as api from '../services/api';
+
+// How often the catalog is refetched to pick up changes in agent availability
+const AGENT_REFRESH_INTERVAL_MS = 60000;
 
 interface AgentContextType {
-  agents: typeof initialAgents;
+  agents: Agent[];
+  isLoading: boolean;
+  error: string | null;
+  refreshAgents: () => Promise<void>;
   selectedAgentIds: AgentId[];
   setSelectedAgentIds: React.Dispatch<React.SetStateAction<AgentId[]>>;
+  pinnedAgentId: AgentId | null;
   isAgentSelectorOpen: boolean;
   setIsAgentSelectorOpen: React.Dispatch<React.SetStateAction<boolean>>;
   handleAgentSelect: (agentId: AgentId) => void;
   handleAgentDeselect: (agentId: AgentId) => void;
+  handleAgentPin: (agentId: AgentId) => void;
+  handleAgentUnpin: () => void;
   handleSelectAllAgents: () => void;
   handleDeselectAllAgents: () => void;
   toggleAgentSelector: () => void;
@@ -32,14 +42,65 @@ interface AgentProviderProps {
 }
 
 export const AgentProvider: React.FC<AgentProviderProps> = ({ children }) => {
-  // State for agents with their statuses
-  const [agents, setAgents] = useState([...initialAgents]);
-
-  // Always include central-router and notion-agent in the selection
-  // These are the only two agents available now
-  const [selectedAgentIds, setSelectedAgentIds] = useState<AgentId[]>(['central-router', 'notion-agent']);
+  const { isAuthenticated } = useAuthContext();
+
+  // Agents from the backend catalog, with their statuses
+  const [agents, setAgents] = useState<Agent[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Agents questions may be routed to; every available agent is selected when the catalog is first loaded
+  const [selectedAgentIds, setSelectedAgentIds] = useState<AgentId[]>([]);
+  const hasLoadedAgentsRef = useRef(false);
+  // Agent the user pinned to answer every question on its own
+  const [pinnedAgentId, setPinnedAgentId] = useState<AgentId | null>(null);
   const [isAgentSelectorOpen, setIsAgentSelectorOpen] = useState(false);
 
+  // Fetch the catalog, keeping the status of agents that are still available
+  const refreshAgents = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const agentData = await api.getAgents();
+      const catalog: Agent[] = agentData.map(api.convertAgent);
+
+      setAgents(prevAgents =>
+        catalog.map(agent => {
+          const previous = prevAgents.find(prevAgent => prevAgent.id === agent.id);
+          return agent.isActive && previous && previous.status !== 'offline'
+            ? { ...agent, status: previous.status }
+            : agent;
+        })
+      );
+
+      const availableIds = catalog.filter(agent => agent.isActive).map(agent => agent.id);
+      if (hasLoadedAgentsRef.current) {
+        // Drop agents that are no longer available
+        setSelectedAgentIds(prev => prev.filter(id => availableIds.includes(id)));
+        setPinnedAgentId(prev => (prev && availableIds.includes(prev) ? prev : null));
+      } else {
+        setSelectedAgentIds(availableIds);
+        hasLoadedAgentsRef.current = true;
+      }
+
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching agents:', error);
+      setError('Could not load agents');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Load the catalog once signed in, and keep it up to date
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    refreshAgents();
+    const interval = setInterval(refreshAgents, AGENT_REFRESH_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [isAuthenticated, refreshAgents]);
+
   // Update the status of a specific agent
   const updateAgentStatus = useCallback((agentId: AgentId, status: AgentStatus) => {
     setAgents(prevAgents =>
@@ -59,23 +120,38 @@ export const AgentProvider: React.FC<AgentProviderProps> = ({ children }) => {
   }, []);
 
   const handleAgentSelect = (agentId: AgentId) => {
-    setSelectedAgentIds(prev => [...prev, agentId]);
+    // Unavailable agents can't answer, so they can't be selected
+    const agent = agents.find(item => item.id === agentId);
+    if (!agent || !agent.isActive) return;
+
+    setSelectedAgentIds(prev => (prev.includes(agentId) ? prev : [...prev, agentId]));
   };
 
   const handleAgentDeselect = (agentId: AgentId) => {
-    // Prevent deselecting either agent since we only have two essential agents
-    if (agentId === 'central-router' || agentId === 'notion-agent') return;
-
     setSelectedAgentIds(prev => prev.filter(id => id !== agentId));
+    setPinnedAgentId(prev => (prev === agentId ? null : prev));
+  };
+
+  const handleAgentPin = (agentId: AgentId) => {
+    const agent = agents.find(item => item.id === agentId);
+    if (!agent || !agent.isActive) return;
+
+    // A pinned agent is also selected, so unpinning leaves it in the routing
+    setSelectedAgentIds(prev => (prev.includes(agentId) ? prev : [...prev, agentId]));
+    setPinnedAgentId(agentId);
+  };
+
+  const handleAgentUnpin = () => {
+    setPinnedAgentId(null);
   };
 
   const handleSelectAllAgents = () => {
-    setSelectedAgentIds(agents.map(agent => agent.id));
+    setSelectedAgentIds(agents.filter(agent => agent.isActive).map(agent => agent.id));
   };
 
   const handleDeselectAllAgents = () => {
-    // Always keep both agents selected since we only have two
-    setSelectedAgentIds(['central-router', 'notion-agent']);
+    setSelectedAgentIds([]);
+    setPinnedAgentId(null);
   };
 
   const toggleAgentSelector = () => {
@@ -84,12 +160,18 @@ export const AgentProvider: React.FC<AgentProviderProps> = ({ children }) => {
 
   const value = {
     agents,
+    isLoading,
+    error,
+    refreshAgents,
     selectedAgentIds,
     setSelectedAgentIds,
+    pinnedAgentId,
     isAgentSelectorOpen,
     setIsAgentSelectorOpen,
     handleAgentSelect,
     handleAgentDeselect,
+    handleAgentPin,
+    handleAgentUnpin,
     handleSelectAllAgents,
     handleDeselectAllAgents,
     toggleAgentSelector,
@@ -44,7 +44,7 @@ interface ChatProviderProps {
 
 export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
   // Get the agent context to access selected agents
-  const { selectedAgentIds } = useAgentContext();
+  const { agents, selectedAgentIds, pinnedAgentId } = useAgentContext();
 
   // State for all chats
   const [chats, setChats] = useState<Chat[]>([]);
@@ -126,12 +126,17 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
   const sendMessage = useCallback(async (content: string) => {
     if (!currentChatId) return;
 
-    // Check if we should use an empty query for the Notion agent
-    const useNotionAgent = selectedAgentIds.includes('notion-agent');
-    const finalContent = content.trim() || (useNotionAgent ? '' : null);
+    // A pinned agent answers directly; otherwise the router picks among the selected agents
+    const routing: api.AgentRouting = pinnedAgentId
+      ? { agentId: pinnedAgentId }
+      : selectedAgentIds.length > 0 ? { agentIds: selectedAgentIds } : {};
+    const pinnedAgent = agents.find(agent => agent.id === pinnedAgentId);
 
-    // If no content and not using Notion agent, return
-    if (!finalContent) return;
+    // Pinned agents with a default query can be started with an empty message
+    const finalContent = content.trim() || (pinnedAgent?.hasDefaultQuery ? '' : null);
+
+    // If no content and the agent can't start on its own, return
+    if (finalContent === null) return;
 
     try {
       setIsLoading(true);
@@ -157,26 +162,60 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
         );
       }
 
-      // Determine which agent to use
-      const agentId = useNotionAgent ? 'notion-agent' : undefined;
+      // Add a placeholder assistant message that fills in as the reply streams
+      const streamingMessage: MessageItemProps = {
+        type: 'agent',
+        content: '',
+        timestamp: new Date(),
+        isStreaming: true
+      };
 
-      // Send message to API with the agent ID
-      const response = await api.sendMessage(currentChatId, finalContent, agentId);
+      setChats(prevChats =>
+        prevChats.map(chat =>
+          chat.id === currentChatId
+            ? { ...chat, messages: [...chat.messages, streamingMessage] }
+            : chat
+        )
+      );
+
+      // Replace the streaming placeholder (always the last message) in the current chat
+      const updateStreamingMessage = (update: (message: MessageItemProps) => MessageItemProps) => {
+        setChats(prevChats =>
+          prevChats.map(chat => {
+            if (chat.id !== currentChatId) return chat;
+
+            const messages = [...chat.messages];
+            const lastMessage = messages[messages.length - 1];
+            if (lastMessage && lastMessage.isStreaming) {
+              messages[messages.length - 1] = update(lastMessage);
+            }
+
+            return { ...chat, messages };
+          })
+        );
+      };
+
+      // Send message to API with the agents it may go to, rendering tokens as they arrive
+      const response = await api.sendMessageStream(currentChatId, finalContent, routing, {
+        onToken: (text) => {
+          updateStreamingMessage(message => ({ ...message, content: message.content + text }));
+        }
+      });
 
       // Convert the response messages
       const assistantMessage = api.convertMessage(response.assistantMessage);
 
-      // Update chat with assistant message
+      // Swap the placeholder for the stored assistant message
+      updateStreamingMessage(() => assistantMessage);
       setChats(prevChats =>
         prevChats.map(chat =>
           chat.id === currentChatId
             ? {
                 ...chat,
-                messages: [...chat.messages, assistantMessage],
                 messageCount: chat.messageCount + 1,
                 lastUpdated: new Date(),
                 // Update title based on first user message if it's still the default title
-                title: chat.title === 'New Conversation' && chat.messages.length <= 2
+                title: chat.title === 'New Conversation' && chat.messages.length <= 3
                   ? content.substring(0, 30) + (content.length > 30 ? '...' : '')
                   : chat.title
               }
@@ -188,23 +227,24 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
       setIsLoading(false);
     } catch (error) {
       console.error('Error sending message:', error);
-      // Remove the optimistic user message if there was an error
+      // Remove the streaming placeholder and the optimistic user message if there was an error
       setChats(prevChats =>
-        prevChats.map(chat =>
-          chat.id === currentChatId
-            ? {
-                ...chat,
-                messages: chat.messages.slice(0, -1),
-                messageCount: Math.max(0, chat.messageCount - 1)
-              }
-            : chat
-        )
+        prevChats.map(chat => {
+          if (chat.id !== currentChatId) return chat;
+
+          const messages = chat.messages.filter(message => !message.isStreaming);
+          return {
+            ...chat,
+            messages: content.trim() ? messages.slice(0, -1) : messages,
+            messageCount: content.trim() ? Math.max(0, chat.messageCount - 1) : chat.messageCount
+          };
+        })
       );
 
       // Set loading to false after error handling
       setIsLoading(false);
     }
-  }, [currentChatId, selectedAgentIds]);
+  }, [currentChatId, agents, selectedAgentIds, pinnedAgentId]);
 
   // Delete a chat
   const deleteChat = useCallback(async (chatId: string) => {
@@ -1,4 +1,5 @@
 import { MessageItemProps } from '../components/chat/MessageItem';
+import { Agent, AgentHealth, AgentId } from '../components/agents/types';
 
 const API_URL = 'http://localhost:3001/api';
 
@@ -167,15 +168,21 @@ export const updateChatTitle = async (chatId: string, title: string) => {
   }
 };
 
+// Agents a message may go to: a pinned agent answers alone, otherwise routing is limited to the selected agents
+export interface AgentRouting {
+  agentId?: AgentId;
+  agentIds?: AgentId[];
+}
+
 // Send a message
-export const sendMessage = async (chatId: string, content: string, agentId?: string) => {
+export const sendMessage = async (chatId: string, content: string, routing: AgentRouting = {}) => {
   try {
     const response = await fetch(`${API_URL}/chats/${chatId}/messages`, {
       method: 'POST',
       headers: getHeaders(),
       body: JSON.stringify({
         content,
-        agentId // Include the agent ID if provided
+        ...routing
       }),
     });
 
@@ -190,13 +197,149 @@ export const sendMessage = async (chatId: string, content: string, agentId?: str
   }
 };
 
+// Handlers for a streamed message reply
+export interface MessageStreamHandlers {
+  onToken: (text: string) => void;
+}
+
+// Send a message and stream the reply as Server-Sent Events
+export const sendMessageStream = async (
+  chatId: string,
+  content: string,
+  routing: AgentRouting,
+  handlers: MessageStreamHandlers
+) => {
+  try {
+    const response = await fetch(`${API_URL}/chats/${chatId}/messages`, {
+      method: 'POST',
+      headers: {
+        ...getHeaders(),
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        content,
+        ...routing
+      }),
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error('Failed to send message');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const reply: { userMessage?: unknown; assistantMessage?: unknown } = {};
+
+    // Events are separated by a blank line, each with an "event:" and a "data:" line
+    const handleEvent = (rawEvent: string) => {
+      let eventName = 'message';
+      let data = '';
+
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+          eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      }
+
+      if (!data) return;
+      const payload = JSON.parse(data);
+
+      if (eventName === 'token') {
+        handlers.onToken(payload.text);
+      } else if (eventName === 'user_message') {
+        reply.userMessage = payload;
+      } else if (eventName === 'assistant_message') {
+        reply.assistantMessage = payload;
+      } else if (eventName === 'error') {
+        throw new Error(payload.error || payload.message);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let separatorIndex = buffer.indexOf('\n\n');
+      while (separatorIndex !== -1) {
+        handleEvent(buffer.slice(0, separatorIndex));
+        buffer = buffer.slice(separatorIndex + 2);
+        separatorIndex = buffer.indexOf('\n\n');
+      }
+    }
+
+    if (!reply.assistantMessage) {
+      throw new Error('Message stream ended before the reply was complete');
+    }
+
+    return reply;
+  } catch (error) {
+    console.error('Send message stream error:', error);
+    throw error;
+  }
+};
+
+// Agent as listed in the backend catalog
+interface CatalogAgent {
+  id: string;
+  name: string;
+  description?: string;
+  icon?: string | null;
+  color?: string | null;
+  source?: string | null;
+  hasDefaultQuery?: boolean;
+  isActive: boolean;
+  health?: AgentHealth;
+}
+
+// Get the agent catalog with each agent's health
+export const getAgents = async (): Promise<CatalogAgent[]> => {
+  try {
+    const response = await fetch(`${API_URL}/agents`, {
+      headers: getHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch agents');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Get agents error:', error);
+    throw error;
+  }
+};
+
+// Convert backend agent format to frontend format
+export const convertAgent = (agent: CatalogAgent): Agent => {
+  const isAvailable = agent.isActive && agent.health?.status !== 'unavailable';
+
+  return {
+    id: agent.id,
+    name: agent.name,
+    description: agent.description || '',
+    icon: agent.icon || 'fas fa-robot',
+    color: agent.color || '#39908b', // Primary teal color
+    source: agent.source || undefined,
+    hasDefaultQuery: Boolean(agent.hasDefaultQuery),
+    isActive: isAvailable,
+    health: agent.health || { status: 'unavailable', message: 'No health reported' },
+    status: isAvailable ? 'idle' : 'offline'
+  };
+};
+
 // Convert backend message format to frontend format
 export const convertMessage = (message: any): MessageItemProps => {
   return {
     type: message.role === 'user' ? 'user' : 'agent',
     content: message.content,
     timestamp: new Date(message.timestamp),
-    agentName: message.role === 'assistant' ? message.model || 'SBC GPT' : undefined
+    agentName: message.role === 'assistant' ? message.model || 'SBC GPT' : undefined,
+    document: message.metadata?.document || undefined
   };
 };
 
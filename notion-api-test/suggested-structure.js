@@ -1,49 +0,0 @@
-/**
- * Suggested Workspace Structure
- * 
- * This structure was automatically generated based on analysis of your Notion workspace.
- * You may need to modify it to better match your specific needs.
- */
-
-const WORKSPACE_STRUCTURE = {
-  // Main sections of the workspace
-  sections: {
-  "untitled": {
-    "title": "Untitled",
-    "documentType": "SECTION",
-    "keyTerms": [
-      "untitled"
-    ],
-    "children": [
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled",
-      "untitled"
-    ]
-  }
-},
-  
-  // Document types and their characteristics
-  documentTypes: {
-  "GENERAL_INFO": {
-    "keyTerms": [
-      "information",
-      "about",
-      "overview",
-      "description",
-      "details"
-    ],
-    "importance": "medium"
-  }
-}
-};
-
-module.exports = WORKSPACE_STRUCTURE;
\ No newline at end of file